@@ -0,0 +1,138 @@
+import { put, head, del } from '@vercel/blob';
+
+// Cross-project contact history, one file per project so concurrent saves of
+// different projects never overwrite each other's assignments
+// Shape: { project, contacts: { "<type>:<key>": [{ channel, batch, date }] }, updatedAt }
+export const CONTACT_HISTORY_PREFIX = 'projects/_contacts/';
+
+// Project names come from the projects index (list.js avoids list() the same way)
+const PROJECTS_INDEX_PATH = 'projects/_index.json';
+
+// Assignments older than this are dropped on every write to keep the files small
+const RETENTION_DAYS = 365;
+
+function getContactHistoryPath(projectName) {
+    return `${CONTACT_HISTORY_PREFIX}${projectName}.json`;
+}
+
+// Helper function to fetch a JSON blob using head() instead of list()
+async function readJsonBlob(blobPath) {
+    try {
+        const blobInfo = await head(blobPath);
+
+        const url = new URL(blobInfo.url);
+        url.searchParams.set('t', Date.now()); // Cache busting
+        const response = await fetch(url.toString(), { cache: 'no-store' });
+
+        return response.ok ? { data: await response.json(), url: blobInfo.url } : null;
+    } catch (err) {
+        // head() throws if blob doesn't exist
+        return null;
+    }
+}
+
+async function getProjectContacts(projectName) {
+    const blob = await readJsonBlob(getContactHistoryPath(projectName));
+    return blob ? { contacts: blob.data.contacts || {}, url: blob.url } : { contacts: {}, url: null };
+}
+
+async function saveProjectContacts(projectName, contacts) {
+    await put(getContactHistoryPath(projectName), JSON.stringify({ project: projectName, contacts, updatedAt: new Date().toISOString() }), {
+        access: 'public',
+        contentType: 'application/json',
+        addRandomSuffix: false,
+    });
+}
+
+/**
+ * Merge the contact files of all indexed projects
+ * @returns {Object} { "<type>:<key>": [{ project, channel, batch, date }] }
+ */
+export async function getContactHistory() {
+    const index = await readJsonBlob(PROJECTS_INDEX_PATH);
+    const names = ((index && index.data.projects) || []).map(p => p.name);
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    const history = {};
+    const files = await Promise.all(names.map(name => getProjectContacts(name)));
+    files.forEach(({ contacts }, i) => {
+        Object.entries(contacts).forEach(([key, entries]) => {
+            entries.forEach(entry => {
+                if (entry.date < cutoff) return;
+                (history[key] = history[key] || []).push({ project: names[i], ...entry });
+            });
+        });
+    });
+    return history;
+}
+
+/**
+ * Replace all assignments of a project with the ones posted by the client
+ * @param {string} projectName - Project being saved
+ * @param {Object} projectContacts - { "<type>:<key>": [{ channel, batch, date }] }
+ * @param {string} [previousName] - Old project name when renaming
+ */
+export async function updateContactHistory(projectName, projectContacts, previousName = null) {
+    try {
+        const current = await getProjectContacts(projectName);
+        const previous = previousName ? await getProjectContacts(previousName) : null;
+        const now = new Date().toISOString();
+        const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+        // Remember known dates so batches without a log entry keep their first-seen date
+        const knownDates = new Map();
+        [previous, current].forEach(file => {
+            if (!file) return;
+            Object.values(file.contacts).forEach(entries => entries.forEach(entry => {
+                knownDates.set(`${entry.channel}:${entry.batch}`, entry.date);
+            }));
+        });
+
+        const next = {};
+        Object.entries(projectContacts || {}).forEach(([key, assignments]) => {
+            if (!Array.isArray(assignments)) return;
+            assignments.forEach(({ channel, batch, date }) => {
+                if (!channel || batch === undefined || batch === null || batch === '') return;
+                const entry = { channel, batch, date: date || knownDates.get(`${channel}:${batch}`) || now };
+                if (entry.date >= cutoff) (next[key] = next[key] || []).push(entry);
+            });
+        });
+
+        await saveProjectContacts(projectName, next);
+        if (previous && previous.url) await del(previous.url);
+        console.log('[contactHistory] Updated history for', projectName, '-', Object.keys(next).length, 'contacts');
+    } catch (err) {
+        console.warn('[contactHistory] Failed to update contact history:', err.message);
+    }
+}
+
+/**
+ * Remove all assignments of a project (project deleted)
+ */
+export async function removeProjectFromContactHistory(projectName) {
+    try {
+        const { url } = await getProjectContacts(projectName);
+        if (url) {
+            await del(url);
+            console.log('[contactHistory] Removed project from history:', projectName);
+        }
+    } catch (err) {
+        console.warn('[contactHistory] Failed to update contact history:', err.message);
+    }
+}
+
+/**
+ * Move assignments to a new project name (metadata-only rename)
+ */
+export async function renameProjectInContactHistory(oldName, newName) {
+    try {
+        const { contacts, url } = await getProjectContacts(oldName);
+        if (url) {
+            await saveProjectContacts(newName, contacts);
+            await del(url);
+            console.log('[contactHistory] Renamed project in history:', oldName, '->', newName);
+        }
+    } catch (err) {
+        console.warn('[contactHistory] Failed to update contact history:', err.message);
+    }
+}
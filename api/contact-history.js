@@ -0,0 +1,52 @@
+import { getContactHistory } from './_lib/contactHistory.js';
+
+export const config = {
+    api: {
+        bodyParser: {
+            sizeLimit: '10mb',
+        },
+    },
+};
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        // Query by keys ("phone:0912345678", "email:a@b.com", "plid:123")
+        const { keys, days, excludeProject } = req.body || {};
+
+        if (!Array.isArray(keys)) {
+            return res.status(400).json({ error: 'keys array is required' });
+        }
+
+        const windowDays = parseInt(days) || 0;
+        const cutoff = windowDays > 0
+            ? new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000).toISOString()
+            : '';
+
+        const history = await getContactHistory();
+        const contacts = {};
+        keys.forEach(key => {
+            const entries = (history[key] || []).filter(entry =>
+                entry.date >= cutoff && (!excludeProject || entry.project !== excludeProject)
+            );
+            if (entries.length > 0) contacts[key] = entries;
+        });
+
+        return res.status(200).json({ success: true, contacts, matched: Object.keys(contacts).length });
+    } catch (error) {
+        console.error('Contact history error:', error);
+        return res.status(500).json({ error: 'Failed to query contact history', details: error.message });
+    }
+}
@@ -1,4 +1,5 @@
 import { del, head, put } from '@vercel/blob';
+import { removeProjectFromContactHistory } from '../_lib/contactHistory.js';
 
 const PROJECTS_INDEX_PATH = 'projects/_index.json';
 
@@ -63,6 +64,7 @@ export default async function handler(req, res) {
             const urlMatch = url.match(/projects\/(.+)\.json/);
             if (urlMatch) {
                 await removeFromProjectsIndex(decodeURIComponent(urlMatch[1]));
+                await removeProjectFromContactHistory(decodeURIComponent(urlMatch[1]));
             }
             return res.status(200).json({
                 success: true,
@@ -101,8 +103,9 @@ export default async function handler(req, res) {
         // Delete the blob using the URL from head()
         await del(blobInfo.url);
 
-        // Update the projects index
+        // Update the projects index and contact history
         await removeFromProjectsIndex(name);
+        await removeProjectFromContactHistory(name);
 
         return res.status(200).json({
             success: true,
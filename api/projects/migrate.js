@@ -45,11 +45,11 @@ export default async function handler(req, res) {
             prefix: 'projects/',
         });
 
-        // Filter to only .json files (not the index file)
+        // Filter to only project .json files (skip shared files: _index, _suppression, ...)
         const projectBlobs = blobs.filter(blob =>
             blob.pathname.endsWith('.json') &&
             blob.pathname !== PROJECTS_INDEX_PATH &&
-            !blob.pathname.includes('_index')
+            !blob.pathname.startsWith('projects/_')
         );
 
         console.log(`[migrate.js] Found ${projectBlobs.length} project blobs to index`);
@@ -1,5 +1,6 @@
 import { put, del, head } from '@vercel/blob';
 import { gunzipSync } from 'zlib';
+import { updateContactHistory, renameProjectInContactHistory } from '../_lib/contactHistory.js';
 
 const PROJECTS_INDEX_PATH = 'projects/_index.json';
 
@@ -134,7 +135,7 @@ export default async function handler(req, res) {
             }
         }
 
-        const { projectName, data: reqData, headers: reqHeaders, metadata, isMetadataUpdate, originalProjectName } = reqBody;
+        const { projectName, data: reqData, headers: reqHeaders, metadata, isMetadataUpdate, originalProjectName, contacts } = reqBody;
 
         if (!projectName) {
             return res.status(400).json({
@@ -143,6 +144,14 @@ export default async function handler(req, res) {
             });
         }
 
+        // Names starting with "_" are reserved for shared files (_index, _suppression, ...)
+        if (String(projectName).startsWith('_')) {
+            return res.status(400).json({
+                success: false,
+                error: 'Project name cannot start with "_"'
+            });
+        }
+
         let finalData = reqData || [];
         let finalHeaders = reqHeaders || [];
         let preservedMetadata = {};
@@ -209,6 +218,13 @@ export default async function handler(req, res) {
         // Update projects index (for list.js to use without list() operation)
         await updateProjectsIndex(projectData, blob.url);
 
+        // Update cross-project contact history (only data saves send contacts)
+        if (contacts) {
+            await updateContactHistory(projectName, contacts, originalProjectUrl ? originalProjectName : null);
+        } else if (originalProjectUrl) {
+            await renameProjectInContactHistory(originalProjectName, projectName);
+        }
+
         // Delete old project if rename was successful
         if (originalProjectUrl) {
             try {
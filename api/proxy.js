@@ -59,29 +59,11 @@ export default async function handler(req, res) {
             });
         }
 
-        // For binary files (Excel), return as base64
-        if (contentType.includes('spreadsheet') ||
-            contentType.includes('excel') ||
-            contentType.includes('octet-stream') ||
-            url.endsWith('.xlsx') || url.endsWith('.xls')) {
-
-            const buffer = await response.arrayBuffer();
-            const base64 = Buffer.from(buffer).toString('base64');
-
-            return res.status(200).json({
-                success: true,
-                contentType,
-                encoding: 'base64',
-                data: base64,
-                filename: parsedUrl.pathname.split('/').pop()
-            });
-        }
-
-        // For text files (CSV), return as text
-        const text = await response.text();
+        const buffer = Buffer.from(await response.arrayBuffer());
 
         // Additional check: if text looks like HTML, reject it
-        if (text.trim().startsWith('<!DOCTYPE') || text.trim().startsWith('<html') || text.trim().startsWith('<HTML')) {
+        const head = buffer.subarray(0, 512).toString('utf8').trim();
+        if (head.startsWith('<!DOCTYPE') || head.startsWith('<html') || head.startsWith('<HTML')) {
             return res.status(400).json({
                 success: false,
                 error: 'Response appears to be HTML, not a data file. Please verify the URL.',
@@ -89,11 +71,15 @@ export default async function handler(req, res) {
             });
         }
 
+        // UTF-8 text is sent as is; Excel and other encodings (UTF-16, Windows-1258...) go as
+        // base64 (a third larger) so the browser can detect the encoding from the raw bytes
+        const text = decodeUtf8Text(buffer);
+
         return res.status(200).json({
             success: true,
             contentType,
-            encoding: 'text',
-            data: text,
+            encoding: text === null ? 'base64' : 'text',
+            data: text === null ? buffer.toString('base64') : text,
             filename: parsedUrl.pathname.split('/').pop()
         });
 
@@ -105,3 +91,19 @@ export default async function handler(req, res) {
         });
     }
 }
+
+/**
+ * Decode a body that is plain UTF-8 text (BOM stripped)
+ * Returns null for Excel files, NUL bytes (UTF-16, binary) or invalid UTF-8
+ */
+function decodeUtf8Text(buffer) {
+    const isWorkbook = (buffer[0] === 0x50 && buffer[1] === 0x4B && buffer[2] === 0x03 && buffer[3] === 0x04) ||
+        (buffer[0] === 0xD0 && buffer[1] === 0xCF && buffer[2] === 0x11 && buffer[3] === 0xE0);
+    if (isWorkbook || buffer.includes(0)) return null;
+
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,149 @@
+import { put, head } from '@vercel/blob';
+
+// Stored next to projects/_index.json; migrate.js skips projects/_* files
+const SUPPRESSION_PATH = 'projects/_suppression.json';
+
+const VALID_TYPES = ['phone', 'email', 'plid'];
+
+export const config = {
+    api: {
+        bodyParser: {
+            sizeLimit: '10mb',
+        },
+    },
+};
+
+// Helper function to fetch the suppression list using head() instead of list()
+async function getSuppressionList() {
+    try {
+        const blobInfo = await head(SUPPRESSION_PATH);
+
+        const url = new URL(blobInfo.url);
+        url.searchParams.set('t', Date.now()); // Cache busting
+        const response = await fetch(url.toString(), { cache: 'no-store' });
+
+        if (response.ok) {
+            const data = await response.json();
+            return data.entries || [];
+        }
+        return [];
+    } catch (err) {
+        // head() throws if blob doesn't exist - empty list for new installs
+        return [];
+    }
+}
+
+async function saveSuppressionList(entries) {
+    await put(SUPPRESSION_PATH, JSON.stringify({ entries, updatedAt: new Date().toISOString() }), {
+        access: 'public',
+        contentType: 'application/json',
+        addRandomSuffix: false,
+    });
+}
+
+function entryId(entry) {
+    return `${entry.type}:${entry.key}`;
+}
+
+// Keys are normalized by the client; keep a defensive trim/lowercase here
+function sanitizeEntry(entry) {
+    if (!entry || !VALID_TYPES.includes(entry.type)) return null;
+    const key = String(entry.key ?? '').trim();
+    if (!key) return null;
+
+    return {
+        type: entry.type,
+        key: entry.type === 'email' ? key.toLowerCase() : key,
+        reason: entry.reason || 'opt_out',
+        source: entry.source || '',
+        date: entry.date || new Date().toISOString()
+    };
+}
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        switch (req.method) {
+            case 'GET':
+                return await getEntries(req, res);
+            case 'POST':
+                return await addEntries(req, res);
+            case 'DELETE':
+                return await removeEntries(req, res);
+            default:
+                return res.status(405).json({ error: 'Method not allowed' });
+        }
+    } catch (error) {
+        console.error('Suppression error:', error);
+        return res.status(500).json({ error: 'Suppression list error', details: error.message });
+    }
+}
+
+// Get all entries
+async function getEntries(req, res) {
+    const entries = await getSuppressionList();
+    return res.status(200).json({ success: true, entries, count: entries.length });
+}
+
+// Add or update entries (upsert by type + key)
+async function addEntries(req, res) {
+    const { entries } = req.body || {};
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+        return res.status(400).json({ error: 'entries array is required' });
+    }
+
+    const current = await getSuppressionList();
+    const byId = new Map(current.map(e => [entryId(e), e]));
+    let added = 0;
+    let updated = 0;
+    let invalid = 0;
+
+    entries.forEach(raw => {
+        const entry = sanitizeEntry(raw);
+        if (!entry) {
+            invalid++;
+            return;
+        }
+        const id = entryId(entry);
+        if (byId.has(id)) {
+            // Opt-outs are permanent: never downgrade them to a dated reason
+            const existing = byId.get(id);
+            byId.set(id, existing.reason === 'opt_out' ? { ...entry, reason: 'opt_out' } : entry);
+            updated++;
+        } else {
+            byId.set(id, entry);
+            added++;
+        }
+    });
+
+    const merged = Array.from(byId.values());
+    await saveSuppressionList(merged);
+
+    return res.status(200).json({ success: true, added, updated, invalid, count: merged.length });
+}
+
+// Remove entries by [{ type, key }]
+async function removeEntries(req, res) {
+    const { entries } = req.body || {};
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+        return res.status(400).json({ error: 'entries array is required' });
+    }
+
+    const ids = new Set(entries.map(e => sanitizeEntry(e)).filter(Boolean).map(entryId));
+    const current = await getSuppressionList();
+    const remaining = current.filter(e => !ids.has(entryId(e)));
+
+    await saveSuppressionList(remaining);
+
+    return res.status(200).json({ success: true, removed: current.length - remaining.length, count: remaining.length });
+}
@@ -7,14 +7,6 @@
 let currentView = 'dashboard';
 let pendingFile = null;
 
-// ===== Pagination State =====
-let paginationState = {
-    currentPage: 1,
-    rowsPerPage: 25,
-    totalRows: 0,
-    totalPages: 1
-};
-
 // ===== Column Visibility State =====
 let visibleColumns = new Set(); // All visible by default
 let columnVisibilityInitialized = false; // Track if user has modified
@@ -29,12 +21,18 @@ document.addEventListener('DOMContentLoaded', () => {
     DataManager.init();
     FilterEngine.init();
     UIRenderer.init();
+    DataGrid.onChange = handleGridEdit;
 
     // Initialize StorageManager (for server persistence)
     if (typeof StorageManager !== 'undefined') {
         StorageManager.init();
     }
 
+    // Load suppression list (local cache first, server sync in background)
+    if (typeof SuppressionManager !== 'undefined') {
+        SuppressionManager.init();
+    }
+
     // Setup event listeners
     setupNavigation();
     setupSidebar();
@@ -296,8 +294,12 @@ function setupFileImport() {
         e.preventDefault();
         dropZone.classList.remove('drag-over');
 
-        const file = e.dataTransfer.files[0];
-        if (file) handleFileSelect(file);
+        const files = Array.from(e.dataTransfer.files);
+        if (files.length > 1) {
+            openAppendImport(files);
+        } else if (files[0]) {
+            handleFileSelect(files[0]);
+        }
     });
 
     // Click to select
@@ -310,9 +312,26 @@ function setupFileImport() {
     });
 
     fileInput.addEventListener('change', (e) => {
-        const file = e.target.files[0];
-        if (file) handleFileSelect(file);
+        const files = Array.from(e.target.files);
+        if (files.length > 1) {
+            openAppendImport(files);
+        } else if (files[0]) {
+            handleFileSelect(files[0]);
+        }
+        fileInput.value = '';
     });
+
+    // Append files/sheets to the current data
+    const appendFileInput = document.getElementById('appendFileInput');
+    appendFileInput.addEventListener('change', (e) => {
+        const files = Array.from(e.target.files);
+        if (files.length > 0) openAppendImport(files);
+        appendFileInput.value = '';
+    });
+
+    document.getElementById('sheetSelect').addEventListener('change', previewFile);
+    document.getElementById('importEncoding').addEventListener('change', previewFile);
+    document.getElementById('importDelimiter').addEventListener('change', previewFile);
 }
 
 async function handleFileSelect(file) {
@@ -329,46 +348,121 @@ async function handleFileSelect(file) {
 
     // Show options
     document.getElementById('importOptions').style.display = 'block';
+    document.getElementById('sheetSelect').innerHTML = '<option value="0">Sheet 1</option>';
+
+    // CSV: encoding and delimiter are detected again for every new file
+    document.getElementById('csvDialectOptions').style.display = ext === 'csv' ? 'block' : 'none';
+    document.getElementById('importEncoding').value = '';
+    document.getElementById('importDelimiter').value = '';
+    document.getElementById('importDialectInfo').textContent = '';
 
-    // If Excel, we could show sheet selection
-    // For now, just proceed
     await previewFile();
 }
 
+let importPreviewId = 0;
+
 async function previewFile() {
     if (!pendingFile) return;
 
+    // A newer preview (sheet/header row change) supersedes a running one
+    const previewId = ++importPreviewId;
+    const sheetSelect = document.getElementById('sheetSelect');
+    const progress = document.getElementById('importProgress');
+    const progressFill = document.getElementById('importProgressFill');
+    const progressText = document.getElementById('importProgressText');
+    const confirmBtn = document.getElementById('confirmImportBtn');
+
+    progress.style.display = 'flex';
+    progressFill.style.width = '0%';
+    progressText.textContent = '0%';
+    confirmBtn.disabled = true;
+
     try {
         const result = await DataManager.importFile(pendingFile, {
-            headerRow: parseInt(document.getElementById('headerRow').value) || 1
+            headerRow: parseInt(document.getElementById('headerRow').value) || 1,
+            sheetIndex: parseInt(sheetSelect.value) || 0,
+            encoding: document.getElementById('importEncoding').value,
+            delimiter: document.getElementById('importDelimiter').value,
+            onPreview: ({ headers, rows, dialect }) => {
+                renderImportDialect(dialect);
+                renderImportPreview(headers, rows.slice(0, 10), `Đang đọc ${pendingFile.name}...`);
+            },
+            onProgress: ({ percent, rows }) => {
+                progressFill.style.width = `${percent}%`;
+                progressText.textContent = `${percent}% · ${UIRenderer.formatNumber(rows)} dòng`;
+            }
         });
 
-        // Show preview
-        const previewDiv = document.getElementById('importPreview');
-        const previewTable = document.getElementById('previewTable');
-        const previewCount = document.getElementById('previewCount');
-
-        previewDiv.style.display = 'block';
-        previewCount.textContent = `${result.rows} rows, ${result.cols} columns`;
+        // Sheet list of this file (keep the selection when re-previewing)
+        const selectedSheet = DataManager.fileInfo.sheetName;
+        sheetSelect.innerHTML = result.sheets.map((name, i) =>
+            `<option value="${i}" ${name === selectedSheet ? 'selected' : ''}>${UIRenderer.escapeHtml(name)}</option>`
+        ).join('');
+
+        let countText = `${result.rows} rows, ${result.cols} columns`;
+        if (result.phone) {
+            countText += result.phone.success
+                ? ` · SĐT (${result.phone.column}): ${result.phone.counts.Valid} hợp lệ, ${result.phone.counts.Invalid} không hợp lệ`
+                : ` · ${result.phone.message}`;
+        }
 
         // Render preview (first 10 rows)
-        const headers = DataManager.getHeaders();
-        const data = DataManager.getData().slice(0, 10);
+        renderImportDialect(result.dialect);
+        renderImportPreview(DataManager.getHeaders(), DataManager.getData().slice(0, 10), countText);
 
-        previewTable.querySelector('thead').innerHTML = `
-            <tr>${headers.map(h => `<th>${UIRenderer.escapeHtml(h)}</th>`).join('')}</tr>
-        `;
+    } catch (error) {
+        if (!error.cancelled) {
+            UIRenderer.showToast(`Lỗi đọc file: ${error.message}`, 'error');
+        }
+    } finally {
+        if (previewId === importPreviewId) {
+            progress.style.display = 'none';
+            confirmBtn.disabled = false;
+        }
+    }
+}
 
-        previewTable.querySelector('tbody').innerHTML = data.map(row => `
-            <tr>${headers.map(h => `<td>${UIRenderer.escapeHtml(String(row[h] || ''))}</td>`).join('')}</tr>
-        `).join('');
+/**
+ * Show the encoding/delimiter a CSV was read with
+ */
+function renderImportDialect(dialect) {
+    if (!dialect) return;
+    const manual = document.getElementById('importEncoding').value || document.getElementById('importDelimiter').value;
+    document.getElementById('importDialectInfo').textContent =
+        `${manual ? 'Đang dùng' : 'Phát hiện'}: ${CsvReader.getDialectLabel(dialect)}`;
+}
 
-    } catch (error) {
-        UIRenderer.showToast(`Lỗi đọc file: ${error.message}`, 'error');
+/**
+ * Render the import preview table
+ */
+function renderImportPreview(headers, rows, countText) {
+    const previewDiv = document.getElementById('importPreview');
+    const previewTable = document.getElementById('previewTable');
+
+    previewDiv.style.display = 'block';
+    document.getElementById('previewCount').textContent = countText;
+
+    previewTable.querySelector('thead').innerHTML = `
+        <tr>${headers.map(h => `<th>${UIRenderer.escapeHtml(h)}</th>`).join('')}</tr>
+    `;
+
+    previewTable.querySelector('tbody').innerHTML = rows.map(row => `
+        <tr>${headers.map(h => `<td>${UIRenderer.escapeHtml(String(row[h] || ''))}</td>`).join('')}</tr>
+    `).join('');
+}
+
+/**
+ * Stop reading a large file
+ */
+function stopFileImport() {
+    if (DataManager.cancelImport()) {
+        UIRenderer.showToast('Đã dừng đọc file.', 'info');
     }
+    cancelImport();
 }
 
 function cancelImport() {
+    DataManager.cancelImport();
     pendingFile = null;
     document.getElementById('importOptions').style.display = 'none';
     document.getElementById('importPreview').style.display = 'none';
@@ -410,6 +504,446 @@ function confirmImport() {
     switchView('data');
 
     pendingFile = null;
+
+    if (document.getElementById('autoDetectColumns').checked) {
+        openColumnMappingWizard();
+    }
+}
+
+// ===== Append Import (multiple files / sheets) =====
+let appendImportState = null;
+
+async function openAppendImport(files) {
+    const validTypes = ['csv', 'xlsx', 'xls'];
+    const invalid = files.filter(file => !validTypes.includes(file.name.split('.').pop().toLowerCase()));
+    if (invalid.length > 0) {
+        UIRenderer.showToast(`File không hợp lệ: ${invalid.map(f => f.name).join(', ')}. Chỉ hỗ trợ CSV, XLSX, XLS.`, 'error');
+        return;
+    }
+
+    UIRenderer.showToast(`Đang đọc ${files.length} file...`, 'info');
+
+    let sources;
+    try {
+        sources = await DataManager.readSources(files, {
+            headerRow: parseInt(document.getElementById('headerRow').value) || 1
+        });
+    } catch (error) {
+        UIRenderer.showToast(`Lỗi đọc file: ${error.message}`, 'error');
+        return;
+    }
+
+    if (sources.length === 0) {
+        UIRenderer.showToast('Các file/sheet đã chọn không có dữ liệu.', 'warning');
+        return;
+    }
+
+    appendImportState = { sources, selected: new Set(sources.map(s => s.id)), overrides: {} };
+
+    const hasData = DataManager.hasData();
+    const content = `
+        <div class="stratified-form append-import-form">
+            <p class="form-hint">
+                ${hasData
+                    ? `Nối vào dữ liệu hiện tại (${UIRenderer.formatNumber(DataManager.getRowCount())} dòng, ${escapeHtml(DataManager.fileInfo.name || '')}). Có thể hoàn tác.`
+                    : 'Chưa có dữ liệu: các file/sheet được gộp thành dữ liệu mới, cột theo file đầu tiên.'}
+            </p>
+            <table class="strat-table">
+                <thead><tr><th></th><th>File / Sheet</th><th>Dòng</th><th>Cột</th></tr></thead>
+                <tbody>
+                    ${sources.map(source => `
+                        <tr>
+                            <td><input type="checkbox" checked onchange="toggleAppendSource(${source.id}, this.checked)"></td>
+                            <td>${escapeHtml(DataManager.getSourceLabel(source))}</td>
+                            <td>${UIRenderer.formatNumber(source.rows.length)}</td>
+                            <td>${source.headers.length}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="form-group checkbox-group">
+                <label class="checkbox-label">
+                    <input type="checkbox" id="appendSourceColumn" checked>
+                    Ghi tên file/sheet vào cột ${DataManager.SOURCE_FILE_COL}
+                </label>
+            </div>
+            <div id="appendMapping"></div>
+        </div>
+    `;
+
+    openModal(`📎 ${hasData ? 'Nối thêm' : 'Import'} ${sources.length} file/sheet`, content, confirmAppendImport);
+    renderAppendMapping();
+}
+
+function getAppendSelectedSources() {
+    return appendImportState.sources.filter(source => appendImportState.selected.has(source.id));
+}
+
+function getAppendMapping() {
+    const mapping = DataManager.suggestColumnMapping(getAppendSelectedSources());
+    Object.entries(appendImportState.overrides).forEach(([column, target]) => {
+        if (column in mapping) mapping[column] = target;
+    });
+    return mapping;
+}
+
+function toggleAppendSource(id, checked) {
+    if (checked) {
+        appendImportState.selected.add(id);
+    } else {
+        appendImportState.selected.delete(id);
+    }
+    renderAppendMapping();
+}
+
+function setAppendColumnTarget(reviewIndex, target) {
+    appendImportState.overrides[appendImportState.review[reviewIndex]] = target;
+    renderAppendMapping();
+}
+
+function renderAppendMapping() {
+    const container = document.getElementById('appendMapping');
+    if (!container) return;
+
+    const sources = getAppendSelectedSources();
+    const mapping = getAppendMapping();
+    const base = DataManager.hasData()
+        ? DataManager.getHeaders().filter(h => !h.startsWith('_'))
+        : (sources[0] ? sources[0].headers : []);
+    const targets = Array.from(new Set([...base, ...Object.values(mapping).filter(Boolean)]));
+    const rowCount = sources.reduce((sum, source) => sum + source.rows.length, 0);
+
+    // Columns whose name is not exactly an existing column need a decision
+    const review = Object.keys(mapping).filter(column => !base.includes(column) || mapping[column] !== column);
+    const matched = Object.keys(mapping).length - review.length;
+    appendImportState.review = review;
+    const usedBy = column => sources.filter(source => source.headers.includes(column)).length;
+
+    container.innerHTML = `
+        <p>
+            <strong>${UIRenderer.formatNumber(rowCount)}</strong> dòng từ ${sources.length} file/sheet ·
+            ${matched} cột khớp tên${review.length > 0 ? ` · ${review.length} cột cần kiểm tra` : ''}
+        </p>
+        ${review.length > 0 ? `
+            <table class="strat-table append-mapping-table">
+                <thead><tr><th>Cột trong file</th><th>Số nguồn</th><th>Ghi vào</th></tr></thead>
+                <tbody>
+                    ${review.map((column, i) => `
+                        <tr>
+                            <td>${escapeHtml(column)}</td>
+                            <td>${usedBy(column)}/${sources.length}</td>
+                            <td>
+                                <select class="form-control" onchange="setAppendColumnTarget(${i}, this.value)">
+                                    <option value="${escapeHtml(column)}" ${mapping[column] === column ? 'selected' : ''}>➕ Cột mới "${escapeHtml(column)}"</option>
+                                    ${targets.filter(t => t !== column).map(t => `
+                                        <option value="${escapeHtml(t)}" ${mapping[column] === t ? 'selected' : ''}>${escapeHtml(t)}</option>
+                                    `).join('')}
+                                    <option value="" ${mapping[column] === '' ? 'selected' : ''}>— Bỏ qua</option>
+                                </select>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : ''}
+    `;
+}
+
+function confirmAppendImport() {
+    const sources = getAppendSelectedSources();
+    const result = DataManager.appendSources(sources, getAppendMapping(), {
+        sourceColumn: document.getElementById('appendSourceColumn').checked
+    });
+    if (!result.success) {
+        UIRenderer.showToast(result.message, 'error');
+        return;
+    }
+    closeModal();
+    appendImportState = null;
+
+    ConfigManager.addActionHistory({
+        type: 'append_import',
+        filename: DataManager.fileInfo.name,
+        sources: result.sources,
+        count: result.rows,
+        icon: '📎'
+    });
+
+    result.newColumns.forEach(column => visibleColumns.add(column));
+    FilterEngine.invalidateCache();
+    renderColumnVisibilityList();
+    UIRenderer.updateFileInfo();
+    UIRenderer.renderDataTable();
+    UIRenderer.renderDashboard();
+    updateUndoRedoButtons();
+
+    if (typeof StorageManager !== 'undefined') {
+        if (result.fresh && !StorageManager.currentProject) {
+            StorageManager.currentProject = sources[0].fileName.split('.')[0];
+        }
+        StorageManager.markDirty();
+    }
+
+    UIRenderer.showToast(result.message, 'success');
+    switchView('data');
+
+    if (result.fresh && document.getElementById('autoDetectColumns').checked) {
+        openColumnMappingWizard();
+    }
+}
+
+// ===== Column Mapping Wizard =====
+function openColumnMappingWizard() {
+    if (!DataManager.hasData()) {
+        UIRenderer.showToast('Chưa có dữ liệu.', 'warning');
+        return;
+    }
+
+    const { mapping, origin, saved } = ColumnMapper.suggest();
+    const current = ColumnMapper.getCurrentMapping();
+    const headers = DataManager.getHeaders().filter(h => !h.startsWith('_'));
+
+    const content = `
+        <div class="stratified-form column-mapping-form">
+            <p class="form-hint">
+                ${origin === 'saved'
+                    ? `✅ Layout đã biết (lưu từ ${escapeHtml(saved.fileName || '')}, ${new Date(saved.updatedAt).toLocaleDateString('vi-VN')}).`
+                    : '🔍 Tự động nhận diện từ tên cột và giá trị. Kiểm tra lại trước khi mark batch/export.'}
+            </p>
+            <table class="strat-table">
+                <thead><tr><th>Vai trò</th><th>Cột</th><th>Giá trị mẫu</th><th>Khớp</th></tr></thead>
+                <tbody>
+                    ${Object.entries(ColumnMapper.ROLES).map(([role, def]) => {
+                        const selected = mapping[role] || current[role];
+                        return `
+                            <tr>
+                                <td>${def.label}</td>
+                                <td>
+                                    <select class="form-control" id="mapRole_${role}" onchange="renderColumnMappingQuality('${role}')">
+                                        <option value="">(không có)</option>
+                                        ${headers.map((h, i) => `<option value="${i}" ${h === selected ? 'selected' : ''}>${escapeHtml(h)}</option>`).join('')}
+                                    </select>
+                                    ${current[role] && current[role] !== selected ? `<small class="form-hint">Đang dùng: ${escapeHtml(current[role])}</small>` : ''}
+                                </td>
+                                <td class="mapping-sample" id="mapSample_${role}"></td>
+                                <td id="mapQuality_${role}"></td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+            <div class="form-group checkbox-group">
+                <label class="checkbox-label">
+                    <input type="checkbox" id="mapRemember" checked>
+                    Ghi nhớ cho các file cùng layout (cùng danh sách cột)
+                </label>
+            </div>
+        </div>
+    `;
+
+    openModal('🧭 Nhận diện cột', content, confirmColumnMapping);
+    Object.keys(ColumnMapper.ROLES).forEach(renderColumnMappingQuality);
+}
+
+function getColumnMappingSelection(role) {
+    const headers = DataManager.getHeaders().filter(h => !h.startsWith('_'));
+    const value = document.getElementById(`mapRole_${role}`).value;
+    return value === '' ? null : headers[parseInt(value)];
+}
+
+function renderColumnMappingQuality(role) {
+    const column = getColumnMappingSelection(role);
+    const sample = column ? ColumnMapper.sampleColumn(column) : [];
+    const quality = column ? ColumnMapper.getColumnQuality(role === 'EMAIL_LINK_COL' ? 'SOURCE_COL' : role, column) : null;
+
+    document.getElementById(`mapSample_${role}`).textContent = sample.length > 0 ? String(sample[0]) : '';
+    document.getElementById(`mapQuality_${role}`).innerHTML = quality === null
+        ? (column ? '<span class="form-hint">trống</span>' : '')
+        : `<span class="mapping-quality ${quality >= 0.8 ? 'good' : 'bad'}">${Math.round(quality * 100)}%</span>`;
+}
+
+function confirmColumnMapping() {
+    const mapping = {};
+    Object.keys(ColumnMapper.ROLES).forEach(role => {
+        mapping[role] = getColumnMappingSelection(role);
+    });
+
+    const result = ColumnMapper.apply(mapping, { remember: document.getElementById('mapRemember').checked });
+    closeModal();
+
+    UIRenderer.renderConfig();
+    if (typeof StorageManager !== 'undefined') {
+        StorageManager.markDirty();
+    }
+    UIRenderer.showToast(result.message, 'success');
+}
+
+// ===== Lookup Merge =====
+let mergeAnalysis = null;
+
+function openMergeModal() {
+    if (!DataManager.hasData()) {
+        UIRenderer.showToast('Chưa có dữ liệu. Vui lòng import file chính trước.', 'warning');
+        return;
+    }
+    MergeManager.clear();
+    mergeAnalysis = null;
+
+    const content = `
+        <div class="stratified-form merge-form">
+            <p class="form-hint">Thêm cột từ file thứ hai (disposition của vendor, danh sách complete...) vào các dòng có cùng khóa (plid, SĐT...).</p>
+            <div class="form-group">
+                <label>File cần ghép (xlsx/csv)</label>
+                <input type="file" id="mergeFile" class="form-control" accept=".xlsx,.xls,.csv" onchange="loadMergeFile()">
+            </div>
+            <div id="mergeOptions"></div>
+        </div>
+    `;
+
+    openModal('🔗 Ghép cột từ file', content, confirmMerge);
+}
+
+async function loadMergeFile() {
+    const container = document.getElementById('mergeOptions');
+    const file = document.getElementById('mergeFile').files[0];
+    mergeAnalysis = null;
+    if (!file) {
+        container.innerHTML = '';
+        return;
+    }
+
+    let result;
+    try {
+        result = await MergeManager.loadFile(file);
+    } catch (error) {
+        container.innerHTML = `<p class="form-hint">⚠️ Lỗi đọc file: ${escapeHtml(error.message)}</p>`;
+        return;
+    }
+    if (!result.success) {
+        container.innerHTML = `<p class="form-hint">⚠️ ${escapeHtml(result.message)}</p>`;
+        return;
+    }
+
+    const source = result.source;
+    const headers = DataManager.getHeaders().filter(h => !h.startsWith('_'));
+    const dataKey = DataManager.findColumn(ConfigManager.get('PLID_COL')) || DataManager.findColumn(ConfigManager.get('PHONE_COL')) || headers[0];
+    const sourceKey = MergeManager.suggestSourceKey(dataKey);
+    const options = (map, selected) => Object.entries(map)
+        .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`)
+        .join('');
+
+    container.innerHTML = `
+        <p>${escapeHtml(source.fileName)}${source.sheetCount > 1 ? ` › ${escapeHtml(source.sheetName)}` : ''}:
+            <strong>${UIRenderer.formatNumber(source.rows.length)}</strong> dòng, ${source.headers.length} cột</p>
+        <div class="config-grid">
+            <div class="form-group">
+                <label>Khóa trong dữ liệu</label>
+                <select id="mergeDataKey" class="form-control" onchange="renderMergeStats()">
+                    ${headers.map(h => `<option value="${escapeHtml(h)}" ${h === dataKey ? 'selected' : ''}>${escapeHtml(h)}</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label>Khóa trong file</label>
+                <select id="mergeSourceKey" class="form-control" onchange="renderMergeStats()">
+                    ${source.headers.map(h => `<option value="${escapeHtml(h)}" ${h === sourceKey ? 'selected' : ''}>${escapeHtml(h)}</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label>So khớp</label>
+                <select id="mergeKeyMode" class="form-control" onchange="renderMergeStats()">
+                    ${options(MergeManager.KEY_MODES, DataManager.getColumnType(dataKey) === 'phone' ? 'phone' : 'text')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label>Khóa trùng trong file</label>
+                <select id="mergeMulti" class="form-control">
+                    ${options(MergeManager.MULTI_MODES, 'first')}
+                </select>
+            </div>
+        </div>
+        <div class="form-group">
+            <label>Cột cần ghép (cùng tên sẽ bị ghi đè ở các dòng khớp)</label>
+            <div class="merge-columns">
+                ${source.headers.map((h, i) => `
+                    <label class="checkbox-label">
+                        <input type="checkbox" class="merge-column" value="${i}" ${h === sourceKey ? '' : 'checked'}>
+                        ${escapeHtml(h)}${headers.includes(h) ? ' <span class="form-hint">(đã có)</span>' : ''}
+                    </label>
+                `).join('')}
+            </div>
+        </div>
+        <div id="mergeStats" class="strat-preview"></div>
+    `;
+
+    renderMergeStats();
+}
+
+function getMergeOptions() {
+    const headers = MergeManager.source ? MergeManager.source.headers : [];
+    return {
+        dataKey: document.getElementById('mergeDataKey').value,
+        sourceKey: document.getElementById('mergeSourceKey').value,
+        mode: document.getElementById('mergeKeyMode').value,
+        multi: document.getElementById('mergeMulti').value,
+        columns: Array.from(document.querySelectorAll('.merge-column:checked')).map(cb => headers[parseInt(cb.value)])
+    };
+}
+
+function renderMergeStats() {
+    const container = document.getElementById('mergeStats');
+    if (!container) return;
+
+    mergeAnalysis = MergeManager.analyze(getMergeOptions());
+    if (!mergeAnalysis) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const a = mergeAnalysis;
+    container.innerHTML = `
+        <div class="merge-stats">
+            <div><strong>${UIRenderer.formatNumber(a.matched)}</strong> khớp 1 dòng</div>
+            <div><strong>${UIRenderer.formatNumber(a.multi)}</strong> khớp nhiều dòng</div>
+            <div><strong>${UIRenderer.formatNumber(a.unmatched)}</strong> không khớp</div>
+            <div><strong>${UIRenderer.formatNumber(a.emptyKey)}</strong> khóa trống</div>
+        </div>
+        <p>File: <strong>${UIRenderer.formatNumber(a.sourceUnmatched.length)}</strong> / ${UIRenderer.formatNumber(a.sourceRows)} dòng không khớp dữ liệu
+            ${a.sourceUnmatched.length > 0 ? '<button class="btn btn-xs btn-outline" onclick="downloadMergeUnmatched()">⬇️ Tải về</button>' : ''}
+        </p>
+    `;
+}
+
+function downloadMergeUnmatched() {
+    if (!mergeAnalysis || !MergeManager.downloadUnmatched(mergeAnalysis.sourceUnmatched)) {
+        UIRenderer.showToast('Không có dòng nào để tải.', 'info');
+    }
+}
+
+function confirmMerge() {
+    if (!MergeManager.source) {
+        UIRenderer.showToast('Chọn file cần ghép.', 'warning');
+        return;
+    }
+
+    const result = MergeManager.apply(getMergeOptions());
+    if (!result.success) {
+        UIRenderer.showToast(result.message, 'error');
+        return;
+    }
+    closeModal();
+
+    result.columns.forEach(column => visibleColumns.add(column));
+    FilterEngine.invalidateCache();
+    renderColumnVisibilityList();
+    UIRenderer.renderDataTable();
+    UIRenderer.renderDashboard();
+    updateUndoRedoButtons();
+    if (typeof StorageManager !== 'undefined') {
+        StorageManager.markDirty();
+    }
+
+    UIRenderer.showToast(result.message, 'success');
+    switchView('data');
 }
 
 // ===== Filter Panel =====
@@ -435,13 +969,41 @@ function setupFilterPanel() {
     });
 }
 
-function addFilterCondition() {
-    FilterEngine.addCondition();
+function addFilterCondition(parentId = null) {
+    FilterEngine.addCondition(null, parentId);
+    UIRenderer.renderFilterConditions();
+}
+
+function addFilterGroup(parentId = null) {
+    FilterEngine.addGroup(parentId);
+    UIRenderer.renderFilterConditions();
+}
+
+function updateFilterGroup(id, field, value) {
+    if (id === null && field === 'logic') {
+        FilterEngine.setRootLogic(value);
+    } else {
+        FilterEngine.updateCondition(id, { [field]: value });
+    }
     UIRenderer.renderFilterConditions();
+    applyFilters();
 }
 
 function updateFilterCondition(id, field, value) {
-    FilterEngine.updateCondition(id, { [field]: value });
+    const updates = { [field]: value };
+    const condition = FilterEngine.findNode(id);
+
+    // Switching column may make the current operator unavailable for its type
+    if (field === 'column' && condition && value && !FilterEngine.isOperatorAllowed(value, condition.operator)) {
+        updates.operator = FilterEngine.getOperators(value)[0].value;
+        updates.value = '';
+    }
+    // Range operators keep [from, to], others a plain value
+    if (field === 'operator' && condition && ['between', 'dateBetween'].includes(value) !== Array.isArray(condition.value)) {
+        updates.value = ['between', 'dateBetween'].includes(value) ? ['', ''] : '';
+    }
+
+    FilterEngine.updateCondition(id, updates);
 
     // Re-render if operator or column changes (to update inputs/datalists)
     if (field === 'operator' || field === 'column') {
@@ -449,6 +1011,32 @@ function updateFilterCondition(id, field, value) {
     }
 }
 
+/**
+ * Override the type of a condition's column when inference got it wrong (changes its operators)
+ */
+function updateFilterColumnType(id, type) {
+    const condition = FilterEngine.findNode(id);
+    if (!condition || !condition.column) return;
+
+    DataManager.setColumnType(condition.column, type);
+    if (!FilterEngine.isOperatorAllowed(condition.column, condition.operator)) {
+        FilterEngine.updateCondition(id, { operator: FilterEngine.getOperators(condition.column)[0].value, value: '' });
+    }
+    if (typeof StorageManager !== 'undefined') {
+        StorageManager.markDirty();
+    }
+    UIRenderer.renderFilterConditions();
+    applyFilters();
+}
+
+function updateFilterRange(id, index, value) {
+    const condition = FilterEngine.findNode(id);
+    if (!condition) return;
+    const range = Array.isArray(condition.value) ? [...condition.value] : ['', ''];
+    range[index] = value;
+    FilterEngine.updateCondition(id, { value: range });
+}
+
 function removeFilterCondition(id) {
     FilterEngine.removeCondition(id);
     UIRenderer.renderFilterConditions();
@@ -457,6 +1045,7 @@ function removeFilterCondition(id) {
 
 function applyFilters() {
     FilterEngine.invalidateCache();
+    DataGrid.scrollToTop();
     UIRenderer.renderDataTable();
 }
 
@@ -465,6 +1054,7 @@ function clearFilters() {
     FilterEngine.setSearchQuery('');
     document.getElementById('searchInput').value = '';
     UIRenderer.renderFilterConditions();
+    DataGrid.scrollToTop();
     UIRenderer.renderDataTable();
 }
 
@@ -485,13 +1075,20 @@ function setupSearch() {
         clearTimeout(debounceTimer);
         debounceTimer = setTimeout(() => {
             FilterEngine.setSearchQuery(e.target.value);
+            DataGrid.scrollToTop();
             UIRenderer.renderDataTable();
         }, 300);
     });
 }
 
 // ===== Batch Operations =====
-function markBatch(type, limit) {
+async function markBatch(type, limit) {
+    // Contact fatigue needs the cross-project history of the current rows
+    const history = await ContactHistoryManager.ensureLoaded();
+    if (!history.success) {
+        UIRenderer.showToast(`${history.message} - bỏ qua giới hạn tần suất liên hệ.`, 'warning');
+    }
+
     // Get visible indices if filter is active
     let indices = null;
     if (FilterEngine.hasActiveFilters()) {
@@ -499,17 +1096,37 @@ function markBatch(type, limit) {
         indices = filtered.indices;
     }
 
-    let result;
+    // Random sample: walk the candidate rows in a seeded random order instead of top to bottom
+    let sample = null;
+    if (document.getElementById('batchRandomSample')?.checked) {
+        const seed = parseInt(document.getElementById('batchSampleSeed').value) || null;
+        sample = BatchManager.createSample(indices, limit, seed);
+        indices = sample.order;
+    }
+
+    // SMS: show length/segment totals before confirming
     if (type === 'sms') {
-        result = BatchManager.markSmsBatch(limit, indices);
-    } else if (type === 'email') {
-        result = BatchManager.markEmailBatch(limit, indices);
-    } else if (type === 'remind_sms') {
+        openSmsBatchPreview(limit, indices, sample);
+        return;
+    }
+
+    let result;
+    if (type === 'email') {
+        result = BatchManager.markEmailBatch(limit, indices);
+    } else if (type === 'remind_sms') {
         result = BatchManager.markRemindSmsBatch(limit, indices);
     } else if (type === 'remind_email') {
         result = BatchManager.markRemindEmailBatch(limit, indices);
     }
 
+    if (sample) result = BatchManager.recordSample(type, result, sample);
+    handleBatchMarked(type, result);
+}
+
+/**
+ * Refresh UI after a batch has been marked
+ */
+function handleBatchMarked(type, result) {
     if (result.success) {
         UIRenderer.showToast(result.message, 'success');
 
@@ -572,6 +1189,758 @@ function markBatch(type, limit) {
     }
 }
 
+// ===== Phone Normalization =====
+function openPhoneNormalizeModal() {
+    if (!DataManager.hasData()) {
+        UIRenderer.showToast('Chưa có dữ liệu.', 'warning');
+        return;
+    }
+
+    const headers = DataManager.getHeaders().filter(h => !h.startsWith('_') && h !== DataManager.PHONE_STATUS_COL);
+    const detected = DataManager.detectPhoneColumn() || DataManager.findColumn(ConfigManager.get('PHONE_COL'));
+    const format = ConfigManager.get('PHONE_FORMAT') || 'local';
+
+    const content = `
+        <div class="stratified-form">
+            <div class="form-group">
+                <label>Cột số điện thoại</label>
+                <select id="phoneNormalizeCol" class="form-control" onchange="renderPhoneNormalizePreview()">
+                    ${headers.map(h => `<option value="${escapeHtml(h)}" ${h === detected ? 'selected' : ''}>${escapeHtml(h)}${h === detected ? ' (tự nhận diện)' : ''}</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label>Định dạng</label>
+                <select id="phoneNormalizeFormat" class="form-control" onchange="renderPhoneNormalizePreview()">
+                    <option value="local" ${format === 'local' ? 'selected' : ''}>Nội địa (0xxxxxxxxx)</option>
+                    <option value="e164" ${format === 'e164' ? 'selected' : ''}>E.164 (+84xxxxxxxxx)</option>
+                </select>
+            </div>
+            <div class="form-group checkbox-group">
+                <label><input type="checkbox" id="phoneNormalizeWriteBack" checked onchange="renderPhoneNormalizePreview()"> Ghi số đã chuẩn hóa vào cột</label>
+                <label><input type="checkbox" id="phoneNormalizeSetConfig" checked> Dùng làm Phone Column (export SMS)</label>
+            </div>
+            <div id="phoneNormalizePreview" class="strat-preview"></div>
+        </div>
+    `;
+
+    openModal('📞 Chuẩn hóa số điện thoại', content, confirmPhoneNormalize);
+    renderPhoneNormalizePreview();
+}
+
+function renderPhoneNormalizePreview() {
+    const container = document.getElementById('phoneNormalizePreview');
+    const column = document.getElementById('phoneNormalizeCol').value;
+    const format = document.getElementById('phoneNormalizeFormat').value;
+    const writeBack = document.getElementById('phoneNormalizeWriteBack').checked;
+    const analysis = DataManager.analyzePhoneColumn(column, format);
+    const status = DataManager.PHONE_STATUS;
+
+    container.innerHTML = `
+        <table class="strat-table">
+            <thead><tr><th>${escapeHtml(DataManager.PHONE_STATUS_COL)}</th><th>Số dòng</th></tr></thead>
+            <tbody>
+                <tr><td>✅ ${status.VALID} (di động)</td><td>${UIRenderer.formatNumber(analysis.counts[status.VALID])}</td></tr>
+                <tr><td>☎️ ${status.LANDLINE} (cố định)</td><td>${UIRenderer.formatNumber(analysis.counts[status.LANDLINE])}</td></tr>
+                <tr class="unfilled"><td>❌ ${status.INVALID}</td><td>${UIRenderer.formatNumber(analysis.counts[status.INVALID])}</td></tr>
+                <tr><td>⚪ ${status.EMPTY}</td><td>${UIRenderer.formatNumber(analysis.counts[status.EMPTY])}</td></tr>
+            </tbody>
+        </table>
+        ${writeBack ? `<p class="form-hint">${UIRenderer.formatNumber(analysis.changed)} giá trị sẽ được sửa.</p>` : ''}
+        ${analysis.invalidSamples.length > 0 ? `<p class="form-hint">Ví dụ không hợp lệ: ${analysis.invalidSamples.map(s => `dòng ${s.row}: <code>${escapeHtml(String(s.value))}</code>`).join(', ')}</p>` : ''}
+    `;
+}
+
+function confirmPhoneNormalize() {
+    const column = document.getElementById('phoneNormalizeCol').value;
+    const format = document.getElementById('phoneNormalizeFormat').value;
+    const writeBack = document.getElementById('phoneNormalizeWriteBack').checked;
+    const setConfig = document.getElementById('phoneNormalizeSetConfig').checked;
+
+    const result = DataManager.normalizePhoneColumn(column, { format, writeBack });
+    closeModal();
+
+    if (!result.success) {
+        UIRenderer.showToast(result.message, 'error');
+        return;
+    }
+
+    if (setConfig) {
+        ConfigManager.updateConfig({ PHONE_COL: result.column });
+    }
+
+    visibleColumns.add(DataManager.PHONE_STATUS_COL);
+    FilterEngine.invalidateCache();
+    renderColumnVisibilityList();
+    UIRenderer.renderDataTable();
+    UIRenderer.renderDashboard();
+    updateUndoRedoButtons();
+    if (typeof StorageManager !== 'undefined') {
+        StorageManager.markDirty();
+    }
+
+    UIRenderer.showToast(result.message, 'success');
+}
+
+// ===== Dedup =====
+let dedupResult = null;
+
+function openDedupModal() {
+    if (!DataManager.hasData()) {
+        UIRenderer.showToast('Chưa có dữ liệu.', 'warning');
+        return;
+    }
+
+    const headers = DataManager.getHeaders().filter(h => !h.startsWith('_') && h !== DedupManager.FLAG_COL);
+    const phoneColumn = DataManager.detectPhoneColumn();
+    // Preselect phone, email and plid columns
+    const defaults = new Set([
+        phoneColumn,
+        DataManager.findColumn(ConfigManager.get('EMAIL_COL')),
+        DataManager.findColumn(ConfigManager.get('PLID_COL'))
+    ].filter(Boolean));
+
+    const content = `
+        <div class="stratified-form">
+            <div class="form-group">
+                <label>Cột khóa</label>
+                <div class="strata-columns">
+                    ${headers.map(h => `
+                        <label class="checkbox-label">
+                            <input type="checkbox" class="dedup-col" value="${escapeHtml(h)}" ${defaults.has(h) ? 'checked' : ''}>
+                            ${escapeHtml(h)} <span class="filter-type-badge type-${DataManager.getColumnType(h)}">${DataManager.getColumnType(h)}</span>
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="config-grid">
+                <div class="form-group">
+                    <label>Cột số điện thoại</label>
+                    <select id="dedupPhoneCol" class="form-control" title="So khớp theo số chuẩn hóa (0912..., 84912..., 912...)">
+                        <option value="">-- Không có --</option>
+                        ${headers.map(h => `<option value="${escapeHtml(h)}" ${h === phoneColumn ? 'selected' : ''}>${escapeHtml(h)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>So khớp</label>
+                    <select id="dedupMatchMode" class="form-control">
+                        <option value="any">Trùng ở BẤT KỲ cột nào</option>
+                        <option value="all">Trùng ở TẤT CẢ các cột</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Giữ lại</label>
+                    <select id="dedupKeep" class="form-control">
+                        ${Object.entries(DedupManager.KEEP_STRATEGIES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Hành động</label>
+                    <select id="dedupAction" class="form-control">
+                        <option value="tag">Tag cột ${DedupManager.FLAG_COL}</option>
+                        <option value="remove">Xóa dòng trùng (giữ 1/cluster)</option>
+                    </select>
+                </div>
+            </div>
+            <div class="form-group checkbox-group">
+                <label><input type="checkbox" id="dedupFuzzy"> Fuzzy (bỏ dấu, ký tự đặc biệt, dấu chấm/+tag của Gmail)</label>
+                <label><input type="checkbox" id="dedupUseFilter" ${FilterEngine.hasActiveFilters() ? '' : 'disabled'}> Chỉ trong dòng đang lọc</label>
+            </div>
+            <button class="btn btn-sm btn-secondary" onclick="previewDedup()">🔍 Tìm trùng</button>
+            <div id="dedupPreview" class="strat-preview"></div>
+        </div>
+    `;
+
+    dedupResult = null;
+    openModal('👥 Dedup', content, confirmDedup);
+}
+
+function getDedupOptions() {
+    const useFilter = document.getElementById('dedupUseFilter').checked && FilterEngine.hasActiveFilters();
+    return {
+        columns: Array.from(document.querySelectorAll('.dedup-col:checked')).map(cb => cb.value),
+        matchMode: document.getElementById('dedupMatchMode').value,
+        keep: document.getElementById('dedupKeep').value,
+        fuzzy: document.getElementById('dedupFuzzy').checked,
+        phoneColumn: document.getElementById('dedupPhoneCol').value,
+        indices: useFilter ? FilterEngine.apply(DataManager.getData()).indices : null
+    };
+}
+
+function previewDedup() {
+    const container = document.getElementById('dedupPreview');
+    dedupResult = DedupManager.findDuplicates(getDedupOptions());
+
+    if (!dedupResult.success) {
+        container.innerHTML = `<p class="form-hint">⚠️ ${escapeHtml(dedupResult.message)}</p>`;
+        return;
+    }
+    if (dedupResult.clusters.length === 0) {
+        container.innerHTML = '<p>✓ Không tìm thấy dòng trùng.</p>';
+        return;
+    }
+
+    const data = DataManager.getData();
+    const columns = dedupResult.columns;
+    const shown = dedupResult.clusters.slice(0, 20);
+
+    container.innerHTML = `
+        <p><strong>${UIRenderer.formatNumber(dedupResult.clusters.length)}</strong> cluster,
+            <strong>${UIRenderer.formatNumber(dedupResult.duplicateCount)}</strong> dòng trùng.</p>
+        <table class="strat-table">
+            <thead><tr><th>Dòng</th>${columns.map(c => `<th>${escapeHtml(c)}</th>`).join('')}<th></th></tr></thead>
+            <tbody>
+                ${shown.map(cluster => [cluster.keeper, ...cluster.duplicates].map(idx => `
+                    <tr class="${idx === cluster.keeper ? 'dedup-keeper' : 'unfilled'}">
+                        <td>${idx + 1}</td>
+                        ${columns.map(c => `<td>${escapeHtml(String(data[idx][c] ?? ''))}</td>`).join('')}
+                        <td>${idx === cluster.keeper ? 'Giữ' : 'Trùng'}</td>
+                    </tr>
+                `).join('')).join('')}
+            </tbody>
+        </table>
+        ${dedupResult.clusters.length > shown.length ? `<p class="form-hint">Hiển thị ${shown.length}/${dedupResult.clusters.length} cluster.</p>` : ''}
+    `;
+}
+
+function confirmDedup() {
+    // Recompute so the action always matches the current options
+    previewDedup();
+    if (!dedupResult || !dedupResult.success || dedupResult.clusters.length === 0) return;
+
+    const action = document.getElementById('dedupAction').value;
+    const result = action === 'remove'
+        ? DedupManager.removeDuplicates(dedupResult.clusters)
+        : DedupManager.tagDuplicates(dedupResult.clusters, dedupResult.indices);
+    dedupResult = null;
+    closeModal();
+
+    if (action === 'tag') visibleColumns.add(DedupManager.FLAG_COL);
+    FilterEngine.invalidateCache();
+    renderColumnVisibilityList();
+    UIRenderer.renderDataTable();
+    UIRenderer.renderDashboard();
+    updateUndoRedoButtons();
+    if (typeof StorageManager !== 'undefined') {
+        StorageManager.markDirty();
+    }
+
+    UIRenderer.showToast(result.message, 'success');
+}
+
+// ===== Suppression List =====
+let suppressionImport = null;
+let suppressionMatches = [];
+
+function openSuppressionModal() {
+    const hasData = DataManager.hasData();
+    const counts = SuppressionManager.TYPES.map(type => ({
+        type,
+        count: SuppressionManager.entries.filter(e => e.type === type).length
+    }));
+
+    const content = `
+        <div class="stratified-form">
+            <p><strong>${UIRenderer.formatNumber(SuppressionManager.entries.length)}</strong> mục trong suppression list
+                (${counts.map(c => `${c.type}: ${UIRenderer.formatNumber(c.count)}`).join(' · ')}).
+                ${SuppressionManager.lastSync ? `Đồng bộ lúc ${new Date(SuppressionManager.lastSync).toLocaleTimeString('vi-VN')}.` : '<span class="form-hint">Chưa đồng bộ với server (đang dùng cache).</span>'}
+                <button class="btn btn-sm btn-secondary" onclick="syncSuppressionList()">🔄 Đồng bộ</button>
+            </p>
+            ${hasData ? `<p>Dữ liệu hiện tại: <strong>${UIRenderer.formatNumber(SuppressionManager.countSuppressed())}</strong> dòng bị suppress.</p>` : ''}
+            ${ConfigManager.get('SUPPRESSION_ENABLED') ? '' : '<p class="form-hint">⚠️ Đang tắt bỏ qua suppression khi mark batch (Cấu hình → Advanced Options).</p>'}
+            <div class="form-group">
+                <label>Tìm mục (SĐT, email, plid hoặc nguồn) để xóa khỏi list</label>
+                <input type="text" id="suppressionSearch" class="form-control" placeholder="VD: 0912345678" oninput="renderSuppressionEntries()">
+            </div>
+            <div id="suppressionEntries" class="strat-preview"></div>
+            <div class="config-grid">
+                <div class="form-group">
+                    <label>Import file (xlsx/csv/txt: SĐT, email hoặc plid)</label>
+                    <input type="file" id="suppressionFile" class="form-control" accept=".xlsx,.xls,.csv,.txt" onchange="previewSuppressionFile()">
+                </div>
+                <div class="form-group">
+                    <label>Lý do</label>
+                    <select id="suppressionReason" class="form-control" onchange="previewSuppressionFile()">
+                        ${Object.entries(SuppressionManager.REASONS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                </div>
+            </div>
+            <div id="suppressionPreview" class="strat-preview"></div>
+            ${hasData ? `<button class="btn btn-sm btn-secondary" onclick="addCompletesToSuppression()">✅ Thêm các dòng Complete của dữ liệu hiện tại</button>` : ''}
+        </div>
+    `;
+
+    suppressionImport = null;
+    suppressionMatches = [];
+    openModal('🚫 Suppression List', content, confirmSuppressionImport);
+}
+
+/**
+ * List entries matching the search box
+ */
+function renderSuppressionEntries() {
+    const container = document.getElementById('suppressionEntries');
+    const query = document.getElementById('suppressionSearch').value;
+    suppressionMatches = SuppressionManager.searchEntries(query);
+
+    if (!query.trim()) {
+        container.innerHTML = '';
+        return;
+    }
+    if (suppressionMatches.length === 0) {
+        container.innerHTML = '<p class="form-hint">Không có mục nào khớp.</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <table class="strat-table">
+            <thead><tr><th>Loại</th><th>Giá trị</th><th>Lý do</th><th>Nguồn</th><th>Ngày</th><th></th></tr></thead>
+            <tbody>
+                ${suppressionMatches.map((entry, i) => `
+                    <tr>
+                        <td>${escapeHtml(entry.type)}</td>
+                        <td>${escapeHtml(entry.key)}</td>
+                        <td>${escapeHtml(SuppressionManager.REASONS[entry.reason] || entry.reason)}</td>
+                        <td>${escapeHtml(entry.source || '')}</td>
+                        <td>${entry.date ? new Date(entry.date).toLocaleDateString('vi-VN') : ''}</td>
+                        <td><button class="btn btn-xs btn-outline" onclick="removeSuppressionEntry(${i})">Xóa</button></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${suppressionMatches.length >= 50 ? '<p class="form-hint">Hiển thị 50 mục đầu tiên, nhập cụ thể hơn để thu hẹp.</p>' : ''}
+    `;
+}
+
+/**
+ * Remove one entry (e.g. a contact suppressed by mistake)
+ */
+async function removeSuppressionEntry(index) {
+    const entry = suppressionMatches[index];
+    if (!entry) return;
+    if (!confirm(`Xóa ${entry.type} "${entry.key}" khỏi suppression list?`)) return;
+
+    const result = await SuppressionManager.removeEntries([entry]);
+    UIRenderer.showToast(result.message, result.success ? 'success' : 'error');
+    if (result.success) renderSuppressionEntries();
+}
+
+async function syncSuppressionList() {
+    const result = await SuppressionManager.syncFromServer();
+    if (!result.success) {
+        UIRenderer.showToast(result.message, 'error');
+        return;
+    }
+    openSuppressionModal();
+    UIRenderer.showToast(`Đã đồng bộ ${result.count} mục.`, 'success');
+}
+
+async function previewSuppressionFile() {
+    const container = document.getElementById('suppressionPreview');
+    const file = document.getElementById('suppressionFile').files[0];
+    suppressionImport = null;
+    if (!file) {
+        container.innerHTML = '';
+        return;
+    }
+
+    try {
+        const result = await SuppressionManager.readFile(file, document.getElementById('suppressionReason').value);
+        if (!result.success) {
+            container.innerHTML = `<p class="form-hint">⚠️ ${escapeHtml(result.message)}</p>`;
+            return;
+        }
+
+        const detected = Object.entries(result.columns).filter(([, col]) => col)
+            .concat(result.mixedColumns.map(col => ['phone/email', col]));
+        if (detected.length === 0) {
+            container.innerHTML = '<p class="form-hint">⚠️ Không nhận diện được cột SĐT, email hoặc plid.</p>';
+            return;
+        }
+
+        const existing = result.entries.filter(e => SuppressionManager.index.has(`${e.type}:${e.key}`)).length;
+        suppressionImport = result;
+        container.innerHTML = `
+            <p>${UIRenderer.formatNumber(result.rows)} dòng → <strong>${UIRenderer.formatNumber(result.entries.length)}</strong> mục hợp lệ
+                (${UIRenderer.formatNumber(existing)} đã có trong list).</p>
+            <p class="form-hint">Cột: ${detected.map(([type, col]) => `${type} = ${escapeHtml(col)}`).join(' · ')}</p>
+        `;
+    } catch (error) {
+        container.innerHTML = `<p class="form-hint">⚠️ Lỗi đọc file: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+async function confirmSuppressionImport() {
+    if (!suppressionImport) {
+        UIRenderer.showToast('Chọn file để import.', 'warning');
+        return;
+    }
+
+    const result = await SuppressionManager.addEntries(suppressionImport.entries);
+    suppressionImport = null;
+    if (!result.success) {
+        UIRenderer.showToast(result.message, 'error');
+        return;
+    }
+    closeModal();
+    UIRenderer.showToast(result.message, 'success');
+}
+
+async function addCompletesToSuppression() {
+    const project = typeof ProjectManager !== 'undefined' ? ProjectManager.getActiveProject() : null;
+    const entries = SuppressionManager.buildEntriesFromCompletes(project ? project.name : '');
+    if (entries.length === 0) {
+        UIRenderer.showToast('Không có dòng Complete nào có SĐT/email/plid.', 'warning');
+        return;
+    }
+
+    const result = await SuppressionManager.addEntries(entries);
+    UIRenderer.showToast(result.message, result.success ? 'success' : 'error');
+    if (result.success) openSuppressionModal();
+}
+
+// ===== SMS Batch Preview =====
+let smsPreviewRequest = null;
+
+function openSmsBatchPreview(limit, indices, sample = null) {
+    smsPreviewRequest = { limit, indices, sample };
+    const config = ConfigManager.getAll();
+    const content = `
+        <div class="stratified-form">
+            <div class="form-group checkbox-group">
+                <label>
+                    <input type="checkbox" id="smsStripDiacritics" ${config.SMS_STRIP_DIACRITICS ? 'checked' : ''} onchange="renderSmsBatchPreview()">
+                    Bỏ dấu tiếng Việt (chuyển sang GSM-7)
+                </label>
+            </div>
+            <div class="form-group">
+                <label>Loại dòng vượt quá N segment (0 = không giới hạn)</label>
+                <input type="number" id="smsMaxSegments" class="form-control" min="0" value="${config.SMS_MAX_SEGMENTS || 0}" onchange="renderSmsBatchPreview()">
+            </div>
+            <div id="smsPreviewResult" class="strat-preview"></div>
+        </div>
+    `;
+
+    openModal('📱 Xác nhận SMS Batch', content, confirmSmsBatch);
+    renderSmsBatchPreview();
+}
+
+function getSmsPreviewOptions() {
+    return {
+        stripDiacritics: document.getElementById('smsStripDiacritics').checked,
+        maxSegments: parseInt(document.getElementById('smsMaxSegments').value) || 0
+    };
+}
+
+function renderSmsBatchPreview() {
+    const container = document.getElementById('smsPreviewResult');
+    if (!container || !smsPreviewRequest) return;
+
+    const plan = BatchManager.planSmsBatch(smsPreviewRequest.limit, smsPreviewRequest.indices, getSmsPreviewOptions());
+    if (!plan.success) {
+        container.innerHTML = `<p class="form-hint">⚠️ ${escapeHtml(plan.message)}</p>`;
+        return;
+    }
+
+    const summary = plan.summary;
+    const distribution = Object.entries(summary.distribution)
+        .sort((a, b) => a[0] - b[0])
+        .map(([segments, count]) => `<tr><td>${segments} segment</td><td>${UIRenderer.formatNumber(count)}</td></tr>`)
+        .join('');
+
+    // Show a few UCS-2 / longest messages so the user can see what triggers them
+    const samples = plan.rows
+        .filter(r => r.encoding === 'UCS-2' || r.segments === summary.maxSegments)
+        .slice(0, 3)
+        .map(r => `
+            <div class="sms-sample">
+                <div class="sms-sample-meta">Dòng ${r.index + 1} · ${r.encoding} · ${r.chars} ký tự · ${r.segments} segment
+                    ${r.nonGsmChars.length > 0 ? ` · ký tự Unicode: <code>${escapeHtml(r.nonGsmChars.slice(0, 10).join(' '))}</code>` : ''}
+                </div>
+                <div class="sms-sample-text">${escapeHtml(r.content)}</div>
+            </div>
+        `).join('');
+
+    const sample = smsPreviewRequest.sample;
+    container.innerHTML = `
+        ${sample ? `<p class="form-hint">🎲 Chọn ngẫu nhiên từ ${UIRenderer.formatNumber(sample.pool)} dòng (seed ${sample.seed}).</p>` : ''}
+        <p>Sẽ gán <strong>${UIRenderer.formatNumber(summary.messages)}</strong> dòng ·
+            tổng <strong>${UIRenderer.formatNumber(summary.totalSegments)}</strong> segment ·
+            trung bình ${summary.avgChars} ký tự.</p>
+        <p>GSM-7: ${UIRenderer.formatNumber(summary.gsm)} · UCS-2 (Unicode): ${UIRenderer.formatNumber(summary.ucs2)}</p>
+        ${plan.rejected.length > 0 ? `<p class="form-hint">⚠️ Bỏ qua ${UIRenderer.formatNumber(plan.rejected.length)} dòng vượt ${plan.options.maxSegments} segment.</p>` : ''}
+        ${plan.skipped.suppressed > 0 ? `<p class="form-hint">🚫 Bỏ qua ${UIRenderer.formatNumber(plan.skipped.suppressed)} dòng trong suppression list.</p>` : ''}
+        ${plan.skipped.fatigued > 0 ? `<p class="form-hint">⏳ Bỏ qua ${UIRenderer.formatNumber(plan.skipped.fatigued)} dòng đã liên hệ quá ${ConfigManager.get('FATIGUE_MAX_CONTACTS')} lần trong ${ConfigManager.get('FATIGUE_WINDOW_DAYS')} ngày ở project khác.</p>` : ''}
+        ${distribution ? `<table class="strat-table"><thead><tr><th>Độ dài</th><th>Số dòng</th></tr></thead><tbody>${distribution}</tbody></table>` : ''}
+        ${samples}
+    `;
+}
+
+function confirmSmsBatch() {
+    if (!smsPreviewRequest) return;
+    const { limit, indices, sample } = smsPreviewRequest;
+    let result = BatchManager.markSmsBatch(limit, indices, getSmsPreviewOptions());
+    if (sample) result = BatchManager.recordSample('sms', result, sample);
+    smsPreviewRequest = null;
+    closeModal();
+    handleBatchMarked('sms', result);
+}
+
+// ===== Stratified Batch =====
+let stratifiedQuotaRows = [];
+
+function openStratifiedBatchModal() {
+    if (!DataManager.hasData()) {
+        UIRenderer.showToast('Chưa có dữ liệu.', 'warning');
+        return;
+    }
+
+    const activeProject = ProjectManager.getActiveProject();
+    const headers = DataManager.getHeaders().filter(h => !h.startsWith('_'));
+
+    const content = `
+        <div class="stratified-form">
+            <div class="form-row">
+                <div class="form-group">
+                    <label>Kênh</label>
+                    <select id="stratType" class="form-control">
+                        <option value="sms">SMS</option>
+                        <option value="email">Email</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Batch size</label>
+                    <input type="number" id="stratLimit" class="form-control" value="${ConfigManager.get('DEFAULT_LIMIT') || 500}" min="1">
+                </div>
+                <div class="form-group">
+                    <label>Nguồn target</label>
+                    <select id="stratSource" class="form-control">
+                        <option value="vendor">Vendor Quota Table (Need)</option>
+                        <option value="alchemer">Alchemer Quotas (Remaining)</option>
+                    </select>
+                </div>
+            </div>
+            <div class="form-group">
+                <label>Cột phân tầng (ví dụ: gender × age_group × province)</label>
+                <div class="strata-columns">
+                    ${headers.map(h => `
+                        <label class="checkbox-label">
+                            <input type="checkbox" class="strata-col" value="${escapeHtml(h)}"> ${escapeHtml(h)}
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+            ${activeProject ? '' : '<p class="form-hint">⚠️ Chưa chọn project active - không có nguồn target quota.</p>'}
+            <button class="btn btn-sm btn-secondary" onclick="previewStratifiedBatch()">🔍 Xem phân bổ</button>
+            <div id="stratPreview" class="strat-preview"></div>
+        </div>
+    `;
+
+    openModal('🎯 Stratified Batch', content, confirmStratifiedBatch);
+}
+
+/**
+ * Load quota rows ({ name, need }) for the chosen target source
+ */
+async function loadStratifiedQuotaRows(source) {
+    const activeProject = ProjectManager.getActiveProject();
+    if (!activeProject) return [];
+
+    if (source === 'alchemer') {
+        let quotas = activeProject.quotas || [];
+        if (quotas.length === 0) {
+            const result = await ProjectManager.fetchQuotas(activeProject.id);
+            quotas = result.quotas;
+        }
+        return quotas.map(q => ({ name: q.name, need: q.remaining }));
+    }
+
+    return (activeProject.vendorQuotaTable || []).map(row => ({ name: row.name, need: row.need }));
+}
+
+/**
+ * Read stratified options from the modal form
+ */
+async function getStratifiedOptions() {
+    const strataColumns = Array.from(document.querySelectorAll('.strata-col:checked')).map(cb => cb.value);
+    const source = document.getElementById('stratSource').value;
+    stratifiedQuotaRows = await loadStratifiedQuotaRows(source);
+    await ContactHistoryManager.ensureLoaded();
+    const { targets, unmatched } = BatchManager.buildStrataTargets(strataColumns, stratifiedQuotaRows);
+
+    let indices = null;
+    if (FilterEngine.hasActiveFilters()) {
+        indices = FilterEngine.apply(DataManager.getData()).indices;
+    }
+
+    return {
+        type: document.getElementById('stratType').value,
+        limit: parseInt(document.getElementById('stratLimit').value) || 0,
+        strataColumns,
+        targets,
+        unmatched,
+        filteredIndices: indices
+    };
+}
+
+async function previewStratifiedBatch() {
+    const preview = document.getElementById('stratPreview');
+    try {
+        const options = await getStratifiedOptions();
+        if (options.strataColumns.length === 0) {
+            preview.innerHTML = '<p class="form-hint">Chọn ít nhất một cột phân tầng.</p>';
+            return;
+        }
+        if (options.targets.length === 0) {
+            preview.innerHTML = '<p class="form-hint">Không có quota nào khớp với giá trị của các cột đã chọn.</p>';
+            return;
+        }
+
+        const selection = BatchManager.selectStratifiedRows(options);
+        preview.innerHTML = `
+            <table class="strat-table">
+                <thead>
+                    <tr><th>Ô quota</th><th>Need</th><th>Phân bổ</th><th>Có sẵn</th><th>Chọn</th></tr>
+                </thead>
+                <tbody>
+                    ${selection.cells.map(c => `
+                        <tr class="${c.shortfall > 0 ? 'unfilled' : ''}">
+                            <td>${escapeHtml(Object.values(c.cell).join(' × '))}</td>
+                            <td>${c.need}</td>
+                            <td>${c.allocated}</td>
+                            <td>${c.available}</td>
+                            <td>${c.picked}${c.shortfall > 0 ? ` <span class="strat-shortfall">(-${c.shortfall})</span>` : ''}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p class="form-hint">Tổng chọn: <strong>${selection.indices.length}</strong> dòng.
+                ${selection.unfilled.length > 0 ? `⚠️ ${selection.unfilled.length} ô không đủ dòng.` : ''}</p>
+            ${options.unmatched.length > 0 ? `<p class="form-hint">Bỏ qua quota không khớp: ${options.unmatched.map(q => escapeHtml(q.name)).join(', ')}</p>` : ''}
+        `;
+    } catch (error) {
+        preview.innerHTML = `<p class="form-hint">❌ ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+async function confirmStratifiedBatch() {
+    try {
+        const options = await getStratifiedOptions();
+        const result = BatchManager.markStratifiedBatch(options);
+        if (result.success) {
+            closeModal();
+            if (result.unfilled.length > 0) {
+                addNotification(`Stratified batch ${result.newBatch}: ${result.unfilled.length} ô quota thiếu dòng`, '🎯');
+            }
+        }
+        handleBatchMarked(options.type, result);
+    } catch (error) {
+        UIRenderer.showToast('Lỗi: ' + error.message, 'error');
+    }
+}
+
+// ===== Batch Size Recommendation =====
+function openBatchRecommendModal() {
+    if (!DataManager.hasData()) {
+        UIRenderer.showToast('Chưa có dữ liệu.', 'warning');
+        return;
+    }
+
+    const headers = DataManager.getHeaders().filter(h => !h.startsWith('_'));
+    const content = `
+        <div class="stratified-form">
+            <p class="form-hint">Dựa trên tỷ lệ Complete của các batch đã gửi (cột ${escapeHtml(ConfigManager.get('STATUS_COL'))}) và quota còn thiếu của project.</p>
+            <div class="form-group">
+                <label>Phân tầng (tùy chọn)</label>
+                <div class="strata-columns">
+                    ${headers.map(h => `
+                        <label class="checkbox-label">
+                            <input type="checkbox" class="strata-col" value="${escapeHtml(h)}"> ${escapeHtml(h)}
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="form-group">
+                <label>Nguồn target cho phân tầng</label>
+                <select id="stratSource" class="form-control">
+                    <option value="alchemer">Alchemer Quotas (Remaining)</option>
+                    <option value="vendor">Vendor Quota Table (Need)</option>
+                </select>
+            </div>
+            <button class="btn btn-sm btn-secondary" onclick="renderBatchRecommendation()">📈 Tính gợi ý</button>
+            <div id="recommendResult" class="strat-preview"></div>
+        </div>
+    `;
+
+    openModal('📈 Gợi ý Batch Size', content, closeModal);
+    renderBatchRecommendation();
+}
+
+async function renderBatchRecommendation() {
+    const container = document.getElementById('recommendResult');
+    const confidenceLabels = { high: '🟢 Cao', medium: '🟡 Trung bình', low: '🔴 Thấp', none: '⚪ Chưa có dữ liệu' };
+    const formatRange = (r) => r.min !== null && r.max !== null ? `${UIRenderer.formatNumber(r.min)} – ${UIRenderer.formatNumber(r.max)}` : '—';
+    const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+
+    try {
+        const strataColumns = Array.from(document.querySelectorAll('.strata-col:checked')).map(cb => cb.value);
+        let targets = [];
+        if (strataColumns.length > 0) {
+            const quotaRows = await loadStratifiedQuotaRows(document.getElementById('stratSource').value);
+            targets = BatchManager.buildStrataTargets(strataColumns, quotaRows).targets;
+        }
+
+        const result = BatchAnalytics.recommendBatchSize({ strataColumns, targets });
+        if (!result.success) {
+            container.innerHTML = `<p class="form-hint">⚠️ ${escapeHtml(result.message)}</p>`;
+            return;
+        }
+
+        container.innerHTML = `
+            <p>Quota còn thiếu: <strong>${UIRenderer.formatNumber(result.remaining)}</strong> complete.</p>
+            <table class="strat-table">
+                <thead>
+                    <tr><th>Kênh</th><th>Tỷ lệ Complete</th><th>Gợi ý gửi</th><th>Khoảng (95%)</th><th>Còn sẵn</th><th>Độ tin cậy</th></tr>
+                </thead>
+                <tbody>
+                    ${result.channels.map(c => `
+                        <tr>
+                            <td>${c.label}</td>
+                            <td>${formatPercent(c.rate)} <span class="form-hint">(${c.complete}/${c.sent})</span></td>
+                            <td><strong>${c.recommended !== null ? UIRenderer.formatNumber(c.recommended) : '—'}</strong>
+                                ${c.suggested !== null && c.suggested > c.available ? '<span class="strat-shortfall">(thiếu data)</span>' : ''}</td>
+                            <td>${formatRange(c)}</td>
+                            <td>${UIRenderer.formatNumber(c.available)}</td>
+                            <td>${confidenceLabels[c.confidence]}${c.pendingBatches > 0 ? `<br><span class="form-hint">${c.pendingBatches} batch chưa có status</span>` : ''}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${result.channels.filter(c => c.strata.length > 0).map(c => `
+                <h5 style="margin-top: 12px;">${c.label} theo phân tầng</h5>
+                <table class="strat-table">
+                    <thead>
+                        <tr><th>Ô quota</th><th>Need</th><th>Tỷ lệ</th><th>Gợi ý gửi</th><th>Còn sẵn</th><th>Độ tin cậy</th></tr>
+                    </thead>
+                    <tbody>
+                        ${c.strata.map(st => `
+                            <tr class="${st.shortage ? 'unfilled' : ''}">
+                                <td>${escapeHtml(Object.values(st.cell).join(' × '))}</td>
+                                <td>${st.need}</td>
+                                <td>${formatPercent(st.rate)}${st.usedFallback ? ' <span class="form-hint">(tỷ lệ kênh)</span>' : ''}</td>
+                                <td>${st.suggested !== null ? UIRenderer.formatNumber(st.suggested) : '—'}</td>
+                                <td>${UIRenderer.formatNumber(st.available)}</td>
+                                <td>${confidenceLabels[st.confidence]}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `).join('')}
+        `;
+    } catch (error) {
+        container.innerHTML = `<p class="form-hint">❌ ${escapeHtml(error.message)}</p>`;
+    }
+}
+
 function markBatchPrompt(type) {
     const limit = prompt(`Nhập số dòng muốn mark ${type.toUpperCase()}:`, '500');
     if (limit) {
@@ -586,26 +1955,101 @@ function markBatchPrompt(type) {
 
 // ===== Undo/Redo =====
 function undoAction() {
+    const entry = DataManager.undoStack[DataManager.undoStack.length - 1];
     if (DataManager.undo()) {
-        UIRenderer.showToast('Đã hoàn tác.', 'info');
-        UIRenderer.renderDataTable();
-        UIRenderer.renderDashboard();
-        updateUndoRedoButtons();
+        UIRenderer.showToast(`Đã hoàn tác: ${entry.label}`, 'info');
+        refreshAfterHistoryChange();
     }
 }
 
 function redoAction() {
+    const entry = DataManager.redoStack[DataManager.redoStack.length - 1];
     if (DataManager.redo()) {
-        UIRenderer.showToast('Đã redo.', 'info');
-        UIRenderer.renderDataTable();
-        UIRenderer.renderDashboard();
-        updateUndoRedoButtons();
+        UIRenderer.showToast(`Đã redo: ${entry.label}`, 'info');
+        refreshAfterHistoryChange();
+    }
+}
+
+/**
+ * Jump to a step in the history panel (0 = before the oldest change)
+ */
+function jumpToHistory(position) {
+    const steps = DataManager.jumpToHistory(position);
+    if (steps === 0) return;
+
+    UIRenderer.showToast(`Đã chuyển ${steps} bước trong lịch sử.`, 'info');
+    refreshAfterHistoryChange();
+}
+
+/**
+ * Refresh UI after undo/redo (columns and row order may have changed)
+ */
+function refreshAfterHistoryChange() {
+    FilterEngine.invalidateCache();
+    renderColumnVisibilityList();
+    UIRenderer.renderDataTable();
+    UIRenderer.renderDashboard();
+    updateUndoRedoButtons();
+    if (typeof updateDeleteBatchDropdown === 'function') {
+        updateDeleteBatchDropdown();
+    }
+    if (typeof StorageManager !== 'undefined') {
+        StorageManager.markDirty();
     }
 }
 
 function updateUndoRedoButtons() {
-    document.getElementById('undoBtn').disabled = !DataManager.canUndo();
-    document.getElementById('redoBtn').disabled = !DataManager.canRedo();
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    const lastUndo = DataManager.undoStack[DataManager.undoStack.length - 1];
+    const lastRedo = DataManager.redoStack[DataManager.redoStack.length - 1];
+
+    undoBtn.disabled = !DataManager.canUndo();
+    redoBtn.disabled = !DataManager.canRedo();
+    undoBtn.title = lastUndo ? `Undo: ${lastUndo.label}` : '';
+    redoBtn.title = lastRedo ? `Redo: ${lastRedo.label}` : '';
+
+    const panel = document.getElementById('historyPanel');
+    if (panel && panel.style.display !== 'none') renderHistoryPanel();
+}
+
+// ===== History Panel =====
+function toggleHistoryPanel() {
+    const panel = document.getElementById('historyPanel');
+    const open = panel.style.display === 'none';
+    panel.style.display = open ? 'block' : 'none';
+    if (open) renderHistoryPanel();
+}
+
+function renderHistoryPanel() {
+    const list = document.getElementById('historyList');
+    if (!list) return;
+
+    const history = DataManager.getHistory();
+    const current = DataManager.undoStack.length;
+    const time = (iso) => new Date(iso).toLocaleTimeString('vi-VN', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    const details = (item) => {
+        const parts = [];
+        if (item.cellCount > 0) parts.push(`${UIRenderer.formatNumber(item.cellCount)} ô`);
+        if (item.addedColumns.length > 0) parts.push(`+ cột ${item.addedColumns.join(', ')}`);
+        if (item.reordered) parts.push('thứ tự dòng');
+        return parts.join(' · ');
+    };
+
+    list.innerHTML = `
+        <div class="history-item ${current === 0 ? 'current' : ''}" onclick="event.stopPropagation(); jumpToHistory(0)">
+            <span class="history-icon">📄</span>
+            <span class="history-label">Trạng thái ban đầu</span>
+        </div>
+        ${history.map(item => `
+            <div class="history-item ${item.applied ? '' : 'undone'} ${item.position === current ? 'current' : ''}"
+                onclick="event.stopPropagation(); jumpToHistory(${item.position})" title="${escapeHtml(details(item))}">
+                <span class="history-icon">${item.icon}</span>
+                <span class="history-label">${escapeHtml(item.label)}</span>
+                <span class="history-time">${time(item.at)}</span>
+            </div>
+        `).join('')}
+    `;
 }
 
 // ===== Export =====
@@ -617,6 +2061,7 @@ function setupExportTabs() {
 
             document.querySelectorAll('.export-panel').forEach(p => p.style.display = 'none');
             document.getElementById(`${btn.dataset.type}ExportPanel`).style.display = 'block';
+            updateExportPreview();
         });
     });
 
@@ -625,13 +2070,73 @@ function setupExportTabs() {
         const batch = parseInt(e.target.value);
         const rows = batch ? BatchManager.getSmsBatchRows(batch) : [];
         document.getElementById('smsExportCount').textContent = rows.length;
+        updateExportPreview();
     });
 
     document.getElementById('emailBatchSelect').addEventListener('change', (e) => {
         const batch = parseInt(e.target.value);
         const rows = batch ? BatchManager.getEmailBatchRows(batch) : [];
         document.getElementById('emailExportCount').textContent = rows.length;
+        updateExportPreview();
+    });
+
+    ['emailExportMode', 'customExportFilter'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateExportPreview);
     });
+    document.getElementById('customColumnSelector').addEventListener('change', updateExportPreview);
+}
+
+/**
+ * Get selected export profile id (null = built-in layout)
+ */
+function getSelectedExportProfileId() {
+    const value = document.getElementById('exportProfile').value;
+    return value ? parseInt(value) : null;
+}
+
+/**
+ * Preview the first rows of the current export (batch + profile)
+ */
+function updateExportPreview() {
+    const container = document.getElementById('exportPreview');
+    const activeBtn = document.querySelector('.export-type-tabs .tab-btn.active');
+    if (!container || !activeBtn) return;
+
+    const activeTab = activeBtn.dataset.type;
+    const profileId = getSelectedExportProfileId();
+    let rows = [];
+    let exportData = null;
+
+    if (activeTab === 'sms' || activeTab === 'email') {
+        const batch = parseInt(document.getElementById(`${activeTab}BatchSelect`).value);
+        if (activeTab === 'email' && document.getElementById('emailExportMode').value !== 'list') {
+            container.innerHTML = '<p class="form-hint">Mail merge / EML dùng Email Template, không áp dụng profile.</p>';
+            return;
+        }
+        rows = batch ? (activeTab === 'sms' ? BatchManager.getSmsBatchRows(batch) : BatchManager.getEmailBatchRows(batch)) : [];
+        const profile = ExportManager.resolveProfile(profileId, activeTab);
+        if (profile) exportData = ExportManager.previewProfile(profile, rows);
+    } else {
+        const useFilter = document.getElementById('customExportFilter').value === 'visible';
+        rows = useFilter && FilterEngine.hasActiveFilters()
+            ? FilterEngine.apply(DataManager.getData()).data
+            : DataManager.getData();
+        const profile = profileId ? ConfigManager.getExportProfile(profileId) : null;
+        if (profile) {
+            exportData = ExportManager.previewProfile(profile, rows);
+        } else {
+            const selectedCols = Array.from(document.querySelectorAll('#customColumnSelector input:checked')).map(cb => cb.value);
+            if (selectedCols.length === 0) {
+                container.innerHTML = '<p class="form-hint">Chọn ít nhất một cột để xem trước.</p>';
+                return;
+            }
+            exportData = ExportManager.buildCustomData(rows.slice(0, 5), selectedCols);
+        }
+    }
+
+    container.innerHTML = rows.length > 0 && exportData
+        ? `<label>Preview (${Math.min(rows.length, 5)}/${UIRenderer.formatNumber(rows.length)} dòng):</label>${UIRenderer.renderPreviewTable(exportData)}`
+        : '';
 }
 
 function executeExport() {
@@ -647,7 +2152,7 @@ function executeExport() {
                 UIRenderer.showToast('Vui lòng chọn batch SMS.', 'warning');
                 return;
             }
-            result = ExportManager.exportSmsBatch(smsBatch);
+            result = ExportManager.exportSmsBatch(smsBatch, { profileId: getSelectedExportProfileId(), format });
             break;
 
         case 'email':
@@ -656,14 +2161,18 @@ function executeExport() {
                 UIRenderer.showToast('Vui lòng chọn batch Email.', 'warning');
                 return;
             }
-            result = ExportManager.exportEmailBatch(emailBatch);
+            result = ExportManager.exportEmailBatch(emailBatch, {
+                mode: document.getElementById('emailExportMode').value,
+                format,
+                profileId: getSelectedExportProfileId()
+            });
             break;
 
         case 'custom':
             const selectedCols = Array.from(document.querySelectorAll('#customColumnSelector input:checked'))
                 .map(cb => cb.value);
             const useFilter = document.getElementById('customExportFilter').value === 'visible';
-            result = ExportManager.exportCustom({ columns: selectedCols, useFilter, format });
+            result = ExportManager.exportCustom({ columns: selectedCols, useFilter, format, profileId: getSelectedExportProfileId() });
             break;
     }
 
@@ -695,17 +2204,29 @@ function exportLatestBatch() {
 function saveConfig() {
     const config = {
         SOURCE_COL: document.getElementById('configSourceCol').value,
+        PHONE_COL: document.getElementById('configPhoneCol').value,
         CONTENT_COL: document.getElementById('configContentCol').value,
         BATCH_COL: document.getElementById('configBatchCol').value,
         EMAIL_COL: document.getElementById('configEmailCol').value,
         EMAIL_BATCH_COL: document.getElementById('configEmailBatchCol').value,
         EMAIL_LINK_COL: document.getElementById('configEmailLinkCol').value,
+        PLID_COL: document.getElementById('configPlidCol').value,
         REMIND_SMS_BATCH_COL: document.getElementById('configRemindSmsBatchCol').value,
         REMIND_EMAIL_BATCH_COL: document.getElementById('configRemindEmailBatchCol').value,
         STATUS_COL: document.getElementById('configStatusCol').value,
         TEMPLATE_TEXT: document.getElementById('templateText').value,
+        EMAIL_SUBJECT: document.getElementById('emailSubjectText').value,
+        EMAIL_TEMPLATE_TEXT: document.getElementById('emailTemplateText').value,
         OVERWRITE_BATCH: document.getElementById('configOverwriteBatch').checked,
         EXPORT_AFTER_MARK: document.getElementById('configExportAfterMark').checked,
+        PHONE_NORMALIZE_ON_IMPORT: document.getElementById('configPhoneNormalizeOnImport').checked,
+        PHONE_FORMAT: document.getElementById('configPhoneFormat').value,
+        SMS_STRIP_DIACRITICS: document.getElementById('configSmsStripDiacritics').checked,
+        SMS_MAX_SEGMENTS: parseInt(document.getElementById('configSmsMaxSegments').value) || 0,
+        SUPPRESSION_ENABLED: document.getElementById('configSuppressionEnabled').checked,
+        SUPPRESSION_COMPLETED_MONTHS: parseInt(document.getElementById('configSuppressionMonths').value) || 0,
+        FATIGUE_MAX_CONTACTS: parseInt(document.getElementById('configFatigueMaxContacts').value) || 0,
+        FATIGUE_WINDOW_DAYS: parseInt(document.getElementById('configFatigueWindowDays').value) || 30,
         DEFAULT_LIMIT: parseInt(document.getElementById('configDefaultLimit').value) || 500
     };
 
@@ -713,6 +2234,43 @@ function saveConfig() {
     UIRenderer.showToast('Đã lưu cấu hình.', 'success');
 }
 
+/**
+ * Validate a template textarea against current headers and preview it on the first row
+ * @param {boolean} appendLink - Preview plain templates with the link appended (false for email subject)
+ */
+function validateTemplateInput(textareaId, outputId, linkConfigKey, appendLink = true) {
+    const textarea = document.getElementById(textareaId);
+    const output = document.getElementById(outputId);
+    if (!textarea || !output) return;
+
+    const template = textarea.value;
+    if (!template.trim()) {
+        output.innerHTML = '';
+        return;
+    }
+
+    const validation = TemplateEngine.validate(template);
+    if (!validation.valid) {
+        output.innerHTML = `<span class="template-error">⚠️ ${escapeHtml(validation.errors.join('; '))}</span>`;
+        return;
+    }
+
+    const firstRow = DataManager.getRow(0);
+    if (!firstRow) {
+        output.innerHTML = '<span class="template-ok">✓ Template hợp lệ</span>';
+        return;
+    }
+
+    const linkColumn = DataManager.findColumn(ConfigManager.get(linkConfigKey));
+    const preview = appendLink || TemplateEngine.hasPlaceholders(template)
+        ? TemplateEngine.render(template, firstRow, { linkColumn })
+        : template;
+    output.innerHTML = `
+        <span class="template-ok">✓ Template hợp lệ</span>
+        <div class="template-preview"><strong>Dòng 1:</strong> ${escapeHtml(preview)}</div>
+    `;
+}
+
 function resetConfig() {
     if (confirm('Bạn có chắc muốn reset về cấu hình mặc định?')) {
         ConfigManager.resetToDefaults();
@@ -751,6 +2309,7 @@ function loadTemplate(id) {
     const template = ConfigManager.getTemplate(id);
     if (template) {
         document.getElementById('templateText').value = template.text;
+        validateTemplateInput('templateText', 'templateValidation', 'SOURCE_COL');
         UIRenderer.showToast('Đã load template.', 'info');
     }
 }
@@ -769,6 +2328,235 @@ function deleteTemplate(id) {
     });
 }
 
+function saveCurrentEmailTemplate() {
+    const subject = document.getElementById('emailSubjectText').value;
+    const html = document.getElementById('emailTemplateText').value;
+    if (!subject && !html) {
+        UIRenderer.showToast('Email template đang trống.', 'warning');
+        return;
+    }
+
+    openModal('Lưu Email Template', `
+        <div class="form-group">
+            <label>Tên template:</label>
+            <input type="text" id="newEmailTemplateName" class="form-control" placeholder="Nhập tên template..." autofocus>
+        </div>
+    `, () => {
+        const name = document.getElementById('newEmailTemplateName').value.trim();
+        if (name) {
+            ConfigManager.addEmailTemplate(name, subject, html);
+            UIRenderer.renderEmailTemplateLibrary();
+            UIRenderer.showToast('Đã lưu email template.', 'success');
+            closeModal();
+        } else {
+            UIRenderer.showToast('Vui lòng nhập tên template.', 'warning');
+        }
+    });
+}
+
+function loadEmailTemplate(id) {
+    const template = ConfigManager.getEmailTemplate(id);
+    if (template) {
+        document.getElementById('emailSubjectText').value = template.subject;
+        document.getElementById('emailTemplateText').value = template.html;
+        validateTemplateInput('emailSubjectText', 'emailSubjectValidation', 'EMAIL_LINK_COL', false);
+        validateTemplateInput('emailTemplateText', 'emailTemplateValidation', 'EMAIL_LINK_COL');
+        UIRenderer.showToast('Đã load email template.', 'info');
+    }
+}
+
+function deleteEmailTemplate(id) {
+    const template = ConfigManager.getEmailTemplate(id);
+    const templateName = template ? template.name : 'template này';
+
+    openModal('Xóa Email Template', `
+        <p>Bạn có chắc muốn xóa "${escapeHtml(templateName)}"?</p>
+    `, () => {
+        ConfigManager.deleteEmailTemplate(id);
+        UIRenderer.renderEmailTemplateLibrary();
+        UIRenderer.showToast('Đã xóa email template.', 'success');
+        closeModal();
+    });
+}
+
+// ===== Export Profiles =====
+let editingExportProfile = null;
+
+function openExportProfileEditor(id = null) {
+    const existing = id ? ConfigManager.getExportProfile(id) : null;
+    editingExportProfile = existing
+        ? JSON.parse(JSON.stringify(existing))
+        : { ...ExportManager.getDefaultProfile('sms', 'csv'), builtIn: undefined, name: '' };
+
+    const options = (map, selected) => Object.entries(map)
+        .map(([value, label]) => `<option value="${escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`)
+        .join('');
+    const profile = editingExportProfile;
+
+    const content = `
+        <div class="stratified-form export-profile-form">
+            <div class="form-group">
+                <label>Tên profile</label>
+                <input type="text" id="profileName" class="form-control" value="${escapeHtml(profile.name || '')}" placeholder="VD: Gateway ABC">
+            </div>
+            <div class="config-grid">
+                <div class="form-group">
+                    <label>Format</label>
+                    <select id="profileFormat" class="form-control" onchange="updateExportProfileField('format', this.value)">
+                        ${options({ csv: 'CSV / Text', xlsx: 'Excel (.xlsx)' }, profile.format)}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Số điện thoại</label>
+                    <select class="form-control" onchange="updateExportProfileField('phoneFormat', this.value)">
+                        ${options(ExportManager.PHONE_FORMATS, profile.phoneFormat)}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Delimiter (CSV)</label>
+                    <select class="form-control" onchange="updateExportProfileField('delimiter', this.value)">
+                        ${options(ExportManager.DELIMITERS, profile.delimiter)}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Encoding (CSV)</label>
+                    <select class="form-control" onchange="updateExportProfileField('encoding', this.value)">
+                        ${options(ExportManager.ENCODINGS, profile.encoding)}
+                    </select>
+                </div>
+            </div>
+            <div class="form-group">
+                <label>Cột xuất (theo thứ tự)</label>
+                <div id="profileColumns"></div>
+                <button class="btn btn-sm btn-secondary" onclick="addExportProfileColumn()">+ Cột</button>
+            </div>
+            <div id="profilePreview" class="strat-preview"></div>
+        </div>
+    `;
+
+    openModal(existing ? '📤 Sửa Export Profile' : '📤 Export Profile mới', content, saveExportProfileFromEditor);
+    renderExportProfileColumns();
+}
+
+function renderExportProfileColumns() {
+    const container = document.getElementById('profileColumns');
+    if (!container || !editingExportProfile) return;
+
+    const specialOptions = Object.entries(ExportManager.PROFILE_FIELDS)
+        .map(([field, def]) => ({ value: field, label: def.label }));
+    const headerOptions = DataManager.getHeaders().map(h => ({ value: h, label: h }));
+
+    container.innerHTML = editingExportProfile.columns.map((col, index) => {
+        const allOptions = [...specialOptions, ...headerOptions];
+        // Keep fields that are not in the current file selectable
+        if (!allOptions.some(o => o.value === col.field)) allOptions.push({ value: col.field, label: `${col.field} (không có)` });
+
+        return `
+            <div class="profile-column-row">
+                <select class="form-control form-control-sm" onchange="updateExportProfileColumn(${index}, 'field', this.value)">
+                    ${allOptions.map(o => `<option value="${escapeHtml(o.value)}" ${o.value === col.field ? 'selected' : ''}>${escapeHtml(o.label)}</option>`).join('')}
+                </select>
+                <input type="text" class="form-control form-control-sm" value="${escapeHtml(col.header || '')}" placeholder="Header"
+                    oninput="updateExportProfileColumn(${index}, 'header', this.value)">
+                <button class="btn btn-sm btn-outline" onclick="moveExportProfileColumn(${index}, -1)" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button class="btn btn-sm btn-danger" onclick="removeExportProfileColumn(${index})">×</button>
+            </div>
+        `;
+    }).join('');
+
+    renderExportProfilePreview();
+}
+
+function renderExportProfilePreview() {
+    const container = document.getElementById('profilePreview');
+    if (!container || !editingExportProfile) return;
+
+    const rows = DataManager.getData();
+    if (rows.length === 0) {
+        container.innerHTML = '<p class="form-hint">Import dữ liệu để xem preview.</p>';
+        return;
+    }
+
+    const exportData = ExportManager.previewProfile(editingExportProfile, rows);
+    const profile = editingExportProfile;
+    const csvPreview = profile.format === 'csv'
+        ? `<pre class="profile-csv-preview">${escapeHtml(ExportManager.toDelimitedText(exportData, profile.delimiter === 'tab' ? '\t' : profile.delimiter))}</pre>`
+        : '';
+
+    container.innerHTML = `<label>Preview (5 dòng đầu):</label>${UIRenderer.renderPreviewTable(exportData)}${csvPreview}`;
+}
+
+function updateExportProfileField(field, value) {
+    editingExportProfile[field] = value;
+    renderExportProfilePreview();
+}
+
+function updateExportProfileColumn(index, field, value) {
+    const column = editingExportProfile.columns[index];
+    // Default header to the field label when picking a new source
+    if (field === 'field' && (!column.header || column.header === column.field || column.header === ExportManager.PROFILE_FIELDS[column.field]?.label)) {
+        column.header = ExportManager.PROFILE_FIELDS[value]?.label || value;
+        column.field = value;
+        renderExportProfileColumns();
+        return;
+    }
+    column[field] = value;
+    renderExportProfilePreview();
+}
+
+function addExportProfileColumn() {
+    editingExportProfile.columns.push({ field: '$phone', header: 'Phone' });
+    renderExportProfileColumns();
+}
+
+function removeExportProfileColumn(index) {
+    editingExportProfile.columns.splice(index, 1);
+    renderExportProfileColumns();
+}
+
+function moveExportProfileColumn(index, delta) {
+    const columns = editingExportProfile.columns;
+    const target = index + delta;
+    if (target < 0 || target >= columns.length) return;
+    [columns[index], columns[target]] = [columns[target], columns[index]];
+    renderExportProfileColumns();
+}
+
+function saveExportProfileFromEditor() {
+    const name = document.getElementById('profileName').value.trim();
+    if (!name) {
+        UIRenderer.showToast('Vui lòng nhập tên profile.', 'warning');
+        return;
+    }
+    if (editingExportProfile.columns.length === 0) {
+        UIRenderer.showToast('Profile cần ít nhất 1 cột.', 'warning');
+        return;
+    }
+
+    const { builtIn, ...profile } = editingExportProfile;
+    ConfigManager.saveExportProfile({ ...profile, name });
+    editingExportProfile = null;
+    closeModal();
+    UIRenderer.renderExportProfiles();
+    updateExportPreview();
+    UIRenderer.showToast('Đã lưu export profile.', 'success');
+}
+
+function deleteExportProfile(id) {
+    const profile = ConfigManager.getExportProfile(id);
+    const profileName = profile ? profile.name : 'profile này';
+
+    openModal('Xóa Export Profile', `
+        <p>Bạn có chắc muốn xóa "${escapeHtml(profileName)}"?</p>
+    `, () => {
+        ConfigManager.deleteExportProfile(id);
+        UIRenderer.renderExportProfiles();
+        updateExportPreview();
+        UIRenderer.showToast('Đã xóa export profile.', 'success');
+        closeModal();
+    });
+}
+
 // ===== Utility =====
 function refreshData() {
     FilterEngine.invalidateCache();
@@ -820,6 +2608,38 @@ function switchImportTab(type) {
 }
 
 // ===== Import from URL =====
+
+/**
+ * Read a file fetched through /api/proxy into rows (arrays)
+ * CSV is decoded with the sniffed or chosen encoding/delimiter, Excel goes through SheetJS
+ * The proxy sends UTF-8 text as is (a chosen encoding does not apply), anything else as base64
+ * @param {Object} result - Proxy response { encoding: 'base64'|'text', data }
+ * @param {Object} csvOptions - { encoding, delimiter }, empty = detect
+ * @returns {Object} { rows, dialect } - dialect is null for Excel
+ */
+function parseFetchedFile(result, csvOptions = {}) {
+    if (result.encoding !== 'base64') {
+        // Text already decoded by the proxy
+        const delimiter = csvOptions.delimiter || CsvReader.guessDelimiter(result.data);
+        return { rows: CsvReader.parse(result.data, delimiter), dialect: { encoding: 'utf-8', delimiter } };
+    }
+
+    const binary = atob(result.data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+
+    if (CsvReader.isWorkbook(bytes)) {
+        const workbook = XLSX.read(bytes, { type: 'array' });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        return { rows: XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' }), dialect: null };
+    }
+
+    const csv = CsvReader.read(bytes, csvOptions);
+    return { rows: csv.rows, dialect: { encoding: csv.encoding, delimiter: csv.delimiter } };
+}
+
 async function importFromUrl() {
     const url = document.getElementById('importUrl').value.trim();
 
@@ -849,28 +2669,14 @@ async function importFromUrl() {
         progressFill.style.width = '60%';
         progressText.textContent = 'Đang parse dữ liệu...';
 
-        let workbook;
-        if (result.encoding === 'base64') {
-            // Excel file
-            const binary = atob(result.data);
-            const bytes = new Uint8Array(binary.length);
-            for (let i = 0; i < binary.length; i++) {
-                bytes[i] = binary.charCodeAt(i);
-            }
-            workbook = XLSX.read(bytes, { type: 'array' });
-        } else {
-            // CSV/text file
-            workbook = XLSX.read(result.data, { type: 'string' });
-        }
+        const { rows: jsonData, dialect } = parseFetchedFile(result, {
+            encoding: document.getElementById('importUrlEncoding').value,
+            delimiter: document.getElementById('importUrlDelimiter').value
+        });
 
         progressFill.style.width = '80%';
         progressText.textContent = 'Đang import...';
 
-        // Parse data
-        const sheetName = workbook.SheetNames[0];
-        const sheet = workbook.Sheets[sheetName];
-        const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
-
         if (!jsonData || jsonData.length === 0) {
             throw new Error('File is empty or invalid');
         }
@@ -898,7 +2704,10 @@ async function importFromUrl() {
         progressFill.style.width = '100%';
         progressText.textContent = 'Hoàn thành!';
 
-        UIRenderer.showToast(`Import thành công ${data.length} dòng từ URL.`, 'success');
+        UIRenderer.showToast(
+            `Import thành công ${data.length} dòng từ URL${dialect ? ` (${CsvReader.getDialectLabel(dialect)})` : ''}.`,
+            'success'
+        );
         addNotification(`Import ${data.length} rows từ URL`, '🌐');
 
         // Switch to data view
@@ -981,8 +2790,8 @@ function updatePlidColumnSelect() {
         select.innerHTML += `<option value="${h}">${h}</option>`;
     });
 
-    // Try to auto-select common plid column names
-    const plidNames = ['plid', 'PLID', 'panelist_id', 'respondent_id', 'rid', 'uid'];
+    // Try to auto-select the configured plid column, then common plid column names
+    const plidNames = [DataManager.findColumn(ConfigManager.get('PLID_COL')), 'plid', 'PLID', 'panelist_id', 'respondent_id', 'rid', 'uid'];
     for (const name of plidNames) {
         if (headers.includes(name)) {
             select.value = name;
@@ -1207,6 +3016,10 @@ document.addEventListener('click', (e) => {
         const panel = document.getElementById('columnVisibilityPanel');
         if (panel) panel.style.display = 'none';
     }
+    if (!e.target.closest('.history-dropdown')) {
+        const panel = document.getElementById('historyPanel');
+        if (panel) panel.style.display = 'none';
+    }
 });
 
 // ===== Shuffle Data =====
@@ -1216,22 +3029,53 @@ function shuffleData() {
         return;
     }
 
-    DataManager.saveUndoState();
+    const time = (iso) => new Date(iso).toLocaleString('vi-VN', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+    const recent = DataManager.randomLog.slice(-5).reverse();
+    const content = `
+        <div class="stratified-form">
+            <div class="form-group">
+                <label>Seed</label>
+                <input type="number" id="shuffleSeed" class="form-control" min="1" placeholder="Để trống = seed mới">
+                <p class="form-hint">Cùng seed và cùng thứ tự ban đầu sẽ cho cùng kết quả. Seed được lưu trong project.</p>
+            </div>
+            ${recent.length > 0 ? `
+                <table class="strat-table">
+                    <thead><tr><th>Lần gần đây</th><th>Seed</th><th></th></tr></thead>
+                    <tbody>
+                        ${recent.map(entry => `
+                            <tr>
+                                <td>${entry.type === 'shuffle' ? `🔀 Shuffle ${UIRenderer.formatNumber(entry.rows)} dòng` : `🎲 ${escapeHtml(entry.channel)} batch ${entry.batch}: ${UIRenderer.formatNumber(entry.picked)}/${UIRenderer.formatNumber(entry.pool)}`} · ${time(entry.at)}</td>
+                                <td><code>${entry.seed}</code></td>
+                                <td><button class="btn btn-xs btn-outline" onclick="document.getElementById('shuffleSeed').value='${entry.seed}'">Dùng</button></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+        </div>
+    `;
+
+    openModal('🔀 Shuffle dữ liệu', content, confirmShuffle);
+}
+
+function confirmShuffle() {
+    const seed = parseInt(document.getElementById('shuffleSeed').value) || null;
+    const result = DataManager.shuffleRows(seed);
+    closeModal();
 
-    // Fisher-Yates shuffle
-    const data = DataManager.data;
-    for (let i = data.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [data[i], data[j]] = [data[j], data[i]];
+    if (!result.success) {
+        UIRenderer.showToast(result.message, 'warning');
+        return;
     }
 
-    // Re-assign row indices
-    data.forEach((row, index) => {
-        row._rowIndex = index;
-    });
+    ConfigManager.addActionHistory({ type: 'shuffle', count: DataManager.getData().length, seed: result.seed, icon: '🔀' });
 
+    // A view sort would hide the new order
+    SortEngine.clear();
     UIRenderer.renderDataTable();
-    UIRenderer.showToast(`Đã shuffle ${data.length} dòng dữ liệu!`, 'success');
+    UIRenderer.renderRecentActions();
+    updateUndoRedoButtons();
+    UIRenderer.showToast(result.message, 'success');
 
     // Mark dirty for auto-save
     if (typeof StorageManager !== 'undefined') {
@@ -1239,85 +3083,643 @@ function shuffleData() {
     }
 }
 
-// ===== Pagination =====
-function updatePagination(filteredData = null) {
-    const data = filteredData || DataManager.getData();
-    paginationState.totalRows = data.length;
-    paginationState.totalPages = Math.ceil(data.length / paginationState.rowsPerPage) || 1;
+// ===== Sort =====
+let editingSortKeys = [];
+
+function openSortModal() {
+    if (!DataManager.hasData()) {
+        UIRenderer.showToast('Chưa có dữ liệu.', 'warning');
+        return;
+    }
+
+    editingSortKeys = SortEngine.keys.length > 0
+        ? SortEngine.keys.map(key => ({ ...key }))
+        : [{ column: DataGrid.getActiveColumn() || DataManager.getHeaders()[0], direction: 'asc' }];
+
+    const content = `
+        <div class="stratified-form">
+            <div class="form-group">
+                <label>Sắp xếp theo (ưu tiên từ trên xuống)</label>
+                <div id="sortKeyList"></div>
+                <button class="btn btn-sm btn-secondary" onclick="addSortKey()">+ Thêm cột</button>
+            </div>
+            <div class="form-group checkbox-group">
+                <label><input type="checkbox" id="sortPermanent"> Áp dụng vĩnh viễn (đổi thứ tự dữ liệu, có thể Undo)</label>
+            </div>
+            <p class="form-hint">Sắp xếp hiển thị chỉ đổi thứ tự trên bảng. Đánh batch luôn lấy dòng theo thứ tự dữ liệu,
+            nên chọn "Áp dụng vĩnh viễn" nếu muốn đánh batch theo thứ tự này.
+            Số và ngày được so sánh theo giá trị, chữ theo thứ tự tiếng Việt; ô trống luôn ở cuối.</p>
+        </div>
+    `;
+
+    openModal('↕️ Sắp xếp dữ liệu', content, confirmSort);
+    renderSortKeyList();
+}
+
+function renderSortKeyList() {
+    const container = document.getElementById('sortKeyList');
+    if (!container) return;
+
+    const headers = DataManager.getHeaders().filter(h => !h.startsWith('_'));
+    container.innerHTML = editingSortKeys.map((key, index) => `
+        <div class="profile-column-row">
+            <select class="form-control form-control-sm" onchange="updateSortKey(${index}, 'column', this.value)">
+                ${headers.map(h => `<option value="${escapeHtml(h)}" ${h === key.column ? 'selected' : ''}>${escapeHtml(h)}</option>`).join('')}
+            </select>
+            <select class="form-control form-control-sm" onchange="updateSortKey(${index}, 'direction', this.value)">
+                <option value="asc" ${key.direction === 'asc' ? 'selected' : ''}>Tăng dần ▲</option>
+                <option value="desc" ${key.direction === 'desc' ? 'selected' : ''}>Giảm dần ▼</option>
+            </select>
+            <button class="btn btn-sm btn-outline" onclick="moveSortKey(${index}, -1)" ${index === 0 ? 'disabled' : ''}>↑</button>
+            <button class="btn btn-sm btn-danger" onclick="removeSortKey(${index})">×</button>
+        </div>
+    `).join('') || '<p class="form-hint">Không sắp xếp.</p>';
+}
+
+function updateSortKey(index, field, value) {
+    editingSortKeys[index][field] = value;
+}
+
+function addSortKey() {
+    const used = new Set(editingSortKeys.map(key => key.column));
+    const column = DataManager.getHeaders().find(h => !h.startsWith('_') && !used.has(h));
+    if (!column) return;
+    editingSortKeys.push({ column, direction: 'asc' });
+    renderSortKeyList();
+}
+
+function removeSortKey(index) {
+    editingSortKeys.splice(index, 1);
+    renderSortKeyList();
+}
+
+function moveSortKey(index, delta) {
+    const target = index + delta;
+    if (target < 0 || target >= editingSortKeys.length) return;
+    [editingSortKeys[index], editingSortKeys[target]] = [editingSortKeys[target], editingSortKeys[index]];
+    renderSortKeyList();
+}
+
+function confirmSort() {
+    const permanent = document.getElementById('sortPermanent').checked;
+    SortEngine.setKeys(editingSortKeys);
+    closeModal();
+
+    if (!permanent) {
+        DataGrid.scrollToTop();
+        UIRenderer.renderDataTable();
+        UIRenderer.showToast(SortEngine.hasSort() ? `Đang sắp xếp theo ${SortEngine.getSummary()}.` : 'Đã bỏ sắp xếp.', 'info');
+        return;
+    }
+
+    const result = SortEngine.applyPermanently();
+    if (!result.success) {
+        UIRenderer.showToast(result.message, 'warning');
+        return;
+    }
+
+    DataGrid.scrollToTop();
+    FilterEngine.invalidateCache();
+    UIRenderer.renderDataTable();
+    updateUndoRedoButtons();
+    if (typeof StorageManager !== 'undefined') {
+        StorageManager.markDirty();
+    }
+    UIRenderer.showToast(result.message, 'success');
+}
+
+// ===== Grid Layout =====
+function resetGridLayout() {
+    DataGrid.resetLayout();
+    document.getElementById('gridFrozenColumns').value = '0';
+    UIRenderer.showToast('Đã reset bố cục bảng.', 'info');
+}
 
-    // Ensure current page is valid
-    if (paginationState.currentPage > paginationState.totalPages) {
-        paginationState.currentPage = paginationState.totalPages;
+// ===== Bulk Edit =====
+/**
+ * Refresh UI after an inline edit, fill-down or bulk edit (recorded in undo history)
+ */
+function handleGridEdit() {
+    FilterEngine.invalidateCache();
+    UIRenderer.renderDataTable();
+    UIRenderer.renderDashboard();
+    updateUndoRedoButtons();
+    if (typeof updateDeleteBatchDropdown === 'function') {
+        updateDeleteBatchDropdown();
     }
-    if (paginationState.currentPage < 1) {
-        paginationState.currentPage = 1;
+    if (typeof StorageManager !== 'undefined') {
+        StorageManager.markDirty();
+    }
+}
+
+/**
+ * Column options for bulk edit dialogs (cursor column preselected)
+ */
+function getBulkEditColumnOptions(includeAll = false) {
+    const active = DataGrid.getActiveColumn();
+    const headers = DataManager.getHeaders().filter(h => !h.startsWith('_'));
+    return `
+        ${includeAll ? '<option value="">Tất cả cột đang hiển thị</option>' : ''}
+        ${headers.map(h => `<option value="${escapeHtml(h)}" ${h === active ? 'selected' : ''}>${escapeHtml(h)}</option>`).join('')}
+    `;
+}
+
+function openFindReplaceModal() {
+    if (!DataManager.hasData()) {
+        UIRenderer.showToast('Chưa có dữ liệu.', 'warning');
+        return;
     }
 
-    renderPaginationControls();
+    const filtered = FilterEngine.hasActiveFilters();
+    const content = `
+        <div class="stratified-form">
+            <div class="form-group">
+                <label>Tìm</label>
+                <input type="text" id="findText" class="form-control" oninput="scheduleFindReplacePreview()">
+            </div>
+            <div class="form-group">
+                <label>Thay bằng</label>
+                <input type="text" id="replaceText" class="form-control">
+            </div>
+            <div class="form-group">
+                <label>Cột</label>
+                <select id="findReplaceCol" class="form-control" onchange="renderFindReplacePreview()">
+                    ${getBulkEditColumnOptions(true)}
+                </select>
+            </div>
+            <div class="form-group checkbox-group">
+                <label><input type="checkbox" id="findReplaceFiltered" ${filtered ? 'checked' : 'disabled'} onchange="renderFindReplacePreview()"> Chỉ các dòng đang lọc</label>
+                <label><input type="checkbox" id="findMatchCase" onchange="renderFindReplacePreview()"> Phân biệt hoa/thường</label>
+                <label><input type="checkbox" id="findWholeCell" onchange="renderFindReplacePreview()"> Khớp toàn bộ ô</label>
+            </div>
+            <div id="findReplacePreview" class="strat-preview"></div>
+        </div>
+    `;
+
+    openModal('🔁 Tìm & thay thế', content, confirmFindReplace);
+    renderFindReplacePreview();
+    document.getElementById('findText').focus();
+}
+
+function getFindReplaceOptions() {
+    const column = document.getElementById('findReplaceCol').value;
+    const filtered = document.getElementById('findReplaceFiltered').checked;
+    return {
+        find: document.getElementById('findText').value,
+        replace: document.getElementById('replaceText').value,
+        matchCase: document.getElementById('findMatchCase').checked,
+        wholeCell: document.getElementById('findWholeCell').checked,
+        columns: column ? [column] : DataGrid.columns.slice(),
+        indices: filtered ? UIRenderer.getDisplayIndices() : DataManager.getData().map((_, i) => i)
+    };
+}
+
+// Preview stops counting after this many matching cells
+const FIND_PREVIEW_LIMIT = 1000;
+let findPreviewTimer = null;
+
+/**
+ * Re-render the preview once typing pauses (each preview scans the rows)
+ */
+function scheduleFindReplacePreview() {
+    clearTimeout(findPreviewTimer);
+    findPreviewTimer = setTimeout(renderFindReplacePreview, 300);
 }
 
-function renderPaginationControls() {
-    const { currentPage, totalPages, rowsPerPage, totalRows } = paginationState;
+function renderFindReplacePreview() {
+    clearTimeout(findPreviewTimer);
+    const container = document.getElementById('findReplacePreview');
+    if (!container) return;
+    const options = getFindReplaceOptions();
+
+    if (!options.find) {
+        container.innerHTML = '<p class="form-hint">Nhập giá trị cần tìm.</p>';
+        return;
+    }
+
+    const matches = DataManager.countReplaceMatches({ ...options, limit: FIND_PREVIEW_LIMIT });
+    container.innerHTML = matches.capped
+        ? `<p class="form-hint">Tìm thấy hơn <strong>${UIRenderer.formatNumber(FIND_PREVIEW_LIMIT)}</strong> ô (đã dừng đếm).</p>`
+        : `<p class="form-hint">Tìm thấy <strong>${UIRenderer.formatNumber(matches.cells)}</strong> ô trong
+            ${UIRenderer.formatNumber(matches.rows)} / ${UIRenderer.formatNumber(options.indices.length)} dòng.</p>`;
+}
 
-    // Update page info
-    const pageInfo = document.getElementById('pageInfo');
-    if (pageInfo) {
-        pageInfo.textContent = `Page ${currentPage} of ${totalPages}`;
+function confirmFindReplace() {
+    const options = getFindReplaceOptions();
+    if (!options.find) {
+        UIRenderer.showToast('Nhập giá trị cần tìm.', 'warning');
+        return;
     }
 
-    // Update visible/total count
-    const start = (currentPage - 1) * rowsPerPage + 1;
-    const end = Math.min(currentPage * rowsPerPage, totalRows);
-    document.getElementById('visibleCount').textContent = totalRows > 0 ? `${start}-${end}` : '0';
-    document.getElementById('totalCount').textContent = totalRows;
+    const changed = DataManager.replaceValues(options);
+    closeModal();
 
-    // Enable/disable buttons
-    document.getElementById('pageFirst').disabled = currentPage === 1;
-    document.getElementById('pagePrev').disabled = currentPage === 1;
-    document.getElementById('pageNext').disabled = currentPage === totalPages;
-    document.getElementById('pageLast').disabled = currentPage === totalPages;
+    if (changed === 0) {
+        UIRenderer.showToast('Không có ô nào được thay thế.', 'info');
+        return;
+    }
 
-    // Render page numbers
-    const numbersContainer = document.getElementById('pageNumbers');
-    if (numbersContainer) {
-        numbersContainer.innerHTML = '';
-        const maxButtons = 5;
-        let startPage = Math.max(1, currentPage - Math.floor(maxButtons / 2));
-        let endPage = Math.min(totalPages, startPage + maxButtons - 1);
-        startPage = Math.max(1, endPage - maxButtons + 1);
+    handleGridEdit();
+    UIRenderer.showToast(`Đã thay thế ${UIRenderer.formatNumber(changed)} ô.`, 'success');
+}
 
-        for (let i = startPage; i <= endPage; i++) {
-            const btn = document.createElement('button');
-            btn.className = `btn btn-sm ${i === currentPage ? 'btn-primary' : 'btn-outline'}`;
-            btn.textContent = i;
-            btn.onclick = () => goToPage(i);
-            numbersContainer.appendChild(btn);
-        }
+function openSetColumnValueModal() {
+    if (!DataManager.hasData()) {
+        UIRenderer.showToast('Chưa có dữ liệu.', 'warning');
+        return;
     }
+
+    const count = UIRenderer.getDisplayIndices().length;
+    const content = `
+        <div class="stratified-form">
+            <div class="form-group">
+                <label>Cột</label>
+                <select id="setValueCol" class="form-control">
+                    ${getBulkEditColumnOptions()}
+                </select>
+            </div>
+            <div class="form-group">
+                <label>Giá trị</label>
+                <input type="text" id="setValueText" class="form-control" placeholder="Để trống để xóa giá trị">
+            </div>
+            <p class="form-hint">Áp dụng cho <strong>${UIRenderer.formatNumber(count)}</strong> dòng
+            ${FilterEngine.hasActiveFilters() ? 'đang lọc' : '(toàn bộ dữ liệu, chưa có filter)'}.</p>
+        </div>
+    `;
+
+    openModal('🖊️ Gán giá trị cho dòng đang lọc', content, confirmSetColumnValue);
+    document.getElementById('setValueText').focus();
 }
 
-function goToPage(action) {
-    const { currentPage, totalPages } = paginationState;
+function confirmSetColumnValue() {
+    const column = document.getElementById('setValueCol').value;
+    const value = document.getElementById('setValueText').value;
+
+    const changed = DataManager.setColumnValue(column, value, UIRenderer.getDisplayIndices());
+    closeModal();
 
-    if (action === 'first') {
-        paginationState.currentPage = 1;
-    } else if (action === 'prev') {
-        paginationState.currentPage = Math.max(1, currentPage - 1);
-    } else if (action === 'next') {
-        paginationState.currentPage = Math.min(totalPages, currentPage + 1);
-    } else if (action === 'last') {
-        paginationState.currentPage = totalPages;
-    } else if (typeof action === 'number') {
-        paginationState.currentPage = action;
+    if (changed === 0) {
+        UIRenderer.showToast('Không có ô nào thay đổi.', 'info');
+        return;
     }
 
-    UIRenderer.renderDataTable();
+    handleGridEdit();
+    UIRenderer.showToast(`Đã gán ${column} cho ${UIRenderer.formatNumber(changed)} ô.`, 'success');
+}
+
+// ===== Formula Columns =====
+function openFormulaModal(name = null) {
+    if (!DataManager.hasData()) {
+        UIRenderer.showToast('Chưa có dữ liệu.', 'warning');
+        return;
+    }
+
+    const editing = name ? DataManager.formulaColumns.find(f => f.name === name) : null;
+    const formulas = DataManager.formulaColumns;
+    const tables = Object.keys(DataManager.lookupTables);
+
+    const content = `
+        <div class="stratified-form">
+            ${formulas.length > 0 ? `
+                <table class="strat-table formula-table">
+                    <thead><tr><th>Cột</th><th>Công thức</th><th></th></tr></thead>
+                    <tbody>
+                        ${formulas.map((f, i) => `
+                            <tr>
+                                <td>${escapeHtml(f.name)}</td>
+                                <td><code>${escapeHtml(f.expression)}</code></td>
+                                <td>
+                                    <button class="btn btn-xs btn-outline" onclick="openFormulaModal(DataManager.formulaColumns[${i}].name)">Sửa</button>
+                                    <button class="btn btn-xs btn-outline" onclick="removeFormulaColumn(DataManager.formulaColumns[${i}].name)"
+                                        title="Giữ giá trị hiện tại như dữ liệu thường">Bỏ công thức</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+            <div class="form-group">
+                <label>Tên cột</label>
+                <input type="text" id="formulaName" class="form-control" value="${escapeHtml(editing ? editing.name : '')}"
+                    ${editing ? 'readonly' : ''} placeholder="VD: Age_Group">
+            </div>
+            <div class="form-group">
+                <label>Công thức</label>
+                <textarea id="formulaExpression" class="form-control" rows="3" oninput="renderFormulaPreview()"
+                    placeholder='VD: IF(YEAR(TODAY()) - year < 25, "18-24", "25+")'>${escapeHtml(editing ? editing.expression : '')}</textarea>
+                <p class="form-hint">Cột: <code>[Tên cột]</code> hoặc tên không có dấu cách · Nối chuỗi: <code>&</code> ·
+                    Hàm: ${Object.keys(FormulaEngine.FUNCTIONS).join(', ')}</p>
+            </div>
+            <div id="formulaPreview" class="strat-preview"></div>
+            <details class="formula-lookup">
+                <summary>🗂️ Bảng tra cứu cho LOOKUP(giá trị, "tên bảng", mặc định)</summary>
+                <div class="form-group">
+                    <select id="lookupTableSelect" class="form-control" onchange="loadLookupTable(this.value)">
+                        <option value="">+ Bảng mới</option>
+                        ${tables.map(t => `<option value="${escapeHtml(t)}">${escapeHtml(t)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <input type="text" id="lookupTableName" class="form-control" placeholder="Tên bảng (VD: region)">
+                </div>
+                <div class="form-group">
+                    <textarea id="lookupTableText" class="form-control" rows="5"
+                        placeholder="Mỗi dòng: giá trị = kết quả (hoặc dán 2 cột từ Excel)&#10;Hà Nội = Miền Bắc&#10;Đà Nẵng = Miền Trung"></textarea>
+                    <p class="form-hint">So khớp không phân biệt hoa/thường, dấu và khoảng trắng thừa. Dùng chung với bảng Recode; bảng dùng chung (toàn cục) cũng tra được. Để trống rồi lưu để xóa bảng.</p>
+                </div>
+                <button class="btn btn-sm btn-secondary" onclick="saveLookupTable()">Lưu bảng</button>
+            </details>
+        </div>
+    `;
+
+    openModal(editing ? `🧮 Sửa cột công thức ${editing.name}` : '🧮 Cột công thức', content, confirmFormulaColumn);
+    renderFormulaPreview();
+}
+
+function renderFormulaPreview() {
+    const container = document.getElementById('formulaPreview');
+    const expression = document.getElementById('formulaExpression').value;
+    if (!container) return;
+
+    if (!expression.trim()) {
+        container.innerHTML = '<p class="form-hint">Nhập công thức để xem trước.</p>';
+        return;
+    }
+
+    const preview = FormulaEngine.preview(expression);
+    if (!preview.valid) {
+        container.innerHTML = `<p class="form-hint">⚠️ ${escapeHtml(preview.error)}</p>`;
+        return;
+    }
+
+    container.innerHTML = `
+        <table class="strat-table">
+            <thead><tr><th>Dòng</th>${preview.columns.map(c => `<th>${escapeHtml(c)}</th>`).join('')}<th>Kết quả</th></tr></thead>
+            <tbody>
+                ${preview.rows.map(r => `
+                    <tr>
+                        <td>${r.index + 1}</td>
+                        ${preview.columns.map(c => `<td>${escapeHtml(String(DataManager.getRow(r.index)[c] ?? ''))}</td>`).join('')}
+                        <td><strong>${escapeHtml(String(r.value))}</strong></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function confirmFormulaColumn() {
+    const name = document.getElementById('formulaName').value;
+    const expression = document.getElementById('formulaExpression').value;
+
+    const result = FormulaEngine.setFormulaColumn(name, expression);
+    if (!result.success) {
+        UIRenderer.showToast(result.message, 'error');
+        return;
+    }
+    closeModal();
+
+    visibleColumns.add(result.column);
+    refreshAfterFormulaChange();
+    UIRenderer.showToast(result.message, 'success');
+}
+
+function removeFormulaColumn(name) {
+    if (!confirm(`Bỏ công thức của cột "${name}"? Giá trị hiện tại được giữ như dữ liệu thường.`)) return;
+
+    FormulaEngine.removeFormula(name);
+    if (typeof StorageManager !== 'undefined') {
+        StorageManager.markDirty();
+    }
+    UIRenderer.showToast(`Cột "${name}" không còn là cột công thức.`, 'info');
+    openFormulaModal();
+}
+
+function loadLookupTable(name) {
+    document.getElementById('lookupTableName').value = name;
+    document.getElementById('lookupTableText').value = FormulaEngine.formatLookupText(DataManager.lookupTables[name]);
+}
+
+function saveLookupTable() {
+    const name = document.getElementById('lookupTableName').value;
+    const { table } = FormulaEngine.parseLookupText(document.getElementById('lookupTableText').value);
+
+    const result = FormulaEngine.setLookupTable(name, table);
+    if (!result.success) {
+        UIRenderer.showToast(result.message, 'error');
+        return;
+    }
+
+    refreshAfterFormulaChange();
+    renderFormulaPreview();
+    UIRenderer.showToast(result.message, 'success');
 }
 
-function changeRowsPerPage(value) {
-    paginationState.rowsPerPage = parseInt(value);
-    paginationState.currentPage = 1;
+/**
+ * Refresh UI after formula columns or lookup tables changed
+ */
+function refreshAfterFormulaChange() {
+    FilterEngine.invalidateCache();
+    renderColumnVisibilityList();
     UIRenderer.renderDataTable();
+    UIRenderer.renderDashboard();
+    updateUndoRedoButtons();
+    if (typeof StorageManager !== 'undefined') {
+        StorageManager.markDirty();
+    }
+}
+
+// ===== Recode Tables =====
+let editingRecodeTable = null;
+
+function openRecodeModal() {
+    if (!DataManager.hasData()) {
+        UIRenderer.showToast('Chưa có dữ liệu.', 'warning');
+        return;
+    }
+    editingRecodeTable = null;
+
+    const content = `
+        <div class="stratified-form recode-form">
+            <div class="config-grid">
+                <div class="form-group">
+                    <label>Bảng recode</label>
+                    <select id="recodeTableSelect" class="form-control" onchange="loadRecodeTable(this.value)">
+                        ${renderRecodeTableOptions()}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Tên bảng</label>
+                    <input type="text" id="recodeTableName" class="form-control" placeholder="VD: Tỉnh thành">
+                </div>
+                <div class="form-group">
+                    <label>Lưu ở</label>
+                    <select id="recodeTableScope" class="form-control">
+                        ${Object.entries(FormulaEngine.LOOKUP_SCOPES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                </div>
+            </div>
+            <div class="form-group">
+                <label>Giá trị gốc = giá trị chuẩn</label>
+                <textarea id="recodeMappings" class="form-control" rows="6" oninput="renderRecodePreview()"
+                    placeholder="HN = Hà Nội&#10;Ha Noi = Hà Nội&#10;M = Nam&#10;1 = Nam"></textarea>
+                <p class="form-hint">Mỗi dòng một giá trị (hoặc dán 2 cột từ Excel). Không phân biệt hoa/thường, dấu và khoảng trắng thừa.</p>
+                <div class="recode-table-actions">
+                    <button class="btn btn-sm btn-secondary" onclick="saveRecodeTable()">💾 Lưu bảng</button>
+                    <button class="btn btn-sm btn-outline" id="recodeDeleteBtn" onclick="deleteRecodeTable()" disabled>🗑️ Xóa bảng</button>
+                </div>
+            </div>
+            <div class="config-grid">
+                <div class="form-group">
+                    <label>Cột</label>
+                    <select id="recodeColumn" class="form-control" onchange="renderRecodePreview()">
+                        ${getBulkEditColumnOptions()}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Ghi vào cột</label>
+                    <input type="text" id="recodeTarget" class="form-control" placeholder="Để trống = ghi đè cột gốc">
+                </div>
+                <div class="form-group">
+                    <label>Giá trị chưa có trong bảng</label>
+                    <select id="recodeUnmapped" class="form-control">
+                        <option value="keep">Giữ nguyên</option>
+                        <option value="empty">Để trống</option>
+                    </select>
+                </div>
+            </div>
+            <div id="recodePreview" class="strat-preview"></div>
+        </div>
+    `;
+
+    openModal('🔤 Recode giá trị', content, confirmRecode);
+    renderRecodePreview();
+}
+
+function renderRecodeTableOptions(selected = '') {
+    const tables = RecodeManager.getTables();
+    const group = scope => tables
+        .filter(t => t.scope === scope)
+        .map(t => {
+            const value = `${t.scope}:${t.name}`;
+            return `<option value="${escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(t.name)} (${Object.keys(t.mappings).length})</option>`;
+        })
+        .join('');
+
+    return `
+        <option value="">+ Bảng mới</option>
+        ${Object.entries(FormulaEngine.LOOKUP_SCOPES).map(([scope, label]) => {
+            const options = group(scope);
+            return options ? `<optgroup label="${label}">${options}</optgroup>` : '';
+        }).join('')}
+    `;
+}
+
+function loadRecodeTable(value) {
+    const separator = value.indexOf(':');
+    const table = value ? RecodeManager.getTable(value.slice(0, separator), value.slice(separator + 1)) : null;
+    editingRecodeTable = table;
+
+    document.getElementById('recodeTableName').value = table ? table.name : '';
+    document.getElementById('recodeTableScope').value = table ? table.scope : 'project';
+    document.getElementById('recodeMappings').value = table ? FormulaEngine.formatLookupText(table.mappings) : '';
+    document.getElementById('recodeDeleteBtn').disabled = !table;
+    renderRecodePreview();
+}
+
+function getRecodeMappings() {
+    return FormulaEngine.parseLookupText(document.getElementById('recodeMappings').value).table;
+}
+
+function renderRecodePreview() {
+    const container = document.getElementById('recodePreview');
+    if (!container) return;
+
+    const column = document.getElementById('recodeColumn').value;
+    const preview = RecodeManager.preview(column, getRecodeMappings());
+    const shown = preview.unmapped.slice(0, 50);
+
+    container.innerHTML = `
+        <p>
+            <strong>${UIRenderer.formatNumber(preview.mapped.length)}</strong> giá trị khớp bảng
+            (${UIRenderer.formatNumber(preview.changedRows)} dòng sẽ đổi) ·
+            <strong>${UIRenderer.formatNumber(preview.unmapped.length)}</strong> giá trị chưa có trong bảng
+        </p>
+        ${shown.length > 0 ? `
+            <table class="strat-table">
+                <thead><tr><th>Giá trị chưa ánh xạ</th><th>Số dòng</th></tr></thead>
+                <tbody>
+                    ${shown.map(u => `<tr><td>${escapeHtml(String(u.value))}</td><td>${UIRenderer.formatNumber(u.count)}</td></tr>`).join('')}
+                </tbody>
+            </table>
+            ${preview.unmapped.length > shown.length ? `<p class="form-hint">... và ${UIRenderer.formatNumber(preview.unmapped.length - shown.length)} giá trị khác</p>` : ''}
+            <button class="btn btn-xs btn-outline" onclick="addUnmappedToRecode()"
+                title="Thêm các giá trị chưa ánh xạ vào bảng để điền giá trị chuẩn">＋ Thêm vào bảng</button>
+        ` : ''}
+    `;
+}
+
+function addUnmappedToRecode() {
+    const textarea = document.getElementById('recodeMappings');
+    const preview = RecodeManager.preview(document.getElementById('recodeColumn').value, getRecodeMappings());
+    const lines = preview.unmapped.map(u => `${u.value} = `);
+    if (lines.length === 0) return;
+
+    textarea.value = [textarea.value.trimEnd(), ...lines].filter(Boolean).join('\n');
+    textarea.focus();
+    renderRecodePreview();
+}
+
+function saveRecodeTable() {
+    const result = RecodeManager.saveTable({
+        name: document.getElementById('recodeTableName').value,
+        scope: document.getElementById('recodeTableScope').value,
+        mappings: getRecodeMappings()
+    });
+    if (!result.success) {
+        UIRenderer.showToast(result.message, 'error');
+        return;
+    }
+
+    // Renaming a table or moving it to the other scope removes the old one
+    if (editingRecodeTable && (editingRecodeTable.scope !== result.table.scope || editingRecodeTable.name !== result.table.name)) {
+        RecodeManager.deleteTable(editingRecodeTable.scope, editingRecodeTable.name);
+    }
+    editingRecodeTable = result.table;
+
+    document.getElementById('recodeTableSelect').innerHTML = renderRecodeTableOptions(`${result.table.scope}:${result.table.name}`);
+    document.getElementById('recodeDeleteBtn').disabled = false;
+    // LOOKUP() formulas using the table were recomputed
+    refreshAfterFormulaChange();
+    UIRenderer.showToast(result.message, 'success');
+}
+
+function deleteRecodeTable() {
+    if (!editingRecodeTable) return;
+    if (!confirm(`Xóa bảng recode "${editingRecodeTable.name}"?`)) return;
+
+    RecodeManager.deleteTable(editingRecodeTable.scope, editingRecodeTable.name);
+    refreshAfterFormulaChange();
+    document.getElementById('recodeTableSelect').innerHTML = renderRecodeTableOptions();
+    loadRecodeTable('');
+}
+
+function confirmRecode() {
+    const target = document.getElementById('recodeTarget').value.trim();
+    const result = RecodeManager.apply(document.getElementById('recodeColumn').value, getRecodeMappings(), {
+        target,
+        unmapped: document.getElementById('recodeUnmapped').value,
+        tableName: document.getElementById('recodeTableName').value.trim() || (editingRecodeTable && editingRecodeTable.name)
+    });
+    if (!result.success) {
+        UIRenderer.showToast(result.message, 'error');
+        return;
+    }
+    closeModal();
+
+    visibleColumns.add(result.target);
+    refreshAfterFormulaChange();
+    UIRenderer.showToast(result.message, 'success');
 }
 
 // ===== Column Visibility =====
@@ -1390,12 +3792,39 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Make functions global
 window.shuffleData = shuffleData;
-window.goToPage = goToPage;
-window.changeRowsPerPage = changeRowsPerPage;
+window.resetGridLayout = resetGridLayout;
+window.openSortModal = openSortModal;
+window.updateSortKey = updateSortKey;
+window.addSortKey = addSortKey;
+window.removeSortKey = removeSortKey;
+window.moveSortKey = moveSortKey;
+window.openFindReplaceModal = openFindReplaceModal;
+window.renderFindReplacePreview = renderFindReplacePreview;
+window.scheduleFindReplacePreview = scheduleFindReplacePreview;
+window.openSetColumnValueModal = openSetColumnValueModal;
+window.openFormulaModal = openFormulaModal;
+window.renderFormulaPreview = renderFormulaPreview;
+window.removeFormulaColumn = removeFormulaColumn;
+window.loadLookupTable = loadLookupTable;
+window.saveLookupTable = saveLookupTable;
+window.openRecodeModal = openRecodeModal;
+window.loadRecodeTable = loadRecodeTable;
+window.renderRecodePreview = renderRecodePreview;
+window.addUnmappedToRecode = addUnmappedToRecode;
+window.saveRecodeTable = saveRecodeTable;
+window.deleteRecodeTable = deleteRecodeTable;
+window.toggleAppendSource = toggleAppendSource;
+window.setAppendColumnTarget = setAppendColumnTarget;
+window.openMergeModal = openMergeModal;
+window.openColumnMappingWizard = openColumnMappingWizard;
+window.stopFileImport = stopFileImport;
+window.renderColumnMappingQuality = renderColumnMappingQuality;
+window.loadMergeFile = loadMergeFile;
+window.renderMergeStats = renderMergeStats;
+window.downloadMergeUnmatched = downloadMergeUnmatched;
 window.toggleColumn = toggleColumn;
 window.toggleAllColumns = toggleAllColumns;
 window.initColumnVisibility = initColumnVisibility;
-window.updatePagination = updatePagination;
 
 // ===== Notification System =====
 let notifications = [];
@@ -1472,7 +3901,14 @@ function updateDeleteBatchDropdown() {
     if (!typeSelect || !numberSelect) return;
 
     const type = typeSelect.value;
-    const batches = type === 'sms' ? DataManager.getSmsBatches() : DataManager.getEmailBatches();
+    let batches;
+    if (type === 'sms') {
+        batches = DataManager.getSmsBatches();
+    } else if (type === 'email') {
+        batches = DataManager.getEmailBatches();
+    } else {
+        batches = BatchManager.getRemindBatches(type);
+    }
 
     numberSelect.innerHTML = '<option value="">-- Select --</option>' +
         batches.map(b => `<option value="${b}">Batch ${b}</option>`).join('');
@@ -1481,26 +3917,29 @@ function updateDeleteBatchDropdown() {
 function deleteBatchAction() {
     const type = document.getElementById('deleteBatchType').value;
     const batchNumber = parseInt(document.getElementById('deleteBatchNumber').value);
+    const label = type.replace('_', ' ').toUpperCase();
 
     if (!batchNumber) {
         UIRenderer.showToast('Vui lòng chọn batch để xóa.', 'warning');
         return;
     }
 
-    if (!confirm(`Bạn có chắc muốn xóa ${type.toUpperCase()} Batch ${batchNumber}?`)) {
+    if (!confirm(`Bạn có chắc muốn xóa ${label} Batch ${batchNumber}?`)) {
         return;
     }
 
     let result;
     if (type === 'sms') {
         result = BatchManager.deleteSmsBatch(batchNumber);
-    } else {
+    } else if (type === 'email') {
         result = BatchManager.deleteEmailBatch(batchNumber);
+    } else {
+        result = BatchManager.deleteRemindBatch(type, batchNumber);
     }
 
     if (result.success) {
         UIRenderer.showToast(result.message, 'success');
-        addNotification(`Đã xóa ${type.toUpperCase()} Batch ${batchNumber}`, '🗑️');
+        addNotification(`Đã xóa ${label} Batch ${batchNumber}`, '🗑️');
         UIRenderer.renderDataTable();
         UIRenderer.renderDashboard();
         updateDeleteBatchDropdown();
@@ -1593,25 +4032,14 @@ async function importUrlModule() {
         progressFill.style.width = '60%';
         progressText.textContent = 'Đang parse dữ liệu...';
 
-        let workbook;
-        if (result.encoding === 'base64') {
-            const binary = atob(result.data);
-            const bytes = new Uint8Array(binary.length);
-            for (let i = 0; i < binary.length; i++) {
-                bytes[i] = binary.charCodeAt(i);
-            }
-            workbook = XLSX.read(bytes, { type: 'array' });
-        } else {
-            workbook = XLSX.read(result.data, { type: 'string' });
-        }
+        const { rows: jsonData, dialect } = parseFetchedFile(result, {
+            encoding: document.getElementById('urlEncoding').value,
+            delimiter: document.getElementById('urlDelimiter').value
+        });
 
         progressFill.style.width = '80%';
         progressText.textContent = 'Đang xử lý...';
 
-        const sheetName = workbook.SheetNames[0];
-        const sheet = workbook.Sheets[sheetName];
-        const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
-
         if (!jsonData || jsonData.length === 0) {
             throw new Error('File is empty or invalid');
         }
@@ -1641,7 +4069,10 @@ async function importUrlModule() {
             renderUrlDataTable();
         }, 500);
 
-        UIRenderer.showToast(`Import thành công ${urlImportState.data.length} dòng.`, 'success');
+        UIRenderer.showToast(
+            `Import thành công ${urlImportState.data.length} dòng${dialect ? ` (${CsvReader.getDialectLabel(dialect)})` : ''}.`,
+            'success'
+        );
         addNotification(`Import ${urlImportState.data.length} rows: ${projectName || 'URL'}`, '🌐');
 
     } catch (error) {
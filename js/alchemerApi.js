@@ -556,14 +556,14 @@ const AlchemerAPI = {
             throw new Error(`Không tìm thấy cột "${plidColumn}" trong dữ liệu`);
         }
 
+        // Record undo history (includes the target column if it is new)
+        DataManager.beginChange(`Cập nhật ${targetColumn} từ Alchemer`, { icon: '🔄', columns: [targetColumn] });
+
         // Ensure target column exists
         if (!headers.includes(targetColumn)) {
             DataManager.headers.push(targetColumn);
         }
 
-        // Save undo state
-        DataManager.saveUndoState();
-
         // Match and update
         let matched = 0;
         let notFound = 0;
@@ -579,6 +579,7 @@ const AlchemerAPI = {
                 notFound++;
             }
         });
+        DataManager.commitChange();
 
         DataManager.detectBatches();
 
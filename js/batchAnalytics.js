@@ -0,0 +1,316 @@
+/**
+ * Batch Analytics - FW Tools
+ * Per-batch response statistics and batch size recommendations
+ */
+
+const BatchAnalytics = {
+    // Batch channels and the config key of their batch column
+    CHANNELS: [
+        { id: 'sms', label: 'SMS', configKey: 'BATCH_COL', icon: '📱' },
+        { id: 'email', label: 'Email', configKey: 'EMAIL_BATCH_COL', icon: '📧' },
+        { id: 'remind_sms', label: 'Remind SMS', configKey: 'REMIND_SMS_BATCH_COL', icon: '📲' },
+        { id: 'remind_email', label: 'Remind Email', configKey: 'REMIND_EMAIL_BATCH_COL', icon: '📨' }
+    ],
+
+    // Minimum rows sent in a stratum before its own rate is trusted
+    MIN_STRATUM_SENT: 50,
+
+    /**
+     * Get channel definition by id
+     */
+    getChannel(channelId) {
+        return this.CHANNELS.find(c => c.id === channelId) || null;
+    },
+
+    /**
+     * Get actual batch column name for a channel
+     */
+    getBatchColumn(channelId) {
+        const channel = this.getChannel(channelId);
+        if (!channel) return null;
+        return DataManager.findColumn(ConfigManager.get(channel.configKey));
+    },
+
+    /**
+     * Get actual status column name
+     */
+    getStatusColumn() {
+        return DataManager.findColumn(ConfigManager.get('STATUS_COL') || 'Response_Status');
+    },
+
+    /**
+     * Classify a Response_Status value
+     * @returns {string} 'complete' | 'partial' | 'disqualified' | 'other' | '' (no response)
+     */
+    classifyStatus(value) {
+        const status = String(value === null || value === undefined ? '' : value).trim().toLowerCase();
+        if (!status) return '';
+        if (status === 'complete' || status === 'completed') return 'complete';
+        if (status === 'partial') return 'partial';
+        if (status === 'disqualified' || status === 'dq') return 'disqualified';
+        return 'other';
+    },
+
+    /**
+     * Count sent/started/partial/complete/disqualified for a set of rows
+     */
+    countStatuses(rows, statusCol) {
+        const counts = { sent: rows.length, started: 0, partial: 0, complete: 0, disqualified: 0 };
+        rows.forEach(row => {
+            const status = statusCol ? this.classifyStatus(row[statusCol]) : '';
+            if (!status) return;
+            counts.started++;
+            if (status !== 'other') counts[status]++;
+        });
+        return counts;
+    },
+
+    /**
+     * Group rows of a channel by batch number
+     * @returns {Map<number, Array>} batch -> rows
+     */
+    groupByBatch(channelId, rows = null) {
+        const batchCol = this.getBatchColumn(channelId);
+        const groups = new Map();
+        if (!batchCol) return groups;
+
+        (rows || DataManager.getData()).forEach(row => {
+            const batch = parseInt(row[batchCol]);
+            if (isNaN(batch) || batch <= 0) return;
+            if (!groups.has(batch)) groups.set(batch, []);
+            groups.get(batch).push(row);
+        });
+
+        return groups;
+    },
+
+    /**
+     * Get per-batch statistics for a channel, sorted by batch number
+     */
+    getBatchStats(channelId, rows = null) {
+        const statusCol = this.getStatusColumn();
+        return Array.from(this.groupByBatch(channelId, rows).entries())
+            .sort((a, b) => a[0] - b[0])
+            .map(([batch, batchRows]) => ({ batch, ...this.countStatuses(batchRows, statusCol) }));
+    },
+
+    // ===== Funnel =====
+
+    /**
+     * Get funnel rows per batch for a channel (with conversion % and marked date)
+     */
+    getFunnel(channelId) {
+        const rows = this.getBatchStats(channelId).map(stats => {
+            const logEntry = DataManager.getBatchLogEntry(channelId, stats.batch);
+            return {
+                ...stats,
+                markedAt: logEntry ? logEntry.markedAt : null,
+                ...this.getConversion(stats)
+            };
+        });
+
+        const totals = rows.reduce((sum, r) => {
+            ['sent', 'started', 'partial', 'complete', 'disqualified'].forEach(k => { sum[k] += r[k]; });
+            return sum;
+        }, { sent: 0, started: 0, partial: 0, complete: 0, disqualified: 0 });
+
+        return { channel: channelId, batches: rows, totals: { ...totals, ...this.getConversion(totals) } };
+    },
+
+    /**
+     * Conversion percentages for a stats object
+     */
+    getConversion(stats) {
+        const pct = (part, whole) => whole > 0 ? Math.round(part / whole * 1000) / 10 : 0;
+        return {
+            startRate: pct(stats.started, stats.sent),
+            completeRate: pct(stats.complete, stats.sent),
+            completeOfStarted: pct(stats.complete, stats.started),
+            dqRate: pct(stats.disqualified, stats.started)
+        };
+    },
+
+    /**
+     * Aggregate funnel per marking day (batches without a logged date are counted separately)
+     * @param {string} channelId - Channel id or 'all'
+     */
+    getTrend(channelId = 'all') {
+        const channels = channelId === 'all' ? this.CHANNELS.map(c => c.id) : [channelId];
+        const days = {};
+        let undated = 0;
+
+        channels.forEach(id => {
+            this.getFunnel(id).batches.forEach(b => {
+                if (!b.markedAt) {
+                    undated++;
+                    return;
+                }
+                const marked = new Date(b.markedAt);
+                const date = `${marked.getFullYear()}-${String(marked.getMonth() + 1).padStart(2, '0')}-${String(marked.getDate()).padStart(2, '0')}`;
+                if (!days[date]) days[date] = { date, sent: 0, started: 0, partial: 0, complete: 0, disqualified: 0, batches: 0 };
+                ['sent', 'started', 'partial', 'complete', 'disqualified'].forEach(k => { days[date][k] += b[k]; });
+                days[date].batches++;
+            });
+        });
+
+        return {
+            points: Object.values(days)
+                .sort((a, b) => a.date.localeCompare(b.date))
+                .map(d => ({ ...d, ...this.getConversion(d) })),
+            undatedBatches: undated
+        };
+    },
+
+    // ===== Recommendation =====
+
+    /**
+     * Wilson score interval for a proportion (95%)
+     */
+    wilsonInterval(successes, total) {
+        if (total === 0) return [0, 0];
+        const z = 1.96;
+        const p = successes / total;
+        const denominator = 1 + z * z / total;
+        const center = (p + z * z / (2 * total)) / denominator;
+        const margin = (z * Math.sqrt(p * (1 - p) / total + z * z / (4 * total * total))) / denominator;
+        return [Math.max(0, center - margin), Math.min(1, center + margin)];
+    },
+
+    /**
+     * Confidence label from sample size
+     */
+    getConfidence(sent, complete) {
+        if (sent === 0) return 'none';
+        if (sent >= 300 && complete >= 30) return 'high';
+        if (sent >= 100 && complete >= 10) return 'medium';
+        return 'low';
+    },
+
+    /**
+     * Completion rate of a channel over batches that already have responses
+     * (batches without any status yet are treated as not synced and skipped)
+     */
+    getCompletionRate(channelId, rows = null) {
+        const stats = this.getBatchStats(channelId, rows);
+        const measured = stats.filter(s => s.started > 0);
+        const sent = measured.reduce((sum, s) => sum + s.sent, 0);
+        const complete = measured.reduce((sum, s) => sum + s.complete, 0);
+        const [low, high] = this.wilsonInterval(complete, sent);
+
+        return {
+            sent,
+            complete,
+            rate: sent > 0 ? complete / sent : 0,
+            low,
+            high,
+            batches: measured.length,
+            pendingBatches: stats.length - measured.length,
+            confidence: this.getConfidence(sent, complete)
+        };
+    },
+
+    /**
+     * Count rows not yet marked for a channel (optionally within given rows)
+     */
+    countAvailable(channelId, rows = null) {
+        const batchCol = this.getBatchColumn(channelId);
+        const source = rows || DataManager.getData();
+        if (!batchCol) return source.length;
+        return source.filter(row => row[batchCol] === '' || row[batchCol] === null || row[batchCol] === undefined).length;
+    },
+
+    /**
+     * Rows needed to reach `need` completes at the given rate range
+     */
+    estimateRows(need, rate) {
+        if (need <= 0) return { suggested: 0, min: 0, max: 0 };
+        return {
+            suggested: rate.rate > 0 ? Math.ceil(need / rate.rate) : null,
+            min: rate.high > 0 ? Math.ceil(need / rate.high) : null,
+            max: rate.low > 0 ? Math.ceil(need / rate.low) : null
+        };
+    },
+
+    /**
+     * Recommend next batch size per channel and per stratum
+     * @param {Object} options - { remaining, strataColumns, targets, channels }
+     *   remaining defaults to the active project's quota summary (totalRemaining)
+     *   targets come from BatchManager.buildStrataTargets ({ key, cell, need })
+     */
+    recommendBatchSize(options = {}) {
+        const { strataColumns = [], targets = [], channels = ['sms', 'email'] } = options;
+
+        let remaining = options.remaining;
+        if (remaining === undefined || remaining === null) {
+            const activeProject = typeof ProjectManager !== 'undefined' ? ProjectManager.getActiveProject() : null;
+            const summary = activeProject ? ProjectManager.getQuotaSummary(activeProject.id) : null;
+            remaining = summary ? summary.totalRemaining : null;
+        }
+
+        if (remaining === null) {
+            return { success: false, message: 'Chưa có dữ liệu quota. Hãy fetch quota của project trước.' };
+        }
+
+        const data = DataManager.getData();
+        const strata = strataColumns.length > 0 && targets.length > 0
+            ? this.groupByStratum(data, strataColumns)
+            : null;
+
+        const results = channels.map(channelId => {
+            const rate = this.getCompletionRate(channelId);
+            const estimate = this.estimateRows(remaining, rate);
+            const available = this.countAvailable(channelId);
+
+            const stratumResults = strata ? targets.map(target => {
+                const stratumRows = strata.get(target.key) || [];
+                const ownRate = this.getCompletionRate(channelId, stratumRows);
+                const usedFallback = ownRate.sent < this.MIN_STRATUM_SENT || ownRate.rate === 0;
+                const stratumRate = usedFallback ? rate : ownRate;
+                const stratumEstimate = this.estimateRows(target.need, stratumRate);
+                const stratumAvailable = this.countAvailable(channelId, stratumRows);
+
+                return {
+                    key: target.key,
+                    cell: target.cell,
+                    need: target.need,
+                    rate: stratumRate.rate,
+                    sent: ownRate.sent,
+                    usedFallback,
+                    confidence: usedFallback ? (rate.confidence === 'none' ? 'none' : 'low') : ownRate.confidence,
+                    ...stratumEstimate,
+                    available: stratumAvailable,
+                    shortage: stratumEstimate.suggested !== null && stratumEstimate.suggested > stratumAvailable
+                };
+            }) : [];
+
+            return {
+                channel: channelId,
+                label: this.getChannel(channelId).label,
+                ...rate,
+                ...estimate,
+                available,
+                recommended: estimate.suggested !== null ? Math.min(estimate.suggested, available) : null,
+                strata: stratumResults
+            };
+        });
+
+        return { success: true, remaining, channels: results };
+    },
+
+    /**
+     * Group rows by stratum key
+     */
+    groupByStratum(rows, strataColumns) {
+        const groups = new Map();
+        rows.forEach(row => {
+            const key = BatchManager.getStratumKey(row, strataColumns);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(row);
+        });
+        return groups;
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.BatchAnalytics = BatchAnalytics;
+}
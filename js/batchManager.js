@@ -5,68 +5,160 @@
 
 const BatchManager = {
     /**
-     * Mark SMS batch
+     * Get a matcher for rows that must never be marked
+     * @returns {Function|null} row => 'suppressed' | 'fatigued' | null (null matcher = nothing to exclude)
+     */
+    getExclusionMatcher() {
+        const isSuppressed = typeof SuppressionManager !== 'undefined' && ConfigManager.get('SUPPRESSION_ENABLED') && SuppressionManager.index.size > 0
+            ? SuppressionManager.createMatcher()
+            : null;
+        const isFatigued = typeof ContactHistoryManager !== 'undefined' ? ContactHistoryManager.createMatcher() : null;
+        if (!isSuppressed && !isFatigued) return null;
+
+        return (row) => {
+            if (isSuppressed && isSuppressed(row)) return 'suppressed';
+            if (isFatigued && isFatigued(row)) return 'fatigued';
+            return null;
+        };
+    },
+
+    /**
+     * Message suffix for excluded rows
+     * @param {Object} skipped - { suppressed, fatigued }
+     */
+    getSkippedNote(skipped) {
+        let note = '';
+        if (skipped.suppressed > 0) note += ` Bỏ qua ${skipped.suppressed} dòng trong suppression list.`;
+        if (skipped.fatigued > 0) note += ` Bỏ qua ${skipped.fatigued} dòng đã liên hệ quá ${ConfigManager.get('FATIGUE_MAX_CONTACTS')} lần/${ConfigManager.get('FATIGUE_WINDOW_DAYS')} ngày.`;
+        return note;
+    },
+
+    /**
+     * Resolve SMS length options (falls back to config)
+     * @param {Object} options - { stripDiacritics, maxSegments }
+     */
+    getSmsOptions(options = {}) {
+        const config = ConfigManager.getAll();
+        const maxSegments = parseInt(options.maxSegments ?? config.SMS_MAX_SEGMENTS);
+        return {
+            stripDiacritics: options.stripDiacritics ?? !!config.SMS_STRIP_DIACRITICS,
+            maxSegments: isNaN(maxSegments) || maxSegments < 0 ? 0 : maxSegments
+        };
+    },
+
+    /**
+     * Build SMS batch plan without modifying data
+     * Generates content per row and computes encoding/segments; rows over maxSegments are rejected
      * @param {number} limit - Number of rows to mark
      * @param {Array} filteredIndices - Indices of visible rows (after filter)
+     * @param {Object} options - { stripDiacritics, maxSegments }
      */
-    markSmsBatch(limit, filteredIndices = null) {
+    planSmsBatch(limit, filteredIndices = null, options = {}) {
         const config = ConfigManager.getAll();
         const data = DataManager.getData();
-        const headers = DataManager.getHeaders();
 
         if (data.length === 0) {
             return { success: false, message: 'Không có dữ liệu để xử lý.' };
         }
 
-        // Find column names
         const sourceCol = DataManager.findColumn(config.SOURCE_COL);
-        const contentCol = DataManager.findColumn(config.CONTENT_COL);
         const batchCol = DataManager.findColumn(config.BATCH_COL);
-
-        // Ensure columns exist
-        if (!contentCol) DataManager.ensureColumn(headers[ConfigManager.colToIndex(config.CONTENT_COL)] || 'SMS_Content');
-        if (!batchCol) DataManager.ensureColumn(headers[ConfigManager.colToIndex(config.BATCH_COL)] || 'SMS_Batch');
-
-        const actualContentCol = DataManager.findColumn(config.CONTENT_COL) || 'SMS_Content';
-        const actualBatchCol = DataManager.findColumn(config.BATCH_COL) || 'SMS_Batch';
-
-        // Get next batch number
-        const newBatch = DataManager.getNextSmsBatch();
         // Read template from current textarea (if available) for real-time update
         // Fallback to config if textarea not found (e.g., during automated tests)
         const templateTextarea = document.getElementById('templateText');
         const template = templateTextarea ? templateTextarea.value : (config.TEMPLATE_TEXT || '');
         const overwrite = config.OVERWRITE_BATCH;
+        const smsOptions = this.getSmsOptions(options);
+
+        const validation = TemplateEngine.validate(template);
+        if (!validation.valid) {
+            return { success: false, message: `Template SMS không hợp lệ: ${validation.errors.join('; ')}` };
+        }
 
         // Determine which rows to process
         const indicesToProcess = filteredIndices || data.map((_, i) => i);
-
-        // Save undo state
-        DataManager.saveUndoState();
-
-        let picked = 0;
-        const updates = [];
+        const isExcluded = this.getExclusionMatcher();
+        const rows = [];
+        const rejected = [];
+        const skipped = { suppressed: 0, fatigued: 0 };
 
         for (const idx of indicesToProcess) {
-            if (picked >= limit) break;
+            if (rows.length >= limit) break;
 
             const row = data[idx];
-            const hasBatch = row[actualBatchCol] !== '' && row[actualBatchCol] !== null && row[actualBatchCol] !== undefined;
+            const hasBatch = batchCol && row[batchCol] !== '' && row[batchCol] !== null && row[batchCol] !== undefined;
+            if (!overwrite && hasBatch) continue;
+            const excluded = isExcluded && isExcluded(row);
+            if (excluded) {
+                skipped[excluded]++;
+                continue;
+            }
 
-            if (overwrite || !hasBatch) {
-                // Generate content
-                const sourceValue = sourceCol ? (row[sourceCol] || '') : '';
-                const content = template + sourceValue;
+            let content = TemplateEngine.render(template, row, { linkColumn: sourceCol });
+            if (smsOptions.stripDiacritics) content = SmsCalculator.stripDiacritics(content);
+            const stats = SmsCalculator.analyze(content);
 
-                row[actualContentCol] = content;
-                row[actualBatchCol] = newBatch;
-                picked++;
+            if (smsOptions.maxSegments > 0 && stats.segments > smsOptions.maxSegments) {
+                rejected.push({ index: idx, content, ...stats });
+                continue;
             }
+            rows.push({ index: idx, content, ...stats });
         }
 
+        return {
+            success: true,
+            options: smsOptions,
+            rows,
+            rejected,
+            skipped,
+            summary: SmsCalculator.summarize(rows)
+        };
+    },
+
+    /**
+     * Mark SMS batch
+     * @param {number} limit - Number of rows to mark
+     * @param {Array} filteredIndices - Indices of visible rows (after filter)
+     * @param {Object} options - { stripDiacritics, maxSegments } (defaults from config)
+     */
+    markSmsBatch(limit, filteredIndices = null, options = {}) {
+        const config = ConfigManager.getAll();
+        const headers = DataManager.getHeaders();
+
+        const plan = this.planSmsBatch(limit, filteredIndices, options);
+        if (!plan.success) return plan;
+
+        const data = DataManager.getData();
+
+        // Find column names
+        const contentCol = DataManager.findColumn(config.CONTENT_COL);
+        const batchCol = DataManager.findColumn(config.BATCH_COL);
+
+        // Get next batch number
+        const newBatch = DataManager.getNextSmsBatch();
+
+        // Record undo history (includes the columns added below)
+        DataManager.beginChange(`Gán SMS batch ${newBatch}`, { icon: '📱', columns: [config.CONTENT_COL, config.BATCH_COL] });
+
+        // Ensure columns exist
+        if (!contentCol) DataManager.ensureColumn(headers[ConfigManager.colToIndex(config.CONTENT_COL)] || 'SMS_Content');
+        if (!batchCol) DataManager.ensureColumn(headers[ConfigManager.colToIndex(config.BATCH_COL)] || 'SMS_Batch');
+
+        const actualContentCol = DataManager.findColumn(config.CONTENT_COL) || 'SMS_Content';
+        const actualBatchCol = DataManager.findColumn(config.BATCH_COL) || 'SMS_Batch';
+
+        plan.rows.forEach(item => {
+            const row = data[item.index];
+            row[actualContentCol] = item.content;
+            row[actualBatchCol] = newBatch;
+        });
+        const picked = plan.rows.length;
+        DataManager.commitChange();
+
         // Update batch tracking
         if (picked > 0) {
             DataManager.smsBatches.add(newBatch);
+            DataManager.logBatch('sms', newBatch, picked);
             console.log('[BatchManager] Added SMS batch:', newBatch, 'Picked:', picked);
             console.log('[BatchManager] smsBatches after add:', Array.from(DataManager.smsBatches));
         } else {
@@ -81,11 +173,32 @@ const BatchManager = {
             icon: '📱'
         });
 
+        const rejectedNote = plan.rejected.length > 0
+            ? ` Bỏ qua ${plan.rejected.length} dòng vượt ${plan.options.maxSegments} segment.`
+            : '';
+
         return {
             success: true,
             picked: picked,
             newBatch: newBatch,
-            message: `Đã gán SMS batch ${newBatch} cho ${picked} dòng.`
+            rejected: plan.rejected.length,
+            skipped: plan.skipped,
+            smsSummary: plan.summary,
+            message: `Đã gán SMS batch ${newBatch} cho ${picked} dòng (${plan.summary.totalSegments} segment).${rejectedNote}${this.getSkippedNote(plan.skipped)}`
+        };
+    },
+
+    /**
+     * Get current email template ({ subject, html })
+     * Reads the config textareas (if available) for real-time update, falls back to config
+     */
+    getCurrentEmailTemplate() {
+        const config = ConfigManager.getAll();
+        const subjectInput = document.getElementById('emailSubjectText');
+        const bodyTextarea = document.getElementById('emailTemplateText');
+        return {
+            subject: subjectInput ? subjectInput.value : (config.EMAIL_SUBJECT || ''),
+            html: bodyTextarea ? bodyTextarea.value : (config.EMAIL_TEMPLATE_TEXT || '')
         };
     },
 
@@ -105,23 +218,41 @@ const BatchManager = {
 
         // Find column
         const emailBatchCol = DataManager.findColumn(config.EMAIL_BATCH_COL);
+        const linkCol = DataManager.findColumn(config.EMAIL_LINK_COL);
+
+        // Email content is only generated when an email body template is configured
+        const template = this.getCurrentEmailTemplate().html;
+        if (template.trim()) {
+            const validation = TemplateEngine.validate(template);
+            if (!validation.valid) {
+                return { success: false, message: `Template Email không hợp lệ: ${validation.errors.join('; ')}` };
+            }
+        }
+
+        // Get next batch number
+        const newBatch = DataManager.getNextEmailBatch();
+        const overwrite = config.OVERWRITE_BATCH;
+
+        // Record undo history (includes the columns added below)
+        DataManager.beginChange(`Gán Email batch ${newBatch}`, { icon: '📧', columns: [config.EMAIL_BATCH_COL, config.EMAIL_CONTENT_COL] });
 
         // Ensure column exists
         if (!emailBatchCol) DataManager.ensureColumn(headers[ConfigManager.colToIndex(config.EMAIL_BATCH_COL)] || 'Email_Batch');
 
         const actualBatchCol = DataManager.findColumn(config.EMAIL_BATCH_COL) || 'Email_Batch';
 
-        // Get next batch number
-        const newBatch = DataManager.getNextEmailBatch();
-        const overwrite = config.OVERWRITE_BATCH;
+        let actualContentCol = null;
+        if (template.trim()) {
+            if (!DataManager.findColumn(config.EMAIL_CONTENT_COL)) DataManager.ensureColumn('Content_Email');
+            actualContentCol = DataManager.findColumn(config.EMAIL_CONTENT_COL) || 'Content_Email';
+        }
 
         // Determine which rows to process
         const indicesToProcess = filteredIndices || data.map((_, i) => i);
 
-        // Save undo state
-        DataManager.saveUndoState();
-
+        const isExcluded = this.getExclusionMatcher();
         let picked = 0;
+        const skipped = { suppressed: 0, fatigued: 0 };
 
         for (const idx of indicesToProcess) {
             if (picked >= limit) break;
@@ -130,14 +261,24 @@ const BatchManager = {
             const hasBatch = row[actualBatchCol] !== '' && row[actualBatchCol] !== null && row[actualBatchCol] !== undefined;
 
             if (overwrite || !hasBatch) {
+                const excluded = isExcluded && isExcluded(row);
+                if (excluded) {
+                    skipped[excluded]++;
+                    continue;
+                }
+                if (actualContentCol) {
+                    row[actualContentCol] = TemplateEngine.render(template, row, { linkColumn: linkCol, escapeHtml: true });
+                }
                 row[actualBatchCol] = newBatch;
                 picked++;
             }
         }
+        DataManager.commitChange();
 
         // Update batch tracking
         if (picked > 0) {
             DataManager.emailBatches.add(newBatch);
+            DataManager.logBatch('email', newBatch, picked);
         }
 
         // Log action
@@ -152,7 +293,8 @@ const BatchManager = {
             success: true,
             picked: picked,
             newBatch: newBatch,
-            message: `Đã gán Email batch ${newBatch} cho ${picked} dòng.`
+            skipped,
+            message: `Đã gán Email batch ${newBatch} cho ${picked} dòng.${this.getSkippedNote(skipped)}`
         };
     },
 
@@ -192,6 +334,9 @@ const BatchManager = {
 
         if (data.length === 0) return { success: false, message: 'No data.' };
 
+        // Record undo history (batch number is known after the column exists)
+        DataManager.beginChange('Gán Remind SMS batch', { icon: '📲', columns: [batchColName] });
+
         // Ensure column exists
         if (!DataManager.findColumn(batchColName)) {
             DataManager.ensureColumn(headers[ConfigManager.colToIndex(batchColName)] || 'Remind_SMS_Batch');
@@ -209,20 +354,28 @@ const BatchManager = {
         const newBatch = maxBatch + 1;
 
         const indicesToProcess = filteredIndices || data.map((_, i) => i);
-        DataManager.saveUndoState();
 
+        const isExcluded = this.getExclusionMatcher();
         let picked = 0;
+        const skipped = { suppressed: 0, fatigued: 0 };
         for (const idx of indicesToProcess) {
             if (picked >= limit) break;
             const row = data[idx];
             if (!row[actualBatchCol] && row[actualBatchCol] !== 0) {
+                const excluded = isExcluded && isExcluded(row);
+                if (excluded) {
+                    skipped[excluded]++;
+                    continue;
+                }
                 row[actualBatchCol] = newBatch;
                 picked++;
             }
         }
+        DataManager.commitChange(`Gán Remind SMS batch ${newBatch}`);
 
+        if (picked > 0) DataManager.logBatch('remind_sms', newBatch, picked);
         ConfigManager.addActionHistory({ type: 'mark_remind_sms', batch: newBatch, count: picked, icon: '📲' });
-        return { success: true, picked, newBatch, message: `Marked Remind SMS batch ${newBatch} for ${picked} rows.` };
+        return { success: true, picked, newBatch, skipped, message: `Marked Remind SMS batch ${newBatch} for ${picked} rows.${this.getSkippedNote(skipped)}` };
     },
 
     /**
@@ -236,6 +389,9 @@ const BatchManager = {
 
         if (data.length === 0) return { success: false, message: 'No data.' };
 
+        // Record undo history (batch number is known after the column exists)
+        DataManager.beginChange('Gán Remind Email batch', { icon: '📨', columns: [batchColName] });
+
         // Ensure column exists
         if (!DataManager.findColumn(batchColName)) {
             DataManager.ensureColumn(headers[ConfigManager.colToIndex(batchColName)] || 'Remind_Email_Batch');
@@ -250,20 +406,70 @@ const BatchManager = {
         const newBatch = maxBatch + 1;
 
         const indicesToProcess = filteredIndices || data.map((_, i) => i);
-        DataManager.saveUndoState();
 
+        const isExcluded = this.getExclusionMatcher();
         let picked = 0;
+        const skipped = { suppressed: 0, fatigued: 0 };
         for (const idx of indicesToProcess) {
             if (picked >= limit) break;
             const row = data[idx];
             if (!row[actualBatchCol] && row[actualBatchCol] !== 0) {
+                const excluded = isExcluded && isExcluded(row);
+                if (excluded) {
+                    skipped[excluded]++;
+                    continue;
+                }
                 row[actualBatchCol] = newBatch;
                 picked++;
             }
         }
+        DataManager.commitChange(`Gán Remind Email batch ${newBatch}`);
 
+        if (picked > 0) DataManager.logBatch('remind_email', newBatch, picked);
         ConfigManager.addActionHistory({ type: 'mark_remind_email', batch: newBatch, count: picked, icon: '📧' });
-        return { success: true, picked, newBatch, message: `Marked Remind Email batch ${newBatch} for ${picked} rows.` };
+        return { success: true, picked, newBatch, skipped, message: `Marked Remind Email batch ${newBatch} for ${picked} rows.${this.getSkippedNote(skipped)}` };
+    },
+
+    // ===== Random Sample =====
+
+    /**
+     * Prepare a random sample: candidate rows shuffled with a seed
+     * Marking walks this order and takes the first N eligible rows, so already batched
+     * and excluded rows are skipped exactly like in a normal mark
+     * @param {Array} filteredIndices - Indices of visible rows (null = all rows)
+     * @param {number} size - Requested sample size
+     * @param {number} [seed] - Seed to reproduce a previous sample (new seed if empty)
+     * @returns {Object} { seed, size, pool, order }
+     */
+    createSample(filteredIndices, size, seed = null) {
+        const pool = filteredIndices || DataManager.getData().map((_, i) => i);
+        const usedSeed = seed || DataManager.generateSeed();
+        return { seed: usedSeed, size, pool: pool.length, order: DataManager.shuffleIndices(pool, usedSeed) };
+    },
+
+    /**
+     * Record sample parameters of a marked batch (undo history, batch log, random log, action history)
+     * @param {string} type - 'sms' | 'email' | 'remind_sms' | 'remind_email'
+     * @param {Object} result - Result of the mark function
+     * @param {Object} sample - From createSample()
+     */
+    recordSample(type, result, sample) {
+        if (!result.success || !result.picked) return result;
+
+        const details = { seed: sample.seed, size: sample.size, pool: sample.pool, picked: result.picked };
+        const note = `ngẫu nhiên ${result.picked}/${sample.pool} dòng, seed ${sample.seed}`;
+
+        DataManager.annotateLastChange(note);
+        const logEntry = DataManager.getBatchLogEntry(type, result.newBatch);
+        if (logEntry) logEntry.sample = details;
+        DataManager.logRandom({ type: 'sample', channel: type, batch: result.newBatch, ...details });
+        ConfigManager.addActionHistory({ type: 'random_sample', channel: type, batch: result.newBatch, count: result.picked, seed: sample.seed, pool: sample.pool, icon: '🎲' });
+
+        return {
+            ...result,
+            sample: details,
+            message: `${result.message} Chọn ngẫu nhiên từ ${sample.pool} dòng (seed ${sample.seed}).`
+        };
     },
 
     /**
@@ -279,7 +485,7 @@ const BatchManager = {
             return { success: false, message: 'Không tìm thấy cột batch SMS.' };
         }
 
-        DataManager.saveUndoState();
+        DataManager.beginChange(`Xóa SMS batch ${batchNumber}`, { icon: '🗑️', columns: [batchCol, contentCol].filter(Boolean) });
 
         let deleted = 0;
         data.forEach(row => {
@@ -290,8 +496,11 @@ const BatchManager = {
             }
         });
 
+        DataManager.commitChange();
+
         // Update batch tracking
         DataManager.smsBatches.delete(batchNumber);
+        DataManager.removeBatchLog('sms', batchNumber);
 
         ConfigManager.addActionHistory({
             type: 'delete_batch',
@@ -314,23 +523,28 @@ const BatchManager = {
         const config = ConfigManager.getAll();
         const data = DataManager.getData();
         const batchCol = DataManager.findColumn(config.EMAIL_BATCH_COL);
+        const contentCol = DataManager.findColumn(config.EMAIL_CONTENT_COL);
 
         if (!batchCol) {
             return { success: false, message: 'Không tìm thấy cột batch Email.' };
         }
 
-        DataManager.saveUndoState();
+        DataManager.beginChange(`Xóa Email batch ${batchNumber}`, { icon: '🗑️', columns: [batchCol, contentCol].filter(Boolean) });
 
         let deleted = 0;
         data.forEach(row => {
             if (row[batchCol] === batchNumber) {
                 row[batchCol] = '';
+                if (contentCol) row[contentCol] = ''; // Also clear content
                 deleted++;
             }
         });
 
+        DataManager.commitChange();
+
         // Update batch tracking
         DataManager.emailBatches.delete(batchNumber);
+        DataManager.removeBatchLog('email', batchNumber);
 
         ConfigManager.addActionHistory({
             type: 'delete_batch',
@@ -344,6 +558,297 @@ const BatchManager = {
             deleted: deleted,
             message: `Đã xóa Email batch ${batchNumber} (${deleted} dòng).`
         };
+    },
+
+    /**
+     * Get the remind batch column of a channel
+     * @param {string} channel - 'remind_sms' | 'remind_email'
+     */
+    getRemindBatchColumn(channel) {
+        return DataManager.findColumn(ConfigManager.get(channel === 'remind_email' ? 'REMIND_EMAIL_BATCH_COL' : 'REMIND_SMS_BATCH_COL'));
+    },
+
+    /**
+     * Get all batch numbers of a remind channel
+     */
+    getRemindBatches(channel) {
+        const batchCol = this.getRemindBatchColumn(channel);
+        if (!batchCol) return [];
+
+        const batches = new Set();
+        DataManager.getData().forEach(row => {
+            const batch = parseInt(row[batchCol]);
+            if (!isNaN(batch)) batches.add(batch);
+        });
+        return Array.from(batches).sort((a, b) => a - b);
+    },
+
+    /**
+     * Delete Remind SMS/Email batch - clear the remind batch column and the batch log entry
+     * @param {string} channel - 'remind_sms' | 'remind_email'
+     */
+    deleteRemindBatch(channel, batchNumber) {
+        const label = channel === 'remind_email' ? 'Remind Email' : 'Remind SMS';
+        const batchCol = this.getRemindBatchColumn(channel);
+
+        if (!batchCol) {
+            return { success: false, message: `Không tìm thấy cột batch ${label}.` };
+        }
+
+        DataManager.beginChange(`Xóa ${label} batch ${batchNumber}`, { icon: '🗑️', columns: [batchCol] });
+
+        let deleted = 0;
+        DataManager.getData().forEach(row => {
+            if (parseInt(row[batchCol]) === batchNumber) {
+                row[batchCol] = '';
+                deleted++;
+            }
+        });
+
+        DataManager.commitChange();
+        DataManager.removeBatchLog(channel, batchNumber);
+
+        ConfigManager.addActionHistory({
+            type: 'delete_batch',
+            batch: batchNumber,
+            count: deleted,
+            icon: '🗑️'
+        });
+
+        return {
+            success: true,
+            deleted: deleted,
+            message: `Đã xóa ${label} batch ${batchNumber} (${deleted} dòng).`
+        };
+    },
+
+    // ===== Stratified Marking =====
+
+    /**
+     * Normalize a stratum value for matching (lowercase, no diacritics, single spaces)
+     */
+    normalizeStratumValue(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/đ/g, 'd')
+            .replace(/Đ/g, 'D')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    /**
+     * Build cell key from a row (or cell object) for the given strata columns
+     */
+    getStratumKey(source, strataColumns) {
+        return strataColumns.map(col => this.normalizeStratumValue(source[col])).join(' | ');
+    },
+
+    /**
+     * Build per-cell targets from quota rows by matching quota names against
+     * the values found in each strata column (e.g. "Nam - 18-24 - HCM")
+     * Quotas naming only some columns (marginals such as "Nam", "18-24", "HCM") are
+     * combined into cells: need = total × product of each marginal's share
+     * @param {Array} strataColumns - Column names
+     * @param {Array} quotaRows - [{ name, need }]
+     * @returns {{targets: Array, unmatched: Array}}
+     */
+    buildStrataTargets(strataColumns, quotaRows) {
+        // Candidate values per column, longest first so "18-24 tuổi" wins over "18"
+        const candidates = strataColumns.map(col => DataManager.getUniqueValues(col)
+            .map(value => ({ value, normalized: this.normalizeStratumValue(value) }))
+            .filter(v => v.normalized !== '')
+            .sort((a, b) => b.normalized.length - a.normalized.length));
+
+        const unmatched = [];
+        // Quotas grouped by the set of columns their name matched: columns -> { columns, byKey, quotas }
+        const groups = {};
+
+        (quotaRows || []).forEach(quota => {
+            const name = this.normalizeStratumValue(quota.name);
+            const need = parseInt(quota.need) || 0;
+            if (!name) return;
+
+            const cell = {};
+            strataColumns.forEach((col, i) => {
+                const match = candidates[i].find(c => {
+                    const escaped = c.normalized.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                    return new RegExp(`(^|[^a-z0-9])${escaped}([^a-z0-9]|$)`).test(name);
+                });
+                if (match) cell[col] = match.value;
+            });
+
+            const columns = strataColumns.filter(col => col in cell);
+            if (columns.length === 0) {
+                unmatched.push({ name: quota.name, need });
+                return;
+            }
+
+            const groupKey = columns.join('\u0001');
+            const group = groups[groupKey] = groups[groupKey] || { columns, byKey: {}, quotas: [] };
+            group.quotas.push({ name: quota.name, need });
+            const key = this.getStratumKey(cell, columns);
+            if (group.byKey[key]) {
+                // Same cell split over several quotas (e.g. by a column not used as stratum) - add up
+                group.byKey[key].need += need;
+                return;
+            }
+            group.byKey[key] = { cell, label: quota.name, need };
+        });
+
+        const factors = Object.values(groups);
+        const full = factors.find(f => f.columns.length === strataColumns.length);
+        const covered = factors.flatMap(f => f.columns);
+        const disjoint = new Set(covered).size === covered.length;
+
+        // Full cells win; otherwise marginals must cover each stratum column exactly once
+        const used = full ? [full] : (disjoint && covered.length === strataColumns.length ? factors : []);
+        factors.filter(f => !used.includes(f)).forEach(f => unmatched.push(...f.quotas));
+        if (used.length === 0) return { targets: [], unmatched };
+
+        const totals = used.map(f => Object.values(f.byKey).reduce((sum, c) => sum + Math.max(0, c.need), 0));
+        const total = Math.max(...totals);
+
+        // Cartesian product of the factors' cells
+        let combos = [{ cell: {}, labels: [], share: 1 }];
+        used.forEach((factor, i) => {
+            combos = combos.flatMap(combo => Object.values(factor.byKey).map(c => ({
+                cell: { ...combo.cell, ...c.cell },
+                labels: [...combo.labels, c.label],
+                share: combo.share * (totals[i] > 0 ? Math.max(0, c.need) / totals[i] : 0)
+            })));
+        });
+
+        const targets = combos.map(combo => {
+            const cell = {};
+            strataColumns.forEach(col => { cell[col] = combo.cell[col]; });
+            return {
+                key: this.getStratumKey(cell, strataColumns),
+                cell,
+                label: combo.labels.join(' × '),
+                need: Math.round(total * combo.share)
+            };
+        });
+
+        return { targets, unmatched };
+    },
+
+    /**
+     * Split a batch size across cells proportional to need (largest remainder)
+     */
+    allocateStrata(limit, targets) {
+        const totalNeed = targets.reduce((sum, t) => sum + Math.max(0, t.need), 0);
+        if (totalNeed === 0) return targets.map(t => ({ ...t, allocated: 0 }));
+
+        const shares = targets.map(t => {
+            const exact = limit * Math.max(0, t.need) / totalNeed;
+            return { ...t, allocated: Math.floor(exact), remainder: exact - Math.floor(exact) };
+        });
+
+        let left = limit - shares.reduce((sum, s) => sum + s.allocated, 0);
+        [...shares]
+            .sort((a, b) => b.remainder - a.remainder)
+            .forEach(s => {
+                if (left > 0 && s.need > 0) {
+                    s.allocated++;
+                    left--;
+                }
+            });
+
+        return shares.map(({ remainder, ...s }) => s);
+    },
+
+    /**
+     * Pick rows per quota cell without marking them
+     * @param {Object} options - { type, limit, strataColumns, targets, filteredIndices }
+     * @returns {{indices: Array, skipped: Object, cells: Array, unfilled: Array}}
+     */
+    selectStratifiedRows(options) {
+        const { type = 'sms', limit, strataColumns, targets, filteredIndices = null } = options;
+        const config = ConfigManager.getAll();
+        const data = DataManager.getData();
+        const batchColRef = type === 'email' ? config.EMAIL_BATCH_COL : config.BATCH_COL;
+        const batchCol = DataManager.findColumn(batchColRef);
+        const overwrite = config.OVERWRITE_BATCH;
+
+        // Group eligible rows by cell (excluded rows never fill a quota)
+        const pool = {};
+        const isExcluded = this.getExclusionMatcher();
+        const skipped = { suppressed: 0, fatigued: 0 };
+        const indicesToProcess = filteredIndices || data.map((_, i) => i);
+        indicesToProcess.forEach(idx => {
+            const row = data[idx];
+            const hasBatch = batchCol && row[batchCol] !== '' && row[batchCol] !== null && row[batchCol] !== undefined;
+            if (!overwrite && hasBatch) return;
+            const excluded = isExcluded && isExcluded(row);
+            if (excluded) {
+                skipped[excluded]++;
+                return;
+            }
+
+            const key = this.getStratumKey(row, strataColumns);
+            (pool[key] = pool[key] || []).push(idx);
+        });
+
+        const cells = this.allocateStrata(limit, targets).map(cell => {
+            const available = pool[cell.key] || [];
+            const picked = available.slice(0, cell.allocated);
+            return {
+                ...cell,
+                available: available.length,
+                picked: picked.length,
+                shortfall: cell.allocated - picked.length,
+                indices: picked
+            };
+        });
+
+        // Keep original row order so marking follows the current sort
+        const position = new Map(indicesToProcess.map((idx, i) => [idx, i]));
+        const indices = cells.flatMap(c => c.indices).sort((a, b) => position.get(a) - position.get(b));
+
+        return {
+            indices,
+            skipped,
+            cells: cells.map(({ indices: _, ...c }) => c),
+            unfilled: cells.filter(c => c.shortfall > 0).map(({ indices: _, ...c }) => c)
+        };
+    },
+
+    /**
+     * Mark a batch split across quota cells
+     * @param {Object} options - { type: 'sms'|'email', limit, strataColumns, targets, filteredIndices }
+     */
+    markStratifiedBatch(options) {
+        const { type = 'sms', strataColumns = [], targets = [] } = options;
+
+        if (DataManager.getData().length === 0) {
+            return { success: false, message: 'Không có dữ liệu để xử lý.' };
+        }
+        if (strataColumns.length === 0 || targets.length === 0) {
+            return { success: false, message: 'Chưa chọn cột phân tầng hoặc chưa có target quota.' };
+        }
+
+        const selection = this.selectStratifiedRows(options);
+        if (selection.indices.length === 0) {
+            return { success: false, message: 'Không có dòng nào khớp với các ô quota.', ...selection };
+        }
+
+        const result = type === 'email'
+            ? this.markEmailBatch(selection.indices.length, selection.indices)
+            : this.markSmsBatch(selection.indices.length, selection.indices);
+
+        const unfilledText = selection.unfilled.length > 0
+            ? ` ${selection.unfilled.length} ô quota không đủ dòng.`
+            : '';
+
+        return {
+            ...result,
+            skipped: selection.skipped,
+            cells: selection.cells,
+            unfilled: selection.unfilled,
+            message: `${result.message.replace(/\.$/, '')} (phân tầng theo ${strataColumns.join(' × ')}).${unfilledText}${this.getSkippedNote(selection.skipped)}`
+        };
     }
 };
 
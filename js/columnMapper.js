@@ -0,0 +1,191 @@
+/**
+ * Column Mapper - FW Tools
+ * Detects the link, phone, email and plid columns of an imported file (header names and
+ * value patterns) and remembers confirmed mappings per file layout
+ */
+
+const ColumnMapper = {
+    // Config keys set by the wizard
+    ROLES: {
+        SOURCE_COL: {
+            label: 'Link khảo sát (SMS)',
+            header: /sguid|link|url/i
+        },
+        EMAIL_LINK_COL: {
+            label: 'Link khảo sát (Email)',
+            sameAs: 'SOURCE_COL'
+        },
+        PHONE_COL: {
+            label: 'Số điện thoại',
+            header: null // uses DataManager.PHONE_HEADER_HINT
+        },
+        EMAIL_COL: {
+            label: 'Email',
+            header: /e-?mail|thu\s*dien\s*tu/i
+        },
+        PLID_COL: {
+            label: 'PLID',
+            header: /^(plid|pl_id|panelist_?id|respondent_?id|rid|uid)$/i,
+            requireHeader: true
+        }
+    },
+
+    // Values sampled per column
+    SAMPLE_SIZE: 500,
+
+    /**
+     * Check if a value looks like the given role
+     */
+    matchesRole(role, value) {
+        const text = String(value).trim();
+        switch (role) {
+            case 'SOURCE_COL':
+                return /^https?:\/\/\S+$/i.test(text);
+            case 'PHONE_COL': {
+                const status = DataManager.normalizePhone(text).status;
+                return status === DataManager.PHONE_STATUS.VALID || status === DataManager.PHONE_STATUS.LANDLINE;
+            }
+            case 'EMAIL_COL':
+                return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text);
+            case 'PLID_COL':
+                return /^[A-Za-z0-9_-]{3,64}$/.test(text);
+            default:
+                return false;
+        }
+    },
+
+    /**
+     * Header pattern of a role
+     */
+    getHeaderHint(role) {
+        return role === 'PHONE_COL' ? DataManager.PHONE_HEADER_HINT : this.ROLES[role].header;
+    },
+
+    /**
+     * First non-empty values of a column
+     */
+    sampleColumn(column, rows = DataManager.getData()) {
+        const sample = [];
+        for (let i = 0; i < rows.length && sample.length < this.SAMPLE_SIZE; i++) {
+            const value = rows[i][column];
+            if (value !== '' && value !== null && value !== undefined) sample.push(value);
+        }
+        return sample;
+    },
+
+    /**
+     * Share of sampled values that look like the role (null if the column is empty)
+     */
+    getColumnQuality(role, column) {
+        const sample = this.sampleColumn(column);
+        if (sample.length === 0) return null;
+        return sample.filter(v => this.matchesRole(role, v)).length / sample.length;
+    },
+
+    /**
+     * Detect the column of every role from header names and values
+     * @returns {Object} { SOURCE_COL: column|null, ... }
+     */
+    detect() {
+        const headers = DataManager.getHeaders().filter(h => !h.startsWith('_'));
+        const used = new Set();
+        const mapping = {};
+
+        Object.entries(this.ROLES).forEach(([role, def]) => {
+            if (def.sameAs) return;
+            const hint = this.getHeaderHint(role);
+            let best = null;
+            let bestScore = 0;
+
+            headers.forEach(header => {
+                if (used.has(header)) return;
+                const headerMatch = hint ? hint.test(header) : false;
+                if (def.requireHeader && !headerMatch) return;
+
+                const share = this.getColumnQuality(role, header);
+                if (share === null || share < 0.5) return;
+
+                // Survey links carry the sguid parameter
+                const sguid = role === 'SOURCE_COL' && this.sampleColumn(header).some(v => /sguid/i.test(v)) ? 0.25 : 0;
+                const score = share + (headerMatch ? 0.5 : 0) + sguid;
+                if (score > bestScore) {
+                    best = header;
+                    bestScore = score;
+                }
+            });
+
+            mapping[role] = best;
+            if (best) used.add(best);
+        });
+
+        Object.entries(this.ROLES).forEach(([role, def]) => {
+            if (def.sameAs) mapping[role] = mapping[def.sameAs];
+        });
+        return mapping;
+    },
+
+    /**
+     * Columns the current config points to
+     */
+    getCurrentMapping() {
+        const mapping = {};
+        Object.keys(this.ROLES).forEach(role => {
+            mapping[role] = DataManager.findColumn(ConfigManager.get(role));
+        });
+        return mapping;
+    },
+
+    // ===== Saved Layouts =====
+
+    /**
+     * Layout signature of the loaded file: its own headers (without columns added by the tool)
+     */
+    getSignature() {
+        const headers = DataManager.fileInfo.headers || DataManager.getHeaders();
+        return headers.map(h => DataManager.normalizeHeader(h)).join('|');
+    },
+
+    /**
+     * Suggest a mapping: a saved layout with the same signature, otherwise detection
+     * @returns {Object} { mapping, origin: 'saved'|'detected', saved }
+     */
+    suggest() {
+        const headers = DataManager.getHeaders();
+        const saved = ConfigManager.getColumnMapping(this.getSignature());
+
+        if (saved && Object.values(saved.mapping).every(column => !column || headers.includes(column))) {
+            return { mapping: { ...this.detect(), ...saved.mapping }, origin: 'saved', saved };
+        }
+        return { mapping: this.detect(), origin: 'detected', saved: null };
+    },
+
+    /**
+     * Write the mapping to the config (column names, not letters) and optionally remember the layout
+     * @param {Object} mapping - { role: column|null }, empty roles keep their config value
+     * @param {Object} options - { remember }
+     */
+    apply(mapping, options = {}) {
+        const updates = {};
+        Object.keys(this.ROLES).forEach(role => {
+            if (mapping[role]) updates[role] = mapping[role];
+        });
+        ConfigManager.updateConfig(updates);
+
+        if (options.remember) {
+            ConfigManager.saveColumnMapping({
+                signature: this.getSignature(),
+                fileName: DataManager.fileInfo.name,
+                mapping
+            });
+        }
+
+        return {
+            success: true,
+            message: `Đã cập nhật ${Object.keys(updates).length} cột cấu hình${options.remember ? ' và ghi nhớ layout file' : ''}.`
+        };
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.ColumnMapper = ColumnMapper;
+}
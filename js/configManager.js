@@ -8,19 +8,31 @@ const ConfigManager = {
     DEFAULTS: {
         // Column references (can be letter OR column name)
         SOURCE_COL: 'E',             // sguid_link column
+        PHONE_COL: 'A',              // Phone column (used by SMS exports)
+        PHONE_FORMAT: 'local',       // Phone normalization format: 'local' (0xxxxxxxxx) | 'e164' (+84xxxxxxxxx)
+        PHONE_NORMALIZE_ON_IMPORT: false,       // Normalize detected phone column when importing a file
         CONTENT_COL: 'Content_SMS',  // SMS content column (by name)
         BATCH_COL: 'SMS_Batch',      // SMS batch column (by name)
         EMAIL_COL: 'H',              // Email address column
         EMAIL_CONTENT_COL: 'Content_Email',     // Email content column (by name)
         EMAIL_BATCH_COL: 'Email_Batch',         // Email batch column (by name)
         EMAIL_LINK_COL: 'E',                    // Email link column (sguid)
+        PLID_COL: 'plid',                       // Panelist id column (suppression, merge, API status)
         REMIND_SMS_BATCH_COL: 'Remind_SMS_Batch',    // Remind SMS Batch column (by name)
         REMIND_EMAIL_BATCH_COL: 'Remind_Email_Batch', // Remind Email Batch column (by name)
         STATUS_COL: 'Response_Status',          // Respondent Status column (by name)
         DEFAULT_LIMIT: 500,
         EXPORT_AFTER_MARK: false,
         OVERWRITE_BATCH: false,
+        SMS_STRIP_DIACRITICS: false,            // Strip Vietnamese diacritics from SMS content (GSM-7)
+        SMS_MAX_SEGMENTS: 0,                    // Skip rows whose SMS exceeds N segments (0 = no limit)
+        SUPPRESSION_ENABLED: true,              // Skip rows in the suppression list when marking batches
+        SUPPRESSION_COMPLETED_MONTHS: 6,        // Suppress completes for N months (0 = forever)
+        FATIGUE_MAX_CONTACTS: 0,                // Skip rows contacted more than N times in other projects (0 = off)
+        FATIGUE_WINDOW_DAYS: 30,                // ...within the last N days
         TEMPLATE_TEXT: 'IFM co KS 11phut ve nha dep song chat, nhan evoucher gotit 20.000d (250373).Hay tham gia ngay hom nay. Link: ',
+        EMAIL_SUBJECT: '',                      // Email subject template (placeholders allowed)
+        EMAIL_TEMPLATE_TEXT: '',                // Email HTML body template (empty = don't fill Content_Email)
         // Default visible columns (empty = show all, or list column names)
         DEFAULT_VISIBLE_COLUMNS: [],
         // Alchemer API config
@@ -34,10 +46,26 @@ const ConfigManager = {
     // Template library
     templates: [],
 
+    // Email template library ({ subject, html })
+    emailTemplates: [],
+
+    // Export profiles (column layout, phone format, delimiter, encoding per gateway)
+    exportProfiles: [],
+
+    // Global lookup/recode tables { tableName: { key: value } } shared by all projects (see FormulaEngine.getLookupTable)
+    lookupTables: {},
+
+    // Confirmed column mappings per file layout [{ signature, fileName, mapping, updatedAt }] (see ColumnMapper)
+    columnMappings: [],
+
     // Local storage keys
     STORAGE_KEYS: {
         CONFIG: 'fw_tools_config',
         TEMPLATES: 'fw_tools_templates',
+        EMAIL_TEMPLATES: 'fw_tools_email_templates',
+        EXPORT_PROFILES: 'fw_tools_export_profiles',
+        LOOKUP_TABLES: 'fw_tools_lookup_tables',
+        COLUMN_MAPPINGS: 'fw_tools_column_mappings',
         THEME: 'fw_tools_theme',
         EXPORT_HISTORY: 'fw_tools_export_history',
         ACTION_HISTORY: 'fw_tools_action_history',
@@ -50,6 +78,10 @@ const ConfigManager = {
     init() {
         this.loadConfig();
         this.loadTemplates();
+        this.loadEmailTemplates();
+        this.loadExportProfiles();
+        this.loadLookupTables();
+        this.loadColumnMappings();
         this.loadTheme();
         console.log('ConfigManager initialized', this.config);
     },
@@ -198,6 +230,218 @@ const ConfigManager = {
         return this.templates.find(t => t.id === id);
     },
 
+    // ===== Email Template Management =====
+
+    /**
+     * Load email templates from localStorage
+     */
+    loadEmailTemplates() {
+        try {
+            const stored = localStorage.getItem(this.STORAGE_KEYS.EMAIL_TEMPLATES);
+            this.emailTemplates = stored ? JSON.parse(stored) : [];
+        } catch (e) {
+            console.warn('Failed to load email templates:', e);
+            this.emailTemplates = [];
+        }
+    },
+
+    /**
+     * Save email templates to localStorage
+     */
+    saveEmailTemplates() {
+        try {
+            localStorage.setItem(this.STORAGE_KEYS.EMAIL_TEMPLATES, JSON.stringify(this.emailTemplates));
+            return true;
+        } catch (e) {
+            console.error('Failed to save email templates:', e);
+            return false;
+        }
+    },
+
+    /**
+     * Add a new email template
+     */
+    addEmailTemplate(name, subject, html) {
+        const template = {
+            id: Date.now(),
+            name: name || `Email Template ${this.emailTemplates.length + 1}`,
+            subject: subject || '',
+            html: html || '',
+            createdAt: new Date().toISOString()
+        };
+        this.emailTemplates.push(template);
+        this.saveEmailTemplates();
+        return template;
+    },
+
+    /**
+     * Delete an email template by id
+     */
+    deleteEmailTemplate(id) {
+        this.emailTemplates = this.emailTemplates.filter(t => t.id !== id);
+        this.saveEmailTemplates();
+    },
+
+    /**
+     * Get all email templates
+     */
+    getEmailTemplates() {
+        return [...this.emailTemplates];
+    },
+
+    /**
+     * Get email template by id
+     */
+    getEmailTemplate(id) {
+        return this.emailTemplates.find(t => t.id === id);
+    },
+
+    // ===== Export Profiles =====
+
+    /**
+     * Load export profiles from localStorage
+     */
+    loadExportProfiles() {
+        try {
+            const stored = localStorage.getItem(this.STORAGE_KEYS.EXPORT_PROFILES);
+            this.exportProfiles = stored ? JSON.parse(stored) : [];
+        } catch (e) {
+            console.warn('Failed to load export profiles:', e);
+            this.exportProfiles = [];
+        }
+    },
+
+    /**
+     * Save export profiles to localStorage
+     */
+    saveExportProfiles() {
+        try {
+            localStorage.setItem(this.STORAGE_KEYS.EXPORT_PROFILES, JSON.stringify(this.exportProfiles));
+            return true;
+        } catch (e) {
+            console.error('Failed to save export profiles:', e);
+            return false;
+        }
+    },
+
+    /**
+     * Add or update an export profile
+     * @param {Object} profile - { id?, name, columns: [{ field, header }], format, delimiter, encoding, phoneFormat }
+     */
+    saveExportProfile(profile) {
+        const existing = profile.id ? this.exportProfiles.findIndex(p => p.id === profile.id) : -1;
+        const saved = {
+            ...profile,
+            id: profile.id || Date.now(),
+            name: profile.name || `Profile ${this.exportProfiles.length + 1}`,
+            updatedAt: new Date().toISOString()
+        };
+
+        if (existing >= 0) {
+            this.exportProfiles[existing] = saved;
+        } else {
+            this.exportProfiles.push(saved);
+        }
+        this.saveExportProfiles();
+        return saved;
+    },
+
+    /**
+     * Delete an export profile by id
+     */
+    deleteExportProfile(id) {
+        this.exportProfiles = this.exportProfiles.filter(p => p.id !== id);
+        this.saveExportProfiles();
+    },
+
+    /**
+     * Get all export profiles
+     */
+    getExportProfiles() {
+        return [...this.exportProfiles];
+    },
+
+    /**
+     * Get export profile by id
+     */
+    getExportProfile(id) {
+        return this.exportProfiles.find(p => p.id === id);
+    },
+
+    // ===== Lookup Tables =====
+
+    /**
+     * Load global lookup tables from localStorage
+     */
+    loadLookupTables() {
+        try {
+            const stored = localStorage.getItem(this.STORAGE_KEYS.LOOKUP_TABLES);
+            this.lookupTables = stored ? JSON.parse(stored) : {};
+        } catch (e) {
+            console.warn('Failed to load lookup tables:', e);
+            this.lookupTables = {};
+        }
+    },
+
+    /**
+     * Save global lookup tables to localStorage
+     */
+    saveLookupTables() {
+        try {
+            localStorage.setItem(this.STORAGE_KEYS.LOOKUP_TABLES, JSON.stringify(this.lookupTables));
+            return true;
+        } catch (e) {
+            console.error('Failed to save lookup tables:', e);
+            return false;
+        }
+    },
+
+    /**
+     * Get all global lookup tables
+     */
+    getLookupTables() {
+        return this.lookupTables;
+    },
+
+    // ===== Column Mappings =====
+
+    /**
+     * Load saved column mappings from localStorage
+     */
+    loadColumnMappings() {
+        try {
+            const stored = localStorage.getItem(this.STORAGE_KEYS.COLUMN_MAPPINGS);
+            this.columnMappings = stored ? JSON.parse(stored) : [];
+        } catch (e) {
+            console.warn('Failed to load column mappings:', e);
+            this.columnMappings = [];
+        }
+    },
+
+    /**
+     * Remember the mapping of a file layout (most recent first, keep last 50)
+     * @param {Object} entry - { signature, fileName, mapping }
+     */
+    saveColumnMapping(entry) {
+        this.columnMappings = [
+            { ...entry, updatedAt: new Date().toISOString() },
+            ...this.columnMappings.filter(m => m.signature !== entry.signature)
+        ].slice(0, 50);
+
+        try {
+            localStorage.setItem(this.STORAGE_KEYS.COLUMN_MAPPINGS, JSON.stringify(this.columnMappings));
+        } catch (e) {
+            console.error('Failed to save column mappings:', e);
+        }
+    },
+
+    /**
+     * Get the saved mapping of a file layout
+     */
+    getColumnMapping(signature) {
+        return this.columnMappings.find(m => m.signature === signature) || null;
+    },
+
     // ===== Theme Management =====
 
     /**
@@ -0,0 +1,179 @@
+/**
+ * Contact History Manager - FW Tools
+ * Cross-project contact history (batch assignments per phone/email/plid) for fatigue limits
+ */
+
+const ContactHistoryManager = {
+    API_URL: '/api/contact-history',
+
+    // Cached history for the current data: "type:key" -> [{ project, channel, batch, date }]
+    contacts: new Map(),
+
+    // What the cache was loaded for (reloaded when project, window or data size changes)
+    loadedFor: null,
+    loadedAt: null,
+
+    // Reload the cache after this many ms
+    MAX_AGE: 5 * 60 * 1000,
+
+    // "project|hash" of the assignments sent with the last successful save (see getChangedContacts)
+    sentSignature: null,
+
+    /**
+     * Check if fatigue exclusion is enabled in config
+     */
+    isEnabled() {
+        return (parseInt(ConfigManager.get('FATIGUE_MAX_CONTACTS')) || 0) > 0;
+    },
+
+    /**
+     * Get suppression-style keys of a row ("phone:0912345678", "email:a@b.com", "plid:123")
+     */
+    getRowKeys(row, columns) {
+        const keys = [];
+        SuppressionManager.TYPES.forEach(type => {
+            if (!columns[type]) return;
+            const key = SuppressionManager.normalizeKey(type, row[columns[type]]);
+            if (key) keys.push(`${type}:${key}`);
+        });
+        return keys;
+    },
+
+    /**
+     * Build this project's assignments for api/projects/save.js
+     * @returns {Object} { "type:key": [{ channel, batch, date }] }
+     */
+    buildContacts() {
+        const data = DataManager.getData();
+        const columns = SuppressionManager.getMatchColumns();
+        const channels = BatchAnalytics.CHANNELS
+            .map(channel => ({ id: channel.id, col: DataManager.findColumn(ConfigManager.get(channel.configKey)) }))
+            .filter(channel => channel.col);
+
+        const contacts = {};
+        data.forEach(row => {
+            const assignments = [];
+            channels.forEach(channel => {
+                const batch = row[channel.col];
+                if (batch === '' || batch === null || batch === undefined) return;
+                const logEntry = DataManager.getBatchLogEntry(channel.id, batch);
+                assignments.push({ channel: channel.id, batch, date: logEntry ? logEntry.markedAt : null });
+            });
+            if (assignments.length === 0) return;
+
+            this.getRowKeys(row, columns).forEach(key => {
+                contacts[key] = (contacts[key] || []).concat(assignments);
+            });
+        });
+        return contacts;
+    },
+
+    /**
+     * This project's assignments when they differ from the last ones saved, so autosaves
+     * that did not touch batches don't upload the whole map again
+     * @returns {Object|null} { contacts, signature } - null if unchanged
+     */
+    getChangedContacts(project) {
+        const contacts = this.buildContacts();
+        const signature = `${project}|${this.hashString(JSON.stringify(contacts))}`;
+        return signature === this.sentSignature ? null : { contacts, signature };
+    },
+
+    /**
+     * Remember the assignments a successful save sent
+     */
+    markSent(signature) {
+        this.sentSignature = signature;
+    },
+
+    /**
+     * 32-bit FNV-1a hash of a string (change detection only)
+     */
+    hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16);
+    },
+
+    /**
+     * Load history of the current data's contacts from the server
+     * Assignments of the current project are excluded (they are already in the data)
+     */
+    async refresh() {
+        const data = DataManager.getData();
+        const columns = SuppressionManager.getMatchColumns();
+        const keys = new Set();
+        data.forEach(row => this.getRowKeys(row, columns).forEach(key => keys.add(key)));
+
+        const project = typeof StorageManager !== 'undefined' ? StorageManager.currentProject : null;
+        const days = parseInt(ConfigManager.get('FATIGUE_WINDOW_DAYS')) || 0;
+
+        try {
+            const response = await fetch(this.API_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ keys: Array.from(keys), days, excludeProject: project })
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+
+            this.contacts = new Map(Object.entries(result.contacts || {}));
+            this.loadedFor = { project, days, rows: data.length };
+            this.loadedAt = Date.now();
+            return { success: true, matched: this.contacts.size };
+        } catch (error) {
+            console.warn('ContactHistoryManager: failed to load history -', error.message);
+            return { success: false, message: `Không tải được lịch sử liên hệ: ${error.message}` };
+        }
+    },
+
+    /**
+     * Refresh the cache if fatigue is enabled and the cache is stale
+     */
+    async ensureLoaded() {
+        if (!this.isEnabled()) return { success: true };
+
+        const project = typeof StorageManager !== 'undefined' ? StorageManager.currentProject : null;
+        const days = parseInt(ConfigManager.get('FATIGUE_WINDOW_DAYS')) || 0;
+        const current = this.loadedFor;
+        const fresh = current && this.loadedAt && Date.now() - this.loadedAt < this.MAX_AGE &&
+            current.project === project && current.days === days && current.rows === DataManager.getData().length;
+
+        return fresh ? { success: true } : this.refresh();
+    },
+
+    /**
+     * Count distinct contacts (project + channel + batch) of a row in the window
+     */
+    countContacts(keys, cutoff = '') {
+        const seen = new Set();
+        keys.forEach(key => {
+            (this.contacts.get(key) || []).forEach(entry => {
+                if (entry.date >= cutoff) seen.add(`${entry.project}|${entry.channel}|${entry.batch}`);
+            });
+        });
+        return seen.size;
+    },
+
+    /**
+     * Create a row matcher for fatigue exclusion (columns resolved once)
+     * @returns {Function|null} row => true if contacted more than FATIGUE_MAX_CONTACTS times, null if disabled
+     */
+    createMatcher() {
+        if (!this.isEnabled() || !this.loadedFor) return null;
+
+        const max = parseInt(ConfigManager.get('FATIGUE_MAX_CONTACTS'));
+        const days = parseInt(ConfigManager.get('FATIGUE_WINDOW_DAYS')) || 0;
+        const cutoff = days > 0 ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : '';
+        const columns = SuppressionManager.getMatchColumns();
+
+        return (row) => this.contacts.size > 0 && this.countContacts(this.getRowKeys(row, columns), cutoff) > max;
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.ContactHistoryManager = ContactHistoryManager;
+}
@@ -0,0 +1,229 @@
+/**
+ * CSV Reader - FW Tools
+ * Encoding and delimiter sniffing plus an incremental CSV parser.
+ * Shared by the page (URL import, main-thread fallback) and js/importWorker.js
+ */
+
+const CsvReader = {
+    // Supported encodings (TextDecoder labels)
+    ENCODINGS: {
+        'utf-8': 'UTF-8',
+        'utf-16le': 'UTF-16 LE',
+        'utf-16be': 'UTF-16 BE',
+        'windows-1258': 'Windows-1258 (Tiếng Việt)'
+    },
+
+    // Candidate delimiters
+    DELIMITERS: {
+        ',': 'Dấu phẩy (,)',
+        ';': 'Chấm phẩy (;)',
+        '\t': 'Tab',
+        '|': 'Gạch đứng (|)'
+    },
+
+    // Bytes / lines looked at when sniffing
+    SNIFF_BYTES: 64 * 1024,
+    SNIFF_LINES: 10,
+
+    // ===== Sniffing =====
+
+    /**
+     * Detect the encoding of raw bytes: BOM first, then UTF-16 null-byte pattern,
+     * then UTF-8 validity; anything else is treated as Windows-1258
+     * @param {Uint8Array} bytes - Start of the file
+     * @returns {string} TextDecoder label
+     */
+    detectEncoding(bytes) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+
+        const sample = bytes.subarray(0, this.SNIFF_BYTES);
+
+        // UTF-16 without BOM: ASCII characters leave every other byte empty
+        let evenZeros = 0;
+        let oddZeros = 0;
+        for (let i = 0; i < Math.min(sample.length, 4096); i++) {
+            if (sample[i] !== 0) continue;
+            if (i % 2 === 0) evenZeros++; else oddZeros++;
+        }
+        const half = Math.min(sample.length, 4096) / 2;
+        if (oddZeros > half * 0.3 && evenZeros < oddZeros / 4) return 'utf-16le';
+        if (evenZeros > half * 0.3 && oddZeros < evenZeros / 4) return 'utf-16be';
+
+        try {
+            // stream: a multi-byte character cut at the end of the sample is not an error
+            new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+            return 'utf-8';
+        } catch (error) {
+            return 'windows-1258';
+        }
+    },
+
+    /**
+     * Guess the delimiter from the first lines: the candidate that appears in the header
+     * and splits most lines into the same number of fields
+     */
+    guessDelimiter(text) {
+        const lines = String(text)
+            .split(/\r?\n/, this.SNIFF_LINES)
+            .filter(line => line.trim() !== '')
+            .map(line => line.replace(/"[^"]*"/g, ''));
+        if (lines.length === 0) return ',';
+
+        let best = ',';
+        let bestScore = 0;
+        Object.keys(this.DELIMITERS).forEach(delimiter => {
+            const counts = lines.map(line => line.split(delimiter).length - 1);
+            if (counts[0] === 0) return;
+            const consistent = counts.filter(count => count === counts[0]).length;
+            const score = consistent * 1000 + counts[0];
+            if (score > bestScore) {
+                best = delimiter;
+                bestScore = score;
+            }
+        });
+        return best;
+    },
+
+    /**
+     * Check for an Excel file signature (xlsx zip or legacy xls)
+     */
+    isWorkbook(bytes) {
+        return (bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04) ||
+            (bytes[0] === 0xD0 && bytes[1] === 0xCF && bytes[2] === 0x11 && bytes[3] === 0xE0);
+    },
+
+    /**
+     * Short label of a dialect for messages, e.g. "UTF-8 · Chấm phẩy (;)"
+     */
+    getDialectLabel({ encoding, delimiter }) {
+        return `${this.ENCODINGS[encoding] || encoding} · ${this.DELIMITERS[delimiter] || delimiter}`;
+    },
+
+    // ===== Parsing =====
+
+    /**
+     * Decode and parse a whole CSV file
+     * @param {Uint8Array} bytes - File content
+     * @param {Object} options - { encoding, delimiter } (empty = detect)
+     * @returns {Object} { rows: Array<Array>, encoding, delimiter }
+     */
+    read(bytes, options = {}) {
+        const encoding = options.encoding || this.detectEncoding(bytes);
+        const text = new TextDecoder(encoding).decode(bytes);
+        const delimiter = options.delimiter || this.guessDelimiter(text);
+        return { rows: this.parse(text, delimiter, this.getParserOptions(encoding)), encoding, delimiter };
+    },
+
+    /**
+     * Parser options for an encoding: Windows-1258 writes tone marks as combining characters,
+     * compose them so values match text typed elsewhere
+     */
+    getParserOptions(encoding) {
+        return { normalize: encoding === 'windows-1258' };
+    },
+
+    /**
+     * Parse CSV text into rows
+     */
+    parse(text, delimiter = ',', options = {}) {
+        const rows = [];
+        const parser = this.createParser(delimiter, row => rows.push(row), options);
+        parser.push(text);
+        parser.end();
+        return rows;
+    },
+
+    /**
+     * Incremental CSV parser (RFC 4180 quotes, fields and quotes may span chunks)
+     * @param {string} delimiter - Field delimiter
+     * @param {Function} onRow - Called with each row (array of values)
+     * @param {Object} options - { normalize: compose values to NFC }
+     * @returns {Object} { push(text), end() }
+     */
+    createParser(delimiter, onRow, options = {}) {
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        let quotePending = false; // Chunk ended right after a quote inside a quoted field
+
+        const endField = () => {
+            row.push(this.convertValue(options.normalize ? field.normalize('NFC') : field));
+            field = '';
+        };
+        const endRow = () => {
+            endField();
+            // Skip blank lines
+            if (row.length > 1 || row[0] !== '') onRow(row);
+            row = [];
+        };
+
+        return {
+            push(text) {
+                let i = 0;
+                let start = 0;
+
+                if (quotePending) {
+                    quotePending = false;
+                    if (text[0] === '"') {
+                        field += '"';
+                        i = 1;
+                        start = 1;
+                    } else {
+                        inQuotes = false;
+                    }
+                }
+
+                for (; i < text.length; i++) {
+                    const c = text[i];
+                    if (inQuotes) {
+                        if (c !== '"') continue;
+                        field += text.slice(start, i);
+                        if (i + 1 === text.length) {
+                            quotePending = true;
+                            start = i + 1;
+                        } else if (text[i + 1] === '"') {
+                            field += '"';
+                            i++;
+                            start = i + 1;
+                        } else {
+                            inQuotes = false;
+                            start = i + 1;
+                        }
+                    } else if (c === delimiter) {
+                        field += text.slice(start, i);
+                        endField();
+                        start = i + 1;
+                    } else if (c === '\n') {
+                        field += text.slice(start, i);
+                        endRow();
+                        start = i + 1;
+                    } else if (c === '\r') {
+                        field += text.slice(start, i);
+                        start = i + 1;
+                    } else if (c === '"' && field === '' && i === start) {
+                        inQuotes = true;
+                        start = i + 1;
+                    }
+                }
+                field += text.slice(start);
+            },
+
+            end() {
+                if (field !== '' || row.length > 0) endRow();
+            }
+        };
+    },
+
+    /**
+     * Plain numbers become numbers (like SheetJS); values with leading zeros (phones, ids) stay text
+     */
+    convertValue(value) {
+        return /^-?(?:0|[1-9]\d{0,14})(?:\.\d+)?$/.test(value) ? Number(value) : value;
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.CsvReader = CsvReader;
+}
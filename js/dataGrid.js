@@ -0,0 +1,809 @@
+/**
+ * Data Grid - FW Tools
+ * Virtualized data grid: only visible rows are rendered, sticky header,
+ * resizable/reorderable/sortable columns, frozen leading columns and inline cell editing
+ */
+
+const DataGrid = {
+    // Layout persisted across sessions (column widths by name, column order, frozen count)
+    STORAGE_KEY: 'fw_tools_grid_layout',
+
+    ROW_HEIGHT: 34,
+    ROW_NUMBER_WIDTH: 64,
+    DEFAULT_WIDTH: 150,
+    MIN_WIDTH: 50,
+    OVERSCAN: 10,
+
+    // DOM
+    container: null,
+    viewport: null,
+    header: null,
+    body: null,
+
+    // Current view
+    indices: [],        // Original row indices to display (filtered)
+    columns: [],        // Display columns (visible, in layout order)
+    cellClasses: {},    // Column -> cell class (batch badges)
+    layout: { widths: {}, order: [], frozen: 0 },
+
+    // Interaction state
+    renderFrame: null,
+    resizing: null,
+    dragColumn: null,
+
+    // Selection in display positions ({ pos: index in indices, col: index in columns })
+    active: null,       // Cursor cell (edited on Enter / typing)
+    extent: null,       // Opposite corner of the selected range
+    selecting: false,   // Mouse button held down on a cell
+    editor: null,       // { input, pos, col, index, column }
+
+    // Called with the history entry after an edit (set by index.js to refresh the app)
+    onChange: null,
+
+    /**
+     * Initialize grid inside a container element
+     */
+    init(containerId = 'dataGrid') {
+        this.container = document.getElementById(containerId);
+        if (!this.container) return;
+
+        this.loadLayout();
+
+        this.container.innerHTML = `
+            <div class="grid-viewport" tabindex="0">
+                <div class="grid-header"></div>
+                <div class="grid-body"></div>
+            </div>
+        `;
+        this.viewport = this.container.querySelector('.grid-viewport');
+        this.header = this.container.querySelector('.grid-header');
+        this.body = this.container.querySelector('.grid-body');
+
+        this.viewport.addEventListener('scroll', () => this.scheduleRender());
+        window.addEventListener('resize', () => this.scheduleRender());
+        this.setupHeaderEvents();
+        this.setupBodyEvents();
+    },
+
+    // ===== Layout =====
+
+    /**
+     * Load layout from localStorage
+     */
+    loadLayout() {
+        try {
+            const stored = localStorage.getItem(this.STORAGE_KEY);
+            if (stored) {
+                this.layout = { ...this.layout, ...JSON.parse(stored) };
+            }
+        } catch (e) {
+            console.warn('Failed to load grid layout:', e);
+        }
+    },
+
+    /**
+     * Save layout to localStorage
+     */
+    saveLayout() {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.layout));
+    },
+
+    /**
+     * Get column width
+     */
+    getWidth(column) {
+        return this.layout.widths[column] || this.DEFAULT_WIDTH;
+    },
+
+    /**
+     * Sort columns by saved order (new columns keep their data order at the end)
+     */
+    orderColumns(columns) {
+        const position = new Map(this.layout.order.map((col, i) => [col, i]));
+        return columns
+            .map((col, i) => ({ col, i }))
+            .sort((a, b) => {
+                const pa = position.has(a.col) ? position.get(a.col) : this.layout.order.length + a.i;
+                const pb = position.has(b.col) ? position.get(b.col) : this.layout.order.length + b.i;
+                return pa - pb;
+            })
+            .map(item => item.col);
+    },
+
+    /**
+     * Set number of frozen leading columns
+     */
+    setFrozen(count) {
+        this.layout.frozen = Math.max(0, parseInt(count) || 0);
+        this.saveLayout();
+        this.renderHeader();
+        this.renderRows();
+    },
+
+    /**
+     * Move a column before another one
+     */
+    moveColumn(column, beforeColumn) {
+        if (column === beforeColumn) return;
+
+        const order = this.orderColumns(DataManager.getHeaders()).filter(c => c !== column);
+        const target = beforeColumn ? order.indexOf(beforeColumn) : -1;
+        order.splice(target >= 0 ? target : order.length, 0, column);
+
+        this.layout.order = order;
+        this.saveLayout();
+        this.columns = this.orderColumns(this.columns);
+        this.renderHeader();
+        this.renderRows();
+    },
+
+    /**
+     * Reset widths, order and frozen columns
+     */
+    resetLayout() {
+        this.layout = { widths: {}, order: [], frozen: 0 };
+        this.saveLayout();
+        this.columns = this.orderColumns(this.columns);
+        this.renderHeader();
+        this.renderRows();
+    },
+
+    // ===== Rendering =====
+
+    /**
+     * Set grid content and render
+     * @param {Object} view - { indices: original row indices, columns: visible columns }
+     */
+    setView({ indices, columns }) {
+        if (!this.viewport) this.init();
+        if (!this.viewport) return;
+
+        this.indices = indices;
+        this.columns = this.orderColumns(columns);
+
+        // Resolve batch columns once per render instead of per cell
+        const config = ConfigManager.getAll();
+        this.cellClasses = {};
+        const smsBatchCol = DataManager.findColumn(config.BATCH_COL);
+        const emailBatchCol = DataManager.findColumn(config.EMAIL_BATCH_COL);
+        if (smsBatchCol) this.cellClasses[smsBatchCol] = 'cell-batch sms';
+        if (emailBatchCol) this.cellClasses[emailBatchCol] = 'cell-batch email';
+
+        // Keep the selection inside the new view
+        if (this.active) {
+            if (indices.length === 0 || this.columns.length === 0) {
+                this.active = null;
+                this.extent = null;
+            } else {
+                this.active = this.clampCell(this.active);
+                this.extent = this.clampCell(this.extent);
+            }
+        }
+
+        // Keep scroll position, but never past the end
+        const maxScroll = Math.max(0, indices.length * this.ROW_HEIGHT - this.viewport.clientHeight);
+        if (this.viewport.scrollTop > maxScroll) this.viewport.scrollTop = maxScroll;
+
+        this.renderHeader();
+        this.renderRows();
+    },
+
+    /**
+     * Scroll to the top (e.g. after filter change)
+     */
+    scrollToTop() {
+        if (this.viewport) this.viewport.scrollTop = 0;
+    },
+
+    /**
+     * Scroll so that a display position is visible
+     */
+    scrollToPosition(position) {
+        if (!this.viewport) return;
+        const top = position * this.ROW_HEIGHT;
+        const bottom = top + this.ROW_HEIGHT;
+        const viewTop = this.viewport.scrollTop;
+        const viewHeight = this.viewport.clientHeight - this.header.offsetHeight;
+
+        if (top < viewTop) {
+            this.viewport.scrollTop = top;
+        } else if (bottom > viewTop + viewHeight) {
+            this.viewport.scrollTop = bottom - viewHeight;
+        }
+    },
+
+    /**
+     * Scroll horizontally so that a display column is visible (next to the frozen columns)
+     */
+    scrollToColumn(col) {
+        if (!this.viewport || col < this.layout.frozen) return;
+
+        const left = this.getColumnLeft(col);
+        const right = left + this.getWidth(this.columns[col]);
+        const frozenWidth = this.getColumnLeft(Math.min(this.layout.frozen, this.columns.length));
+        const viewLeft = this.viewport.scrollLeft;
+
+        if (left < viewLeft + frozenWidth) {
+            this.viewport.scrollLeft = Math.max(0, left - frozenWidth);
+        } else if (right > viewLeft + this.viewport.clientWidth) {
+            this.viewport.scrollLeft = right - this.viewport.clientWidth;
+        }
+    },
+
+    /**
+     * Render on next animation frame (coalesces scroll events)
+     */
+    scheduleRender() {
+        if (this.renderFrame) return;
+        this.renderFrame = requestAnimationFrame(() => {
+            this.renderFrame = null;
+            this.renderRows();
+        });
+    },
+
+    /**
+     * Compute left offsets of frozen columns
+     * @returns {Array<number|null>} sticky left offset per display column (null = not frozen)
+     */
+    getFrozenOffsets() {
+        let left = this.ROW_NUMBER_WIDTH;
+        return this.columns.map((col, i) => {
+            if (i >= this.layout.frozen) return null;
+            const offset = left;
+            left += this.getWidth(col);
+            return offset;
+        });
+    },
+
+    /**
+     * Get left position of a display column inside a row
+     */
+    getColumnLeft(col) {
+        let left = this.ROW_NUMBER_WIDTH;
+        for (let i = 0; i < col; i++) left += this.getWidth(this.columns[i]);
+        return left;
+    },
+
+    /**
+     * Get total row width
+     */
+    getTotalWidth() {
+        return this.columns.reduce((sum, col) => sum + this.getWidth(col), this.ROW_NUMBER_WIDTH);
+    },
+
+    /**
+     * Render header row
+     */
+    renderHeader() {
+        const offsets = this.getFrozenOffsets();
+        const lastFrozen = Math.min(this.layout.frozen, this.columns.length) - 1;
+
+        this.header.style.width = `${this.getTotalWidth()}px`;
+        this.header.innerHTML = `
+            <div class="grid-cell grid-row-number frozen" style="width:${this.ROW_NUMBER_WIDTH}px;left:0">#</div>
+            ${this.columns.map((col, i) => `
+                <div class="grid-cell grid-header-cell ${offsets[i] !== null ? 'frozen' : ''} ${i === lastFrozen ? 'frozen-last' : ''}"
+                    draggable="true" data-col="${this.escape(col)}"
+                    style="width:${this.getWidth(col)}px;${offsets[i] !== null ? `left:${offsets[i]}px` : ''}"
+                    title="${this.escape(col)}">
+                    <span class="grid-header-label">${this.escape(col)}</span>
+                    ${this.renderSortIndicator(col)}
+                    <span class="grid-resizer" data-col="${this.escape(col)}"></span>
+                </div>
+            `).join('')}
+        `;
+    },
+
+    /**
+     * Sort arrow (with priority when sorting by several columns)
+     */
+    renderSortIndicator(column) {
+        const sort = SortEngine.getColumnSort(column);
+        if (!sort) return '';
+        const priority = SortEngine.keys.length > 1 ? `<sup>${sort.priority}</sup>` : '';
+        return `<span class="grid-sort-indicator">${sort.direction === 'asc' ? '▲' : '▼'}${priority}</span>`;
+    },
+
+    /**
+     * Render visible rows
+     */
+    renderRows() {
+        if (!this.viewport) return;
+
+        const data = DataManager.getData();
+        const total = this.indices.length;
+        const totalWidth = this.getTotalWidth();
+        const headerHeight = this.header.offsetHeight;
+
+        this.body.style.height = `${total * this.ROW_HEIGHT}px`;
+        this.body.style.width = `${totalWidth}px`;
+
+        const scrollTop = this.viewport.scrollTop;
+        const viewHeight = Math.max(this.viewport.clientHeight - headerHeight, this.ROW_HEIGHT);
+        const first = Math.max(0, Math.floor(scrollTop / this.ROW_HEIGHT) - this.OVERSCAN);
+        const last = Math.min(total, Math.ceil((scrollTop + viewHeight) / this.ROW_HEIGHT) + this.OVERSCAN);
+
+        const offsets = this.getFrozenOffsets();
+        const lastFrozen = Math.min(this.layout.frozen, this.columns.length) - 1;
+        const cellStyles = this.columns.map((col, i) =>
+            `width:${this.getWidth(col)}px;${offsets[i] !== null ? `left:${offsets[i]}px` : ''}`
+        );
+        const cellClasses = this.columns.map((col, i) =>
+            `grid-cell${offsets[i] !== null ? ' frozen' : ''}${i === lastFrozen ? ' frozen-last' : ''}`
+        );
+        const range = this.getSelectionRange();
+        const isActive = (pos, i) => this.active && this.active.pos === pos && this.active.col === i;
+
+        let html = '';
+        for (let pos = first; pos < last; pos++) {
+            const index = this.indices[pos];
+            const row = data[index];
+            if (!row) continue;
+
+            html += `<div class="grid-row${pos % 2 ? ' even' : ''}" data-pos="${pos}" data-index="${index}" style="top:${pos * this.ROW_HEIGHT}px;width:${totalWidth}px">`;
+            const rowSelected = range && pos >= range.top && pos <= range.bottom;
+            html += `<div class="grid-cell grid-row-number frozen${rowSelected ? ' selected' : ''}" style="width:${this.ROW_NUMBER_WIDTH}px;left:0">${index + 1}</div>`;
+            this.columns.forEach((col, i) => {
+                const value = row[col];
+                const text = value !== null && value !== undefined ? this.escape(value) : '';
+                const badge = value && this.cellClasses[col];
+                let className = cellClasses[i];
+                if (rowSelected && i >= range.left && i <= range.right) className += ' selected';
+                if (isActive(pos, i)) className += ' active';
+                html += `<div class="${className}" data-col-pos="${i}" style="${cellStyles[i]}" title="${text}">${badge ? `<span class="${badge}">${text}</span>` : text}</div>`;
+            });
+            html += '</div>';
+        }
+        this.body.innerHTML = html;
+
+        // Frozen cells move with horizontal scroll, so the editor follows them
+        if (this.editor) this.placeEditor();
+
+        this.updateRowCount(
+            Math.min(total, Math.floor(scrollTop / this.ROW_HEIGHT) + 1),
+            Math.min(total, Math.ceil((scrollTop + viewHeight) / this.ROW_HEIGHT))
+        );
+    },
+
+    /**
+     * Update "Showing a-b / total" in the toolbar
+     */
+    updateRowCount(firstVisible, lastVisible) {
+        const visibleCount = document.getElementById('visibleCount');
+        const totalCount = document.getElementById('totalCount');
+        if (!visibleCount || !totalCount) return;
+
+        const total = this.indices.length;
+        visibleCount.textContent = total > 0 ? `${UIRenderer.formatNumber(firstVisible)}-${UIRenderer.formatNumber(lastVisible)}` : '0';
+        totalCount.textContent = UIRenderer.formatNumber(total);
+    },
+
+    // ===== Selection & editing =====
+
+    /**
+     * Clamp a cell position to the current view
+     */
+    clampCell(cell) {
+        return {
+            pos: Math.max(0, Math.min(this.indices.length - 1, cell.pos)),
+            col: Math.max(0, Math.min(this.columns.length - 1, cell.col))
+        };
+    },
+
+    /**
+     * Get selected range in display positions
+     * @returns {Object|null} { top, bottom, left, right }
+     */
+    getSelectionRange() {
+        if (!this.active) return null;
+        const extent = this.extent || this.active;
+        return {
+            top: Math.min(this.active.pos, extent.pos),
+            bottom: Math.max(this.active.pos, extent.pos),
+            left: Math.min(this.active.col, extent.col),
+            right: Math.max(this.active.col, extent.col)
+        };
+    },
+
+    /**
+     * Get column of the cursor cell (used to prefill bulk edit dialogs)
+     */
+    getActiveColumn() {
+        return this.active ? this.columns[this.active.col] : null;
+    },
+
+    /**
+     * Select a cell, or extend the selection to it
+     */
+    select(cell, extend = false) {
+        if (this.indices.length === 0 || this.columns.length === 0) return;
+
+        const next = this.clampCell(cell);
+        if (extend && this.active) {
+            this.extent = next;
+        } else {
+            this.active = next;
+            this.extent = { ...next };
+        }
+        this.scrollToPosition(next.pos);
+        this.scrollToColumn(next.col);
+        this.renderRows();
+    },
+
+    /**
+     * Move the cursor (or the selection corner when extending) by rows/columns
+     */
+    move(rows, cols, extend = false) {
+        if (!this.active) return;
+        const from = extend ? this.extent : this.active;
+        this.select({ pos: from.pos + rows, col: from.col + cols }, extend);
+    },
+
+    /**
+     * Handle mouse selection and double-click editing on cells
+     */
+    setupBodyEvents() {
+        const cellFromEvent = (e) => {
+            const row = e.target.closest('.grid-row');
+            if (!row) return null;
+            const cell = e.target.closest('.grid-cell');
+            const pos = parseInt(row.dataset.pos);
+            // Row number selects the whole row
+            if (!cell || cell.dataset.colPos === undefined) return { pos, col: null };
+            return { pos, col: parseInt(cell.dataset.colPos) };
+        };
+
+        this.body.addEventListener('mousedown', (e) => {
+            const cell = cellFromEvent(e);
+            if (!cell || e.button !== 0) return;
+            if (this.editor) this.commitEdit();
+
+            if (cell.col === null) {
+                if (!e.shiftKey || !this.active) this.active = { pos: cell.pos, col: 0 };
+                this.select({ pos: cell.pos, col: this.columns.length - 1 }, true);
+            } else {
+                this.select(cell, e.shiftKey);
+            }
+            this.selecting = true;
+            this.viewport.focus({ preventScroll: true });
+        });
+
+        this.body.addEventListener('mouseover', (e) => {
+            if (!this.selecting) return;
+            const cell = cellFromEvent(e);
+            if (cell && cell.col !== null) this.select(cell, true);
+        });
+
+        document.addEventListener('mouseup', () => {
+            this.selecting = false;
+        });
+
+        this.body.addEventListener('dblclick', (e) => {
+            const cell = cellFromEvent(e);
+            if (cell && cell.col !== null) this.startEdit();
+        });
+
+        this.viewport.addEventListener('keydown', (e) => this.handleKeyDown(e));
+    },
+
+    /**
+     * Keyboard navigation: arrows/Tab/Home/End/PageUp/PageDown move, Shift extends,
+     * Enter/F2 or typing edits, Delete clears, Ctrl+D fills down, Ctrl+A selects all
+     */
+    handleKeyDown(e) {
+        if (this.editor || !this.active || e.target !== this.viewport) return;
+
+        const ctrl = e.ctrlKey || e.metaKey;
+        const pageRows = Math.max(1, Math.floor((this.viewport.clientHeight - this.header.offsetHeight) / this.ROW_HEIGHT) - 1);
+        const moves = {
+            ArrowUp: [-1, 0],
+            ArrowDown: [1, 0],
+            ArrowLeft: [0, -1],
+            ArrowRight: [0, 1],
+            PageUp: [-pageRows, 0],
+            PageDown: [pageRows, 0]
+        };
+
+        if (moves[e.key]) {
+            e.preventDefault();
+            this.move(moves[e.key][0], moves[e.key][1], e.shiftKey);
+        } else if (e.key === 'Tab') {
+            e.preventDefault();
+            this.move(0, e.shiftKey ? -1 : 1);
+        } else if (e.key === 'Home' || e.key === 'End') {
+            e.preventDefault();
+            const col = e.key === 'Home' ? 0 : this.columns.length - 1;
+            const pos = ctrl ? (e.key === 'Home' ? 0 : this.indices.length - 1) : (e.shiftKey ? this.extent : this.active).pos;
+            this.select({ pos, col }, e.shiftKey);
+        } else if (e.key === 'Enter' || e.key === 'F2') {
+            e.preventDefault();
+            this.startEdit();
+        } else if (e.key === 'Delete' || e.key === 'Backspace') {
+            e.preventDefault();
+            this.clearSelectedCells();
+        } else if (e.key === 'Escape') {
+            this.select(this.active);
+        } else if (ctrl && e.key.toLowerCase() === 'd') {
+            e.preventDefault();
+            this.fillDown();
+        } else if (ctrl && e.key.toLowerCase() === 'a') {
+            e.preventDefault();
+            this.active = { pos: 0, col: 0 };
+            this.select({ pos: this.indices.length - 1, col: this.columns.length - 1 }, true);
+        } else if (e.key.length === 1 && !ctrl && !e.altKey) {
+            // Typing replaces the cell content
+            e.preventDefault();
+            this.startEdit(e.key);
+        }
+    },
+
+    /**
+     * Open the inline editor on the cursor cell
+     * @param {string} [initialText] - Replace the value with this text (typing), keep the value otherwise
+     */
+    startEdit(initialText = null) {
+        if (!this.active) return;
+        const { pos, col } = this.active;
+        const index = this.indices[pos];
+        const column = this.columns[col];
+        const row = DataManager.getRow(index);
+        if (!row) return;
+
+        if (FormulaEngine.isFormulaColumn(column)) {
+            UIRenderer.showToast(`"${column}" là cột công thức - sửa công thức thay vì từng ô.`, 'warning');
+            return;
+        }
+
+        this.select(this.active);
+
+        const value = row[column];
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'grid-editor';
+        input.value = initialText !== null ? initialText : (value !== null && value !== undefined ? String(value) : '');
+
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.commitEdit();
+                this.move(e.shiftKey ? -1 : 1, 0);
+            } else if (e.key === 'Tab') {
+                e.preventDefault();
+                this.commitEdit();
+                this.move(0, e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.cancelEdit();
+            }
+        });
+        input.addEventListener('blur', () => this.commitEdit());
+
+        this.editor = { input, pos, col, index, column };
+        this.viewport.appendChild(input);
+        this.placeEditor();
+        input.focus({ preventScroll: true });
+        input.setSelectionRange(input.value.length, input.value.length);
+    },
+
+    /**
+     * Position the editor over its cell (cancelled if the view no longer shows that cell)
+     */
+    placeEditor() {
+        const { input, pos, col, index, column } = this.editor;
+        if (this.indices[pos] !== index || this.columns[col] !== column) {
+            this.cancelEdit();
+            return;
+        }
+
+        const frozen = col < this.layout.frozen;
+        const left = this.getColumnLeft(col) + (frozen ? this.viewport.scrollLeft : 0);
+        input.style.top = `${this.header.offsetHeight + pos * this.ROW_HEIGHT}px`;
+        input.style.left = `${left}px`;
+        input.style.width = `${this.getWidth(column)}px`;
+    },
+
+    /**
+     * Close the editor and save its value through DataManager (recorded in undo history)
+     */
+    commitEdit() {
+        if (!this.editor) return;
+        const { input, index, column } = this.editor;
+        this.editor = null;
+        input.remove();
+        this.viewport.focus({ preventScroll: true });
+
+        const row = DataManager.getRow(index);
+        if (!row) return;
+        const previous = row[column];
+        const value = this.parseValue(input.value, previous);
+        if (value === previous || (value === '' && (previous === null || previous === undefined))) {
+            this.renderRows();
+            return;
+        }
+
+        const entry = DataManager.updateRows(
+            [{ rowIndex: index, updates: { [column]: value } }],
+            `Sửa ô ${column} (dòng ${index + 1})`
+        );
+        this.notifyChange(entry);
+    },
+
+    /**
+     * Close the editor without saving
+     */
+    cancelEdit() {
+        if (!this.editor) return;
+        const { input } = this.editor;
+        this.editor = null;
+        input.remove();
+        this.viewport.focus({ preventScroll: true });
+        this.renderRows();
+    },
+
+    /**
+     * Keep numbers as numbers when a numeric cell is edited
+     */
+    parseValue(text, previous) {
+        if (typeof previous === 'number' && text.trim() !== '' && !isNaN(Number(text))) {
+            return Number(text);
+        }
+        return text;
+    },
+
+    /**
+     * Copy the first selected row's values down to the other selected rows (Ctrl+D)
+     */
+    fillDown() {
+        const range = this.getSelectionRange();
+        if (!range || range.bottom === range.top) {
+            UIRenderer.showToast('Chọn nhiều dòng (Shift + click / Shift + ↓) để fill down.', 'warning');
+            return;
+        }
+
+        const data = DataManager.getData();
+        const columns = this.columns.slice(range.left, range.right + 1);
+        const source = data[this.indices[range.top]];
+        const values = {};
+        columns.forEach(col => { values[col] = source[col]; });
+
+        const updates = [];
+        for (let pos = range.top + 1; pos <= range.bottom; pos++) {
+            updates.push({ rowIndex: this.indices[pos], updates: values });
+        }
+
+        const scope = columns.length === 1 ? columns[0] : `${columns.length} cột`;
+        const entry = DataManager.updateRows(updates, `Fill down ${scope} (${updates.length} dòng)`);
+        this.notifyChange(entry);
+    },
+
+    /**
+     * Clear values of all selected cells (Delete)
+     */
+    clearSelectedCells() {
+        const range = this.getSelectionRange();
+        if (!range) return;
+
+        const columns = this.columns.slice(range.left, range.right + 1);
+        const values = {};
+        columns.forEach(col => { values[col] = ''; });
+
+        const updates = [];
+        for (let pos = range.top; pos <= range.bottom; pos++) {
+            updates.push({ rowIndex: this.indices[pos], updates: values });
+        }
+
+        const count = updates.length * columns.length;
+        const entry = DataManager.updateRows(updates, `Xóa nội dung ${count} ô`);
+        this.notifyChange(entry);
+    },
+
+    /**
+     * Let the app refresh after an edit (only if something actually changed)
+     */
+    notifyChange(entry) {
+        if (entry && this.onChange) {
+            this.onChange(entry);
+        } else {
+            this.renderRows();
+        }
+    },
+
+    // ===== Header interactions =====
+
+    /**
+     * Resize (drag the right edge) and reorder (drag a header) columns
+     */
+    setupHeaderEvents() {
+        this.header.addEventListener('mousedown', (e) => {
+            const resizer = e.target.closest('.grid-resizer');
+            if (!resizer) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            const column = resizer.dataset.col;
+            this.resizing = { column, startX: e.clientX, startWidth: this.getWidth(column) };
+
+            const onMove = (ev) => {
+                const width = Math.max(this.MIN_WIDTH, this.resizing.startWidth + ev.clientX - this.resizing.startX);
+                this.layout.widths[this.resizing.column] = width;
+                this.renderHeader();
+                this.scheduleRender();
+            };
+            const onUp = () => {
+                document.removeEventListener('mousemove', onMove);
+                document.removeEventListener('mouseup', onUp);
+                this.resizing = null;
+                this.saveLayout();
+            };
+            document.addEventListener('mousemove', onMove);
+            document.addEventListener('mouseup', onUp);
+        });
+
+        // Double-click on the resizer resets the width
+        this.header.addEventListener('dblclick', (e) => {
+            const resizer = e.target.closest('.grid-resizer');
+            if (!resizer) return;
+            delete this.layout.widths[resizer.dataset.col];
+            this.saveLayout();
+            this.renderHeader();
+            this.renderRows();
+        });
+
+        // Click sorts by the column, Shift+click adds it as a secondary sort key
+        this.header.addEventListener('click', (e) => {
+            const cell = e.target.closest('.grid-header-cell');
+            if (!cell || e.target.closest('.grid-resizer')) return;
+            SortEngine.toggleColumn(cell.dataset.col, e.shiftKey);
+            UIRenderer.renderDataTable();
+        });
+
+        this.header.addEventListener('dragstart', (e) => {
+            const cell = e.target.closest('.grid-header-cell');
+            if (!cell || this.resizing) {
+                e.preventDefault();
+                return;
+            }
+            this.dragColumn = cell.dataset.col;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', this.dragColumn);
+        });
+
+        this.header.addEventListener('dragover', (e) => {
+            const cell = e.target.closest('.grid-header-cell');
+            if (!cell || !this.dragColumn) return;
+            e.preventDefault();
+            this.header.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+            cell.classList.add('drag-over');
+        });
+
+        this.header.addEventListener('drop', (e) => {
+            const cell = e.target.closest('.grid-header-cell');
+            e.preventDefault();
+            if (cell && this.dragColumn) {
+                this.moveColumn(this.dragColumn, cell.dataset.col);
+            }
+            this.dragColumn = null;
+        });
+
+        this.header.addEventListener('dragend', () => {
+            this.dragColumn = null;
+            this.header.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+        });
+    },
+
+    /**
+     * Escape text for HTML content and attributes (string-based: called for every visible cell)
+     */
+    escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.DataGrid = DataGrid;
+}
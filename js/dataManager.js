@@ -9,10 +9,18 @@ const DataManager = {
     headers: [],        // Array of column headers
     originalData: [],   // Original data for reset
 
-    // Undo/Redo stacks
+    // Undo/Redo history (change sets, see beginChange/commitChange)
     undoStack: [],
     redoStack: [],
     maxUndoSteps: 50,
+    pendingChange: null,
+
+    // Running worker import { worker, reject } (see parseFileInWorker)
+    activeImport: null,
+    IMPORT_WORKER_URL: 'js/importWorker.js',
+    IMPORT_PREVIEW_ROWS: 20,
+    // SheetJS build loaded by the worker for Excel files (same as index.html)
+    XLSX_URL: 'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js',
 
     // File info
     fileInfo: {
@@ -26,6 +34,47 @@ const DataManager = {
     smsBatches: new Set(),
     emailBatches: new Set(),
 
+    // Inferred column types (header -> type)
+    columnTypes: {},
+    // Types chosen by the user (header -> type), win over inference
+    columnTypeOverrides: {},
+    // Rows scanned per column when inferring its type (sparse columns stop here)
+    TYPE_SCAN_ROWS: 10000,
+
+    // Batch marking log [{ channel, batch, count, markedAt, sample? }] for trend analytics
+    batchLog: [],
+
+    // Seeded shuffles/samples [{ type: 'shuffle'|'sample', seed, at, ... }] for reproducing and auditing batches
+    randomLog: [],
+
+    // Formula columns [{ name, expression, columns }] (see FormulaEngine) and the project's mapping tables
+    // { tableName: { key: value } } used by LOOKUP() and recode (keys matched with FormulaEngine.normalizeLookupKey)
+    formulaColumns: [],
+    lookupTables: {},
+
+    // Supported column types
+    COLUMN_TYPES: ['text', 'number', 'date', 'phone', 'email', 'boolean'],
+
+    // Phone normalization status column and values
+    PHONE_STATUS_COL: 'Phone_Status',
+    PHONE_STATUS: {
+        VALID: 'Valid',
+        LANDLINE: 'Landline',
+        INVALID: 'Invalid',
+        EMPTY: 'Empty'
+    },
+
+    // Old 11-digit mobile prefixes converted in 2018 (national number without 0)
+    PHONE_LEGACY_PREFIXES: {
+        '120': '70', '121': '79', '122': '77', '126': '76', '128': '78',
+        '123': '83', '124': '84', '125': '85', '127': '81', '129': '82',
+        '162': '32', '163': '33', '164': '34', '165': '35', '166': '36', '167': '37', '168': '38', '169': '39',
+        '186': '56', '188': '58', '199': '59'
+    },
+
+    // Header names that hint at a phone column (Phone, SĐT, Số ĐT, Điện thoại, Di động, Tel...)
+    PHONE_HEADER_HINT: /phone|mobile|msisdn|hotline|s[dđ]t|(^|[^a-z])(s[oố][\s._]*)?[dđ]t([^a-z]|$)|[dđ]i[eệ]n[\s._]*tho[aạ]i|di[\s._]*[dđ][oộ]ng|(^|[^a-z])tel([^a-z]|$)/i,
+
     /**
      * Initialize data manager
      */
@@ -41,10 +90,15 @@ const DataManager = {
         this.data = [];
         this.headers = [];
         this.originalData = [];
-        this.undoStack = [];
-        this.redoStack = [];
+        this.clearHistory();
         this.smsBatches.clear();
         this.emailBatches.clear();
+        this.columnTypes = {};
+        this.columnTypeOverrides = {};
+        this.batchLog = [];
+        this.randomLog = [];
+        this.formulaColumns = [];
+        this.lookupTables = {};
         this.fileInfo = {
             name: null,
             type: null,
@@ -55,82 +109,225 @@ const DataManager = {
 
     /**
      * Import data from file
+     * Parsing runs in a Web Worker when available, so large files don't freeze the page
      * @param {File} file - File object
-     * @param {Object} options - Import options
-     * @returns {Promise<{success: boolean, rows: number, cols: number}>}
+     * @param {Object} options - { headerRow, sheetIndex, encoding, delimiter (CSV, empty = detect),
+     *   onPreview({ headers, rows, sheets, sheetName, dialect }), onProgress({ percent, rows }) }
+     * @returns {Promise<{success: boolean, rows: number, cols: number, dialect}>}
      */
     async importFile(file, options = {}) {
-        const { headerRow = 1, sheetIndex = 0 } = options;
+        const parsed = typeof Worker !== 'undefined'
+            ? await this.parseFileInWorker(file, options)
+            : await this.parseFile(file, options);
 
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
+        this.headers = parsed.headers;
+        this.data = parsed.data;
 
-            reader.onload = (e) => {
-                try {
-                    const arrayBuffer = e.target.result;
-                    const workbook = XLSX.read(arrayBuffer, { type: 'array' });
+        // Update file info
+        this.fileInfo = {
+            name: file.name,
+            type: file.type || this.getFileType(file.name),
+            size: file.size,
+            loadedAt: new Date().toISOString(),
+            sheetName: parsed.sheetName,
+            sheets: parsed.sheets,
+            headers: parsed.headers.slice()
+        };
 
-                    // Get sheet
-                    const sheetName = workbook.SheetNames[sheetIndex] || workbook.SheetNames[0];
-                    const sheet = workbook.Sheets[sheetName];
+        const phoneResult = this.prepareImportedData(parsed.prepared);
 
-                    // Convert to JSON (with header)
-                    const jsonData = XLSX.utils.sheet_to_json(sheet, {
-                        header: 1,
-                        defval: ''
-                    });
+        return {
+            success: true,
+            rows: this.data.length,
+            cols: this.headers.length,
+            sheets: parsed.sheets,
+            dialect: parsed.dialect,
+            phone: phoneResult
+        };
+    },
 
-                    if (!jsonData || jsonData.length === 0) {
-                        reject(new Error('File is empty or invalid'));
-                        return;
+    /**
+     * Parse a file on the main thread (fallback when workers are unavailable)
+     * @returns {Promise<Object>} { headers, data, sheetName, sheets, dialect }
+     */
+    async parseFile(file, { headerRow = 1, sheetIndex = 0, encoding = '', delimiter = '' } = {}) {
+        const workbook = await this.readWorkbook(file, { encoding, delimiter });
+
+        // Get sheet
+        const sheetName = workbook.SheetNames[sheetIndex] || workbook.SheetNames[0];
+        const sheet = this.readSheet(workbook.Sheets[sheetName], headerRow);
+
+        if (!sheet) {
+            throw new Error('File is empty or invalid');
+        }
+
+        return {
+            headers: sheet.headers,
+            data: sheet.rows.map((values, rowIndex) => this.createRow(sheet.headers, values, rowIndex)),
+            sheetName,
+            sheets: workbook.SheetNames,
+            dialect: workbook.dialect || null
+        };
+    },
+
+    /**
+     * Parse a file in js/importWorker.js: CSV is streamed in chunks, rows arrive in batches
+     * Falls back to parseFile() if the worker cannot start (e.g. page opened from file://)
+     * Each batch is also prepared as it arrives (see prepareImportedRows)
+     * @returns {Promise<Object>} { headers, data, sheetName, sheets, dialect, prepared }
+     */
+    parseFileInWorker(file, options = {}) {
+        const { headerRow = 1, sheetIndex = 0, encoding = '', delimiter = '', onPreview = null, onProgress = null } = options;
+        this.cancelImport();
+
+        return new Promise((resolve, reject) => {
+            const result = { headers: null, data: [], sheetName: null, sheets: [], dialect: null, prepared: null };
+            let started = false;
+            let worker;
+
+            try {
+                worker = new Worker(this.IMPORT_WORKER_URL);
+            } catch (error) {
+                resolve(this.parseFile(file, { headerRow, sheetIndex, encoding, delimiter }));
+                return;
+            }
+            this.activeImport = { worker, reject };
+
+            const finish = (error = null) => {
+                worker.terminate();
+                this.activeImport = null;
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(result);
+                }
+            };
+
+            worker.onmessage = (e) => {
+                const message = e.data;
+                started = true;
+
+                switch (message.type) {
+                    case 'preview':
+                        result.headers = this.buildHeaders(message.headers);
+                        result.sheetName = message.sheetName;
+                        result.sheets = message.sheets;
+                        result.dialect = message.dialect || null;
+                        result.prepared = this.createImportPreparation(result.headers);
+                        if (onPreview) {
+                            onPreview({
+                                headers: result.headers,
+                                rows: message.rows.map((values, i) => this.createRow(result.headers, values, i)),
+                                sheets: message.sheets,
+                                sheetName: message.sheetName,
+                                dialect: result.dialect
+                            });
+                        }
+                        break;
+                    case 'rows': {
+                        const rows = message.rows.map((values, i) => this.createRow(result.headers, values, result.data.length + i));
+                        this.prepareImportedRows(rows, result.prepared);
+                        rows.forEach(row => result.data.push(row));
+                        break;
                     }
+                    case 'progress':
+                        if (onProgress) onProgress({ percent: message.percent, rows: message.rows });
+                        break;
+                    case 'done':
+                        finish();
+                        break;
+                    case 'error':
+                        finish(new Error(message.message));
+                        break;
+                }
+            };
 
-                    // Extract headers
-                    const headerRowIndex = Math.max(0, headerRow - 1);
-                    this.headers = jsonData[headerRowIndex].map((h, i) => {
-                        return String(h || `Column ${ConfigManager.indexToCol(i)}`).trim();
-                    });
-
-                    // Extract data rows
-                    const dataRows = jsonData.slice(headerRowIndex + 1);
-                    this.data = dataRows.map((row, rowIndex) => {
-                        const rowObj = { _rowIndex: rowIndex };
-                        this.headers.forEach((header, colIndex) => {
-                            rowObj[header] = row[colIndex] !== undefined ? row[colIndex] : '';
-                        });
-                        return rowObj;
-                    });
-
-                    // Store original
-                    this.originalData = JSON.parse(JSON.stringify(this.data));
-
-                    // Update file info
-                    this.fileInfo = {
-                        name: file.name,
-                        type: file.type || this.getFileType(file.name),
-                        size: file.size,
-                        loadedAt: new Date().toISOString(),
-                        sheetName: sheetName,
-                        sheets: workbook.SheetNames
-                    };
-
-                    // Detect batches
-                    this.detectBatches();
-
-                    // Auto-create required columns if they don't exist
-                    this.ensureRequiredColumns();
-
-                    // Clear undo/redo
-                    this.undoStack = [];
-                    this.redoStack = [];
-
-                    resolve({
-                        success: true,
-                        rows: this.data.length,
-                        cols: this.headers.length,
-                        sheets: workbook.SheetNames
-                    });
+            worker.onerror = (e) => {
+                e.preventDefault();
+                if (started) {
+                    finish(new Error(e.message || 'Failed to read file'));
+                    return;
+                }
+                // Worker script could not load: parse on the main thread instead
+                worker.terminate();
+                this.activeImport = null;
+                resolve(this.parseFile(file, { headerRow, sheetIndex, encoding, delimiter }));
+            };
+
+            worker.postMessage({
+                file,
+                headerRow,
+                sheetIndex,
+                encoding,
+                delimiter,
+                previewRows: this.IMPORT_PREVIEW_ROWS,
+                xlsxUrl: this.XLSX_URL
+            });
+        });
+    },
+
+    /**
+     * Stop a running worker import; its promise rejects with error.cancelled = true
+     * @returns {boolean} true if an import was running
+     */
+    cancelImport() {
+        if (!this.activeImport) return false;
+
+        const { worker, reject } = this.activeImport;
+        worker.terminate();
+        this.activeImport = null;
+
+        const error = new Error('Đã dừng đọc file');
+        error.cancelled = true;
+        reject(error);
+        return true;
+    },
 
+    /**
+     * Header names of a raw header row (empty headers become "Column X")
+     */
+    buildHeaders(rawHeaders) {
+        return rawHeaders.map((h, i) => {
+            return String(h || `Column ${ConfigManager.indexToCol(i)}`).trim();
+        });
+    },
+
+    /**
+     * Build a row object from raw values
+     */
+    createRow(headers, values, rowIndex) {
+        const rowObj = { _rowIndex: rowIndex };
+        headers.forEach((header, colIndex) => {
+            rowObj[header] = values[colIndex] !== undefined ? values[colIndex] : '';
+        });
+        return rowObj;
+    },
+
+    /**
+     * Read a file into a workbook
+     * CSV is decoded with CsvReader (sniffed encoding/delimiter), the workbook then carries its dialect
+     * @param {File} file - File object
+     * @param {Object} options - { encoding, delimiter } for CSV, empty = detect
+     * @returns {Promise<Object>} SheetJS workbook
+     */
+    readWorkbook(file, options = {}) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+
+            reader.onload = (e) => {
+                try {
+                    const bytes = new Uint8Array(e.target.result);
+                    const ext = file.name.split('.').pop().toLowerCase();
+                    if ((ext === 'csv' || ext === 'txt') && !CsvReader.isWorkbook(bytes)) {
+                        const { rows, encoding, delimiter } = CsvReader.read(bytes, options);
+                        resolve({
+                            SheetNames: [file.name],
+                            Sheets: { [file.name]: XLSX.utils.aoa_to_sheet(rows) },
+                            dialect: { encoding, delimiter }
+                        });
+                        return;
+                    }
+                    resolve(XLSX.read(bytes, { type: 'array' }));
                 } catch (error) {
                     console.error('Error parsing file:', error);
                     reject(error);
@@ -145,6 +342,98 @@ const DataManager = {
         });
     },
 
+    /**
+     * Extract headers and raw rows of a sheet
+     * @param {Object} sheet - SheetJS worksheet
+     * @param {number} headerRow - 1-based header row
+     * @returns {Object|null} { headers, rows: Array<Array> } (null if the sheet is empty)
+     */
+    readSheet(sheet, headerRow = 1) {
+        // Convert to arrays (with header)
+        const jsonData = XLSX.utils.sheet_to_json(sheet, {
+            header: 1,
+            defval: ''
+        });
+
+        const headerRowIndex = Math.max(0, headerRow - 1);
+        if (!jsonData || !jsonData[headerRowIndex]) return null;
+
+        return { headers: this.buildHeaders(jsonData[headerRowIndex]), rows: jsonData.slice(headerRowIndex + 1) };
+    },
+
+    /**
+     * Finish a fresh import: original copy, batches, required columns, types, state reset
+     * @returns {Object|null} phone normalization result (if enabled on import)
+     */
+    prepareImportedData(prepared = null) {
+        if (prepared) {
+            // Rows were prepared batch by batch while the worker was reading
+            this.originalData = prepared.original;
+            this.smsBatches = prepared.smsBatches;
+            this.emailBatches = prepared.emailBatches;
+            this.headers.push(...prepared.missingColumns);
+        } else {
+            // Store original (values are plain strings/numbers, a shallow copy per row is enough)
+            this.originalData = this.data.map(row => ({ ...row }));
+
+            // Detect batches
+            this.detectBatches();
+
+            // Auto-create required columns if they don't exist
+            this.ensureRequiredColumns();
+        }
+
+        // Infer column types
+        this.inferColumnTypes();
+
+        // Optional phone normalization on import
+        let phoneResult = null;
+        if (ConfigManager.get('PHONE_NORMALIZE_ON_IMPORT')) {
+            phoneResult = this.normalizePhoneColumn(null, { format: ConfigManager.get('PHONE_FORMAT') });
+        }
+
+        // Clear undo/redo and batch log
+        this.clearHistory();
+        this.batchLog = [];
+        this.randomLog = [];
+        this.formulaColumns = [];
+        this.lookupTables = {};
+        this.columnTypeOverrides = {};
+
+        return phoneResult;
+    },
+
+    /**
+     * Start the per-batch preparation of a worker import (see prepareImportedRows)
+     * @param {Array} headers - Headers of the imported sheet
+     * @returns {Object} { original, missingColumns, batchCol, emailBatchCol, smsBatches, emailBatches }
+     */
+    createImportPreparation(headers) {
+        const config = ConfigManager.getAll();
+        return {
+            original: [],
+            missingColumns: this.getMissingRequiredColumns(headers),
+            batchCol: this.findColumn(config.BATCH_COL, headers),
+            emailBatchCol: this.findColumn(config.EMAIL_BATCH_COL, headers),
+            smsBatches: new Set(),
+            emailBatches: new Set()
+        };
+    },
+
+    /**
+     * Do the import work of prepareImportedData for one batch of rows:
+     * keep a copy for reset, collect batch numbers and add the missing required columns
+     */
+    prepareImportedRows(rows, prepared) {
+        const { batchCol, emailBatchCol, missingColumns } = prepared;
+        rows.forEach(row => {
+            prepared.original.push({ ...row });
+            if (batchCol) this.addBatchNumber(prepared.smsBatches, row[batchCol]);
+            if (emailBatchCol) this.addBatchNumber(prepared.emailBatches, row[emailBatchCol]);
+            missingColumns.forEach(col => { row[col] = ''; });
+        });
+    },
+
     /**
      * Get file type from extension
      */
@@ -158,11 +447,192 @@ const DataManager = {
         return types[ext] || 'unknown';
     },
 
+    // ===== Multi-file Append =====
+
+    // Column recording where appended rows came from ("file.xlsx" or "file.xlsx › Sheet2")
+    SOURCE_FILE_COL: 'Source_File',
+
+    /**
+     * Read files as append sources, one source per non-empty sheet
+     * @param {Array<File>} files - File objects
+     * @param {Object} options - { headerRow }
+     * @returns {Promise<Array>} [{ id, fileName, sheetName, sheetCount, headers, rows }]
+     */
+    async readSources(files, options = {}) {
+        const { headerRow = 1 } = options;
+        const sources = [];
+
+        for (const file of files) {
+            const workbook = await this.readWorkbook(file);
+            workbook.SheetNames.forEach(sheetName => {
+                const sheet = this.readSheet(workbook.Sheets[sheetName], headerRow);
+                if (!sheet || sheet.rows.length === 0) return;
+                sources.push({
+                    id: sources.length,
+                    fileName: file.name,
+                    sheetName,
+                    sheetCount: workbook.SheetNames.length,
+                    ...sheet
+                });
+            });
+        }
+        return sources;
+    },
+
+    /**
+     * Source label written to the source column
+     */
+    getSourceLabel(source) {
+        return source.sheetCount > 1 ? `${source.fileName} › ${source.sheetName}` : source.fileName;
+    },
+
+    /**
+     * Normalize a header for matching ("Số điện thoại" = "so_dien_thoai" = "SoDienThoai")
+     */
+    normalizeHeader(name) {
+        return String(name)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/đ/gi, 'd')
+            .toLowerCase()
+            .replace(/[^a-z0-9]/g, '');
+    },
+
+    /**
+     * Suggest the target column of every source column: the same name (ignoring case, accents,
+     * spaces and "_") in the current data, otherwise a new column. Without data the first source
+     * defines the columns.
+     * @returns {Object} { sourceColumn: targetColumn }
+     */
+    suggestColumnMapping(sources) {
+        const base = this.hasData() ? this.headers : (sources[0] ? sources[0].headers : []);
+        const byKey = new Map();
+        base.forEach(h => {
+            if (!byKey.has(this.normalizeHeader(h))) byKey.set(this.normalizeHeader(h), h);
+        });
+
+        const mapping = {};
+        sources.forEach(source => source.headers.forEach(column => {
+            if (column in mapping) return;
+            const key = this.normalizeHeader(column);
+            mapping[column] = base.includes(column) ? column : (byKey.get(key) || column);
+            if (!byKey.has(key)) byKey.set(key, mapping[column]);
+        }));
+        return mapping;
+    },
+
+    /**
+     * Append sources to the current data (undoable), or load them when there is no data
+     * @param {Array} sources - From readSources()
+     * @param {Object} mapping - { sourceColumn: targetColumn } ('' = skip the column)
+     * @param {Object} options - { sourceColumn: add/fill the Source_File column (default true) }
+     */
+    appendSources(sources, mapping, options = {}) {
+        const { sourceColumn = true } = options;
+        if (sources.length === 0) {
+            return { success: false, message: 'Chọn ít nhất một file/sheet.' };
+        }
+
+        const fresh = !this.hasData();
+        const labels = sources.map(source => this.getSourceLabel(source));
+        const previousHeaders = this.headers.slice();
+
+        if (fresh) {
+            this.clear();
+        } else {
+            this.beginChange(`Nối dữ liệu từ ${labels.length === 1 ? labels[0] : `${labels.length} nguồn`}`, {
+                icon: '📎',
+                columns: sourceColumn ? [this.SOURCE_FILE_COL] : []
+            });
+        }
+
+        // Target columns in source order, then the source column
+        Object.values(mapping).filter(Boolean).forEach(column => this.ensureColumn(column));
+        if (sourceColumn) {
+            const existed = this.headers.includes(this.SOURCE_FILE_COL);
+            this.ensureColumn(this.SOURCE_FILE_COL);
+            if (!existed && !fresh) {
+                this.data.forEach(row => { row[this.SOURCE_FILE_COL] = this.fileInfo.name || ''; });
+            }
+        }
+
+        const start = this.data.length;
+        sources.forEach((source, s) => {
+            source.rows.forEach(values => {
+                // Skip blank lines between blocks
+                if (values.every(v => v === '' || v === null || v === undefined)) return;
+
+                const row = { _rowIndex: this.data.length };
+                this.headers.forEach(header => { row[header] = ''; });
+                source.headers.forEach((column, i) => {
+                    const target = mapping[column];
+                    if (target && values[i] !== undefined && values[i] !== '') row[target] = values[i];
+                });
+                if (sourceColumn) row[this.SOURCE_FILE_COL] = labels[s];
+                this.data.push(row);
+            });
+        });
+        const added = this.data.length - start;
+        const newColumns = this.headers.filter(h => !previousHeaders.includes(h));
+
+        let phoneResult = null;
+        if (fresh) {
+            this.fileInfo = {
+                name: labels.length === 1 ? labels[0] : `${labels[0]} (+${labels.length - 1})`,
+                type: 'multi',
+                size: null,
+                loadedAt: new Date().toISOString(),
+                sources: labels,
+                headers: this.headers.slice()
+            };
+            phoneResult = this.prepareImportedData();
+        } else {
+            // New rows need their formula values
+            if (typeof FormulaEngine !== 'undefined') FormulaEngine.recompute();
+            this.commitChange();
+            this.detectBatches();
+            this.headers.forEach(header => { delete this.columnTypes[header]; });
+        }
+
+        return {
+            success: true,
+            fresh,
+            rows: added,
+            sources: labels.length,
+            newColumns,
+            phone: phoneResult,
+            message: `Đã ${fresh ? 'import' : 'nối thêm'} ${added} dòng từ ${labels.length} file/sheet` +
+                (newColumns.length > 0 && !fresh ? ` (${newColumns.length} cột mới)` : '') + '.'
+        };
+    },
+
     /**
      * Ensure required columns exist after import
      * These columns are needed for batch marking, content generation, etc.
      */
     ensureRequiredColumns() {
+        const columnsAdded = this.getMissingRequiredColumns(this.headers);
+        columnsAdded.forEach(colName => {
+            // Add column to headers
+            this.headers.push(colName);
+
+            // Initialize empty value for each row
+            this.data.forEach(row => {
+                row[colName] = '';
+            });
+        });
+
+        if (columnsAdded.length > 0) {
+            console.log('Auto-created columns:', columnsAdded);
+        }
+
+        return columnsAdded;
+    },
+
+    /**
+     * Required columns missing from a header list (case, spaces and underscores ignored)
+     */
+    getMissingRequiredColumns(headers) {
         // Define required columns in order they should be added
         const requiredColumns = [
             'Content_SMS',          // SMS content (generated from template)
@@ -174,33 +644,11 @@ const DataManager = {
             'Response_Status'       // Respondent status from API
         ];
 
-        // Check each required column and add if missing
-        let columnsAdded = [];
-        requiredColumns.forEach(colName => {
-            // Check if column exists (case-insensitive)
-            const exists = this.headers.some(h =>
-                h.toLowerCase() === colName.toLowerCase() ||
-                h.toLowerCase().replace(/[_\s]/g, '') === colName.toLowerCase().replace(/[_\s]/g, '')
-            );
-
-            if (!exists) {
-                // Add column to headers
-                this.headers.push(colName);
-
-                // Initialize empty value for each row
-                this.data.forEach(row => {
-                    row[colName] = '';
-                });
-
-                columnsAdded.push(colName);
-            }
-        });
-
-        if (columnsAdded.length > 0) {
-            console.log('Auto-created columns:', columnsAdded);
-        }
-
-        return columnsAdded;
+        // Check if each column exists (case-insensitive)
+        return requiredColumns.filter(colName => !headers.some(h =>
+            h.toLowerCase() === colName.toLowerCase() ||
+            h.toLowerCase().replace(/[_\s]/g, '') === colName.toLowerCase().replace(/[_\s]/g, '')
+        ));
     },
 
     /**
@@ -215,25 +663,27 @@ const DataManager = {
         const emailBatchCol = this.findColumn(config.EMAIL_BATCH_COL);
 
         this.data.forEach(row => {
-            if (batchCol && row[batchCol]) {
-                const batch = parseInt(row[batchCol]);
-                if (!isNaN(batch) && batch > 0) {
-                    this.smsBatches.add(batch);
-                }
-            }
-            if (emailBatchCol && row[emailBatchCol]) {
-                const batch = parseInt(row[emailBatchCol]);
-                if (!isNaN(batch) && batch > 0) {
-                    this.emailBatches.add(batch);
-                }
-            }
+            if (batchCol) this.addBatchNumber(this.smsBatches, row[batchCol]);
+            if (emailBatchCol) this.addBatchNumber(this.emailBatches, row[emailBatchCol]);
         });
     },
 
+    /**
+     * Add a cell's batch number to a set (empty or non-positive values are skipped)
+     */
+    addBatchNumber(batches, value) {
+        if (!value) return;
+        const batch = parseInt(value);
+        if (!isNaN(batch) && batch > 0) {
+            batches.add(batch);
+        }
+    },
+
     /**
      * Find column by letter or name (case-insensitive)
+     * @param {Array} headers - Headers to search (default: current headers)
      */
-    findColumn(colRef) {
+    findColumn(colRef, headers = this.headers) {
         if (!colRef) return null;
 
         const colRefStr = String(colRef);
@@ -241,13 +691,13 @@ const DataManager = {
         // Try as column letter first (E -> index 4 -> headers[4])
         if (/^[A-Z]+$/i.test(colRefStr)) {
             const index = ConfigManager.colToIndex(colRefStr);
-            if (index >= 0 && index < this.headers.length) {
-                return this.headers[index];
+            if (index >= 0 && index < headers.length) {
+                return headers[index];
             }
         }
 
         // Try exact match first
-        if (this.headers.includes(colRefStr)) {
+        if (headers.includes(colRefStr)) {
             return colRefStr;
         }
 
@@ -255,7 +705,7 @@ const DataManager = {
         const lowerRef = colRefStr.toLowerCase();
         const normalizedRef = lowerRef.replace(/[_\s]/g, '');
 
-        for (const header of this.headers) {
+        for (const header of headers) {
             if (header.toLowerCase() === lowerRef) {
                 return header;
             }
@@ -324,9 +774,15 @@ const DataManager = {
         // Detect batches
         this.detectBatches();
 
-        // Clear undo/redo
-        this.undoStack = [];
-        this.redoStack = [];
+        // Infer column types
+        this.inferColumnTypes();
+
+        // Clear undo/redo and batch log
+        this.clearHistory();
+        this.batchLog = [];
+        this.randomLog = [];
+        this.formulaColumns = [];
+        this.lookupTables = {};
 
         console.log(`DataManager: Loaded ${this.data.length} rows, ${this.headers.length} columns`);
     },
@@ -359,8 +815,9 @@ const DataManager = {
         if (rowIndex >= 0 && rowIndex < this.data.length) {
             const col = this.findColumn(column) || column;
             if (this.data[rowIndex].hasOwnProperty(col)) {
-                this.saveUndoState();
+                this.beginChange(`Sửa ô ${col} (dòng ${rowIndex + 1})`, { icon: '✏️', columns: [col] });
                 this.data[rowIndex][col] = value;
+                this.commitChange();
                 return true;
             }
         }
@@ -370,8 +827,11 @@ const DataManager = {
     /**
      * Update multiple rows at once (for batch operations)
      */
-    updateRows(updates) {
-        this.saveUndoState();
+    updateRows(updates, label = 'Cập nhật nhiều dòng') {
+        const columns = new Set();
+        updates.forEach(({ updates: rowUpdates }) => Object.keys(rowUpdates).forEach(col => columns.add(col)));
+
+        this.beginChange(label, { icon: '✏️', columns: Array.from(columns) });
         updates.forEach(({ rowIndex, updates: rowUpdates }) => {
             if (rowIndex >= 0 && rowIndex < this.data.length) {
                 Object.entries(rowUpdates).forEach(([col, value]) => {
@@ -382,23 +842,240 @@ const DataManager = {
                 });
             }
         });
+        return this.commitChange();
+    },
+
+    /**
+     * Set a column to one value for the given rows (e.g. all filtered rows)
+     * @param {string} column - Column name
+     * @param {*} value - New value
+     * @param {Array<number>} indices - Row indices
+     * @returns {number} Number of changed cells
+     */
+    setColumnValue(column, value, indices) {
+        const col = this.findColumn(column) || column;
+        if (!this.headers.includes(col)) return 0;
+
+        this.beginChange(`Gán ${col} = "${value}" (${indices.length} dòng)`, { icon: '🖊️', columns: [col] });
+        indices.forEach(i => {
+            if (this.data[i]) this.data[i][col] = value;
+        });
+        const entry = this.commitChange();
+        return entry ? entry.cellCount : 0;
+    },
+
+    /**
+     * Build a find/replace function for cell values (plain text, not regex)
+     * @param {Object} options - { find, replace, matchCase, wholeCell }
+     * @returns {Function} value => replaced text, or null if the value does not match
+     */
+    createReplacer({ find, replace = '', matchCase = false, wholeCell = false }) {
+        if (find === '' || find === null || find === undefined) return () => null;
+
+        const escaped = String(find).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(wholeCell ? `^${escaped}$` : escaped, matchCase ? 'g' : 'gi');
+
+        return (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            pattern.lastIndex = 0;
+            if (!pattern.test(text)) return null;
+            pattern.lastIndex = 0;
+            return text.replace(pattern, () => replace);
+        };
+    },
+
+    /**
+     * Count cells a find/replace would change
+     * @param {Object} options - { find, matchCase, wholeCell, columns, indices, limit }
+     *   limit: stop scanning once this many cells matched (for live previews)
+     * @returns {Object} { cells, rows, capped }
+     */
+    countReplaceMatches(options) {
+        const replacer = this.createReplacer(options);
+        const columns = options.columns.map(c => this.findColumn(c) || c).filter(c => this.headers.includes(c));
+        const limit = options.limit || Infinity;
+        let cells = 0;
+        let rows = 0;
+
+        for (const i of options.indices) {
+            const row = this.data[i];
+            if (!row) continue;
+            const matched = columns.filter(col => replacer(row[col]) !== null).length;
+            cells += matched;
+            if (matched > 0) rows++;
+            if (cells >= limit) return { cells, rows, capped: true };
+        }
+        return { cells, rows, capped: false };
+    },
+
+    /**
+     * Find and replace text in columns of the given rows
+     * @param {Object} options - { find, replace, matchCase, wholeCell, columns, indices }
+     * @returns {number} Number of changed cells
+     */
+    replaceValues(options) {
+        const replacer = this.createReplacer(options);
+        const columns = options.columns.map(c => this.findColumn(c) || c).filter(c => this.headers.includes(c));
+        if (columns.length === 0) return 0;
+
+        // Numeric columns keep numbers when the replaced text is still a number
+        const numeric = new Set(columns.filter(col => this.getColumnType(col) === 'number'));
+
+        const scope = columns.length === 1 ? columns[0] : `${columns.length} cột`;
+        this.beginChange(`Thay "${options.find}" → "${options.replace || ''}" (${scope})`, { icon: '🔁', columns });
+        options.indices.forEach(i => {
+            const row = this.data[i];
+            if (!row) return;
+            columns.forEach(col => {
+                const replaced = replacer(row[col]);
+                if (replaced === null) return;
+                const number = numeric.has(col) ? this.parseNumber(replaced) : null;
+                row[col] = number !== null ? number : replaced;
+            });
+        });
+        const entry = this.commitChange();
+        return entry ? entry.cellCount : 0;
     },
 
+    // Undo/Redo history: each entry is a change set recorded between beginChange() and commitChange():
+    // changed cells (per column, keyed by row object), added/removed columns and row order.
+    // Rows are referenced by object identity, so cell changes survive later reorders.
+
     /**
-     * Save current state for undo
+     * Start recording a change
+     * @param {string} label - History label (e.g. "Gán SMS batch 3")
+     * @param {Object} options - { icon, columns: columns the change may write (null = all columns) }
      */
-    saveUndoState() {
-        // Clone current data
-        const state = JSON.parse(JSON.stringify(this.data));
-        this.undoStack.push(state);
+    beginChange(label, options = {}) {
+        if (this.pendingChange) {
+            console.warn(`DataManager: change "${this.pendingChange.label}" was not committed, committing now`);
+            this.commitChange();
+        }
 
-        // Limit stack size
+        const { icon = '✏️', columns = null } = options;
+        const order = this.data.slice();
+        const inputs = columns ? columns.map(c => this.findColumn(c) || c) : null;
+        // Formula columns may be recomputed on commit, so they are always tracked
+        const tracked = (inputs ? inputs.concat(this.formulaColumns.map(f => f.name)) : this.headers)
+            .filter((col, i, arr) => arr.indexOf(col) === i);
+
+        this.pendingChange = {
+            label,
+            icon,
+            inputs,
+            order,
+            headers: this.headers.slice(),
+            columns: tracked.map(column => ({ column, values: order.map(row => row[column]) }))
+        };
+    },
+
+    /**
+     * Finish recording and push the change set to the undo stack
+     * @param {string} [label] - Final label, when it is only known after the change (e.g. new batch number)
+     * @returns {Object|null} history entry (null if nothing changed)
+     */
+    commitChange(label = null) {
+        const pending = this.pendingChange;
+        if (!pending) return null;
+        this.pendingChange = null;
+
+        // Recompute formula columns whose inputs were touched (recorded in the same change)
+        if (this.formulaColumns.length > 0 && typeof FormulaEngine !== 'undefined') {
+            const addedColumns = this.headers.filter(h => !pending.headers.includes(h));
+            FormulaEngine.recompute(pending.inputs ? pending.inputs.concat(addedColumns) : null);
+        }
+
+        const entry = {
+            label: label || pending.label,
+            icon: pending.icon,
+            at: new Date().toISOString(),
+            cells: [],
+            added: [],
+            removed: [],
+            headers: null,
+            order: null
+        };
+
+        const added = this.headers.filter(h => !pending.headers.includes(h));
+        const removed = pending.headers.filter(h => !this.headers.includes(h));
+
+        // Changed cells of tracked columns (added/removed columns are stored whole)
+        pending.columns.forEach(({ column, values }) => {
+            if (added.includes(column)) return;
+            if (removed.includes(column)) {
+                entry.removed.push({ column, rows: pending.order, values });
+                return;
+            }
+            const change = { column, rows: [], before: [], after: [] };
+            pending.order.forEach((row, i) => {
+                if (row[column] !== values[i]) {
+                    change.rows.push(row);
+                    change.before.push(values[i]);
+                    change.after.push(row[column]);
+                }
+            });
+            if (change.rows.length > 0) entry.cells.push(change);
+        });
+
+        added.forEach(column => {
+            entry.added.push({ column, rows: this.data.slice(), values: this.data.map(row => row[column]) });
+        });
+
+        if (added.length > 0 || removed.length > 0 || pending.headers.join('\u0001') !== this.headers.join('\u0001')) {
+            entry.headers = { before: pending.headers, after: this.headers.slice() };
+        }
+
+        const reordered = pending.order.length !== this.data.length ||
+            pending.order.some((row, i) => row !== this.data[i]);
+        if (reordered) {
+            entry.order = { before: pending.order, after: this.data.slice() };
+        }
+
+        if (!entry.headers && !entry.order && entry.cells.length === 0) return null;
+
+        entry.cellCount = entry.cells.reduce((sum, c) => sum + c.rows.length, 0);
+        this.undoStack.push(entry);
         if (this.undoStack.length > this.maxUndoSteps) {
             this.undoStack.shift();
         }
 
         // Clear redo stack on new action
         this.redoStack = [];
+        return entry;
+    },
+
+    /**
+     * Apply a change set backwards (undo) or forwards (redo)
+     */
+    applyChange(entry, direction) {
+        const undo = direction === 'undo';
+
+        if (entry.headers) {
+            this.headers = (undo ? entry.headers.before : entry.headers.after).slice();
+        }
+
+        entry.cells.forEach(change => {
+            const values = undo ? change.before : change.after;
+            change.rows.forEach((row, i) => { row[change.column] = values[i]; });
+            delete this.columnTypes[change.column];
+        });
+
+        // Added columns disappear on undo and come back on redo; removed columns the opposite way
+        const restore = undo ? entry.removed : entry.added;
+        const drop = undo ? entry.added : entry.removed;
+        restore.forEach(({ column, rows, values }) => {
+            rows.forEach((row, i) => { row[column] = values[i]; });
+        });
+        drop.forEach(({ column, rows }) => {
+            rows.forEach(row => { delete row[column]; });
+            delete this.columnTypes[column];
+        });
+
+        if (entry.order) {
+            this.data = (undo ? entry.order.before : entry.order.after).slice();
+        }
+
+        this.detectBatches();
     },
 
     /**
@@ -407,12 +1084,9 @@ const DataManager = {
     undo() {
         if (this.undoStack.length === 0) return false;
 
-        // Save current for redo
-        this.redoStack.push(JSON.parse(JSON.stringify(this.data)));
-
-        // Restore previous state
-        this.data = this.undoStack.pop();
-        this.detectBatches();
+        const entry = this.undoStack.pop();
+        this.applyChange(entry, 'undo');
+        this.redoStack.push(entry);
 
         return true;
     },
@@ -423,16 +1097,55 @@ const DataManager = {
     redo() {
         if (this.redoStack.length === 0) return false;
 
-        // Save current for undo
-        this.undoStack.push(JSON.parse(JSON.stringify(this.data)));
-
-        // Restore redo state
-        this.data = this.redoStack.pop();
-        this.detectBatches();
+        const entry = this.redoStack.pop();
+        this.applyChange(entry, 'redo');
+        this.undoStack.push(entry);
 
         return true;
     },
 
+    /**
+     * Get history entries, oldest first
+     * @returns {Array<{label, icon, at, cellCount, applied: boolean, position: number}>}
+     *   position = number of applied steps after jumping to this entry
+     */
+    getHistory() {
+        const applied = this.undoStack.map((entry, i) => ({ entry, applied: true, position: i + 1 }));
+        const undone = this.redoStack.slice().reverse()
+            .map((entry, i) => ({ entry, applied: false, position: this.undoStack.length + i + 1 }));
+
+        return applied.concat(undone).map(({ entry, applied: isApplied, position }) => ({
+            label: entry.label,
+            icon: entry.icon,
+            at: entry.at,
+            cellCount: entry.cellCount,
+            addedColumns: entry.added.map(a => a.column),
+            reordered: !!entry.order,
+            applied: isApplied,
+            position
+        }));
+    },
+
+    /**
+     * Jump to a history position (0 = before the oldest entry)
+     */
+    jumpToHistory(position) {
+        const target = Math.max(0, Math.min(position, this.undoStack.length + this.redoStack.length));
+        let steps = 0;
+        while (this.undoStack.length > target && this.undo()) steps++;
+        while (this.undoStack.length < target && this.redo()) steps++;
+        return steps;
+    },
+
+    /**
+     * Clear undo/redo history
+     */
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pendingChange = null;
+    },
+
     /**
      * Check if undo is available
      */
@@ -508,8 +1221,9 @@ const DataManager = {
      */
     resetToOriginal() {
         if (this.originalData.length > 0) {
-            this.saveUndoState();
+            this.beginChange('Khôi phục dữ liệu gốc', { icon: '⏪', columns: [] });
             this.data = JSON.parse(JSON.stringify(this.originalData));
+            this.commitChange();
             this.detectBatches();
             return true;
         }
@@ -524,11 +1238,13 @@ const DataManager = {
             return false; // Column already exists
         }
 
-        this.saveUndoState();
+        this.beginChange(`Thêm cột ${name}`, { icon: '➕', columns: [] });
         this.headers.push(name);
         this.data.forEach(row => {
             row[name] = defaultValue;
         });
+        delete this.columnTypes[name];
+        this.commitChange();
 
         return true;
     },
@@ -542,6 +1258,7 @@ const DataManager = {
             this.data.forEach(row => {
                 row[name] = defaultValue;
             });
+            delete this.columnTypes[name];
         }
     },
 
@@ -562,6 +1279,438 @@ const DataManager = {
         return Array.from(values).sort();
     },
 
+    // ===== Batch Log & Project State =====
+
+    /**
+     * Record when a batch was marked
+     */
+    logBatch(channel, batch, count) {
+        this.batchLog = this.batchLog.filter(entry => !(entry.channel === channel && entry.batch === batch));
+        this.batchLog.push({ channel, batch, count, markedAt: new Date().toISOString() });
+    },
+
+    /**
+     * Remove a batch from the log (when the batch is deleted)
+     */
+    removeBatchLog(channel, batch) {
+        this.batchLog = this.batchLog.filter(entry => !(entry.channel === channel && entry.batch === batch));
+    },
+
+    /**
+     * Get batch log entry
+     */
+    getBatchLogEntry(channel, batch) {
+        return this.batchLog.find(entry => entry.channel === channel && entry.batch === batch) || null;
+    },
+
+    /**
+     * Get data-related state saved with the project (metadata.dataState)
+     */
+    getDataState() {
+        return {
+            batchLog: this.batchLog,
+            randomLog: this.randomLog,
+            formulaColumns: this.formulaColumns.map(({ name, expression }) => ({ name, expression })),
+            lookupTables: this.lookupTables,
+            columnTypeOverrides: this.columnTypeOverrides
+        };
+    },
+
+    /**
+     * Restore data-related state after loading a project
+     */
+    restoreDataState(state) {
+        if (!state) return;
+        this.batchLog = Array.isArray(state.batchLog) ? state.batchLog : [];
+        this.randomLog = Array.isArray(state.randomLog) ? state.randomLog : [];
+        this.formulaColumns = Array.isArray(state.formulaColumns) ? state.formulaColumns : [];
+        this.lookupTables = state.lookupTables && typeof state.lookupTables === 'object' ? state.lookupTables : {};
+        this.columnTypeOverrides = state.columnTypeOverrides && typeof state.columnTypeOverrides === 'object' ? state.columnTypeOverrides : {};
+    },
+
+    // ===== Seeded Random =====
+
+    /**
+     * Generate a new seed (positive 31-bit integer, easy to note down)
+     */
+    generateSeed() {
+        return Math.floor(Math.random() * 0x7fffffff) + 1;
+    },
+
+    /**
+     * Seeded PRNG (mulberry32) - the same seed always gives the same sequence
+     * @returns {Function} () => float in [0, 1)
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    /**
+     * Shuffle a copy of an array with a seed (Fisher-Yates)
+     */
+    shuffleIndices(items, seed) {
+        const random = this.createRandom(seed);
+        const result = items.slice();
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    },
+
+    /**
+     * Shuffle all rows with a seed (undoable)
+     * Shuffling the same order with the same seed gives the same result
+     * @param {number} [seed] - Seed to reproduce a previous shuffle (new seed if empty)
+     */
+    shuffleRows(seed = null) {
+        if (this.data.length === 0) {
+            return { success: false, message: 'Không có dữ liệu để shuffle.' };
+        }
+
+        const usedSeed = seed || this.generateSeed();
+        this.beginChange(`Shuffle dữ liệu (seed ${usedSeed})`, { icon: '🔀', columns: ['_rowIndex'] });
+        this.shuffleIndices(this.data, usedSeed).forEach((row, index) => {
+            this.data[index] = row;
+            row._rowIndex = index;
+        });
+        this.commitChange();
+
+        this.logRandom({ type: 'shuffle', seed: usedSeed, rows: this.data.length });
+        return {
+            success: true,
+            seed: usedSeed,
+            message: `Đã shuffle ${this.data.length} dòng dữ liệu (seed ${usedSeed}).`
+        };
+    },
+
+    /**
+     * Record a seeded shuffle/sample (kept with the project)
+     */
+    logRandom(entry) {
+        this.randomLog.push({ ...entry, at: new Date().toISOString() });
+        if (this.randomLog.length > 100) this.randomLog = this.randomLog.slice(-100);
+    },
+
+    /**
+     * Append a note to the label of the last recorded change (e.g. sample parameters)
+     */
+    annotateLastChange(note) {
+        const entry = this.undoStack[this.undoStack.length - 1];
+        if (entry) entry.label = `${entry.label} (${note})`;
+    },
+
+    // ===== Column Types =====
+
+    /**
+     * Infer types for all columns
+     */
+    inferColumnTypes() {
+        this.columnTypes = {};
+        this.headers.forEach(header => {
+            this.columnTypes[header] = this.inferColumnType(header);
+        });
+        return { ...this.columnTypes };
+    },
+
+    /**
+     * Infer type of a single column from a sample of its values
+     * A type wins when at least 90% of non-empty sampled values match it (first TYPE_SCAN_ROWS rows)
+     */
+    inferColumnType(column) {
+        const col = this.findColumn(column);
+        if (!col) return 'text';
+
+        const sample = [];
+        const scanned = Math.min(this.data.length, this.TYPE_SCAN_ROWS);
+        for (let i = 0; i < scanned; i++) {
+            const value = this.data[i][col];
+            if (value !== '' && value !== null && value !== undefined) {
+                sample.push(value);
+                if (sample.length >= 500) break;
+            }
+        }
+        if (sample.length === 0) return 'text';
+
+        const dateHint = /date|ngay|ngày|time|thời gian|thoi gian|created|updated/i.test(col);
+        const phoneHint = this.PHONE_HEADER_HINT.test(col);
+        const threshold = Math.ceil(sample.length * 0.9);
+        const countMatches = (test) => sample.filter(test).length;
+
+        if (countMatches(v => this.parseBoolean(v) !== null) >= threshold) return 'boolean';
+        if (countMatches(v => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(v).trim())) >= threshold) return 'email';
+
+        const phoneMatches = countMatches(v => this.looksLikePhone(v));
+        if (phoneMatches >= threshold && (phoneHint || sample.some(v => typeof v === 'string'))) return 'phone';
+
+        const dateMatches = countMatches(v => typeof v === 'number' ? dateHint && this.parseDate(v) !== null : this.parseDate(v) !== null);
+        if (dateMatches >= threshold) return 'date';
+
+        if (countMatches(v => this.parseNumber(v) !== null) >= threshold) return 'number';
+
+        return 'text';
+    },
+
+    /**
+     * Get type of a column (user override, else inferred lazily)
+     */
+    getColumnType(column) {
+        const col = this.findColumn(column) || column;
+        if (this.columnTypeOverrides[col]) return this.columnTypeOverrides[col];
+        if (!this.columnTypes[col]) {
+            this.columnTypes[col] = this.inferColumnType(col);
+        }
+        return this.columnTypes[col];
+    },
+
+    /**
+     * Override type of a column (empty type = back to the inferred one)
+     */
+    setColumnType(column, type) {
+        const col = this.findColumn(column) || column;
+        if (!type) {
+            delete this.columnTypeOverrides[col];
+            return true;
+        }
+        if (!this.COLUMN_TYPES.includes(type)) return false;
+        this.columnTypeOverrides[col] = type;
+        return true;
+    },
+
+    /**
+     * Parse a number (accepts 1,234.5 / 1.234,5 / 12,5), null if not numeric
+     */
+    parseNumber(value) {
+        if (typeof value === 'number') return isFinite(value) ? value : null;
+        if (value === null || value === undefined) return null;
+
+        let str = String(value).trim().replace(/\s/g, '');
+        if (str === '') return null;
+
+        if (/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(str)) {
+            str = str.replace(/,/g, '');
+        } else if (/^-?\d{1,3}(\.\d{3})+(,\d+)?$/.test(str)) {
+            str = str.replace(/\./g, '').replace(',', '.');
+        } else if (/^-?\d+,\d+$/.test(str)) {
+            str = str.replace(',', '.');
+        }
+
+        if (!/^-?\d+(\.\d+)?$/.test(str)) return null;
+        return parseFloat(str);
+    },
+
+    /**
+     * Parse a date (Date, Excel serial, yyyy-mm-dd, dd/mm/yyyy), null if not a date
+     * Day-first is assumed for ambiguous dd/mm values
+     */
+    parseDate(value) {
+        if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+        if (value === null || value === undefined || value === '') return null;
+
+        // Excel serial date (1900 date system)
+        if (typeof value === 'number') {
+            if (value < 1 || value > 2958465) return null;
+            const utc = new Date(Math.round((value - 25569) * 86400000));
+            return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate(),
+                utc.getUTCHours(), utc.getUTCMinutes(), utc.getUTCSeconds());
+        }
+
+        const str = String(value).trim();
+        let match = str.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+        let year, month, day;
+        if (match) {
+            [year, month, day] = [+match[1], +match[2], +match[3]];
+        } else {
+            match = str.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})(?:[ T,]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+            if (!match) return null;
+            [day, month, year] = [+match[1], +match[2], +match[3]];
+            if (month > 12 && day <= 12) {
+                [day, month] = [month, day];
+            }
+        }
+
+        if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+        const date = new Date(year, month - 1, day, +(match[4] || 0), +(match[5] || 0), +(match[6] || 0));
+        if (date.getMonth() !== month - 1) return null;
+        return date;
+    },
+
+    /**
+     * Parse a boolean-like value, null if not boolean
+     */
+    parseBoolean(value) {
+        if (typeof value === 'boolean') return value;
+        const str = String(value).trim().toLowerCase();
+        if (['true', 'yes', 'y', 'có', 'co', 'x'].includes(str)) return true;
+        if (['false', 'no', 'n', 'không', 'khong'].includes(str)) return false;
+        return null;
+    },
+
+    /**
+     * Check if a value looks like a Vietnamese phone number
+     * (also accepts 9-digit numbers whose leading 0 was dropped by Excel)
+     */
+    looksLikePhone(value) {
+        const raw = String(value).trim();
+        if (!/^\+?[\d\s.\-()]+$/.test(raw)) return false;
+
+        const digits = raw.replace(/\D/g, '');
+        if (/^84\d{9,10}$/.test(digits)) return true;
+        if (/^0\d{9,10}$/.test(digits)) return true;
+        return /^[35789]\d{8}$/.test(digits);
+    },
+
+    /**
+     * Get comparable key for a phone number (national number without 0/84 prefix)
+     */
+    getPhoneKey(value) {
+        let digits = String(value === null || value === undefined ? '' : value).replace(/\D/g, '');
+        if (digits.startsWith('84') && digits.length >= 11) digits = digits.slice(2);
+        return digits.replace(/^0+/, '');
+    },
+
+    // ===== Phone Normalization =====
+
+    /**
+     * Normalize a Vietnamese phone number
+     * @returns {{status: string, local: string, e164: string}} local = 0xxxxxxxxx, e164 = +84xxxxxxxxx
+     */
+    normalizePhone(value) {
+        const raw = value === null || value === undefined ? '' : String(value).trim();
+        if (!raw) return { status: this.PHONE_STATUS.EMPTY, local: '', e164: '' };
+
+        const invalid = { status: this.PHONE_STATUS.INVALID, local: '', e164: '' };
+        // Only digits, spaces and common separators are allowed
+        if (!/^\+?[\d\s.\-()]+$/.test(raw)) return invalid;
+
+        let national = raw.replace(/\D/g, '');
+        if (/^0084/.test(national)) national = national.slice(4);
+        else if (/^84\d{9,10}$/.test(national)) national = national.slice(2);
+        national = national.replace(/^0+/, '');
+
+        // Old 11-digit mobile numbers (01xx xxx xxxx)
+        if (/^1\d{9}$/.test(national) && this.PHONE_LEGACY_PREFIXES[national.slice(0, 3)]) {
+            national = this.PHONE_LEGACY_PREFIXES[national.slice(0, 3)] + national.slice(3);
+        }
+
+        let status;
+        if (/^[35789]\d{8}$/.test(national)) status = this.PHONE_STATUS.VALID;
+        else if (/^2\d{9}$/.test(national)) status = this.PHONE_STATUS.LANDLINE;
+        else return invalid;
+
+        return { status, local: `0${national}`, e164: `+84${national}` };
+    },
+
+    /**
+     * Detect the phone column by header name and share of phone-like values
+     * @returns {string|null} header name
+     */
+    detectPhoneColumn() {
+        const sampleSize = 500;
+        let best = null;
+        let bestScore = 0;
+
+        this.headers.forEach(header => {
+            if (header.startsWith('_') || header === this.PHONE_STATUS_COL) return;
+
+            const sample = [];
+            for (let i = 0; i < this.data.length && sample.length < sampleSize; i++) {
+                const value = this.data[i][header];
+                if (value !== '' && value !== null && value !== undefined) sample.push(value);
+            }
+            if (sample.length === 0) return;
+
+            const share = sample.filter(v => this.normalizePhone(v).status !== this.PHONE_STATUS.INVALID).length / sample.length;
+            const score = share + (this.PHONE_HEADER_HINT.test(header) ? 0.5 : 0);
+            if (share >= 0.5 && score > bestScore) {
+                best = header;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    },
+
+    /**
+     * Count phone statuses of a column without modifying data
+     * @returns {{counts: Object, changed: number, invalidSamples: Array}}
+     */
+    analyzePhoneColumn(column, format = 'local') {
+        const col = this.findColumn(column);
+        const counts = {};
+        Object.values(this.PHONE_STATUS).forEach(status => { counts[status] = 0; });
+        const invalidSamples = [];
+        let changed = 0;
+
+        if (!col) return { counts, changed, invalidSamples };
+
+        this.data.forEach((row, index) => {
+            const result = this.normalizePhone(row[col]);
+            counts[result.status]++;
+            if (result.status === this.PHONE_STATUS.INVALID && invalidSamples.length < 5) {
+                invalidSamples.push({ row: index + 1, value: row[col] });
+            }
+            const formatted = format === 'e164' ? result.e164 : result.local;
+            if (formatted && formatted !== String(row[col]).trim()) changed++;
+        });
+
+        return { counts, changed, invalidSamples };
+    },
+
+    /**
+     * Normalize a phone column and write statuses to Phone_Status
+     * @param {string} column - Phone column (null = detect)
+     * @param {Object} options - { format: 'local' | 'e164', writeBack: rewrite valid numbers in place }
+     */
+    normalizePhoneColumn(column = null, options = {}) {
+        const { format = 'local', writeBack = true } = options;
+        const col = column ? this.findColumn(column) : this.detectPhoneColumn();
+
+        if (!col) {
+            return { success: false, message: 'Không tìm thấy cột số điện thoại.' };
+        }
+
+        this.beginChange(`Chuẩn hóa SĐT cột ${col}`, { icon: '📞', columns: [col, this.PHONE_STATUS_COL] });
+        this.ensureColumn(this.PHONE_STATUS_COL);
+
+        const counts = {};
+        Object.values(this.PHONE_STATUS).forEach(status => { counts[status] = 0; });
+        let changed = 0;
+
+        this.data.forEach(row => {
+            const result = this.normalizePhone(row[col]);
+            counts[result.status]++;
+            row[this.PHONE_STATUS_COL] = result.status;
+
+            const formatted = format === 'e164' ? result.e164 : result.local;
+            if (writeBack && formatted && formatted !== row[col]) {
+                row[col] = formatted;
+                changed++;
+            }
+        });
+
+        this.commitChange();
+
+        // Values changed: re-infer type of the phone column, status column is plain text
+        delete this.columnTypes[col];
+        this.columnTypes[this.PHONE_STATUS_COL] = 'text';
+
+        return {
+            success: true,
+            column: col,
+            counts,
+            changed,
+            message: `Đã chuẩn hóa cột ${col}: ${counts.Valid} hợp lệ, ${counts.Landline} cố định, ${counts.Invalid} không hợp lệ, ${counts.Empty} trống (${changed} giá trị được sửa).`
+        };
+    },
+
     /**
      * Export data to array format for XLSX
      */
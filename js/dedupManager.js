@@ -0,0 +1,224 @@
+/**
+ * Dedup Manager - FW Tools
+ * Finds exact/fuzzy duplicate rows across key columns and tags or removes them
+ */
+
+const DedupManager = {
+    // Column receiving the dedup flag
+    FLAG_COL: 'Dedup_Flag',
+
+    // Keeper strategies
+    KEEP_STRATEGIES: {
+        marked: 'Ưu tiên dòng đã có batch',
+        first: 'Dòng đầu tiên',
+        complete: 'Dòng nhiều dữ liệu nhất'
+    },
+
+    /**
+     * Normalize a value into a comparable key
+     * @param {*} value - Cell value
+     * @param {string} type - Column type (phone, email, ...)
+     * @param {boolean} fuzzy - Looser matching (diacritics, punctuation, gmail dots/+tags)
+     * @returns {string} key ('' = no key)
+     */
+    normalizeKey(value, type, fuzzy = false) {
+        const raw = value === null || value === undefined ? '' : String(value).trim();
+        if (!raw) return '';
+
+        if (type === 'phone') {
+            const phone = DataManager.normalizePhone(raw);
+            return phone.local || (fuzzy ? raw.replace(/\D/g, '') : raw);
+        }
+
+        if (type === 'email') {
+            const email = raw.toLowerCase();
+            if (!fuzzy) return email;
+            const [local, domain = ''] = email.split('@');
+            let user = local.replace(/\+.*$/, '');
+            if (domain === 'gmail.com' || domain === 'googlemail.com') user = user.replace(/\./g, '');
+            return `${user}@${domain === 'googlemail.com' ? 'gmail.com' : domain}`;
+        }
+
+        if (!fuzzy) return raw.toLowerCase();
+        return raw
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/đ/gi, 'd')
+            .toLowerCase()
+            .replace(/[^a-z0-9]/g, '');
+    },
+
+    /**
+     * Find duplicate clusters
+     * @param {Object} options - { columns, fuzzy, matchMode, keep, indices, phoneColumn }
+     *   matchMode 'any': rows sharing a key in ANY column are duplicates (clusters are merged transitively)
+     *   matchMode 'all': rows must match on ALL key columns
+     *   indices: limit to these row indices (e.g. filtered rows)
+     *   phoneColumn: column compared as phone numbers whatever its inferred type
+     *     (Excel often stores phones as numbers); default = DataManager.detectPhoneColumn(), '' = none
+     * @returns {{success: boolean, clusters: Array<{keeper: number, duplicates: Array<number>, keys: Array<string>}>, duplicateCount: number, indices: Array<number>|null}}
+     */
+    findDuplicates(options = {}) {
+        const { columns = [], fuzzy = false, matchMode = 'any', keep = 'marked', indices = null } = options;
+        const phoneColumn = options.phoneColumn === undefined
+            ? DataManager.detectPhoneColumn()
+            : DataManager.findColumn(options.phoneColumn);
+        const data = DataManager.getData();
+
+        const keyColumns = columns.map(c => DataManager.findColumn(c)).filter(Boolean);
+        if (keyColumns.length === 0) {
+            return { success: false, message: 'Chọn ít nhất 1 cột khóa.' };
+        }
+
+        const types = keyColumns.map(col => col === phoneColumn ? 'phone' : DataManager.getColumnType(col));
+        const rowIndices = indices || data.map((_, i) => i);
+
+        // Union-find over row indices
+        const parent = new Map();
+        const find = (i) => {
+            while (parent.get(i) !== i) {
+                parent.set(i, parent.get(parent.get(i)));
+                i = parent.get(i);
+            }
+            return i;
+        };
+        const union = (a, b) => {
+            const rootA = find(a);
+            const rootB = find(b);
+            if (rootA !== rootB) parent.set(Math.max(rootA, rootB), Math.min(rootA, rootB));
+        };
+
+        const firstByKey = new Map();
+        const keysByRow = new Map();
+
+        rowIndices.forEach(idx => {
+            parent.set(idx, idx);
+            const row = data[idx];
+            const keys = keyColumns.map((col, k) => this.normalizeKey(row[col], types[k], fuzzy));
+
+            const rowKeys = matchMode === 'all'
+                ? (keys.every(Boolean) ? [keys.join('\u0001')] : [])
+                : keys.map((key, k) => key ? `${k}:${key}` : '').filter(Boolean);
+
+            keysByRow.set(idx, keys);
+            rowKeys.forEach(key => {
+                if (firstByKey.has(key)) {
+                    union(firstByKey.get(key), idx);
+                } else {
+                    firstByKey.set(key, idx);
+                }
+            });
+        });
+
+        // Collect clusters
+        const groups = new Map();
+        rowIndices.forEach(idx => {
+            const root = find(idx);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(idx);
+        });
+
+        const clusters = [];
+        groups.forEach(members => {
+            if (members.length < 2) return;
+            const keeper = this.pickKeeper(members, keep);
+            clusters.push({
+                keeper,
+                duplicates: members.filter(i => i !== keeper),
+                keys: keysByRow.get(keeper)
+            });
+        });
+        clusters.sort((a, b) => a.keeper - b.keeper);
+
+        return {
+            success: true,
+            columns: keyColumns,
+            clusters,
+            duplicateCount: clusters.reduce((sum, c) => sum + c.duplicates.length, 0),
+            indices
+        };
+    },
+
+    /**
+     * Pick the row to keep in a cluster
+     */
+    pickKeeper(members, keep = 'marked') {
+        const data = DataManager.getData();
+        const sorted = [...members].sort((a, b) => a - b);
+
+        if (keep === 'marked') {
+            return sorted.find(i => this.hasBatch(data[i])) ?? sorted[0];
+        }
+        if (keep === 'complete') {
+            const filled = (row) => Object.keys(row).filter(k => !k.startsWith('_') && row[k] !== '' && row[k] !== null && row[k] !== undefined).length;
+            return sorted.reduce((best, i) => filled(data[i]) > filled(data[best]) ? i : best, sorted[0]);
+        }
+        return sorted[0];
+    },
+
+    /**
+     * Check if a row is already in any batch
+     */
+    hasBatch(row) {
+        return BatchAnalytics.CHANNELS.some(channel => {
+            const col = DataManager.findColumn(ConfigManager.get(channel.configKey));
+            return col && row[col] !== '' && row[col] !== null && row[col] !== undefined;
+        });
+    },
+
+    /**
+     * Tag duplicates in Dedup_Flag ("DUP #<keeper row>")
+     * Previous flags are cleared only on the scanned rows, flags outside the scope are kept
+     * @param {Array} clusters - From findDuplicates()
+     * @param {Array<number>|null} indices - Scanned rows (findDuplicates().indices), null = all rows
+     */
+    tagDuplicates(clusters, indices = null) {
+        const data = DataManager.getData();
+
+        DataManager.beginChange('Tag dòng trùng', { icon: '👥', columns: [this.FLAG_COL] });
+        DataManager.ensureColumn(this.FLAG_COL);
+        (indices || data.map((_, i) => i)).forEach(idx => { data[idx][this.FLAG_COL] = ''; });
+
+        clusters.forEach(cluster => {
+            cluster.duplicates.forEach(idx => {
+                data[idx][this.FLAG_COL] = `DUP #${cluster.keeper + 1}`;
+            });
+        });
+        DataManager.commitChange();
+
+        const count = clusters.reduce((sum, c) => sum + c.duplicates.length, 0);
+        ConfigManager.addActionHistory({ type: 'dedup_tag', count, icon: '👥' });
+
+        return {
+            success: true,
+            count,
+            message: `Đã tag ${count} dòng trùng trong ${clusters.length} cluster (cột ${this.FLAG_COL}).`
+        };
+    },
+
+    /**
+     * Keep one row per cluster (remove the others)
+     */
+    removeDuplicates(clusters) {
+        const toRemove = new Set();
+        clusters.forEach(cluster => cluster.duplicates.forEach(idx => toRemove.add(idx)));
+
+        // Only the row order changes: rows are restored by reference on undo
+        DataManager.beginChange(`Xóa ${toRemove.size} dòng trùng`, { icon: '👥', columns: [] });
+        DataManager.data = DataManager.getData().filter((_, idx) => !toRemove.has(idx));
+        DataManager.commitChange();
+        DataManager.detectBatches();
+
+        ConfigManager.addActionHistory({ type: 'dedup_remove', count: toRemove.size, icon: '👥' });
+
+        return {
+            success: true,
+            count: toRemove.size,
+            message: `Đã xóa ${toRemove.size} dòng trùng, giữ 1 dòng cho mỗi cluster (${clusters.length} cluster).`
+        };
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.DedupManager = DedupManager;
+}
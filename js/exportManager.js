@@ -5,13 +5,15 @@
 
 const ExportManager = {
     /**
-     * Export SMS batch to Excel
+     * Export SMS batch
+     * @param {number} batchNumber - SMS batch number
+     * @param {Object} options - { profileId, format } (format is used when no profile is selected)
      */
-    exportSmsBatch(batchNumber) {
+    exportSmsBatch(batchNumber, options = {}) {
+        const { profileId = null, format = 'xlsx' } = options;
         const config = ConfigManager.getAll();
         const data = DataManager.getData();
         const batchCol = DataManager.findColumn(config.BATCH_COL);
-        const contentCol = DataManager.findColumn(config.CONTENT_COL);
 
         if (!batchCol) {
             return { success: false, message: 'Không tìm thấy cột batch SMS.' };
@@ -24,26 +26,22 @@ const ExportManager = {
             return { success: false, message: `Không có dữ liệu cho batch ${batchNumber}.` };
         }
 
-        // Get first column (usually phone) and content column
-        const headers = DataManager.getHeaders();
-        const firstCol = headers[0];
-
-        // Build export data
-        const exportData = [['Phone', 'SMS Content']];
-        rows.forEach(row => {
-            exportData.push([
-                row[firstCol] || '',
-                contentCol ? (row[contentCol] || '') : ''
-            ]);
-        });
+        const profile = this.resolveProfile(profileId, 'sms', format);
+        if (!profile) {
+            return { success: false, message: 'Không tìm thấy export profile.' };
+        }
 
         // Generate filename
         const fileInfo = DataManager.getFileInfo();
         const baseName = fileInfo.name ? fileInfo.name.replace(/\.[^.]+$/, '') : 'export';
-        const filename = `${baseName} - Batch ${batchNumber} (SMS).xlsx`;
+        const profileSuffix = profile.builtIn ? '' : ` - ${profile.name}`;
 
         // Export
-        this.downloadExcel(exportData, filename);
+        const filename = this.downloadWithProfile(
+            this.buildProfileData(profile, rows),
+            profile,
+            `${baseName} - Batch ${batchNumber} (SMS)${profileSuffix}`
+        );
 
         // Log action
         ConfigManager.addActionHistory({
@@ -64,14 +62,17 @@ const ExportManager = {
     },
 
     /**
-     * Export Email batch to Excel
+     * Export Email batch
+     * @param {number} batchNumber - Email batch number
+     * @param {Object} options - { mode, format, profileId }
+     *   mode: 'list' (Email + SGUID Link or export profile), 'mailmerge' (To, Subject, HtmlBody) or 'eml' (zip of .eml files)
+     *   format: 'xlsx' | 'csv' for mailmerge, and for list when no profile is selected
      */
-    exportEmailBatch(batchNumber) {
+    exportEmailBatch(batchNumber, options = {}) {
+        const { mode = 'list', format = 'xlsx', profileId = null } = options;
         const config = ConfigManager.getAll();
         const data = DataManager.getData();
         const batchCol = DataManager.findColumn(config.EMAIL_BATCH_COL);
-        const emailCol = DataManager.findColumn(config.EMAIL_COL);
-        const linkCol = DataManager.findColumn(config.EMAIL_LINK_COL);
 
         if (!batchCol) {
             return { success: false, message: 'Không tìm thấy cột batch Email.' };
@@ -84,22 +85,45 @@ const ExportManager = {
             return { success: false, message: `Không có dữ liệu cho batch ${batchNumber}.` };
         }
 
-        // Build export data
-        const exportData = [['Email', 'SGUID Link']];
-        rows.forEach(row => {
-            exportData.push([
-                emailCol ? (row[emailCol] || '') : '',
-                linkCol ? (row[linkCol] || '') : ''
-            ]);
-        });
-
         // Generate filename
         const fileInfo = DataManager.getFileInfo();
         const baseName = fileInfo.name ? fileInfo.name.replace(/\.[^.]+$/, '') : 'export';
-        const filename = `${baseName} - Batch ${batchNumber} (Email).xlsx`;
-
-        // Export
-        this.downloadExcel(exportData, filename);
+        let filename;
+
+        if (mode === 'list') {
+            const profile = this.resolveProfile(profileId, 'email', format);
+            if (!profile) {
+                return { success: false, message: 'Không tìm thấy export profile.' };
+            }
+            const profileSuffix = profile.builtIn ? '' : ` - ${profile.name}`;
+            filename = this.downloadWithProfile(
+                this.buildProfileData(profile, rows),
+                profile,
+                `${baseName} - Batch ${batchNumber} (Email)${profileSuffix}`
+            );
+        } else {
+            const built = this.buildEmailMessages(rows);
+            if (!built.success) return built;
+
+            if (mode === 'eml') {
+                const files = built.messages.map((message, i) => ({
+                    name: `${String(i + 1).padStart(4, '0')}_${this.sanitizeFilename(message.to || 'no-email')}.eml`,
+                    content: this.buildEml(message)
+                }));
+                filename = `${baseName} - Batch ${batchNumber} (Email EML).zip`;
+                this.downloadBlob(this.createZip(files), filename);
+            } else {
+                const exportData = [['To', 'Subject', 'HtmlBody']];
+                built.messages.forEach(m => exportData.push([m.to, m.subject, m.html]));
+
+                filename = `${baseName} - Batch ${batchNumber} (Mail Merge).${format}`;
+                if (format === 'csv') {
+                    this.downloadCSV(exportData, filename);
+                } else {
+                    this.downloadExcel(exportData, filename);
+                }
+            }
+        }
 
         // Log action
         ConfigManager.addActionHistory({
@@ -119,11 +143,201 @@ const ExportManager = {
         return { success: true, message: `Đã export ${rows.length} dòng cho Email batch ${batchNumber}.`, filename };
     },
 
+    // ===== Email Messages =====
+
+    /**
+     * Build { to, subject, html } for each row
+     * Body uses Content_Email when filled at mark time, otherwise renders the current body template
+     */
+    buildEmailMessages(rows) {
+        const config = ConfigManager.getAll();
+        const emailCol = DataManager.findColumn(config.EMAIL_COL);
+        const linkCol = DataManager.findColumn(config.EMAIL_LINK_COL);
+        const contentCol = DataManager.findColumn(config.EMAIL_CONTENT_COL);
+        const template = BatchManager.getCurrentEmailTemplate();
+
+        for (const [label, text] of [['Subject', template.subject], ['Body', template.html]]) {
+            const validation = TemplateEngine.validate(text);
+            if (!validation.valid) {
+                return { success: false, message: `Template Email ${label} không hợp lệ: ${validation.errors.join('; ')}` };
+            }
+        }
+
+        const messages = rows.map(row => {
+            const stored = contentCol ? String(row[contentCol] ?? '') : '';
+            const html = stored.trim()
+                ? stored
+                : (template.html.trim() ? TemplateEngine.render(template.html, row, { linkColumn: linkCol, escapeHtml: true }) : '');
+            // Subject is a header: render without the legacy "append link" behaviour
+            const subject = TemplateEngine.hasPlaceholders(template.subject)
+                ? TemplateEngine.render(template.subject, row, { linkColumn: linkCol })
+                : template.subject;
+
+            return {
+                to: emailCol ? String(row[emailCol] ?? '').trim() : '',
+                subject: subject.replace(/[\r\n]+/g, ' ').trim(),
+                html
+            };
+        });
+
+        if (messages.every(m => !m.html)) {
+            return { success: false, message: 'Chưa có nội dung email. Hãy nhập Email Body template trong Config.' };
+        }
+
+        return { success: true, messages };
+    },
+
+    /**
+     * Build an RFC 5322 .eml message (opens as a draft in Outlook/Thunderbird)
+     */
+    buildEml(message) {
+        const body = this.encodeBase64(message.html).replace(/.{76}(?=.)/g, '$&\r\n');
+        return [
+            `To: ${this.sanitizeHeader(message.to)}`,
+            `Subject: ${this.encodeHeader(this.sanitizeHeader(message.subject))}`,
+            'X-Unsent: 1',
+            'MIME-Version: 1.0',
+            'Content-Type: text/html; charset=UTF-8',
+            'Content-Transfer-Encoding: base64',
+            '',
+            body,
+            ''
+        ].join('\r\n');
+    },
+
+    /**
+     * Flatten line breaks in a header value so a data cell cannot add extra headers
+     */
+    sanitizeHeader(text) {
+        return String(text ?? '').replace(/[\r\n]+/g, ' ').trim();
+    },
+
+    /**
+     * Encode a header value as RFC 2047 (only when it contains non-ASCII)
+     */
+    encodeHeader(text) {
+        if (!/[^\x20-\x7e]/.test(text)) return text;
+        return `=?UTF-8?B?${this.encodeBase64(text)}?=`;
+    },
+
+    /**
+     * Base64 of the UTF-8 bytes of a string
+     */
+    encodeBase64(text) {
+        const bytes = new TextEncoder().encode(text);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    },
+
+    /**
+     * Make a string safe for use as a filename
+     */
+    sanitizeFilename(name) {
+        return String(name).replace(/[\\/:*?"<>|\s]+/g, '_').slice(0, 80);
+    },
+
+    // ===== Zip =====
+
+    /**
+     * CRC32 of a byte array
+     */
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    /**
+     * Create an uncompressed (STORE) zip archive
+     * @param {Array<{name: string, content: string}>} files
+     * @returns {Blob}
+     */
+    createZip(files) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = this.crc32(data);
+
+            // Local file header
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 filenames
+            local.setUint16(8, 0, true); // STORE
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            parts.push(local, name, data);
+
+            // Central directory entry
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, dosTime, true);
+            entry.setUint16(14, dosDate, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(entry, name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, end], { type: 'application/zip' });
+    },
+
     /**
      * Export custom selection
+     * @param {Object} options - { columns, useFilter, format, profileId } (a profile replaces columns and format)
      */
     exportCustom(options = {}) {
-        const { columns = null, useFilter = false, format = 'xlsx' } = options;
+        const { columns = null, useFilter = false, format = 'xlsx', profileId = null } = options;
+
+        if (!profileId && columns && columns.length === 0) {
+            return { success: false, message: 'Chọn ít nhất một cột để export.' };
+        }
 
         let data;
         if (useFilter && FilterEngine.hasActiveFilters()) {
@@ -133,29 +347,33 @@ const ExportManager = {
             data = DataManager.getData();
         }
 
-        const headers = columns || DataManager.getHeaders();
-
-        // Build export data
-        const exportData = [headers];
-        data.forEach(row => {
-            const rowData = headers.map(col => {
-                const column = DataManager.findColumn(col) || col;
-                return row[column] !== undefined ? row[column] : '';
-            });
-            exportData.push(rowData);
-        });
-
         // Generate filename
         const fileInfo = DataManager.getFileInfo();
         const baseName = fileInfo.name ? fileInfo.name.replace(/\.[^.]+$/, '') : 'export';
         const timestamp = new Date().toISOString().slice(0, 10);
-        const filename = `${baseName} - Custom Export ${timestamp}.${format}`;
+        let filename;
 
-        // Export based on format
-        if (format === 'csv') {
-            this.downloadCSV(exportData, filename);
+        const profile = profileId ? ConfigManager.getExportProfile(profileId) : null;
+        if (profileId && !profile) {
+            return { success: false, message: 'Không tìm thấy export profile.' };
+        }
+
+        if (profile) {
+            filename = this.downloadWithProfile(
+                this.buildProfileData(profile, data),
+                profile,
+                `${baseName} - Custom Export ${timestamp} - ${profile.name}`
+            );
         } else {
-            this.downloadExcel(exportData, filename);
+            const exportData = this.buildCustomData(data, columns);
+            filename = `${baseName} - Custom Export ${timestamp}.${format}`;
+
+            // Export based on format
+            if (format === 'csv') {
+                this.downloadCSV(exportData, filename);
+            } else {
+                this.downloadExcel(exportData, filename);
+            }
         }
 
         ConfigManager.addExportHistory({
@@ -167,6 +385,201 @@ const ExportManager = {
         return { success: true, message: `Đã export ${data.length} dòng.`, filename };
     },
 
+    /**
+     * Build rows for a custom export (selected columns as-is)
+     */
+    buildCustomData(rows, columns = null) {
+        const headers = columns || DataManager.getHeaders();
+        const exportData = [headers];
+        rows.forEach(row => {
+            exportData.push(headers.map(col => {
+                const column = DataManager.findColumn(col) || col;
+                return row[column] !== undefined ? row[column] : '';
+            }));
+        });
+        return exportData;
+    },
+
+    // ===== Export Profiles =====
+
+    // Special fields a profile column can map to (resolved from config columns)
+    PROFILE_FIELDS: {
+        '$phone': { label: 'Phone (Phone Column)', configKey: 'PHONE_COL' },
+        '$sms_content': { label: 'SMS Content', configKey: 'CONTENT_COL' },
+        '$sms_batch': { label: 'SMS Batch', configKey: 'BATCH_COL' },
+        '$email': { label: 'Email', configKey: 'EMAIL_COL' },
+        '$email_link': { label: 'SGUID Link (Email Link Column)', configKey: 'EMAIL_LINK_COL' },
+        '$email_content': { label: 'Email Content', configKey: 'EMAIL_CONTENT_COL' },
+        '$email_batch': { label: 'Email Batch', configKey: 'EMAIL_BATCH_COL' }
+    },
+
+    PHONE_FORMATS: {
+        keep: 'Giữ nguyên',
+        '84': '84xxxxxxxxx',
+        '+84': '+84xxxxxxxxx',
+        '0': '0xxxxxxxxx'
+    },
+
+    DELIMITERS: {
+        ',': 'Dấu phẩy (,)',
+        ';': 'Chấm phẩy (;)',
+        'tab': 'Tab',
+        '|': 'Gạch đứng (|)'
+    },
+
+    ENCODINGS: {
+        'utf-8': 'UTF-8',
+        'utf-8-bom': 'UTF-8 with BOM (Excel)',
+        'utf-16le': 'UTF-16 LE',
+        'ascii': 'ASCII (bỏ dấu)'
+    },
+
+    /**
+     * Built-in layouts used when no profile is selected (same as the old fixed exports)
+     */
+    getDefaultProfile(channel, format = 'xlsx') {
+        const columns = channel === 'email'
+            ? [{ field: '$email', header: 'Email' }, { field: '$email_link', header: 'SGUID Link' }]
+            : [{ field: '$phone', header: 'Phone' }, { field: '$sms_content', header: 'SMS Content' }];
+
+        return {
+            id: null,
+            name: channel === 'email' ? 'Mặc định Email' : 'Mặc định SMS',
+            builtIn: true,
+            columns,
+            format,
+            delimiter: ',',
+            encoding: 'utf-8-bom',
+            phoneFormat: 'keep'
+        };
+    },
+
+    /**
+     * Get a saved profile, or the built-in layout when profileId is empty
+     */
+    resolveProfile(profileId, channel, format = 'xlsx') {
+        if (!profileId) return this.getDefaultProfile(channel, format);
+        return ConfigManager.getExportProfile(profileId) || null;
+    },
+
+    /**
+     * Resolve a profile field to an actual column name
+     */
+    resolveProfileField(field) {
+        const special = this.PROFILE_FIELDS[field];
+        if (special) return DataManager.findColumn(ConfigManager.get(special.configKey));
+        return DataManager.findColumn(field);
+    },
+
+    /**
+     * Format a phone number (84 / +84 / 0 prefix); invalid numbers are kept as-is
+     */
+    formatPhone(value, format = 'keep') {
+        const raw = value === null || value === undefined ? '' : String(value).trim();
+        if (format === 'keep' || !raw) return raw;
+
+        const phone = DataManager.normalizePhone(raw);
+        if (!phone.e164) return raw;
+
+        switch (format) {
+            case '84': return phone.e164.slice(1);
+            case '+84': return phone.e164;
+            case '0': return phone.local;
+            default: return raw;
+        }
+    },
+
+    /**
+     * Build export rows (array of arrays, header first) for a profile
+     */
+    buildProfileData(profile, rows) {
+        const columns = profile.columns.map(c => {
+            const column = this.resolveProfileField(c.field);
+            return {
+                ...c,
+                column,
+                isPhone: c.field === '$phone' || (!!column && DataManager.getColumnType(column) === 'phone')
+            };
+        });
+
+        const exportData = [columns.map(c => c.header || c.field)];
+        rows.forEach(row => {
+            exportData.push(columns.map(c => {
+                const value = c.column ? (row[c.column] ?? '') : '';
+                return c.isPhone ? this.formatPhone(value, profile.phoneFormat) : value;
+            }));
+        });
+        return exportData;
+    },
+
+    /**
+     * Preview the first rows of a profile export
+     */
+    previewProfile(profile, rows, limit = 5) {
+        return this.buildProfileData(profile, rows.slice(0, limit));
+    },
+
+    /**
+     * Download export rows using profile format/delimiter/encoding
+     * @returns {string} filename
+     */
+    downloadWithProfile(exportData, profile, baseFilename) {
+        if (profile.format !== 'csv') {
+            const filename = `${baseFilename}.xlsx`;
+            this.downloadExcel(exportData, filename);
+            return filename;
+        }
+
+        const delimiter = profile.delimiter === 'tab' ? '\t' : (profile.delimiter || ',');
+        const text = this.toDelimitedText(exportData, delimiter);
+        const extension = delimiter === '\t' ? 'txt' : 'csv';
+        const filename = `${baseFilename}.${extension}`;
+        this.downloadBlob(this.encodeText(text, profile.encoding), filename);
+        return filename;
+    },
+
+    /**
+     * Convert rows to delimited text (RFC 4180 quoting)
+     */
+    toDelimitedText(exportData, delimiter = ',') {
+        return exportData.map(row =>
+            row.map(cell => {
+                const str = cell === null || cell === undefined ? '' : String(cell);
+                if (str.includes(delimiter) || str.includes('"') || str.includes('\n') || str.includes('\r')) {
+                    return `"${str.replace(/"/g, '""')}"`;
+                }
+                return str;
+            }).join(delimiter)
+        ).join('\r\n');
+    },
+
+    /**
+     * Encode text as a Blob in the given encoding
+     */
+    encodeText(text, encoding = 'utf-8-bom') {
+        switch (encoding) {
+            case 'utf-8':
+                return new Blob([text], { type: 'text/csv;charset=utf-8;' });
+            case 'utf-16le': {
+                const buffer = new Uint8Array(2 + text.length * 2);
+                buffer[0] = 0xFF;
+                buffer[1] = 0xFE;
+                for (let i = 0; i < text.length; i++) {
+                    const code = text.charCodeAt(i);
+                    buffer[2 + i * 2] = code & 0xFF;
+                    buffer[3 + i * 2] = code >> 8;
+                }
+                return new Blob([buffer], { type: 'text/csv;charset=utf-16le;' });
+            }
+            case 'ascii': {
+                const ascii = SmsCalculator.stripDiacritics(text).replace(/[^\x00-\x7f]/g, '?');
+                return new Blob([ascii], { type: 'text/csv;charset=us-ascii;' });
+            }
+            default:
+                return new Blob(['\ufeff' + text], { type: 'text/csv;charset=utf-8;' });
+        }
+    },
+
     /**
      * Download as Excel file
      */
@@ -205,6 +618,13 @@ const ExportManager = {
         ).join('\n');
 
         const blob = new Blob(['\ufeff' + csv], { type: 'text/csv;charset=utf-8;' });
+        this.downloadBlob(blob, filename);
+    },
+
+    /**
+     * Download a Blob as a file
+     */
+    downloadBlob(blob, filename) {
         const link = document.createElement('a');
         link.href = URL.createObjectURL(blob);
         link.download = filename;
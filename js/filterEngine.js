@@ -4,9 +4,14 @@
  */
 
 const FilterEngine = {
-    // Current filter conditions
+    // Current filter conditions (top level of the condition tree)
+    // Each node is either a condition { id, column, operator, value, active }
+    // or a group { id, type: 'group', logic: 'AND'|'OR', negate, children: [] }
     conditions: [],
 
+    // How top-level nodes are combined
+    rootLogic: 'AND',
+
     // Filter presets
     presets: {},
 
@@ -22,6 +27,7 @@ const FilterEngine = {
      */
     init() {
         this.conditions = [];
+        this.rootLogic = 'AND';
         this.filteredData = null;
         this.filteredIndices = null;
         this.searchQuery = '';
@@ -30,36 +36,108 @@ const FilterEngine = {
     },
 
     /**
-     * Add a filter condition
+     * Generate a unique node id
      */
-    addCondition(condition = null) {
+    generateId() {
+        return Date.now() + Math.random();
+    },
+
+    /**
+     * Check if a node is a group
+     */
+    isGroup(node) {
+        return !!node && node.type === 'group';
+    },
+
+    /**
+     * Add a filter condition (to root or to a group)
+     */
+    addCondition(condition = null, parentId = null) {
         const newCondition = condition || {
-            id: Date.now(),
+            id: this.generateId(),
             column: '',
             operator: 'equals',
             value: '',
             active: true
         };
-        this.conditions.push(newCondition);
+        this.getChildList(parentId).push(newCondition);
+        this.invalidateCache();
         return newCondition;
     },
 
     /**
-     * Update a condition
+     * Add a condition group (to root or to a group)
+     */
+    addGroup(parentId = null, logic = 'OR') {
+        const group = {
+            id: this.generateId(),
+            type: 'group',
+            logic: logic,
+            negate: false,
+            children: []
+        };
+        group.children.push({
+            id: this.generateId(),
+            column: '',
+            operator: 'equals',
+            value: '',
+            active: true
+        });
+        this.getChildList(parentId).push(group);
+        this.invalidateCache();
+        return group;
+    },
+
+    /**
+     * Get the children array of a group (root when parentId is null)
+     */
+    getChildList(parentId) {
+        if (parentId === null || parentId === undefined) return this.conditions;
+        const parent = this.findNode(parentId);
+        return this.isGroup(parent) ? parent.children : this.conditions;
+    },
+
+    /**
+     * Find a node anywhere in the tree
+     */
+    findNode(id, nodes = this.conditions) {
+        for (const node of nodes) {
+            if (node.id === id) return node;
+            if (this.isGroup(node)) {
+                const found = this.findNode(id, node.children);
+                if (found) return found;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Update a condition or group
      */
     updateCondition(id, updates) {
-        const condition = this.conditions.find(c => c.id === id);
-        if (condition) {
-            Object.assign(condition, updates);
+        const node = this.findNode(id);
+        if (node) {
+            Object.assign(node, updates);
             this.invalidateCache();
         }
     },
 
     /**
-     * Remove a condition
+     * Remove a condition or group
      */
     removeCondition(id) {
-        this.conditions = this.conditions.filter(c => c.id !== id);
+        const removeFrom = (nodes) => nodes
+            .filter(n => n.id !== id)
+            .map(n => this.isGroup(n) ? { ...n, children: removeFrom(n.children) } : n);
+        this.conditions = removeFrom(this.conditions);
+        this.invalidateCache();
+    },
+
+    /**
+     * Set how top-level nodes are combined
+     */
+    setRootLogic(logic) {
+        this.rootLogic = logic === 'OR' ? 'OR' : 'AND';
         this.invalidateCache();
     },
 
@@ -68,6 +146,7 @@ const FilterEngine = {
      */
     clearConditions() {
         this.conditions = [];
+        this.rootLogic = 'AND';
         this.invalidateCache();
     },
 
@@ -99,7 +178,9 @@ const FilterEngine = {
             };
         }
 
-        const activeConditions = this.conditions.filter(c => c.active && c.column);
+        const root = this.getRootGroup();
+        const hasConditions = this.isNodeActive(root);
+        const types = this.resolveColumnTypes(root);
 
         this.filteredData = [];
         this.filteredIndices = [];
@@ -110,8 +191,8 @@ const FilterEngine = {
                 return;
             }
 
-            // Check all conditions
-            if (activeConditions.length === 0 || this.matchesAllConditions(row, activeConditions)) {
+            // Check condition tree
+            if (!hasConditions || this.matchNode(row, root, types)) {
                 this.filteredData.push(row);
                 this.filteredIndices.push(index);
             }
@@ -139,13 +220,84 @@ const FilterEngine = {
      * Check if row matches all conditions
      */
     matchesAllConditions(row, conditions) {
-        return conditions.every(condition => this.matchCondition(row, condition));
+        const types = this.resolveColumnTypes({ type: 'group', children: conditions });
+        return conditions.every(condition => this.matchNode(row, condition, types));
+    },
+
+    /**
+     * Resolve the column type of every condition in a tree once, before scanning rows
+     * @returns {Map} condition -> type
+     */
+    resolveColumnTypes(node, types = new Map()) {
+        if (this.isGroup(node)) {
+            node.children.forEach(child => this.resolveColumnTypes(child, types));
+        } else if (node.column) {
+            types.set(node, DataManager.getColumnType(node.column));
+        }
+        return types;
+    },
+
+    /**
+     * Get top-level conditions wrapped as a group
+     */
+    getRootGroup() {
+        return {
+            id: 'root',
+            type: 'group',
+            logic: this.rootLogic,
+            negate: false,
+            children: this.conditions
+        };
+    },
+
+    /**
+     * Check if a node contributes to filtering
+     * (active condition with a column, or group containing one)
+     */
+    isNodeActive(node) {
+        if (this.isGroup(node)) {
+            return node.children.some(child => this.isNodeActive(child));
+        }
+        return !!(node.active && node.column);
+    },
+
+    /**
+     * Check if row matches a node (condition or group)
+     * @param {Map} [types] - Column types from resolveColumnTypes
+     */
+    matchNode(row, node, types = null) {
+        if (!this.isGroup(node)) {
+            return this.matchCondition(row, node, types);
+        }
+
+        // Inactive children are ignored so half-built groups don't hide rows
+        const children = node.children.filter(child => this.isNodeActive(child));
+        let result;
+        if (children.length === 0) {
+            result = true;
+        } else if (node.logic === 'OR') {
+            result = children.some(child => this.matchNode(row, child, types));
+        } else {
+            result = children.every(child => this.matchNode(row, child, types));
+        }
+
+        return node.negate ? !result : result;
+    },
+
+    /**
+     * Count active conditions in the tree
+     */
+    countActiveConditions(nodes = this.conditions) {
+        return nodes.reduce((sum, node) => {
+            if (this.isGroup(node)) return sum + this.countActiveConditions(node.children);
+            return sum + (node.active && node.column ? 1 : 0);
+        }, 0);
     },
 
     /**
      * Check if row matches a single condition
      */
-    matchCondition(row, condition) {
+    matchCondition(row, condition, types = null) {
         const { column, operator, value } = condition;
         const cellValue = row[column];
 
@@ -161,10 +313,66 @@ const FilterEngine = {
             }
         }
 
+        const type = types && types.has(condition) ? types.get(condition) : DataManager.getColumnType(column);
+
+        // Type-specific operators
+        switch (operator) {
+            case 'between':
+                return this.matchRange(DataManager.parseNumber(cellValue), value, v => DataManager.parseNumber(v));
+            case 'dateOn': {
+                const cellDate = DataManager.parseDate(cellValue);
+                const target = DataManager.parseDate(value);
+                return !!cellDate && !!target && this.startOfDay(cellDate) === this.startOfDay(target);
+            }
+            case 'dateBefore': {
+                const cellDate = DataManager.parseDate(cellValue);
+                const target = DataManager.parseDate(value);
+                return !!cellDate && !!target && this.startOfDay(cellDate) < this.startOfDay(target);
+            }
+            case 'dateAfter': {
+                const cellDate = DataManager.parseDate(cellValue);
+                const target = DataManager.parseDate(value);
+                return !!cellDate && !!target && this.startOfDay(cellDate) > this.startOfDay(target);
+            }
+            case 'dateBetween': {
+                const cellDate = DataManager.parseDate(cellValue);
+                return this.matchRange(cellDate ? this.startOfDay(cellDate) : null, value, v => {
+                    const date = DataManager.parseDate(v);
+                    return date ? this.startOfDay(date) : null;
+                });
+            }
+            case 'inLastDays': {
+                const cellDate = DataManager.parseDate(cellValue);
+                const days = DataManager.parseNumber(value);
+                if (!cellDate || days === null) return false;
+                const today = this.startOfDay(new Date());
+                const cellDay = this.startOfDay(cellDate);
+                return cellDay >= today - days * 86400000 && cellDay <= today;
+            }
+        }
+
+        // Phone numbers compare on national number (0912... == 84912... == 912...)
+        if (type === 'phone' && ['equals', 'notEquals', 'inList', 'notInList'].includes(operator)) {
+            const cellKey = DataManager.getPhoneKey(cellValue);
+            const list = Array.isArray(value) ? value : String(value).split(',');
+            const matched = cellKey !== '' && list.some(item => DataManager.getPhoneKey(item) === cellKey);
+            return (operator === 'notEquals' || operator === 'notInList') ? !matched : matched;
+        }
+
+        // Numbers compare numerically (1,000 == 1000)
+        if (type === 'number' && (operator === 'equals' || operator === 'notEquals')) {
+            const cellNum = DataManager.parseNumber(cellValue);
+            const valueNum = DataManager.parseNumber(value);
+            if (cellNum !== null && valueNum !== null) {
+                return operator === 'equals' ? cellNum === valueNum : cellNum !== valueNum;
+            }
+        }
+
         const cellStr = String(cellValue).toLowerCase();
         const valueStr = String(value).toLowerCase();
-        const cellNum = parseFloat(cellValue);
-        const valueNum = parseFloat(value);
+        const cellNum = type === 'number' ? DataManager.parseNumber(cellValue) : parseFloat(cellValue);
+        const valueNum = type === 'number' ? DataManager.parseNumber(value) : parseFloat(value);
+        const hasNumbers = cellNum !== null && valueNum !== null && !isNaN(cellNum) && !isNaN(valueNum);
 
         switch (operator) {
             case 'equals':
@@ -184,13 +392,13 @@ const FilterEngine = {
             case 'isNotEmpty':
                 return cellStr !== '' && cellStr !== 'null' && cellStr !== 'undefined';
             case 'greaterThan':
-                return !isNaN(cellNum) && !isNaN(valueNum) && cellNum > valueNum;
+                return hasNumbers && cellNum > valueNum;
             case 'lessThan':
-                return !isNaN(cellNum) && !isNaN(valueNum) && cellNum < valueNum;
+                return hasNumbers && cellNum < valueNum;
             case 'greaterOrEqual':
-                return !isNaN(cellNum) && !isNaN(valueNum) && cellNum >= valueNum;
+                return hasNumbers && cellNum >= valueNum;
             case 'lessOrEqual':
-                return !isNaN(cellNum) && !isNaN(valueNum) && cellNum <= valueNum;
+                return hasNumbers && cellNum <= valueNum;
             case 'regex':
                 try {
                     const regex = new RegExp(value, 'i');
@@ -207,16 +415,53 @@ const FilterEngine = {
                 if (!value) return true;
                 const excList = Array.isArray(value) ? value : String(value).split(',').map(v => v.trim().toLowerCase());
                 return !excList.some(item => String(item).toLowerCase() === cellStr);
+            case 'isTrue':
+                return DataManager.parseBoolean(cellValue) === true;
+            case 'isFalse':
+                return DataManager.parseBoolean(cellValue) === false;
             default:
                 return true;
         }
     },
 
     /**
-     * Get available operators
+     * Check a parsed value against a [from, to] range (open-ended if a bound is empty)
+     */
+    matchRange(cellParsed, range, parse) {
+        if (cellParsed === null) return false;
+        const [fromRaw, toRaw] = Array.isArray(range) ? range : String(range || '').split(',');
+        const from = fromRaw !== undefined && String(fromRaw).trim() !== '' ? parse(fromRaw) : null;
+        const to = toRaw !== undefined && String(toRaw).trim() !== '' ? parse(toRaw) : null;
+        if (from === null && to === null) return true;
+        return (from === null || cellParsed >= from) && (to === null || cellParsed <= to);
+    },
+
+    /**
+     * Get timestamp of the start of a day
+     */
+    startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+    },
+
+    // Operators offered per column type
+    OPERATORS_BY_TYPE: {
+        text: ['equals', 'notEquals', 'contains', 'notContains', 'startsWith', 'endsWith', 'isEmpty', 'isNotEmpty',
+            'greaterThan', 'lessThan', 'greaterOrEqual', 'lessOrEqual', 'regex', 'inList', 'notInList'],
+        number: ['equals', 'notEquals', 'greaterThan', 'lessThan', 'greaterOrEqual', 'lessOrEqual', 'between',
+            'isEmpty', 'isNotEmpty', 'inList', 'notInList'],
+        date: ['dateOn', 'dateBefore', 'dateAfter', 'dateBetween', 'inLastDays', 'isEmpty', 'isNotEmpty'],
+        phone: ['equals', 'notEquals', 'contains', 'startsWith', 'endsWith', 'isEmpty', 'isNotEmpty', 'regex',
+            'inList', 'notInList'],
+        email: ['equals', 'notEquals', 'contains', 'notContains', 'startsWith', 'endsWith', 'isEmpty', 'isNotEmpty',
+            'regex', 'inList', 'notInList'],
+        boolean: ['isTrue', 'isFalse', 'isEmpty', 'isNotEmpty', 'inList', 'notInList']
+    },
+
+    /**
+     * Get available operators (limited to those that fit the column type)
      */
-    getOperators() {
-        return [
+    getOperators(column = null) {
+        const all = [
             { value: 'equals', label: 'Equals' },
             { value: 'notEquals', label: 'Not equals' },
             { value: 'contains', label: 'Contains' },
@@ -229,19 +474,39 @@ const FilterEngine = {
             { value: 'lessThan', label: 'Less than (<)' },
             { value: 'greaterOrEqual', label: 'Greater or equal (>=)' },
             { value: 'lessOrEqual', label: 'Less or equal (<=)' },
+            { value: 'between', label: 'Between (from - to)' },
+            { value: 'dateOn', label: 'On date' },
+            { value: 'dateBefore', label: 'Before date' },
+            { value: 'dateAfter', label: 'After date' },
+            { value: 'dateBetween', label: 'Between dates' },
+            { value: 'inLastDays', label: 'In last N days' },
+            { value: 'isTrue', label: 'Is true' },
+            { value: 'isFalse', label: 'Is false' },
             { value: 'regex', label: 'Regex match' },
             { value: 'inList', label: 'In list (Multi-select)' },
             { value: 'notInList', label: 'Not in list' }
         ];
+        if (!column) return all;
+
+        const type = DataManager.getColumnType(column);
+        const allowed = this.OPERATORS_BY_TYPE[type] || this.OPERATORS_BY_TYPE.text;
+        return all.filter(op => allowed.includes(op.value));
+    },
+
+    /**
+     * Check if an operator is available for a column
+     */
+    isOperatorAllowed(column, operator) {
+        return this.getOperators(column).some(op => op.value === operator);
     },
 
     /**
      * Get filter summary text
      */
     getSummary() {
-        const activeConditions = this.conditions.filter(c => c.active && c.column);
+        const activeCount = this.countActiveConditions();
 
-        if (activeConditions.length === 0 && !this.searchQuery) {
+        if (activeCount === 0 && !this.searchQuery) {
             return 'No filter';
         }
 
@@ -251,8 +516,8 @@ const FilterEngine = {
             parts.push(`Search: "${this.searchQuery}"`);
         }
 
-        if (activeConditions.length > 0) {
-            parts.push(`${activeConditions.length} filter${activeConditions.length > 1 ? 's' : ''}`);
+        if (activeCount > 0) {
+            parts.push(`${activeCount} filter${activeCount > 1 ? 's' : ''}`);
         }
 
         return parts.join(' + ');
@@ -262,7 +527,7 @@ const FilterEngine = {
      * Check if any filter is active
      */
     hasActiveFilters() {
-        return this.conditions.some(c => c.active && c.column) || this.searchQuery.length > 0;
+        return this.conditions.some(c => this.isNodeActive(c)) || this.searchQuery.length > 0;
     },
 
     // ===== Presets =====
@@ -316,6 +581,7 @@ const FilterEngine = {
         const key = name.toLowerCase().replace(/\s+/g, '-');
         this.presets[key] = {
             name: name,
+            logic: this.rootLogic,
             conditions: JSON.parse(JSON.stringify(this.conditions))
         };
 
@@ -335,19 +601,32 @@ const FilterEngine = {
         const preset = this.presets[key];
         if (!preset) return false;
 
-        this.conditions = preset.conditions.map(c => {
+        const restore = (node) => {
+            if (this.isGroup(node)) {
+                return {
+                    id: this.generateId(),
+                    type: 'group',
+                    logic: node.logic === 'OR' ? 'OR' : 'AND',
+                    negate: !!node.negate,
+                    children: (node.children || []).map(restore)
+                };
+            }
+
             // Try to find column by letter
-            const colIndex = ConfigManager.colToIndex(c.column);
-            const columnName = colIndex >= 0 && colIndex < headers.length ? headers[colIndex] : c.column;
+            const colIndex = ConfigManager.colToIndex(node.column);
+            const columnName = colIndex >= 0 && colIndex < headers.length ? headers[colIndex] : node.column;
 
             return {
-                id: Date.now() + Math.random(),
+                id: this.generateId(),
                 column: columnName,
-                operator: c.operator,
-                value: c.value,
+                operator: node.operator,
+                value: node.value,
                 active: true
             };
-        });
+        };
+
+        this.conditions = preset.conditions.map(restore);
+        this.rootLogic = preset.logic === 'OR' ? 'OR' : 'AND';
 
         this.invalidateCache();
         return true;
@@ -0,0 +1,677 @@
+/**
+ * Formula Engine - FW Tools
+ * Computed columns with a small, safe expression language (no eval)
+ *
+ * Syntax:
+ *   [Ho ten], year, Province           column references ([...] for names with spaces)
+ *   12, 3.5, "text", 'text', TRUE       literals
+ *   + - * / %                          arithmetic (empty or non-numeric operand -> empty result)
+ *   &                                  text concatenation: [Ho] & " " & [Ten]
+ *   = == != <> < <= > >=               comparison (text is compared trimmed, case-insensitive)
+ *   IF(year >= 1990, "Gen Y", "Khác")  functions, see FUNCTIONS
+ *   LOOKUP(province, "region", "?")    value from a mapping table (project tables, then global ones)
+ *
+ * Formula columns are stored as values in the data, so filters, templates and exports
+ * use them like any other column. They are recomputed whenever a change touches their inputs.
+ */
+
+const FormulaEngine = {
+    // Where mapping tables are stored: DataManager.lookupTables / ConfigManager.lookupTables
+    LOOKUP_SCOPES: {
+        project: 'Dự án',
+        global: 'Dùng chung'
+    },
+
+    // Normalized index per mapping table (table object -> Map)
+    lookupIndexes: new WeakMap(),
+
+    // { evaluate, columns } per headers + expression, see compile()
+    cache: new Map(),
+    CACHE_LIMIT: 200,
+
+    // Supported functions: name -> { args: [min, max], fn(args, helpers) }
+    FUNCTIONS: {
+        // Logic
+        IF: { args: [2, 3], fn: (a) => FormulaEngine.isTruthy(a[0]) ? a[1] : (a[2] ?? '') },
+        AND: { args: [1, Infinity], fn: (a) => a.every(v => FormulaEngine.isTruthy(v)) },
+        OR: { args: [1, Infinity], fn: (a) => a.some(v => FormulaEngine.isTruthy(v)) },
+        NOT: { args: [1, 1], fn: (a) => !FormulaEngine.isTruthy(a[0]) },
+        ISBLANK: { args: [1, 1], fn: (a) => FormulaEngine.toText(a[0]).trim() === '' },
+        COALESCE: { args: [1, Infinity], fn: (a) => a.find(v => FormulaEngine.toText(v).trim() !== '') ?? '' },
+
+        // Numbers
+        NUMBER: { args: [1, 1], fn: (a) => FormulaEngine.toNumber(a[0]) ?? '' },
+        ROUND: { args: [1, 2], fn: (a) => FormulaEngine.mapNumbers(a, (x, digits = 0) => Math.round(x * 10 ** digits) / 10 ** digits) },
+        INT: { args: [1, 1], fn: (a) => FormulaEngine.mapNumbers(a, x => Math.floor(x)) },
+        ABS: { args: [1, 1], fn: (a) => FormulaEngine.mapNumbers(a, x => Math.abs(x)) },
+        MIN: { args: [1, Infinity], fn: (a) => FormulaEngine.mapNumbers(a, (...xs) => Math.min(...xs)) },
+        MAX: { args: [1, Infinity], fn: (a) => FormulaEngine.mapNumbers(a, (...xs) => Math.max(...xs)) },
+
+        // Text
+        UPPER: { args: [1, 1], fn: (a) => FormulaEngine.toText(a[0]).toUpperCase() },
+        LOWER: { args: [1, 1], fn: (a) => FormulaEngine.toText(a[0]).toLowerCase() },
+        TRIM: { args: [1, 1], fn: (a) => FormulaEngine.toText(a[0]).trim().replace(/\s+/g, ' ') },
+        PROPER: { args: [1, 1], fn: (a) => TemplateEngine.FILTERS.title(FormulaEngine.toText(a[0])) },
+        LEN: { args: [1, 1], fn: (a) => FormulaEngine.toText(a[0]).length },
+        LEFT: { args: [1, 2], fn: (a) => FormulaEngine.toText(a[0]).slice(0, FormulaEngine.toNumber(a[1]) ?? 1) },
+        RIGHT: { args: [1, 2], fn: (a) => {
+            const text = FormulaEngine.toText(a[0]);
+            const count = FormulaEngine.toNumber(a[1]) ?? 1;
+            return count > 0 ? text.slice(-count) : '';
+        } },
+        MID: { args: [3, 3], fn: (a) => {
+            const start = Math.max(1, FormulaEngine.toNumber(a[1]) ?? 1);
+            return FormulaEngine.toText(a[0]).substr(start - 1, Math.max(0, FormulaEngine.toNumber(a[2]) ?? 0));
+        } },
+        CONCAT: { args: [1, Infinity], fn: (a) => a.map(v => FormulaEngine.toText(v)).join('') },
+        SUBSTITUTE: { args: [3, 3], fn: (a) => {
+            const find = FormulaEngine.toText(a[1]);
+            return find ? FormulaEngine.toText(a[0]).split(find).join(FormulaEngine.toText(a[2])) : FormulaEngine.toText(a[0]);
+        } },
+        CONTAINS: { args: [2, 2], fn: (a) => FormulaEngine.toText(a[0]).toLowerCase().includes(FormulaEngine.toText(a[1]).toLowerCase()) },
+
+        // Dates
+        TODAY: { args: [0, 0], fn: () => FormulaEngine.formatDate(new Date()) },
+        YEAR: { args: [1, 1], fn: (a) => FormulaEngine.mapDate(a[0], d => d.getFullYear()) },
+        MONTH: { args: [1, 1], fn: (a) => FormulaEngine.mapDate(a[0], d => d.getMonth() + 1) },
+        DAY: { args: [1, 1], fn: (a) => FormulaEngine.mapDate(a[0], d => d.getDate()) },
+
+        // Mapping tables
+        LOOKUP: { args: [2, 3], fn: (a) => FormulaEngine.lookup(a[0], a[1], a[2]) }
+    },
+
+    // ===== Value helpers =====
+
+    /**
+     * Convert a value to text (booleans as TRUE/FALSE)
+     */
+    toText(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+        return String(value);
+    },
+
+    /**
+     * Convert a value to a number, null if empty or not numeric
+     */
+    toNumber(value) {
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        return DataManager.parseNumber(value);
+    },
+
+    /**
+     * Truthiness for IF/AND/OR (same rule as {{#if}} in templates)
+     */
+    isTruthy(value) {
+        if (typeof value === 'boolean') return value;
+        const text = this.toText(value).trim().toLowerCase();
+        return text !== '' && text !== '0' && text !== 'false';
+    },
+
+    /**
+     * Apply a numeric function, empty result if any argument is not a number
+     */
+    mapNumbers(args, fn) {
+        const numbers = args.map(v => this.toNumber(v));
+        if (numbers.some(n => n === null)) return '';
+        return fn(...numbers);
+    },
+
+    /**
+     * Apply a function to a parsed date, empty result if not a date
+     */
+    mapDate(value, fn) {
+        const date = DataManager.parseDate(value);
+        return date ? fn(date) : '';
+    },
+
+    /**
+     * Format a date as yyyy-mm-dd
+     */
+    formatDate(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    /**
+     * Normalize a mapping key: case, accents and extra spaces are ignored ("Ha  noi" = "Hà Nội")
+     */
+    normalizeLookupKey(value) {
+        return this.toText(value)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/đ/gi, 'd')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    /**
+     * Get a mapping table by name: the project table, otherwise the global one
+     * @returns {Object|null} { key: value }
+     */
+    getLookupTable(name) {
+        const tableName = this.toText(name);
+        return DataManager.lookupTables[tableName] || ConfigManager.getLookupTables()[tableName] || null;
+    },
+
+    /**
+     * Get all mapping tables, project tables first
+     * @returns {Array} [{ name, scope, table }]
+     */
+    getLookupTables() {
+        const list = (tables, scope) => Object.entries(tables).map(([name, table]) => ({ name, scope, table }));
+        return [
+            ...list(DataManager.lookupTables, 'project'),
+            ...list(ConfigManager.getLookupTables(), 'global')
+        ];
+    },
+
+    /**
+     * Normalized index of a table (built once per table object)
+     * @returns {Map} normalized key -> value
+     */
+    getLookupIndex(table) {
+        if (!this.lookupIndexes.has(table)) {
+            const index = new Map();
+            Object.entries(table).forEach(([key, value]) => index.set(this.normalizeLookupKey(key), value));
+            this.lookupIndexes.set(table, index);
+        }
+        return this.lookupIndexes.get(table);
+    },
+
+    /**
+     * Look up a value in a mapping table
+     */
+    lookup(value, tableName, fallback = '') {
+        const table = this.getLookupTable(tableName);
+        if (!table) return fallback;
+        const index = this.getLookupIndex(table);
+        const key = this.normalizeLookupKey(value);
+        return index.has(key) ? index.get(key) : fallback;
+    },
+
+    /**
+     * Parse "key<TAB>value", "key = value" or "key,value" lines (pasted from Excel) into a table
+     * Keys are kept as typed, matching normalizes them (see normalizeLookupKey)
+     * @returns {Object} { table, count }
+     */
+    parseLookupText(text) {
+        const table = {};
+        String(text || '').split(/\r?\n/).forEach(line => {
+            if (!line.trim()) return;
+            const match = line.match(/^(.*?)\s*(?:\t|=>|=|,|;)\s*(.*)$/);
+            if (!match) return;
+            const key = match[1].trim();
+            if (key) table[key] = match[2].trim();
+        });
+        return { table, count: Object.keys(table).length };
+    },
+
+    /**
+     * Format a table back to "key = value" lines for editing
+     */
+    formatLookupText(table) {
+        return Object.entries(table || {}).map(([key, value]) => `${key} = ${value}`).join('\n');
+    },
+
+    /**
+     * Save (or delete when empty) a mapping table
+     * @param {string} scope - 'project' (saved with the project) | 'global' (shared by all projects)
+     */
+    setLookupTable(name, table, scope = 'project') {
+        const tableName = String(name || '').trim();
+        if (!tableName) {
+            return { success: false, message: 'Nhập tên bảng tra cứu.' };
+        }
+        const tables = scope === 'global' ? ConfigManager.lookupTables : DataManager.lookupTables;
+        const removed = Object.keys(table).length === 0;
+        if (removed) {
+            delete tables[tableName];
+        } else {
+            tables[tableName] = table;
+        }
+        if (scope === 'global') ConfigManager.saveLookupTables();
+
+        // Formulas using LOOKUP() get new values (the values are undoable, the table itself is not)
+        const dependents = this.getActiveFormulas()
+            .filter(f => /LOOKUP\s*\(/i.test(f.expression))
+            .map(f => f.name);
+        if (dependents.length > 0) {
+            DataManager.beginChange(`Cập nhật bảng tra cứu ${tableName}`, { icon: '🗂️', columns: dependents });
+            DataManager.commitChange();
+        }
+
+        return {
+            success: true,
+            recomputed: dependents,
+            message: removed
+                ? `Đã xóa bảng "${tableName}".`
+                : `Đã lưu bảng "${tableName}" (${Object.keys(table).length} giá trị, ${this.LOOKUP_SCOPES[scope === 'global' ? 'global' : 'project'].toLowerCase()}).`
+        };
+    },
+
+    // ===== Parsing =====
+
+    /**
+     * Split an expression into tokens
+     * Token types: number, string, column, ident, op, paren, comma
+     */
+    tokenize(expression) {
+        const tokens = [];
+        const source = String(expression || '');
+        let i = 0;
+
+        while (i < source.length) {
+            const char = source[i];
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (/\d/.test(char) || (char === '.' && /\d/.test(source[i + 1]))) {
+                const match = source.slice(i).match(/^\d*\.?\d+/);
+                tokens.push({ type: 'number', value: parseFloat(match[0]) });
+                i += match[0].length;
+            } else if (char === '"' || char === "'") {
+                const end = source.indexOf(char, i + 1);
+                if (end < 0) throw new Error(`Thiếu dấu ${char} đóng chuỗi`);
+                tokens.push({ type: 'string', value: source.slice(i + 1, end) });
+                i = end + 1;
+            } else if (char === '[') {
+                const end = source.indexOf(']', i + 1);
+                if (end < 0) throw new Error('Thiếu "]" đóng tên cột');
+                tokens.push({ type: 'column', value: source.slice(i + 1, end).trim() });
+                i = end + 1;
+            } else if (/[\p{L}_]/u.test(char)) {
+                const match = source.slice(i).match(/^[\p{L}\p{N}_]+/u);
+                tokens.push({ type: 'ident', value: match[0] });
+                i += match[0].length;
+            } else if (char === '(' || char === ')') {
+                tokens.push({ type: 'paren', value: char });
+                i++;
+            } else if (char === ',' || char === ';') {
+                tokens.push({ type: 'comma', value: ',' });
+                i++;
+            } else {
+                const match = source.slice(i).match(/^(==|!=|<>|<=|>=|[-+*/%&=<>])/);
+                if (!match) throw new Error(`Ký tự không hợp lệ: "${char}"`);
+                tokens.push({ type: 'op', value: match[0] });
+                i += match[0].length;
+            }
+        }
+
+        return tokens;
+    },
+
+    /**
+     * Parse an expression into an AST
+     * Node types: literal { value }, column { name }, call { name, args }, unary { op, arg }, binary { op, left, right }
+     */
+    parse(expression) {
+        const tokens = this.tokenize(expression);
+        if (tokens.length === 0) throw new Error('Công thức rỗng');
+        let pos = 0;
+
+        const peek = () => tokens[pos];
+        const isOp = (...ops) => peek() && peek().type === 'op' && ops.includes(peek().value);
+        const expect = (type, value) => {
+            const token = tokens[pos++];
+            if (!token || token.type !== type || (value && token.value !== value)) {
+                throw new Error(`Thiếu "${value || type}"${token ? ` trước "${token.value}"` : ' ở cuối công thức'}`);
+            }
+            return token;
+        };
+        const binary = (next, ops) => () => {
+            let node = next();
+            while (isOp(...ops)) {
+                const op = tokens[pos++].value;
+                node = { type: 'binary', op, left: node, right: next() };
+            }
+            return node;
+        };
+
+        const primary = () => {
+            const token = tokens[pos++];
+            if (!token) throw new Error('Công thức kết thúc đột ngột');
+
+            switch (token.type) {
+                case 'number':
+                case 'string':
+                    return { type: 'literal', value: token.value };
+                case 'column':
+                    return { type: 'column', name: token.value };
+                case 'paren':
+                    if (token.value === '(') {
+                        const node = comparison();
+                        expect('paren', ')');
+                        return node;
+                    }
+                    break;
+                case 'ident': {
+                    const upper = token.value.toUpperCase();
+                    if (peek() && peek().type === 'paren' && peek().value === '(') {
+                        pos++;
+                        const args = [];
+                        if (!(peek() && peek().type === 'paren' && peek().value === ')')) {
+                            args.push(comparison());
+                            while (peek() && peek().type === 'comma') {
+                                pos++;
+                                args.push(comparison());
+                            }
+                        }
+                        expect('paren', ')');
+
+                        const def = this.FUNCTIONS[upper];
+                        if (!def) throw new Error(`Hàm không hỗ trợ: ${token.value} (hỗ trợ: ${Object.keys(this.FUNCTIONS).join(', ')})`);
+                        if (args.length < def.args[0] || args.length > def.args[1]) {
+                            throw new Error(`${upper} cần ${def.args[0] === def.args[1] ? def.args[0] : `${def.args[0]}-${def.args[1] === Infinity ? 'n' : def.args[1]}`} tham số`);
+                        }
+                        return { type: 'call', name: upper, args };
+                    }
+                    if (upper === 'TRUE' || upper === 'FALSE') return { type: 'literal', value: upper === 'TRUE' };
+                    return { type: 'column', name: token.value };
+                }
+            }
+            throw new Error(`Không mong đợi "${token.value}"`);
+        };
+
+        const unary = () => {
+            if (isOp('-', '+')) {
+                const op = tokens[pos++].value;
+                return { type: 'unary', op, arg: unary() };
+            }
+            return primary();
+        };
+        const multiplicative = binary(unary, ['*', '/', '%']);
+        const additive = binary(multiplicative, ['+', '-']);
+        const concat = binary(additive, ['&']);
+        const comparison = binary(concat, ['=', '==', '!=', '<>', '<', '<=', '>', '>=']);
+
+        const ast = comparison();
+        if (pos < tokens.length) throw new Error(`Thừa "${tokens[pos].value}"`);
+        return ast;
+    },
+
+    /**
+     * Compile an expression (cached)
+     * Column references are resolved at compile time, so the cache key includes the current headers
+     * @returns {Object} { evaluate: row => value, columns: referenced column names }
+     */
+    compile(expression) {
+        const cacheKey = `${DataManager.getHeaders().join('\u0001')}\u0002${expression}`;
+        if (this.cache.has(cacheKey)) return this.cache.get(cacheKey);
+
+        const ast = this.parse(expression);
+        const columns = new Set();
+        const build = (node) => {
+            switch (node.type) {
+                case 'literal':
+                    return () => node.value;
+                case 'column': {
+                    const column = DataManager.findColumn(node.name);
+                    if (!column) throw new Error(`Không có cột "${node.name}"`);
+                    columns.add(column);
+                    return (row) => row[column];
+                }
+                case 'call': {
+                    const fn = this.FUNCTIONS[node.name].fn;
+                    const args = node.args.map(build);
+                    return (row) => fn(args.map(arg => arg(row)));
+                }
+                case 'unary': {
+                    const arg = build(node.arg);
+                    return (row) => {
+                        const value = this.toNumber(arg(row));
+                        return value === null ? '' : (node.op === '-' ? -value : value);
+                    };
+                }
+                case 'binary': {
+                    const left = build(node.left);
+                    const right = build(node.right);
+                    return (row) => this.applyOperator(node.op, left(row), right(row));
+                }
+            }
+        };
+
+        const compiled = { evaluate: build(ast), columns: Array.from(columns) };
+        // Map keeps insertion order: the first key is the oldest compile
+        if (this.cache.size >= this.CACHE_LIMIT) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(cacheKey, compiled);
+        return compiled;
+    },
+
+    /**
+     * Apply a binary operator
+     */
+    applyOperator(op, left, right) {
+        if (op === '&') return this.toText(left) + this.toText(right);
+
+        if (['+', '-', '*', '/', '%'].includes(op)) {
+            const a = this.toNumber(left);
+            const b = this.toNumber(right);
+            if (a === null || b === null) return '';
+            switch (op) {
+                case '+': return a + b;
+                case '-': return a - b;
+                case '*': return a * b;
+                case '/': return b === 0 ? '' : a / b;
+                case '%': return b === 0 ? '' : a % b;
+            }
+        }
+
+        // Comparison: numeric when both sides are numbers, otherwise trimmed case-insensitive text
+        const a = this.toNumber(left);
+        const b = this.toNumber(right);
+        let cmp;
+        if (a !== null && b !== null) {
+            cmp = a === b ? 0 : a < b ? -1 : 1;
+        } else {
+            const ta = this.toText(left).trim().toLowerCase();
+            const tb = this.toText(right).trim().toLowerCase();
+            cmp = ta === tb ? 0 : SortEngine.collator.compare(ta, tb);
+        }
+
+        switch (op) {
+            case '=':
+            case '==': return cmp === 0;
+            case '!=':
+            case '<>': return cmp !== 0;
+            case '<': return cmp < 0;
+            case '<=': return cmp <= 0;
+            case '>': return cmp > 0;
+            case '>=': return cmp >= 0;
+        }
+    },
+
+    /**
+     * Validate an expression
+     * @returns {Object} { valid, error, columns }
+     */
+    validate(expression) {
+        try {
+            const compiled = this.compile(expression);
+            return { valid: true, error: null, columns: compiled.columns };
+        } catch (error) {
+            return { valid: false, error: error.message, columns: [] };
+        }
+    },
+
+    /**
+     * Evaluate an expression for a row, stored as a cell value (booleans as TRUE/FALSE, dates as yyyy-mm-dd)
+     */
+    evaluate(expression, row) {
+        return this.formatResult(this.compile(expression).evaluate(row));
+    },
+
+    /**
+     * Convert a computed value to a cell value
+     */
+    formatResult(value) {
+        if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+        if (typeof value === 'number') return isFinite(value) ? Math.round(value * 1e9) / 1e9 : '';
+        return value ?? '';
+    },
+
+    // ===== Formula columns =====
+
+    /**
+     * Check if a column is a formula column
+     */
+    isFormulaColumn(column) {
+        return DataManager.formulaColumns.some(f => f.name === column);
+    },
+
+    /**
+     * Get formula definitions whose column exists (an undone "add" leaves the definition idle)
+     */
+    getActiveFormulas() {
+        const headers = DataManager.getHeaders();
+        return DataManager.formulaColumns.filter(f => headers.includes(f.name));
+    },
+
+    /**
+     * Order formulas so that inputs are computed first
+     * @throws {Error} on circular references
+     */
+    sortByDependencies(formulas) {
+        const byName = new Map(formulas.map(f => [f.name, f]));
+        const sorted = [];
+        const state = new Map(); // name -> 'visiting' | 'done'
+
+        const visit = (formula, path) => {
+            if (state.get(formula.name) === 'done') return;
+            if (state.get(formula.name) === 'visiting') {
+                throw new Error(`Công thức tham chiếu vòng: ${[...path, formula.name].join(' → ')}`);
+            }
+            state.set(formula.name, 'visiting');
+            this.compile(formula.expression).columns.forEach(column => {
+                if (byName.has(column)) visit(byName.get(column), [...path, formula.name]);
+            });
+            state.set(formula.name, 'done');
+            sorted.push(formula);
+        };
+
+        formulas.forEach(formula => visit(formula, []));
+        return sorted;
+    },
+
+    /**
+     * Recompute formula columns in place (no history entry - callers record the change)
+     * @param {Array<string>|null} changedColumns - Only formulas depending on these (directly or
+     *   through other formulas) are recomputed; null = all
+     * @returns {Array<string>} Recomputed columns
+     */
+    recompute(changedColumns = null) {
+        let formulas;
+        try {
+            formulas = this.sortByDependencies(this.getActiveFormulas());
+        } catch (error) {
+            console.warn('FormulaEngine:', error.message);
+            return [];
+        }
+
+        const dirty = new Set(changedColumns || []);
+        const targets = formulas.filter(formula => {
+            if (changedColumns === null || dirty.has(formula.name)) {
+                dirty.add(formula.name);
+                return true;
+            }
+            const affected = this.compile(formula.expression).columns.some(column => dirty.has(column));
+            if (affected) dirty.add(formula.name);
+            return affected;
+        });
+        if (targets.length === 0) return [];
+
+        const data = DataManager.getData();
+        targets.forEach(formula => {
+            const compiled = this.compile(formula.expression);
+            data.forEach(row => {
+                try {
+                    row[formula.name] = this.formatResult(compiled.evaluate(row));
+                } catch (error) {
+                    row[formula.name] = '#ERROR';
+                }
+            });
+            delete DataManager.columnTypes[formula.name];
+            formula.columns = compiled.columns;
+        });
+
+        return targets.map(formula => formula.name);
+    },
+
+    /**
+     * Add or update a formula column (undoable)
+     * @param {string} name - Column name
+     * @param {string} expression - Formula
+     */
+    setFormulaColumn(name, expression) {
+        const column = String(name || '').trim();
+        if (!column) {
+            return { success: false, message: 'Nhập tên cột.' };
+        }
+
+        const existing = DataManager.formulaColumns.find(f => f.name === column);
+        if (!existing && DataManager.getHeaders().includes(column)) {
+            return { success: false, message: `Cột "${column}" đã tồn tại (không phải cột công thức).` };
+        }
+
+        const validation = this.validate(expression);
+        if (!validation.valid) {
+            return { success: false, message: `Công thức không hợp lệ: ${validation.error}` };
+        }
+        if (validation.columns.includes(column)) {
+            return { success: false, message: 'Công thức không được tham chiếu chính cột này.' };
+        }
+
+        // Check for cycles with the other formulas before changing anything
+        const next = DataManager.formulaColumns.filter(f => f.name !== column).concat({ name: column, expression });
+        try {
+            this.sortByDependencies(next.filter(f => f.name === column || DataManager.getHeaders().includes(f.name)));
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+
+        DataManager.beginChange(`${existing ? 'Sửa' : 'Thêm'} cột công thức ${column}`, { icon: '🧮', columns: [column] });
+        DataManager.formulaColumns = next.map(f => f.name === column ? { name: column, expression, columns: validation.columns } : f);
+        DataManager.ensureColumn(column);
+        DataManager.commitChange();
+
+        return {
+            success: true,
+            column,
+            message: `Đã ${existing ? 'cập nhật' : 'thêm'} cột công thức "${column}".`
+        };
+    },
+
+    /**
+     * Remove the formula of a column, keeping its current values as plain data
+     */
+    removeFormula(name) {
+        const before = DataManager.formulaColumns.length;
+        DataManager.formulaColumns = DataManager.formulaColumns.filter(f => f.name !== name);
+        return before !== DataManager.formulaColumns.length;
+    },
+
+    /**
+     * Preview values of an expression on the first rows
+     * @returns {Object} { valid, error, rows: [{ index, value }] }
+     */
+    preview(expression, limit = 5) {
+        const validation = this.validate(expression);
+        if (!validation.valid) return { ...validation, rows: [] };
+
+        const rows = DataManager.getData().slice(0, limit).map((row, index) => {
+            try {
+                return { index, value: this.evaluate(expression, row) };
+            } catch (error) {
+                return { index, value: '#ERROR' };
+            }
+        });
+        return { ...validation, rows };
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.FormulaEngine = FormulaEngine;
+}
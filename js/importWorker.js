@@ -0,0 +1,189 @@
+/**
+ * Import Worker - FW Tools
+ * Parses import files off the main thread: CSV is streamed chunk by chunk, Excel is read with SheetJS.
+ * Used by DataManager.importFile.
+ *
+ * In:  { file, headerRow, sheetIndex, previewRows, xlsxUrl, encoding, delimiter } - empty encoding/delimiter = detect
+ * Out: { type: 'preview', headers, rows, sheets, sheetName, dialect } - header and first rows, before the rest is parsed
+ *      { type: 'rows', rows }                                - batches of raw rows (arrays) after the header
+ *      { type: 'progress', percent, rows }
+ *      { type: 'done', rows }
+ *      { type: 'error', message }
+ */
+
+importScripts('csvReader.js');
+
+const ImportWorker = {
+    // Bytes read per CSV chunk
+    CHUNK_SIZE: 4 * 1024 * 1024,
+
+    // Rows per 'rows' message
+    BATCH_SIZE: 20000,
+
+    /**
+     * Parse a file and post its rows
+     */
+    run(options) {
+        try {
+            const ext = options.file.name.split('.').pop().toLowerCase();
+            // Same rule as DataManager.readWorkbook: an Excel file saved as .csv is read as Excel
+            if ((ext === 'csv' || ext === 'txt') && !this.isWorkbookFile(options.file)) {
+                this.parseCsv(options);
+            } else {
+                this.parseWorkbook(options);
+            }
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message });
+        }
+    },
+
+    /**
+     * Check the file signature (xlsx zip or legacy xls) without reading the whole file
+     */
+    isWorkbookFile(file) {
+        const bytes = new Uint8Array(new FileReaderSync().readAsArrayBuffer(file.slice(0, 8)));
+        return CsvReader.isWorkbook(bytes);
+    },
+
+    /**
+     * Create an output that handles the header row, the preview and row batches
+     */
+    createOutput(options, meta = {}) {
+        const { headerRow = 1, previewRows = 20 } = options;
+        const headerIndex = Math.max(0, headerRow - 1);
+        const output = {
+            seen: 0,
+            rows: 0,
+            headers: null,
+            preview: [],
+            previewSent: false,
+            batch: []
+        };
+
+        output.sendPreview = () => {
+            if (output.previewSent) return;
+            output.previewSent = true;
+            self.postMessage({ type: 'preview', headers: output.headers, rows: output.preview, ...meta });
+        };
+
+        output.add = (row) => {
+            const index = output.seen++;
+            if (index < headerIndex) return;
+            if (index === headerIndex) {
+                output.headers = row;
+                return;
+            }
+
+            output.rows++;
+            output.batch.push(row);
+            if (!output.previewSent) {
+                output.preview.push(row);
+                if (output.preview.length >= previewRows) output.sendPreview();
+            }
+            if (output.batch.length >= this.BATCH_SIZE) output.flush();
+        };
+
+        output.flush = () => {
+            if (output.batch.length === 0) return;
+            output.sendPreview();
+            self.postMessage({ type: 'rows', rows: output.batch });
+            output.batch = [];
+        };
+
+        output.finish = () => {
+            if (!output.headers) {
+                self.postMessage({ type: 'error', message: 'File is empty or invalid' });
+                return;
+            }
+            output.sendPreview();
+            output.flush();
+            self.postMessage({ type: 'done', rows: output.rows });
+        };
+
+        return output;
+    },
+
+    // ===== CSV =====
+
+    /**
+     * Stream a CSV file in chunks; encoding and delimiter are sniffed from the first chunk unless given
+     */
+    parseCsv(options) {
+        const { file } = options;
+        const reader = new FileReaderSync();
+        let decoder = null;
+        let parser = null;
+        let output = null;
+
+        for (let offset = 0; offset < file.size; offset += this.CHUNK_SIZE) {
+            const bytes = new Uint8Array(reader.readAsArrayBuffer(file.slice(offset, offset + this.CHUNK_SIZE)));
+
+            if (!decoder) {
+                decoder = new TextDecoder(options.encoding || CsvReader.detectEncoding(bytes));
+            }
+            const text = decoder.decode(bytes, { stream: offset + this.CHUNK_SIZE < file.size });
+
+            if (!parser) {
+                const dialect = { encoding: decoder.encoding, delimiter: options.delimiter || CsvReader.guessDelimiter(text) };
+                output = this.createOutput(options, { sheets: [file.name], sheetName: file.name, dialect });
+                parser = CsvReader.createParser(dialect.delimiter, row => output.add(row), CsvReader.getParserOptions(dialect.encoding));
+            }
+            parser.push(text);
+
+            self.postMessage({
+                type: 'progress',
+                percent: Math.min(100, Math.round((offset + this.CHUNK_SIZE) / file.size * 100)),
+                rows: output.rows
+            });
+        }
+
+        if (!output) {
+            self.postMessage({ type: 'error', message: 'File is empty or invalid' });
+            return;
+        }
+        parser.end();
+        output.finish();
+    },
+
+    // ===== Excel =====
+
+    /**
+     * Read an Excel file with SheetJS: a quick partial read for the preview, then the full sheet
+     */
+    parseWorkbook(options) {
+        const { file, headerRow = 1, sheetIndex = 0, previewRows = 20, xlsxUrl } = options;
+        importScripts(xlsxUrl);
+
+        const buffer = new FileReaderSync().readAsArrayBuffer(file);
+        self.postMessage({ type: 'progress', percent: 5, rows: 0 });
+
+        // Preview from the first rows only
+        const partial = XLSX.read(buffer, { type: 'array', sheetRows: headerRow + previewRows });
+        const sheetName = partial.SheetNames[sheetIndex] || partial.SheetNames[0];
+        const meta = { sheets: partial.SheetNames, sheetName };
+        const output = this.createOutput(options, meta);
+        const previewData = XLSX.utils.sheet_to_json(partial.Sheets[sheetName], { header: 1, defval: '' });
+        if (previewData[Math.max(0, headerRow - 1)]) {
+            self.postMessage({
+                type: 'preview',
+                headers: previewData[Math.max(0, headerRow - 1)],
+                rows: previewData.slice(Math.max(0, headerRow - 1) + 1),
+                ...meta
+            });
+            output.previewSent = true;
+        }
+        self.postMessage({ type: 'progress', percent: 10, rows: 0 });
+
+        const workbook = XLSX.read(buffer, { type: 'array' });
+        const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '' });
+        rows.forEach((row, i) => {
+            output.add(row);
+            if (i % this.BATCH_SIZE === 0) {
+                self.postMessage({ type: 'progress', percent: 10 + Math.round(i / rows.length * 90), rows: output.rows });
+            }
+        });
+        output.finish();
+    }
+};
+
+self.onmessage = (e) => ImportWorker.run(e.data);
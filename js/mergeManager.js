@@ -0,0 +1,214 @@
+/**
+ * Merge Manager - FW Tools
+ * Lookup-merge a second file (vendor dispositions, completes list...) onto the current rows
+ * by a key column, like applyStatusToData but for any file and any columns
+ */
+
+const MergeManager = {
+    // Key matching modes
+    KEY_MODES: {
+        text: 'Text (không phân biệt hoa/thường)',
+        exact: 'Chính xác',
+        phone: 'Số điện thoại (chuẩn hóa)'
+    },
+
+    // What to do when a key matches several rows of the file
+    MULTI_MODES: {
+        first: 'Lấy dòng đầu tiên',
+        last: 'Lấy dòng cuối cùng',
+        skip: 'Bỏ qua (không ghép)'
+    },
+
+    // Loaded file { fileName, sheetName, headers, rows: Array<Array> } (see DataManager.readSources)
+    source: null,
+
+    /**
+     * Read a file and keep its first non-empty sheet as the merge source
+     * @returns {Promise<Object>} { success, source, message }
+     */
+    async loadFile(file) {
+        const sources = await DataManager.readSources([file]);
+        if (sources.length === 0) {
+            this.source = null;
+            return { success: false, message: 'File rỗng.' };
+        }
+        this.source = sources[0];
+        return { success: true, source: this.source };
+    },
+
+    /**
+     * Normalize a key value for matching
+     */
+    normalizeKey(value, mode = 'text') {
+        const raw = value === null || value === undefined ? '' : String(value).trim();
+        if (!raw) return '';
+
+        switch (mode) {
+            case 'phone':
+                return DataManager.normalizePhone(raw).local || '';
+            case 'exact':
+                return raw;
+            default:
+                return raw.toLowerCase();
+        }
+    },
+
+    /**
+     * Suggest the key column of the file: same name as the data key column, or a phone column
+     */
+    suggestSourceKey(dataKey) {
+        if (!this.source) return null;
+        const headers = this.source.headers;
+        const target = DataManager.normalizeHeader(dataKey || '');
+        return headers.find(h => DataManager.normalizeHeader(h) === target) ||
+            (DataManager.getColumnType(dataKey) === 'phone' ? headers.find(h => DataManager.PHONE_HEADER_HINT.test(h)) : null) ||
+            headers[0];
+    },
+
+    /**
+     * Index file rows by key
+     * @returns {Map} key -> [file row index]
+     */
+    buildIndex(sourceKey, mode) {
+        const column = this.source.headers.indexOf(sourceKey);
+        const index = new Map();
+        this.source.rows.forEach((values, i) => {
+            const key = this.normalizeKey(values[column], mode);
+            if (!key) return;
+            if (!index.has(key)) index.set(key, []);
+            index.get(key).push(i);
+        });
+        return index;
+    },
+
+    /**
+     * Count matches without changing data
+     * @param {Object} options - { dataKey, sourceKey, mode }
+     * @returns {Object} { matched, multi, unmatched, emptyKey, total, sourceRows, sourceUnmatched: [file row index] }
+     */
+    analyze({ dataKey, sourceKey, mode = 'text' }) {
+        const dataCol = DataManager.findColumn(dataKey);
+        if (!this.source || !dataCol || !this.source.headers.includes(sourceKey)) return null;
+
+        const index = this.buildIndex(sourceKey, mode);
+        const usedKeys = new Set();
+        const stats = { matched: 0, multi: 0, unmatched: 0, emptyKey: 0 };
+
+        DataManager.getData().forEach(row => {
+            const key = this.normalizeKey(row[dataCol], mode);
+            if (!key) {
+                stats.emptyKey++;
+            } else if (!index.has(key)) {
+                stats.unmatched++;
+            } else {
+                usedKeys.add(key);
+                if (index.get(key).length > 1) {
+                    stats.multi++;
+                } else {
+                    stats.matched++;
+                }
+            }
+        });
+
+        // File rows nobody matched (including rows without a key)
+        const keyCol = this.source.headers.indexOf(sourceKey);
+        const sourceUnmatched = [];
+        this.source.rows.forEach((values, i) => {
+            if (!usedKeys.has(this.normalizeKey(values[keyCol], mode))) sourceUnmatched.push(i);
+        });
+
+        return {
+            ...stats,
+            total: DataManager.getRowCount(),
+            sourceRows: this.source.rows.length,
+            sourceUnmatched
+        };
+    },
+
+    /**
+     * Copy columns of matching file rows onto the current data (undoable)
+     * @param {Object} options - { dataKey, sourceKey, mode, columns: file columns to copy, multi: 'first'|'last'|'skip' }
+     *   Columns are written under the same name (created if missing); rows without a match keep their values
+     */
+    apply(options) {
+        const { dataKey, sourceKey, mode = 'text', columns = [], multi = 'first' } = options;
+        const dataCol = DataManager.findColumn(dataKey);
+
+        if (!this.source) {
+            return { success: false, message: 'Chưa chọn file để ghép.' };
+        }
+        if (!dataCol || !this.source.headers.includes(sourceKey)) {
+            return { success: false, message: 'Chọn cột khóa ở cả hai bên.' };
+        }
+        const copied = columns.filter(column => this.source.headers.includes(column) && column !== sourceKey);
+        if (copied.length === 0) {
+            return { success: false, message: 'Chọn ít nhất một cột để ghép.' };
+        }
+        const formula = copied.find(column => typeof FormulaEngine !== 'undefined' && FormulaEngine.isFormulaColumn(column));
+        if (formula) {
+            return { success: false, message: `"${formula}" là cột công thức.` };
+        }
+
+        const analysis = this.analyze({ dataKey, sourceKey, mode });
+        const index = this.buildIndex(sourceKey, mode);
+        const positions = copied.map(column => this.source.headers.indexOf(column));
+
+        DataManager.beginChange(`Ghép ${copied.length} cột từ ${this.source.fileName} theo ${dataCol}`, { icon: '🔗', columns: copied });
+        copied.forEach(column => DataManager.ensureColumn(column));
+
+        let written = 0;
+        DataManager.getData().forEach(row => {
+            const matches = index.get(this.normalizeKey(row[dataCol], mode));
+            if (!matches || (matches.length > 1 && multi === 'skip')) return;
+
+            const values = this.source.rows[multi === 'last' ? matches[matches.length - 1] : matches[0]];
+            copied.forEach((column, i) => {
+                row[column] = values[positions[i]] !== undefined ? values[positions[i]] : '';
+            });
+            written++;
+        });
+        copied.forEach(column => { delete DataManager.columnTypes[column]; });
+        DataManager.commitChange();
+        DataManager.detectBatches();
+
+        ConfigManager.addActionHistory({
+            type: 'merge_import',
+            filename: this.source.fileName,
+            key: dataCol,
+            count: written,
+            icon: '🔗'
+        });
+
+        return {
+            success: true,
+            ...analysis,
+            written,
+            columns: copied,
+            message: `Đã ghép ${copied.length} cột vào ${written} dòng (khớp 1: ${analysis.matched}, nhiều: ${analysis.multi}, không khớp: ${analysis.unmatched}).`
+        };
+    },
+
+    /**
+     * Download file rows that did not match any data row
+     * @param {Array<number>} rowIndices - From analyze().sourceUnmatched
+     */
+    downloadUnmatched(rowIndices) {
+        if (!this.source || rowIndices.length === 0) return false;
+
+        const rows = rowIndices.map(i => this.source.headers.map((_, c) => this.source.rows[i][c] ?? ''));
+        const baseName = this.source.fileName.replace(/\.[^.]+$/, '');
+        ExportManager.downloadExcel([this.source.headers, ...rows], `${baseName}_unmatched.xlsx`);
+        return true;
+    },
+
+    /**
+     * Forget the loaded file
+     */
+    clear() {
+        this.source = null;
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.MergeManager = MergeManager;
+}
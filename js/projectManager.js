@@ -113,6 +113,7 @@ const ProjectManager = {
                             quotas: projectData.metadata?.quotas || [],
                             lastQuotaFetch: projectData.metadata?.lastQuotaFetch || null,
                             config: projectData.metadata?.config || null,
+                            dataState: projectData.metadata?.dataState || null,
                             createdAt: projectData.metadata?.createdAt || meta.uploadedAt || new Date().toISOString(),
                             updatedAt: projectData.metadata?.updatedAt || projectData.metadata?.savedAt || meta.uploadedAt || new Date().toISOString(),
                             _serverMeta: meta
@@ -0,0 +1,163 @@
+/**
+ * Recode Manager - FW Tools
+ * Rewrite a column through a mapping table ("HN", "Ha Noi", "Hà Nội" -> "Hà Nội").
+ * Tables are the same ones LOOKUP() uses (FormulaEngine lookup tables, per project or global)
+ */
+
+const RecodeManager = {
+    // ===== Tables =====
+
+    /**
+     * Get all tables, project tables first
+     * @returns {Array} [{ name, scope, mappings }]
+     */
+    getTables() {
+        return FormulaEngine.getLookupTables().map(({ name, scope, table }) => ({ name, scope, mappings: table }));
+    },
+
+    /**
+     * Get a table by scope and name
+     */
+    getTable(scope, name) {
+        return this.getTables().find(t => t.scope === scope && t.name === name) || null;
+    },
+
+    /**
+     * Add or update a table
+     * @param {Object} table - { name, scope: 'project'|'global', mappings: { raw: canonical } }
+     */
+    saveTable(table) {
+        if (Object.keys(table.mappings || {}).length === 0) {
+            return { success: false, message: 'Bảng recode chưa có giá trị nào.' };
+        }
+
+        const scope = table.scope === 'global' ? 'global' : 'project';
+        const result = FormulaEngine.setLookupTable(table.name, table.mappings, scope);
+        if (!result.success) return result;
+
+        return { ...result, table: { name: String(table.name).trim(), scope, mappings: table.mappings } };
+    },
+
+    /**
+     * Delete a table
+     */
+    deleteTable(scope, name) {
+        return FormulaEngine.setLookupTable(name, {}, scope);
+    },
+
+    // ===== Applying =====
+
+    /**
+     * Build the normalized lookup of a table; canonical values also map to themselves
+     * @returns {Map} normalized raw -> canonical
+     */
+    buildMatcher(mappings) {
+        const matcher = new Map();
+        Object.values(mappings).forEach(canonical => {
+            if (canonical !== '') matcher.set(FormulaEngine.normalizeLookupKey(canonical), canonical);
+        });
+        FormulaEngine.getLookupIndex(mappings).forEach((canonical, key) => matcher.set(key, canonical));
+        return matcher;
+    },
+
+    /**
+     * Preview a recode on a column: which distinct values map to what, which are unmapped
+     * @returns {Object} { mapped: [{ value, to, count }], unmapped: [{ value, count }], changedRows }
+     */
+    preview(column, mappings) {
+        const col = DataManager.findColumn(column);
+        if (!col) return { mapped: [], unmapped: [], changedRows: 0 };
+
+        const matcher = this.buildMatcher(mappings);
+        const counts = new Map();
+        DataManager.getData().forEach(row => {
+            const value = row[col];
+            counts.set(value, (counts.get(value) || 0) + 1);
+        });
+
+        const mapped = [];
+        const unmapped = [];
+        DataManager.getUniqueValues(col).forEach(value => {
+            const count = counts.get(value) || 0;
+            const key = FormulaEngine.normalizeLookupKey(value);
+            if (matcher.has(key)) {
+                mapped.push({ value, to: matcher.get(key), count });
+            } else {
+                unmapped.push({ value, count });
+            }
+        });
+        unmapped.sort((a, b) => b.count - a.count);
+
+        const changedRows = mapped
+            .filter(m => String(m.value) !== m.to)
+            .reduce((sum, m) => sum + m.count, 0);
+
+        return { mapped, unmapped, changedRows };
+    },
+
+    /**
+     * Recode a column in place or into a new column (undoable)
+     * @param {string} column - Source column
+     * @param {Object} mappings - { raw: canonical }
+     * @param {Object} options - { target: output column (empty = overwrite the source), unmapped: 'keep'|'empty', tableName }
+     */
+    apply(column, mappings, options = {}) {
+        const col = DataManager.findColumn(column);
+        if (!col) {
+            return { success: false, message: 'Chọn cột cần recode.' };
+        }
+        if (Object.keys(mappings).length === 0) {
+            return { success: false, message: 'Bảng recode chưa có giá trị nào.' };
+        }
+
+        const target = String(options.target || '').trim() || col;
+        if (typeof FormulaEngine !== 'undefined' && FormulaEngine.isFormulaColumn(target)) {
+            return { success: false, message: `"${target}" là cột công thức.` };
+        }
+
+        const matcher = this.buildMatcher(mappings);
+        const keepUnmapped = options.unmapped !== 'empty';
+        const label = options.tableName || 'recode';
+
+        DataManager.beginChange(
+            target === col ? `Recode ${col} (${label})` : `Recode ${col} → ${target} (${label})`,
+            { icon: '🔤', columns: [target] }
+        );
+        DataManager.ensureColumn(target);
+
+        let mapped = 0;
+        let unmapped = 0;
+        DataManager.getData().forEach(row => {
+            const value = row[col];
+            if (value === '' || value === null || value === undefined) {
+                if (target !== col) row[target] = '';
+                return;
+            }
+            const key = FormulaEngine.normalizeLookupKey(value);
+            if (matcher.has(key)) {
+                row[target] = matcher.get(key);
+                mapped++;
+            } else {
+                row[target] = keepUnmapped ? value : '';
+                unmapped++;
+            }
+        });
+        delete DataManager.columnTypes[target];
+        DataManager.commitChange();
+
+        ConfigManager.addActionHistory({ type: 'recode', column: col, target, table: label, count: mapped, icon: '🔤' });
+
+        return {
+            success: true,
+            target,
+            mapped,
+            unmapped,
+            message: `Đã recode ${UIRenderer.formatNumber(mapped)} dòng vào cột ${target}` +
+                (unmapped > 0 ? `, ${UIRenderer.formatNumber(unmapped)} dòng chưa có trong bảng (${keepUnmapped ? 'giữ nguyên' : 'để trống'}).` : '.')
+        };
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.RecodeManager = RecodeManager;
+}
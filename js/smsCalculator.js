@@ -0,0 +1,107 @@
+/**
+ * SMS Calculator - FW Tools
+ * Encoding (GSM-7 / UCS-2), character and segment counting for SMS content
+ */
+
+const SmsCalculator = {
+    // GSM 03.38 basic character set
+    GSM7_BASIC: '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+        '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà',
+
+    // GSM 03.38 extension table (each counts as 2 septets)
+    GSM7_EXTENDED: '^{}\\[~]|€\f',
+
+    // Segment sizes
+    LIMITS: {
+        'GSM-7': { single: 160, multi: 153 },
+        'UCS-2': { single: 70, multi: 67 }
+    },
+
+    // Common non-GSM punctuation and their GSM replacements
+    REPLACEMENTS: {
+        '‘': "'", '’': "'", '‚': "'", '“': '"', '”': '"', '„': '"',
+        '–': '-', '—': '-', '…': '...', '•': '-', '\u00a0': ' ', '\t': ' '
+    },
+
+    /**
+     * Check if a character is in the GSM-7 alphabet
+     */
+    isGsmChar(char) {
+        return this.GSM7_BASIC.includes(char) || this.GSM7_EXTENDED.includes(char);
+    },
+
+    /**
+     * Analyze SMS text
+     * @returns {{encoding: string, chars: number, length: number, segments: number, nonGsmChars: Array<string>}}
+     *   chars = visible characters, length = septets (GSM-7) or UTF-16 units (UCS-2)
+     */
+    analyze(text) {
+        const content = String(text === null || text === undefined ? '' : text);
+        const chars = Array.from(content);
+        const nonGsm = new Set(chars.filter(c => !this.isGsmChar(c)));
+        const encoding = nonGsm.size === 0 ? 'GSM-7' : 'UCS-2';
+
+        const length = encoding === 'GSM-7'
+            ? chars.reduce((sum, c) => sum + (this.GSM7_EXTENDED.includes(c) ? 2 : 1), 0)
+            : content.length;
+
+        const limits = this.LIMITS[encoding];
+        let segments = 0;
+        if (length > 0) {
+            segments = length <= limits.single ? 1 : Math.ceil(length / limits.multi);
+        }
+
+        return {
+            encoding,
+            chars: chars.length,
+            length,
+            segments,
+            nonGsmChars: Array.from(nonGsm)
+        };
+    },
+
+    /**
+     * Remove Vietnamese diacritics and replace common non-GSM punctuation
+     */
+    stripDiacritics(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/đ/g, 'd')
+            .replace(/Đ/g, 'D')
+            .replace(/[\u2018\u2019\u201a\u201c\u201d\u201e\u2013\u2014\u2026\u2022\u00a0\t]/g, c => this.REPLACEMENTS[c])
+            .normalize('NFC');
+    },
+
+    /**
+     * Summarize analyses of many messages
+     */
+    summarize(analyses) {
+        const summary = {
+            messages: analyses.length,
+            gsm: 0,
+            ucs2: 0,
+            totalSegments: 0,
+            maxSegments: 0,
+            avgChars: 0,
+            distribution: {}
+        };
+
+        let totalChars = 0;
+        analyses.forEach(a => {
+            if (a.encoding === 'GSM-7') summary.gsm++;
+            else summary.ucs2++;
+            summary.totalSegments += a.segments;
+            summary.maxSegments = Math.max(summary.maxSegments, a.segments);
+            summary.distribution[a.segments] = (summary.distribution[a.segments] || 0) + 1;
+            totalChars += a.chars;
+        });
+
+        summary.avgChars = analyses.length > 0 ? Math.round(totalChars / analyses.length) : 0;
+        return summary;
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.SmsCalculator = SmsCalculator;
+}
@@ -0,0 +1,172 @@
+/**
+ * Sort Engine - FW Tools
+ * Multi-key, type-aware sorting of the data view (optionally applied to the data order)
+ */
+
+const SortEngine = {
+    // Current sort keys [{ column, direction: 'asc'|'desc' }], first key has the highest priority
+    keys: [],
+
+    // Vietnamese collation for text (đ after d, tones in dictionary order, "item 2" before "item 10")
+    collator: new Intl.Collator('vi', { numeric: true }),
+
+    /**
+     * Check if a view sort is active
+     */
+    hasSort() {
+        return this.keys.length > 0;
+    },
+
+    /**
+     * Replace all sort keys
+     */
+    setKeys(keys) {
+        this.keys = keys
+            .filter(key => key.column)
+            .filter((key, i, arr) => arr.findIndex(k => k.column === key.column) === i)
+            .map(key => ({ column: key.column, direction: key.direction === 'desc' ? 'desc' : 'asc' }));
+    },
+
+    /**
+     * Clear the view sort
+     */
+    clear() {
+        this.keys = [];
+    },
+
+    /**
+     * Header click: none -> ascending -> descending -> none
+     * @param {string} column - Column name
+     * @param {boolean} additive - Add as secondary key (Shift+click) instead of replacing the sort
+     */
+    toggleColumn(column, additive = false) {
+        const existing = this.keys.find(key => key.column === column);
+        const next = !existing ? 'asc' : existing.direction === 'asc' ? 'desc' : null;
+
+        if (!additive) {
+            this.keys = next ? [{ column, direction: next }] : [];
+        } else if (!existing) {
+            this.keys.push({ column, direction: next });
+        } else if (next) {
+            existing.direction = next;
+        } else {
+            this.keys = this.keys.filter(key => key.column !== column);
+        }
+    },
+
+    /**
+     * Get sort state of a column for header indicators
+     * @returns {Object|null} { direction, priority (1-based) }
+     */
+    getColumnSort(column) {
+        const index = this.keys.findIndex(key => key.column === column);
+        return index >= 0 ? { direction: this.keys[index].direction, priority: index + 1 } : null;
+    },
+
+    /**
+     * Human readable sort description
+     */
+    getSummary(keys = this.keys) {
+        return keys.map(key => `${key.column} ${key.direction === 'desc' ? '▼' : '▲'}`).join(', ');
+    },
+
+    /**
+     * Build comparable values of a column for the given rows
+     * Numbers/dates compare by value, text by its rank in Vietnamese collation order;
+     * empty or unparseable values are null (always sorted last)
+     */
+    buildSortValues(data, indices, column) {
+        const type = DataManager.getColumnType(column);
+        const raw = indices.map(i => data[i] ? data[i][column] : null);
+        const isEmpty = v => v === '' || v === null || v === undefined;
+
+        switch (type) {
+            case 'number':
+                return raw.map(v => isEmpty(v) ? null : DataManager.parseNumber(v));
+            case 'date':
+                return raw.map(v => {
+                    const date = isEmpty(v) ? null : DataManager.parseDate(v);
+                    return date ? date.getTime() : null;
+                });
+            case 'boolean':
+                return raw.map(v => {
+                    const bool = isEmpty(v) ? null : DataManager.parseBoolean(v);
+                    return bool === null ? null : Number(bool);
+                });
+            default: {
+                // Collate each distinct value once, then compare ranks
+                const distinct = Array.from(new Set(raw.filter(v => !isEmpty(v)).map(v => String(v).trim())));
+                distinct.sort((a, b) => this.collator.compare(a, b));
+                const rank = new Map(distinct.map((value, i) => [value, i]));
+                return raw.map(v => isEmpty(v) ? null : rank.get(String(v).trim()));
+            }
+        }
+    },
+
+    /**
+     * Sort row indices by keys (stable: ties keep their current order)
+     * @param {Array<number>} indices - Row indices to sort
+     * @param {Array} [data] - Rows (defaults to DataManager data)
+     * @param {Array} [keys] - Sort keys (defaults to the current view sort)
+     * @returns {Array<number>} Sorted row indices
+     */
+    sortIndices(indices, data = null, keys = this.keys) {
+        const rows = data || DataManager.getData();
+        const headers = DataManager.getHeaders();
+        const activeKeys = keys.filter(key => headers.includes(key.column));
+        if (activeKeys.length === 0) return indices;
+
+        const columns = activeKeys.map(key => ({
+            values: this.buildSortValues(rows, indices, key.column),
+            sign: key.direction === 'desc' ? -1 : 1
+        }));
+
+        const positions = indices.map((_, i) => i);
+        positions.sort((a, b) => {
+            for (const { values, sign } of columns) {
+                const va = values[a];
+                const vb = values[b];
+                if (va === vb) continue;
+                if (va === null) return 1;
+                if (vb === null) return -1;
+                return va < vb ? -sign : sign;
+            }
+            return a - b;
+        });
+        return positions.map(i => indices[i]);
+    },
+
+    /**
+     * Reorder the data itself (undoable), so batch marking takes rows in this order
+     * @param {Array} [keys] - Sort keys (defaults to the current view sort)
+     */
+    applyPermanently(keys = this.keys) {
+        if (!DataManager.hasData()) {
+            return { success: false, message: 'Không có dữ liệu để sắp xếp.' };
+        }
+        if (keys.length === 0) {
+            return { success: false, message: 'Chọn ít nhất một cột để sắp xếp.' };
+        }
+
+        const data = DataManager.data;
+        const summary = this.getSummary(keys);
+        const order = this.sortIndices(data.map((_, i) => i), data, keys);
+
+        DataManager.beginChange(`Sắp xếp theo ${summary}`, { icon: '↕️', columns: ['_rowIndex'] });
+        const sorted = order.map(i => data[i]);
+        sorted.forEach((row, index) => {
+            data[index] = row;
+            row._rowIndex = index;
+        });
+        DataManager.commitChange();
+
+        // The data is now in this order, the view sort is no longer needed
+        this.clear();
+
+        return { success: true, message: `Đã sắp xếp ${UIRenderer.formatNumber(data.length)} dòng theo ${summary}.` };
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.SortEngine = SortEngine;
+}
@@ -112,6 +112,7 @@ const StorageManager = {
             const metadata = {
                 fileInfo: DataManager.getFileInfo(),
                 config: ConfigManager.getAll(),
+                dataState: DataManager.getDataState(),
                 savedAt: new Date().toISOString()
             };
 
@@ -121,6 +122,15 @@ const StorageManager = {
                 headers,
                 metadata
             };
+
+            // Batch assignments for the cross-project contact history (kept out of the project blob),
+            // only sent when they changed since the last save
+            const changedContacts = typeof ContactHistoryManager !== 'undefined'
+                ? ContactHistoryManager.getChangedContacts(projectName)
+                : null;
+            if (changedContacts) {
+                payload.contacts = changedContacts.contacts;
+            }
             const jsonString = JSON.stringify(payload);
             let body = jsonString;
             const headersList = { 'Content-Type': 'application/json' };
@@ -156,6 +166,7 @@ const StorageManager = {
             if (result.success) {
                 this.isDirty = false;
                 this.updateSaveIndicator('saved');
+                if (changedContacts) ContactHistoryManager.markSent(changedContacts.signature);
 
                 // Sync to ProjectManager
                 if (result.url) {
@@ -242,6 +253,7 @@ const StorageManager = {
                     console.log('[StorageManager] Fast loading from cache:', projectName);
 
                     DataManager.setData(cached.headers || [], cached.data || [], projectName);
+                    DataManager.restoreDataState(cached.dataState);
 
                     // Restore config
                     if (cached.config) {
@@ -285,6 +297,7 @@ const StorageManager = {
 
                 // Load data into DataManager
                 DataManager.setData(headers, data, projectName);
+                DataManager.restoreDataState(metadata?.dataState);
 
                 // Restore config if available
                 if (metadata?.config) {
@@ -531,6 +544,7 @@ const StorageManager = {
                 metadata: {
                     fileInfo: DataManager.getFileInfo(),
                     config: ConfigManager.getAll(),
+                    dataState: DataManager.getDataState(),
                     savedAt: new Date().toISOString()
                 }
             };
@@ -562,6 +576,7 @@ const StorageManager = {
             if (data) {
                 const project = JSON.parse(data);
                 DataManager.setData(project.headers, project.data, projectName);
+                DataManager.restoreDataState(project.metadata?.dataState);
                 if (project.metadata?.config) {
                     ConfigManager.updateConfig(project.metadata.config);
                 }
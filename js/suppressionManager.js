@@ -0,0 +1,331 @@
+/**
+ * Suppression Manager - FW Tools
+ * Do-not-contact list (opt-outs, recent completes) shared across projects via /api/suppression
+ */
+
+const SuppressionManager = {
+    API_URL: '/api/suppression',
+
+    // Local cache key (used when the server is unreachable)
+    STORAGE_KEY: 'fw_tools_suppression',
+
+    // Entry types and reasons
+    TYPES: ['phone', 'email', 'plid'],
+    REASONS: {
+        opt_out: 'Opt-out (vĩnh viễn)',
+        completed: 'Đã complete',
+        other: 'Khác'
+    },
+
+    // Entries [{ type, key, reason, source, date }]
+    entries: [],
+
+    // Lookup "type:key" -> entry
+    index: new Map(),
+
+    // Load state
+    loaded: false,
+    lastSync: null,
+
+    /**
+     * Initialize - local cache first, then sync from server in background
+     */
+    async init() {
+        this.loadFromLocalStorage();
+        await this.syncFromServer();
+    },
+
+    /**
+     * Load cached entries from localStorage
+     */
+    loadFromLocalStorage() {
+        try {
+            const stored = localStorage.getItem(this.STORAGE_KEY);
+            this.setEntries(stored ? JSON.parse(stored) : []);
+        } catch (e) {
+            console.warn('Failed to load suppression cache:', e);
+            this.setEntries([]);
+        }
+    },
+
+    /**
+     * Replace entries and rebuild the lookup index
+     */
+    setEntries(entries) {
+        this.entries = Array.isArray(entries) ? entries : [];
+        this.index = new Map(this.entries.map(e => [`${e.type}:${e.key}`, e]));
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.entries));
+        } catch (e) {
+            console.warn('Failed to cache suppression list:', e);
+        }
+    },
+
+    /**
+     * Fetch entries from server
+     */
+    async syncFromServer() {
+        try {
+            const response = await fetch(this.API_URL);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const result = await response.json();
+            this.setEntries(result.entries || []);
+            this.loaded = true;
+            this.lastSync = new Date().toISOString();
+            console.log('SuppressionManager synced', this.entries.length, 'entries');
+            return { success: true, count: this.entries.length };
+        } catch (error) {
+            console.warn('SuppressionManager: using local cache -', error.message);
+            return { success: false, message: `Không tải được suppression list: ${error.message}` };
+        }
+    },
+
+    // ===== Keys =====
+
+    /**
+     * Normalize a value into a suppression key for a type
+     */
+    normalizeKey(type, value) {
+        const raw = value === null || value === undefined ? '' : String(value).trim();
+        if (!raw) return '';
+
+        switch (type) {
+            case 'phone': {
+                const phone = DataManager.normalizePhone(raw);
+                return phone.local || '';
+            }
+            case 'email':
+                return raw.includes('@') ? raw.toLowerCase() : '';
+            default:
+                return raw;
+        }
+    },
+
+    /**
+     * Resolve columns used to match rows: { phone, email, plid }
+     */
+    getMatchColumns() {
+        return {
+            phone: DataManager.findColumn(ConfigManager.get('PHONE_COL')),
+            email: DataManager.findColumn(ConfigManager.get('EMAIL_COL')),
+            plid: DataManager.findColumn(ConfigManager.get('PLID_COL'))
+        };
+    },
+
+    /**
+     * Check if an entry is currently active
+     * Opt-outs never expire; completes expire after SUPPRESSION_COMPLETED_MONTHS
+     */
+    isActive(entry, now = new Date()) {
+        if (entry.reason !== 'completed') return true;
+
+        const months = parseInt(ConfigManager.get('SUPPRESSION_COMPLETED_MONTHS'));
+        if (!months || months <= 0) return true;
+
+        const date = new Date(entry.date);
+        if (isNaN(date.getTime())) return true;
+
+        const cutoff = new Date(now);
+        cutoff.setMonth(cutoff.getMonth() - months);
+        return date >= cutoff;
+    },
+
+    /**
+     * Create a row matcher (columns resolved once)
+     * @returns {Function} row => matching active entry or null
+     */
+    createMatcher() {
+        const columns = this.getMatchColumns();
+        const now = new Date();
+
+        return (row) => {
+            if (this.index.size === 0) return null;
+            for (const type of this.TYPES) {
+                const column = columns[type];
+                if (!column) continue;
+                const key = this.normalizeKey(type, row[column]);
+                const entry = key ? this.index.get(`${type}:${key}`) : null;
+                if (entry && this.isActive(entry, now)) return entry;
+            }
+            return null;
+        };
+    },
+
+    /**
+     * Find entries whose key or source contains the query (phones also match in any format)
+     * @returns {Array} Matching entries, at most `limit`
+     */
+    searchEntries(query, limit = 50) {
+        const text = String(query ?? '').trim().toLowerCase();
+        if (!text) return [];
+
+        const phone = this.normalizeKey('phone', text);
+        return this.entries.filter(e =>
+            String(e.key).toLowerCase().includes(text) ||
+            (phone && e.type === 'phone' && e.key.includes(phone)) ||
+            String(e.source || '').toLowerCase().includes(text)
+        ).slice(0, limit);
+    },
+
+    /**
+     * Count suppressed rows in data (or given rows)
+     */
+    countSuppressed(rows = null) {
+        const matcher = this.createMatcher();
+        return (rows || DataManager.getData()).filter(row => matcher(row)).length;
+    },
+
+    // ===== Server updates =====
+
+    /**
+     * Add entries to the server list
+     * @param {Array} entries - [{ type, key, reason, source, date }] (keys already normalized)
+     */
+    async addEntries(entries) {
+        if (entries.length === 0) {
+            return { success: false, message: 'Không có giá trị hợp lệ để thêm.' };
+        }
+
+        try {
+            const response = await fetch(this.API_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ entries })
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+
+            await this.syncFromServer();
+            return {
+                success: true,
+                added: result.added,
+                updated: result.updated,
+                message: `Đã thêm ${result.added} mục vào suppression list (${result.updated} cập nhật).`
+            };
+        } catch (error) {
+            return { success: false, message: `Lỗi cập nhật suppression list: ${error.message}` };
+        }
+    },
+
+    /**
+     * Remove entries from the server list
+     */
+    async removeEntries(entries) {
+        try {
+            const response = await fetch(this.API_URL, {
+                method: 'DELETE',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ entries: entries.map(e => ({ type: e.type, key: e.key })) })
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+
+            await this.syncFromServer();
+            return { success: true, message: `Đã xóa ${result.removed} mục khỏi suppression list.` };
+        } catch (error) {
+            return { success: false, message: `Lỗi cập nhật suppression list: ${error.message}` };
+        }
+    },
+
+    // ===== Bulk import =====
+
+    /**
+     * Build entries from rows of an imported file
+     * Columns are detected by header (phone / email / plid) and by values;
+     * columns mixing phones and emails are classified value by value
+     */
+    buildEntriesFromRows(headers, rows, reason = 'opt_out', source = '') {
+        const lower = headers.map(h => String(h).toLowerCase());
+        const sample = (col) => rows.slice(0, 200).map(r => r[col]).filter(v => v !== '' && v !== null && v !== undefined);
+
+        const columns = { phone: null, email: null, plid: null };
+        const mixedColumns = [];
+        headers.forEach((header, i) => {
+            const values = sample(header);
+            const isEmail = v => String(v).includes('@');
+            const isPhone = v => !!DataManager.normalizePhone(v).local;
+            if (!columns.plid && lower[i] === 'plid') {
+                columns.plid = header;
+            } else if (!columns.email && (/e-?mail/.test(lower[i]) || (values.length > 0 && values.filter(isEmail).length / values.length >= 0.8))) {
+                columns.email = header;
+            } else if (!columns.phone && (DataManager.PHONE_HEADER_HINT.test(header) || (values.length > 0 && values.filter(isPhone).length / values.length >= 0.8))) {
+                columns.phone = header;
+            } else if (values.length > 0 && values.filter(v => isEmail(v) || isPhone(v)).length / values.length >= 0.8) {
+                mixedColumns.push(header);
+            }
+        });
+
+        const date = new Date().toISOString();
+        const entries = [];
+        const seen = new Set();
+        const addEntry = (type, value) => {
+            const key = this.normalizeKey(type, value);
+            if (!key || seen.has(`${type}:${key}`)) return;
+            seen.add(`${type}:${key}`);
+            entries.push({ type, key, reason, source, date });
+        };
+
+        rows.forEach(row => {
+            this.TYPES.forEach(type => {
+                if (columns[type]) addEntry(type, row[columns[type]]);
+            });
+            mixedColumns.forEach(col => {
+                addEntry(String(row[col]).includes('@') ? 'email' : 'phone', row[col]);
+            });
+        });
+
+        return { columns, mixedColumns, entries };
+    },
+
+    /**
+     * Read a file (xlsx/csv/txt) and build suppression entries
+     */
+    async readFile(file, reason = 'opt_out') {
+        const buffer = await file.arrayBuffer();
+        const workbook = XLSX.read(new Uint8Array(buffer), { type: 'array' });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        const aoa = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
+
+        if (aoa.length === 0) {
+            return { success: false, message: 'File rỗng.' };
+        }
+
+        // Files without a recognizable header are treated as a plain list of values
+        const firstRow = aoa[0].map(v => String(v).trim());
+        const looksLikeData = firstRow.some(v => v.includes('@') || DataManager.normalizePhone(v).local);
+        const headers = looksLikeData ? firstRow.map((_, i) => `Column ${i + 1}`) : firstRow;
+        const dataRows = (looksLikeData ? aoa : aoa.slice(1)).map(r => {
+            const obj = {};
+            headers.forEach((h, i) => { obj[h] = r[i] ?? ''; });
+            return obj;
+        });
+
+        const result = this.buildEntriesFromRows(headers, dataRows, reason, file.name);
+        return { success: true, ...result, rows: dataRows.length };
+    },
+
+    /**
+     * Build "completed" entries from rows with a Complete status in the current data
+     */
+    buildEntriesFromCompletes(source = '') {
+        const statusCol = BatchAnalytics.getStatusColumn();
+        if (!statusCol) return [];
+
+        const columns = this.getMatchColumns();
+        const date = new Date().toISOString();
+        const entries = [];
+        DataManager.getData().forEach(row => {
+            if (BatchAnalytics.classifyStatus(row[statusCol]) !== 'complete') return;
+            this.TYPES.forEach(type => {
+                if (!columns[type]) return;
+                const key = this.normalizeKey(type, row[columns[type]]);
+                if (key) entries.push({ type, key, reason: 'completed', source, date });
+            });
+        });
+        return entries;
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.SuppressionManager = SuppressionManager;
+}
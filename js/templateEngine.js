@@ -0,0 +1,353 @@
+/**
+ * Template Engine - FW Tools
+ * Renders SMS/Email templates with column placeholders, filters and conditionals
+ *
+ * Syntax:
+ *   {{Column}}                         value of a column (name or letter)
+ *   {{Name | trim | title}}            filters: upper, lower, trim, title, truncate:N
+ *   {{Name | default:"Anh/Chị"}}       fallback when the value is empty
+ *   {{link}} or {link}                 value of the configured source (link) column
+ *   {{#if Gender == "Nam"}}Anh{{else}}Chị{{/if}}   conditionals (==, !=, or just {{#if Column}})
+ *
+ * HTML templates (email body) are rendered with escapeHtml so column values cannot break the markup.
+ *
+ * Templates without any placeholder keep the legacy behaviour: template + link.
+ */
+
+const TemplateEngine = {
+    // Compiled template cache (template string -> AST), oldest entries dropped past CACHE_LIMIT
+    cache: new Map(),
+    CACHE_LIMIT: 200,
+
+    // Supported filters
+    FILTERS: {
+        upper: (value) => value.toUpperCase(),
+        lower: (value) => value.toLowerCase(),
+        trim: (value) => value.trim(),
+        title: (value) => value.toLowerCase().replace(/(^|\s)\S/g, c => c.toUpperCase()),
+        truncate: (value, arg) => {
+            const length = parseInt(arg);
+            return isNaN(length) ? value : value.slice(0, length);
+        },
+        default: (value, arg) => value.trim() === '' ? (arg ?? '') : value
+    },
+
+    // Reserved name for the source (link) column
+    LINK_ALIAS: 'link',
+
+    /**
+     * Check if a template uses any placeholder
+     */
+    hasPlaceholders(template) {
+        return /\{\{[\s\S]*?\}\}|\{link\}/i.test(template || '');
+    },
+
+    /**
+     * Split template into text and tag tokens
+     */
+    tokenize(template) {
+        const tokens = [];
+        // Legacy {link} is treated as {{link}}
+        const source = String(template || '').replace(/(^|[^{])\{link\}(?!\})/gi, '$1{{link}}');
+        const regex = /\{\{([\s\S]*?)\}\}/g;
+        let lastIndex = 0;
+        let match;
+
+        while ((match = regex.exec(source)) !== null) {
+            if (match.index > lastIndex) {
+                tokens.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+            }
+            tokens.push({ type: 'tag', value: match[1].trim(), raw: match[0] });
+            lastIndex = regex.lastIndex;
+        }
+
+        const rest = source.slice(lastIndex);
+        if (rest.includes('{{')) {
+            throw new Error(`Thiếu "}}" đóng placeholder: ${rest.slice(rest.indexOf('{{'), rest.indexOf('{{') + 30)}`);
+        }
+        if (rest) tokens.push({ type: 'text', value: rest });
+
+        return tokens;
+    },
+
+    /**
+     * Compile template into AST (cached)
+     * Node types: text, value { column, filters }, if { condition, then, else }
+     */
+    compile(template) {
+        if (this.cache.has(template)) return this.cache.get(template);
+
+        const tokens = this.tokenize(template);
+        const root = [];
+        // Open blocks: { node, branch } where branch is the list being filled
+        const frames = [{ node: null, branch: root }];
+
+        tokens.forEach(token => {
+            const frame = frames[frames.length - 1];
+
+            if (token.type === 'text') {
+                frame.branch.push({ type: 'text', value: token.value });
+                return;
+            }
+
+            const tag = token.value;
+            if (/^#if\s+/i.test(tag)) {
+                const node = { type: 'if', condition: this.parseCondition(tag.replace(/^#if\s+/i, '')), then: [], else: [] };
+                frame.branch.push(node);
+                frames.push({ node, branch: node.then });
+            } else if (/^else$/i.test(tag)) {
+                if (!frame.node || frame.branch === frame.node.else) {
+                    throw new Error('{{else}} không nằm trong {{#if}}');
+                }
+                frame.branch = frame.node.else;
+            } else if (/^\/if$/i.test(tag)) {
+                if (!frame.node) {
+                    throw new Error('{{/if}} thừa - không có {{#if}} tương ứng');
+                }
+                frames.pop();
+            } else {
+                frame.branch.push({ type: 'value', ...this.parseExpression(tag) });
+            }
+        });
+
+        if (frames.length > 1) {
+            throw new Error('Thiếu {{/if}} đóng điều kiện');
+        }
+
+        // Templates are compiled on every keystroke while editing: keep the cache bounded
+        if (this.cache.size >= this.CACHE_LIMIT) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(template, root);
+        return root;
+    },
+
+    /**
+     * Parse "Column | filter | filter:arg"
+     */
+    parseExpression(expression) {
+        const parts = this.splitOutsideQuotes(expression, '|').map(p => p.trim());
+        const column = this.unquote(parts.shift());
+        if (!column) {
+            throw new Error('Placeholder rỗng {{ }}');
+        }
+
+        const filters = parts.map(part => {
+            const colonIndex = part.indexOf(':');
+            const name = (colonIndex >= 0 ? part.slice(0, colonIndex) : part).trim().toLowerCase();
+            const arg = colonIndex >= 0 ? this.unquote(part.slice(colonIndex + 1).trim()) : undefined;
+            if (!this.FILTERS[name]) {
+                throw new Error(`Filter không hỗ trợ: "${name}" (hỗ trợ: ${Object.keys(this.FILTERS).join(', ')})`);
+            }
+            return { name, arg };
+        });
+
+        return { column, filters };
+    },
+
+    /**
+     * Parse an #if condition: Column, Column == "x", Column != "x"
+     */
+    parseCondition(condition) {
+        const match = condition.match(/^(.+?)\s*(==|!=)\s*(.+)$/);
+        if (!match) {
+            return { ...this.parseExpression(condition), operator: 'truthy' };
+        }
+        return {
+            ...this.parseExpression(match[1]),
+            operator: match[2],
+            value: this.unquote(match[3].trim())
+        };
+    },
+
+    /**
+     * Split a string by separator, ignoring separators inside quotes
+     */
+    splitOutsideQuotes(text, separator) {
+        const parts = [];
+        let current = '';
+        let quote = null;
+
+        for (const char of text) {
+            if (quote) {
+                if (char === quote) quote = null;
+                current += char;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+                current += char;
+            } else if (char === separator) {
+                parts.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        parts.push(current);
+        return parts;
+    },
+
+    /**
+     * Remove surrounding quotes
+     */
+    unquote(text) {
+        if (text === undefined || text === null) return text;
+        const trimmed = String(text).trim();
+        const match = trimmed.match(/^(["'])([\s\S]*)\1$/);
+        return match ? match[2] : trimmed;
+    },
+
+    /**
+     * Resolve a placeholder name to an actual column
+     * @param {string} name - Placeholder name
+     * @param {string} linkColumn - Column used for {{link}}
+     */
+    resolveColumn(name, linkColumn = null) {
+        if (name.toLowerCase() === this.LINK_ALIAS && linkColumn) {
+            return linkColumn;
+        }
+        return DataManager.findColumn(name);
+    },
+
+    /**
+     * Get a value with filters applied
+     */
+    evaluateValue(node, row, linkColumn) {
+        const column = this.resolveColumn(node.column, linkColumn);
+        const raw = column ? row[column] : '';
+        let value = raw === null || raw === undefined ? '' : String(raw);
+
+        node.filters.forEach(filter => {
+            value = this.FILTERS[filter.name](value, filter.arg);
+        });
+
+        return value;
+    },
+
+    /**
+     * Evaluate an #if condition (case-insensitive, trimmed)
+     */
+    evaluateCondition(condition, row, linkColumn) {
+        const value = this.evaluateValue(condition, row, linkColumn).trim();
+        switch (condition.operator) {
+            case '==':
+                return value.toLowerCase() === String(condition.value).trim().toLowerCase();
+            case '!=':
+                return value.toLowerCase() !== String(condition.value).trim().toLowerCase();
+            default:
+                return value !== '' && value !== '0' && value.toLowerCase() !== 'false';
+        }
+    },
+
+    /**
+     * Render nodes for a row
+     * @param {boolean} escape - HTML-escape column values (template text is kept as-is)
+     */
+    renderNodes(nodes, row, linkColumn, escape = false) {
+        return nodes.map(node => {
+            switch (node.type) {
+                case 'text':
+                    return node.value;
+                case 'value': {
+                    const value = this.evaluateValue(node, row, linkColumn);
+                    return escape ? this.escapeHtml(value) : value;
+                }
+                case 'if':
+                    return this.renderNodes(
+                        this.evaluateCondition(node.condition, row, linkColumn) ? node.then : node.else,
+                        row,
+                        linkColumn,
+                        escape
+                    );
+                default:
+                    return '';
+            }
+        }).join('');
+    },
+
+    /**
+     * Render a template for a row
+     * @param {string} template - Template text
+     * @param {Object} row - Data row
+     * @param {Object} options - { linkColumn, escapeHtml }
+     *   linkColumn: actual column name used for {{link}}
+     *   escapeHtml: escape column values for HTML templates (email body)
+     */
+    render(template, row, options = {}) {
+        const { linkColumn = null, escapeHtml = false } = options;
+        const text = template || '';
+
+        // Legacy templates: plain text followed by the link
+        if (!this.hasPlaceholders(text)) {
+            const link = linkColumn ? String(row[linkColumn] ?? '') : '';
+            return text + (escapeHtml ? this.escapeHtml(link) : link);
+        }
+
+        return this.renderNodes(this.compile(text), row, linkColumn, escapeHtml);
+    },
+
+    /**
+     * Escape a value for HTML output
+     */
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    /**
+     * Validate a template against headers
+     * @returns {{valid: boolean, errors: Array<string>, unknownColumns: Array<string>, columns: Array<string>}}
+     */
+    validate(template, headers = null) {
+        const result = { valid: true, errors: [], unknownColumns: [], columns: [] };
+        if (!this.hasPlaceholders(template) && !String(template || '').includes('{{')) return result;
+
+        let nodes;
+        try {
+            nodes = this.compile(template);
+        } catch (error) {
+            return { ...result, valid: false, errors: [error.message] };
+        }
+
+        const knownHeaders = headers || DataManager.getHeaders();
+        const used = new Set();
+        const collect = (list) => list.forEach(node => {
+            if (node.type === 'value') used.add(node.column);
+            if (node.type === 'if') {
+                used.add(node.condition.column);
+                collect(node.then);
+                collect(node.else);
+            }
+        });
+        collect(nodes);
+
+        result.columns = Array.from(used);
+        if (knownHeaders.length > 0) {
+            result.unknownColumns = result.columns.filter(name =>
+                name.toLowerCase() !== this.LINK_ALIAS && !this.columnExists(name, knownHeaders)
+            );
+            if (result.unknownColumns.length > 0) {
+                result.valid = false;
+                result.errors.push(`Không tìm thấy cột: ${result.unknownColumns.join(', ')}`);
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Check if a placeholder name matches a header (same rules as DataManager.findColumn)
+     */
+    columnExists(name, headers) {
+        if (/^[A-Z]+$/i.test(name) && ConfigManager.colToIndex(name) < headers.length) return true;
+        const normalized = name.toLowerCase().replace(/[_\s]/g, '');
+        return headers.some(h => h.toLowerCase().replace(/[_\s]/g, '') === normalized);
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.TemplateEngine = TemplateEngine;
+}
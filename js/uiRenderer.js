@@ -4,27 +4,24 @@
  */
 
 const UIRenderer = {
-    // Pagination settings
-    pageSize: 100,
-    currentPage: 0,
-
     /**
      * Initialize UI
      */
     init() {
-        this.currentPage = 0;
+        DataGrid.init('dataGrid');
+        const frozenSelect = document.getElementById('gridFrozenColumns');
+        if (frozenSelect) frozenSelect.value = String(DataGrid.layout.frozen);
         console.log('UIRenderer initialized');
     },
 
     /**
-     * Render data table
+     * Render data table (virtualized, see DataGrid)
      */
     renderDataTable(data = null, headers = null) {
-        const tableHead = document.getElementById('dataTableHead');
-        const tableBody = document.getElementById('dataTableBody');
+        const grid = document.getElementById('dataGrid');
         const emptyState = document.getElementById('dataEmptyState');
 
-        if (!tableHead || !tableBody) return;
+        if (!grid) return;
 
         const allData = data || DataManager.getData();
         const allHeaders = headers || DataManager.getHeaders();
@@ -42,74 +39,34 @@ const UIRenderer = {
             displayHeaders = allHeaders;
         }
 
-        // Apply filters
-        let displayData, displayIndices;
-        if (FilterEngine.hasActiveFilters()) {
-            const filtered = FilterEngine.apply(allData);
-            displayData = filtered.data;
-            displayIndices = filtered.indices;
-        } else {
-            displayData = allData;
-            displayIndices = allData.map((_, i) => i);
-        }
-
-        // Update pagination state
-        if (typeof updatePagination === 'function') {
-            updatePagination(displayData);
+        // Apply filters (only indices are needed, rows are read on demand by the grid)
+        let displayIndices = this.getDisplayIndices(allData);
+        if (SortEngine.hasSort()) {
+            displayIndices = SortEngine.sortIndices(displayIndices, allData);
         }
 
         // Show/hide empty state
         if (allData.length === 0) {
             emptyState.style.display = 'flex';
-            tableHead.innerHTML = '';
-            tableBody.innerHTML = '';
+            grid.style.display = 'none';
+            DataGrid.setView({ indices: [], columns: [] });
             return;
         }
         emptyState.style.display = 'none';
+        grid.style.display = '';
 
-        // Render headers with visible columns only
-        tableHead.innerHTML = `
-            <tr>
-                <th class="row-number-header">#</th>
-                ${displayHeaders.map(h => `<th>${this.escapeHtml(h)}</th>`).join('')}
-            </tr>
-        `;
-
-        // Use global pagination state
-        const pageState = typeof paginationState !== 'undefined' ? paginationState : { currentPage: 1, rowsPerPage: 25 };
-        const start = (pageState.currentPage - 1) * pageState.rowsPerPage;
-        const end = Math.min(start + pageState.rowsPerPage, displayData.length);
-        const pageData = displayData.slice(start, end);
-        const pageIndices = displayIndices.slice(start, end);
-
-        // Render rows with visible columns only
-        tableBody.innerHTML = pageData.map((row, i) => {
-            const originalIndex = pageIndices[i];
-            return `
-                <tr data-index="${originalIndex}">
-                    <td class="row-number">${originalIndex + 1}</td>
-                    ${displayHeaders.map(h => {
-                const value = row[h];
-                const displayValue = value !== null && value !== undefined ? value : '';
-
-                // Check if it's a batch column
-                const config = ConfigManager.getAll();
-                let cellClass = '';
-                if (h === DataManager.findColumn(config.BATCH_COL) && value) {
-                    cellClass = 'cell-batch sms';
-                } else if (h === DataManager.findColumn(config.EMAIL_BATCH_COL) && value) {
-                    cellClass = 'cell-batch email';
-                }
-
-                return `<td title="${this.escapeHtml(String(displayValue))}"><span class="${cellClass}">${this.escapeHtml(String(displayValue))}</span></td>`;
-            }).join('')}
-                </tr>
-            `;
-        }).join('');
+        DataGrid.setView({ indices: displayIndices, columns: displayHeaders });
 
         // Update filter status
         document.getElementById('filterStatus').textContent = FilterEngine.getSummary();
 
+        // Update sort status
+        const sortBtn = document.getElementById('sortBtn');
+        if (sortBtn) {
+            sortBtn.textContent = SortEngine.hasSort() ? `↕️ Sort (${SortEngine.keys.length})` : '↕️ Sort';
+            sortBtn.classList.toggle('active', SortEngine.hasSort());
+        }
+
         // Initialize column visibility list if needed (only if user hasn't set it)
         if (typeof initColumnVisibility === 'function' &&
             visibleColumns.size === 0 &&
@@ -119,6 +76,16 @@ const UIRenderer = {
         }
     },
 
+    /**
+     * Get indices of rows matching the current filters and search (all rows if none)
+     */
+    getDisplayIndices(data = null) {
+        const allData = data || DataManager.getData();
+        return FilterEngine.hasActiveFilters()
+            ? FilterEngine.apply(allData).indices
+            : allData.map((_, i) => i);
+    },
+
     /**
      * Render dashboard stats
      */
@@ -141,6 +108,9 @@ const UIRenderer = {
 
         // Render batch chart
         this.renderBatchChart();
+
+        // Render funnel analytics
+        this.renderBatchFunnel();
     },
 
     /**
@@ -177,6 +147,27 @@ const UIRenderer = {
                 case 'import':
                     text = `Imported ${action.filename}`;
                     break;
+                case 'append_import':
+                    text = `Appended ${action.count} rows from ${action.sources} files/sheets`;
+                    break;
+                case 'merge_import':
+                    text = `Merged ${action.filename} on ${action.key} (${action.count} rows)`;
+                    break;
+                case 'dedup_tag':
+                    text = `Tagged ${action.count} duplicates`;
+                    break;
+                case 'dedup_remove':
+                    text = `Removed ${action.count} duplicates`;
+                    break;
+                case 'shuffle':
+                    text = `Shuffled ${action.count} rows (seed ${action.seed})`;
+                    break;
+                case 'recode':
+                    text = `Recoded ${action.count} values in ${action.column}${action.target !== action.column ? ` → ${action.target}` : ''}`;
+                    break;
+                case 'random_sample':
+                    text = `Random ${action.count}/${action.pool} rows → ${action.channel} batch ${action.batch} (seed ${action.seed})`;
+                    break;
                 default:
                     text = action.type;
             }
@@ -249,25 +240,136 @@ const UIRenderer = {
         }).join('');
     },
 
+    /**
+     * Render per-batch funnel table and trend for the selected channel
+     */
+    renderBatchFunnel() {
+        const container = document.getElementById('batchFunnel');
+        const trendContainer = document.getElementById('funnelTrend');
+        if (!container || typeof BatchAnalytics === 'undefined') return;
+
+        const channelSelect = document.getElementById('funnelChannel');
+        const channelId = channelSelect ? channelSelect.value : 'sms';
+        const funnel = BatchAnalytics.getFunnel(channelId);
+
+        if (funnel.batches.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <span class="empty-icon">🔻</span>
+                    <p>Chưa có batch nào cho kênh này</p>
+                </div>
+            `;
+            trendContainer.innerHTML = '';
+            return;
+        }
+
+        const formatDate = (iso) => iso ? new Date(iso).toLocaleDateString('vi-VN') : '—';
+        const renderRow = (label, r, markedAt) => `
+            <tr>
+                <td><strong>${label}</strong></td>
+                <td>${markedAt !== undefined ? formatDate(markedAt) : ''}</td>
+                <td>${this.formatNumber(r.sent)}</td>
+                <td>${this.formatNumber(r.started)} <span class="funnel-pct">${r.startRate}%</span></td>
+                <td>${this.formatNumber(r.partial)}</td>
+                <td>${this.formatNumber(r.complete)} <span class="funnel-pct">${r.completeRate}%</span></td>
+                <td>${this.formatNumber(r.disqualified)} <span class="funnel-pct">${r.dqRate}%</span></td>
+                <td>
+                    <div class="funnel-bar" title="Started ${r.startRate}% · Complete ${r.completeRate}%">
+                        <div class="funnel-bar-started" style="width: ${Math.min(100, r.startRate)}%"></div>
+                        <div class="funnel-bar-complete" style="width: ${Math.min(100, r.completeRate)}%"></div>
+                    </div>
+                </td>
+            </tr>
+        `;
+
+        container.innerHTML = `
+            <table class="funnel-table">
+                <thead>
+                    <tr>
+                        <th>Batch</th><th>Ngày gửi</th><th>Sent</th><th>Started</th><th>Partial</th>
+                        <th>Complete</th><th>DQ</th><th>Funnel</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${funnel.batches.map(b => renderRow(`B${b.batch}`, b, b.markedAt)).join('')}
+                </tbody>
+                <tfoot>
+                    ${renderRow('Tổng', funnel.totals)}
+                </tfoot>
+            </table>
+        `;
+
+        // Trend over marking days
+        const trend = BatchAnalytics.getTrend(channelId);
+        if (trend.points.length === 0) {
+            trendContainer.innerHTML = '<p class="form-hint">Chưa có ngày gửi (batch được đánh trước khi có log ngày).</p>';
+            return;
+        }
+
+        const maxRate = Math.max(...trend.points.map(p => p.completeRate), 1);
+        trendContainer.innerHTML = `
+            <div class="funnel-trend-bars">
+                ${trend.points.map(p => `
+                    <div class="funnel-trend-point" title="${p.date}: ${p.complete}/${p.sent} complete (${p.batches} batch)">
+                        <span class="funnel-trend-value">${p.completeRate}%</span>
+                        <div class="funnel-trend-bar" style="height: ${(p.completeRate / maxRate) * 120}px"></div>
+                        <span class="funnel-trend-label">${formatDate(p.date + 'T00:00:00')}</span>
+                        <span class="funnel-trend-sub">${this.formatNumber(p.sent)} sent</span>
+                    </div>
+                `).join('')}
+            </div>
+            ${trend.undatedBatches > 0 ? `<p class="form-hint">${trend.undatedBatches} batch không có ngày gửi không được tính.</p>` : ''}
+        `;
+    },
+
     /**
      * Render filter conditions UI
      */
     renderFilterConditions() {
         const container = document.getElementById('filterConditions');
-        const headers = DataManager.getHeaders();
-        const operators = FilterEngine.getOperators();
 
         if (FilterEngine.conditions.length === 0) {
             container.innerHTML = '<p style="color: var(--text-secondary); font-size: 13px;">Chưa có filter. Click "+ Add Condition" để thêm.</p>';
             return;
         }
 
-        container.innerHTML = FilterEngine.conditions.map(condition => `
+        const rootLogic = FilterEngine.conditions.length > 1 ? `
+            <div class="filter-group-header">
+                <span>Kết hợp điều kiện:</span>
+                ${this.renderLogicSelect('null', FilterEngine.rootLogic)}
+            </div>
+        ` : '';
+
+        container.innerHTML = rootLogic + FilterEngine.conditions
+            .map(node => this.renderFilterNode(node))
+            .join('');
+    },
+
+    /**
+     * Render a condition or group node
+     */
+    renderFilterNode(node) {
+        if (FilterEngine.isGroup(node)) {
+            return this.renderFilterGroup(node);
+        }
+
+        const headers = DataManager.getHeaders();
+        const condition = node;
+        const operators = FilterEngine.getOperators(condition.column);
+        const columnType = condition.column ? DataManager.getColumnType(condition.column) : '';
+
+        return `
             <div class="filter-condition" data-id="${condition.id}">
                 <select class="form-control form-control-sm filter-column" onchange="updateFilterCondition(${condition.id}, 'column', this.value)">
                     <option value="">-- Chọn cột --</option>
                     ${headers.map(h => `<option value="${h}" ${condition.column === h ? 'selected' : ''}>${h}</option>`).join('')}
                 </select>
+                ${columnType ? `
+                    <select class="filter-type-badge type-${columnType}" title="Kiểu dữ liệu của cột (đổi nếu nhận sai)"
+                        onchange="updateFilterColumnType(${condition.id}, this.value)">
+                        ${DataManager.COLUMN_TYPES.map(t => `<option value="${t}" ${columnType === t ? 'selected' : ''}>${t}</option>`).join('')}
+                    </select>
+                ` : ''}
                 <select class="form-control form-control-sm filter-operator" onchange="updateFilterCondition(${condition.id}, 'operator', this.value)">
                     ${operators.map(op => `<option value="${op.value}" ${condition.operator === op.value ? 'selected' : ''}>${op.label}</option>`).join('')}
                 </select>
@@ -276,7 +378,47 @@ const UIRenderer = {
                 
                 <button class="btn btn-sm btn-danger btn-remove" onclick="removeFilterCondition(${condition.id})">×</button>
             </div>
-        `).join('');
+        `;
+    },
+
+    /**
+     * Render a condition group with its children
+     */
+    renderFilterGroup(group) {
+        const children = group.children.length > 0
+            ? group.children.map(child => this.renderFilterNode(child)).join('')
+            : '<p class="filter-group-empty">Nhóm trống</p>';
+
+        return `
+            <div class="filter-group ${group.negate ? 'negated' : ''} logic-${group.logic.toLowerCase()}" data-id="${group.id}">
+                <div class="filter-group-header">
+                    <label class="filter-group-not" title="Đảo ngược kết quả nhóm">
+                        <input type="checkbox" ${group.negate ? 'checked' : ''}
+                            onchange="updateFilterGroup(${group.id}, 'negate', this.checked)">
+                        NOT
+                    </label>
+                    ${this.renderLogicSelect(group.id, group.logic)}
+                    <button class="btn btn-xs btn-outline" onclick="addFilterCondition(${group.id})">+ Condition</button>
+                    <button class="btn btn-xs btn-outline" onclick="addFilterGroup(${group.id})">+ Group</button>
+                    <button class="btn btn-sm btn-danger btn-remove" onclick="removeFilterCondition(${group.id})">×</button>
+                </div>
+                <div class="filter-group-children">
+                    ${children}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Render AND/OR selector for a group (groupId 'null' = root)
+     */
+    renderLogicSelect(groupId, logic) {
+        return `
+            <select class="form-control form-control-sm filter-logic" onchange="updateFilterGroup(${groupId}, 'logic', this.value)">
+                <option value="AND" ${logic === 'AND' ? 'selected' : ''}>AND (tất cả)</option>
+                <option value="OR" ${logic === 'OR' ? 'selected' : ''}>OR (bất kỳ)</option>
+            </select>
+        `;
     },
 
     /**
@@ -334,6 +476,41 @@ const UIRenderer = {
             `;
         }
 
+        // Range inputs (numeric or date)
+        if (['between', 'dateBetween'].includes(condition.operator)) {
+            const inputType = condition.operator === 'dateBetween' ? 'date' : 'number';
+            const range = Array.isArray(condition.value) ? condition.value : ['', ''];
+            return `
+                <div class="filter-range">
+                    <input type="${inputType}" class="form-control form-control-sm filter-value"
+                        value="${this.escapeHtml(range[0] || '')}" placeholder="Từ..."
+                        onchange="updateFilterRange(${condition.id}, 0, this.value)">
+                    <span>–</span>
+                    <input type="${inputType}" class="form-control form-control-sm filter-value"
+                        value="${this.escapeHtml(range[1] || '')}" placeholder="Đến..."
+                        onchange="updateFilterRange(${condition.id}, 1, this.value)">
+                </div>
+            `;
+        }
+
+        // Single date input
+        if (['dateOn', 'dateBefore', 'dateAfter'].includes(condition.operator)) {
+            return `
+                <input type="date" class="form-control form-control-sm filter-value"
+                    value="${this.escapeHtml(condition.value || '')}"
+                    onchange="updateFilterCondition(${condition.id}, 'value', this.value)">
+            `;
+        }
+
+        // Number of days
+        if (condition.operator === 'inLastDays') {
+            return `
+                <input type="number" min="0" class="form-control form-control-sm filter-value"
+                    value="${this.escapeHtml(condition.value || '')}" placeholder="Số ngày..."
+                    onchange="updateFilterCondition(${condition.id}, 'value', this.value)">
+            `;
+        }
+
         // Default text input with Autocomplete (Datalist)
         const listId = `list-${condition.id}`.replace('.', '-');
         let dataListHtml = '';
@@ -359,7 +536,7 @@ const UIRenderer = {
                 placeholder="Value..."
                 list="${listId}"
                 onchange="updateFilterCondition(${condition.id}, 'value', this.value)"
-                ${['isEmpty', 'isNotEmpty'].includes(condition.operator) ? 'disabled' : ''}>
+                ${['isEmpty', 'isNotEmpty', 'isTrue', 'isFalse'].includes(condition.operator) ? 'disabled' : ''}>
             ${dataListHtml}
         `;
     },
@@ -402,6 +579,12 @@ const UIRenderer = {
             `).join('');
         }
 
+        // Render export profiles selector and preview
+        this.renderExportProfiles();
+        if (typeof updateExportPreview === 'function') {
+            updateExportPreview();
+        }
+
         // Render export history
         this.renderExportHistory();
     },
@@ -444,15 +627,16 @@ const UIRenderer = {
         const config = ConfigManager.getAll();
         const headers = DataManager.getHeaders();
 
-        // Generate column options
+        // Generate column options (by name once data is loaded, so the config follows the column, not its position)
         const columnOptions = headers.length > 0
-            ? headers.map((h, i) => ({ value: ConfigManager.indexToCol(i), label: `${ConfigManager.indexToCol(i)} - ${h}` }))
+            ? headers.map((h, i) => ({ value: this.escapeHtml(h).replace(/"/g, '&quot;'), label: `${ConfigManager.indexToCol(i)} - ${this.escapeHtml(h)}` }))
             : ConfigManager.generateColumnOptions();
+        const resolve = ref => headers.length > 0 ? (DataManager.findColumn(ref) || ref) : ref;
 
         const optionsHtml = columnOptions.map(opt => `<option value="${opt.value}">${opt.label}</option>`).join('');
 
         // Update selects
-        ['configSourceCol', 'configContentCol', 'configBatchCol', 'configEmailCol', 'configEmailBatchCol', 'configEmailLinkCol'].forEach(id => {
+        ['configSourceCol', 'configPhoneCol', 'configContentCol', 'configBatchCol', 'configEmailCol', 'configEmailBatchCol', 'configEmailLinkCol', 'configPlidCol'].forEach(id => {
             const select = document.getElementById(id);
             if (select) {
                 select.innerHTML = optionsHtml;
@@ -460,20 +644,39 @@ const UIRenderer = {
         });
 
         // Set values
-        document.getElementById('configSourceCol').value = config.SOURCE_COL;
-        document.getElementById('configContentCol').value = config.CONTENT_COL;
-        document.getElementById('configBatchCol').value = config.BATCH_COL;
-        document.getElementById('configEmailCol').value = config.EMAIL_COL;
-        document.getElementById('configEmailBatchCol').value = config.EMAIL_BATCH_COL;
-        document.getElementById('configEmailLinkCol').value = config.EMAIL_LINK_COL;
+        document.getElementById('configSourceCol').value = resolve(config.SOURCE_COL);
+        document.getElementById('configPhoneCol').value = resolve(config.PHONE_COL);
+        document.getElementById('configContentCol').value = resolve(config.CONTENT_COL);
+        document.getElementById('configBatchCol').value = resolve(config.BATCH_COL);
+        document.getElementById('configEmailCol').value = resolve(config.EMAIL_COL);
+        document.getElementById('configEmailBatchCol').value = resolve(config.EMAIL_BATCH_COL);
+        document.getElementById('configEmailLinkCol').value = resolve(config.EMAIL_LINK_COL);
+        document.getElementById('configPlidCol').value = resolve(config.PLID_COL);
 
         document.getElementById('templateText').value = config.TEMPLATE_TEXT || '';
+        document.getElementById('emailSubjectText').value = config.EMAIL_SUBJECT || '';
+        document.getElementById('emailTemplateText').value = config.EMAIL_TEMPLATE_TEXT || '';
+        if (typeof validateTemplateInput === 'function') {
+            validateTemplateInput('templateText', 'templateValidation', 'SOURCE_COL');
+            validateTemplateInput('emailSubjectText', 'emailSubjectValidation', 'EMAIL_LINK_COL', false);
+            validateTemplateInput('emailTemplateText', 'emailTemplateValidation', 'EMAIL_LINK_COL');
+        }
         document.getElementById('configOverwriteBatch').checked = config.OVERWRITE_BATCH;
         document.getElementById('configExportAfterMark').checked = config.EXPORT_AFTER_MARK;
+        document.getElementById('configPhoneNormalizeOnImport').checked = !!config.PHONE_NORMALIZE_ON_IMPORT;
+        document.getElementById('configPhoneFormat').value = config.PHONE_FORMAT || 'local';
+        document.getElementById('configSmsStripDiacritics').checked = !!config.SMS_STRIP_DIACRITICS;
+        document.getElementById('configSmsMaxSegments').value = config.SMS_MAX_SEGMENTS || 0;
+        document.getElementById('configSuppressionEnabled').checked = !!config.SUPPRESSION_ENABLED;
+        document.getElementById('configSuppressionMonths').value = config.SUPPRESSION_COMPLETED_MONTHS || 0;
+        document.getElementById('configFatigueMaxContacts').value = config.FATIGUE_MAX_CONTACTS || 0;
+        document.getElementById('configFatigueWindowDays').value = config.FATIGUE_WINDOW_DAYS || 30;
         document.getElementById('configDefaultLimit').value = config.DEFAULT_LIMIT;
 
         // Render template library
         this.renderTemplateLibrary();
+        this.renderEmailTemplateLibrary();
+        this.renderExportProfiles();
     },
 
     /**
@@ -499,6 +702,80 @@ const UIRenderer = {
         `).join('');
     },
 
+    /**
+     * Render email template library
+     */
+    renderEmailTemplateLibrary() {
+        const templateList = document.getElementById('emailTemplateList');
+        const templates = ConfigManager.getEmailTemplates();
+
+        if (templates.length === 0) {
+            templateList.innerHTML = '<p style="color: var(--text-secondary);">Chưa có email template nào.</p>';
+            return;
+        }
+
+        templateList.innerHTML = templates.map(t => `
+            <div class="template-item">
+                <span class="template-name" title="${this.escapeHtml(t.subject)}">${this.escapeHtml(t.name)}</span>
+                <div class="template-actions">
+                    <button class="btn btn-sm btn-outline" onclick="loadEmailTemplate(${t.id})">Load</button>
+                    <button class="btn btn-sm btn-danger" onclick="deleteEmailTemplate(${t.id})">×</button>
+                </div>
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Render export profile list
+     */
+    renderExportProfiles() {
+        const list = document.getElementById('exportProfileList');
+        const profiles = ConfigManager.getExportProfiles();
+
+        if (list) {
+            list.innerHTML = profiles.length === 0
+                ? '<p style="color: var(--text-secondary);">Chưa có profile nào.</p>'
+                : profiles.map(p => `
+                    <div class="template-item">
+                        <span class="template-name">${this.escapeHtml(p.name)}
+                            <small>${p.format === 'csv' ? `CSV · ${this.escapeHtml(ExportManager.ENCODINGS[p.encoding] || p.encoding)}` : 'Excel'} · ${p.columns.length} cột</small>
+                        </span>
+                        <div class="template-actions">
+                            <button class="btn btn-sm btn-outline" onclick="openExportProfileEditor(${p.id})">Edit</button>
+                            <button class="btn btn-sm btn-danger" onclick="deleteExportProfile(${p.id})">×</button>
+                        </div>
+                    </div>
+                `).join('');
+        }
+
+        // Profile selector on the export page
+        const select = document.getElementById('exportProfile');
+        if (select) {
+            const current = select.value;
+            select.innerHTML = '<option value="">Mặc định</option>' +
+                profiles.map(p => `<option value="${p.id}">${this.escapeHtml(p.name)}</option>`).join('');
+            select.value = profiles.some(p => String(p.id) === current) ? current : '';
+        }
+    },
+
+    /**
+     * Render an array-of-arrays preview table (first row is the header)
+     */
+    renderPreviewTable(exportData) {
+        if (!exportData || exportData.length === 0) return '';
+        const [header, ...rows] = exportData;
+        return `
+            <table class="strat-table">
+                <thead><tr>${header.map(h => `<th>${this.escapeHtml(String(h))}</th>`).join('')}</tr></thead>
+                <tbody>
+                    ${rows.length > 0
+                        ? rows.map(r => `<tr>${r.map(v => `<td>${this.escapeHtml(String(v ?? ''))}</td>`).join('')}</tr>`).join('')
+                        : `<tr><td colspan="${header.length}">Không có dòng nào.</td></tr>`}
+                </tbody>
+            </table>
+        `;
+    },
+
     /**
      * Show toast notification
      */
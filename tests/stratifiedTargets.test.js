@@ -0,0 +1,77 @@
+/**
+ * Stratified targets - FW Tools
+ * Regression checks for BatchManager.buildStrataTargets (run with `npm test`)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Browser modules declare globals with const: load them as vars into one context
+function loadBatchManager(columns) {
+    const context = {
+        DataManager: { getUniqueValues: col => columns[col] || [] }
+    };
+    vm.createContext(context);
+    const source = fs.readFileSync(path.join(__dirname, '../js/batchManager.js'), 'utf8')
+        .replace(/^const BatchManager =/m, 'var BatchManager =');
+    vm.runInContext(source, context);
+    return context.BatchManager;
+}
+
+// Objects built inside the VM context have their own prototypes: copy them before deep comparisons
+function buildTargets(BatchManager, strataColumns, quotaRows) {
+    return JSON.parse(JSON.stringify(BatchManager.buildStrataTargets(strataColumns, quotaRows)));
+}
+
+const columns = {
+    Gender: ['Nam', 'Nữ'],
+    Age: ['18-24', '25-34'],
+    Region: ['HCM', 'HN']
+};
+
+test('quota cells collapsing onto the same stratum add up their needs', () => {
+    const BatchManager = loadBatchManager(columns);
+    const { targets, unmatched } = buildTargets(BatchManager, ['Gender'], [
+        { name: 'Nam 18-24 HCM', need: 10 },
+        { name: 'Nam 25-34 HCM', need: 30 },
+        { name: 'Nữ 18-24 HN', need: 5 }
+    ]);
+
+    assert.deepStrictEqual(unmatched, []);
+    assert.deepStrictEqual(targets.map(t => [t.cell.Gender, t.need]), [['Nam', 40], ['Nữ', 5]]);
+});
+
+test('marginal quotas are combined into cells', () => {
+    const BatchManager = loadBatchManager(columns);
+    const { targets, unmatched } = buildTargets(BatchManager, ['Gender', 'Age', 'Region'], [
+        { name: 'Nam', need: 60 },
+        { name: 'Nữ', need: 40 },
+        { name: '18-24', need: 50 },
+        { name: '25-34', need: 50 },
+        { name: 'HCM', need: 100 }
+    ]);
+
+    assert.deepStrictEqual(unmatched, []);
+    assert.strictEqual(targets.length, 4);
+    const needs = Object.fromEntries(targets.map(t => [Object.values(t.cell).join(' × '), t.need]));
+    assert.deepStrictEqual(needs, {
+        'Nam × 18-24 × HCM': 30,
+        'Nam × 25-34 × HCM': 30,
+        'Nữ × 18-24 × HCM': 20,
+        'Nữ × 25-34 × HCM': 20
+    });
+});
+
+test('marginals that leave a stratum column uncovered stay unmatched', () => {
+    const BatchManager = loadBatchManager(columns);
+    const { targets, unmatched } = buildTargets(BatchManager, ['Gender', 'Age'], [
+        { name: 'Nam', need: 60 },
+        { name: 'Nữ', need: 40 }
+    ]);
+
+    assert.deepStrictEqual(targets, []);
+    assert.deepStrictEqual(unmatched.map(q => q.name), ['Nam', 'Nữ']);
+});